@@ -0,0 +1,150 @@
+import { createReadStream } from 'fs'
+import { createHash } from 'crypto'
+
+export const CHECKSUM_ALGORITHMS = ['xxhash64', 'sha256', 'md5']
+
+const MASK_64 = (1n << 64n) - 1n
+const PRIME64_1 = 0x9e3779b185ebca87n
+const PRIME64_2 = 0xc2b2ae3d27d4eb4fn
+const PRIME64_3 = 0x165667b19e3779f9n
+const PRIME64_4 = 0x85ebca77c2b2ae63n
+const PRIME64_5 = 0x27d4eb2f165667c5n
+
+function rotl64(value, bits) {
+  return ((value << bits) | (value >> (64n - bits))) & MASK_64
+}
+
+function xxhRound(acc, input) {
+  acc = (acc + input * PRIME64_2) & MASK_64
+  acc = rotl64(acc, 31n)
+  return (acc * PRIME64_1) & MASK_64
+}
+
+function xxhMergeRound(acc, value) {
+  acc ^= xxhRound(0n, value)
+  return (acc * PRIME64_1 + PRIME64_4) & MASK_64
+}
+
+/**
+ * Streaming XXH64 implementation (seed 0), the hash used by ASC-MHL and most DIT tools.
+ * Node has no native xxhash, so this runs on BigInt and is noticeably slower than SHA-256.
+ */
+class XxHash64 {
+  constructor(seed = 0n) {
+    this.v1 = (seed + PRIME64_1 + PRIME64_2) & MASK_64
+    this.v2 = (seed + PRIME64_2) & MASK_64
+    this.v3 = seed
+    this.v4 = (seed - PRIME64_1) & MASK_64
+    this.seed = seed
+    this.totalLength = 0
+    this.buffer = Buffer.alloc(0)
+  }
+
+  update(chunk) {
+    this.totalLength += chunk.length
+    let data = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk
+
+    let offset = 0
+    while (offset + 32 <= data.length) {
+      this.v1 = xxhRound(this.v1, data.readBigUInt64LE(offset))
+      this.v2 = xxhRound(this.v2, data.readBigUInt64LE(offset + 8))
+      this.v3 = xxhRound(this.v3, data.readBigUInt64LE(offset + 16))
+      this.v4 = xxhRound(this.v4, data.readBigUInt64LE(offset + 24))
+      offset += 32
+    }
+
+    this.buffer = Buffer.from(data.subarray(offset))
+    return this
+  }
+
+  digest() {
+    let hash
+    if (this.totalLength >= 32) {
+      hash = (rotl64(this.v1, 1n) + rotl64(this.v2, 7n) + rotl64(this.v3, 12n) + rotl64(this.v4, 18n)) & MASK_64
+      hash = xxhMergeRound(hash, this.v1)
+      hash = xxhMergeRound(hash, this.v2)
+      hash = xxhMergeRound(hash, this.v3)
+      hash = xxhMergeRound(hash, this.v4)
+    } else {
+      hash = (this.seed + PRIME64_5) & MASK_64
+    }
+
+    hash = (hash + BigInt(this.totalLength)) & MASK_64
+
+    const remaining = this.buffer
+    let offset = 0
+    while (offset + 8 <= remaining.length) {
+      hash ^= xxhRound(0n, remaining.readBigUInt64LE(offset))
+      hash = (rotl64(hash, 27n) * PRIME64_1 + PRIME64_4) & MASK_64
+      offset += 8
+    }
+    if (offset + 4 <= remaining.length) {
+      hash ^= (BigInt(remaining.readUInt32LE(offset)) * PRIME64_1) & MASK_64
+      hash = (rotl64(hash, 23n) * PRIME64_2 + PRIME64_3) & MASK_64
+      offset += 4
+    }
+    while (offset < remaining.length) {
+      hash ^= (BigInt(remaining[offset]) * PRIME64_5) & MASK_64
+      hash = (rotl64(hash, 11n) * PRIME64_1) & MASK_64
+      offset++
+    }
+
+    hash ^= hash >> 33n
+    hash = (hash * PRIME64_2) & MASK_64
+    hash ^= hash >> 29n
+    hash = (hash * PRIME64_3) & MASK_64
+    hash ^= hash >> 32n
+
+    return hash.toString(16).padStart(16, '0')
+  }
+}
+
+/**
+ * Create an incremental hasher for the given algorithm
+ * @param {string} algorithm - One of CHECKSUM_ALGORITHMS
+ * @returns {{update: function(Buffer): any, digest: function(): string}}
+ */
+export function createHasher(algorithm) {
+  switch (algorithm) {
+    case 'xxhash64':
+      return new XxHash64()
+    case 'sha256':
+    case 'md5': {
+      const hash = createHash(algorithm)
+      return {
+        update: chunk => hash.update(chunk),
+        digest: () => hash.digest('hex'),
+      }
+    }
+    default:
+      throw new Error(`Unsupported checksum algorithm: ${algorithm}. Must be one of ${CHECKSUM_ALGORITHMS.join(', ')}`)
+  }
+}
+
+/**
+ * Hash a buffer or string in one call
+ * @param {Buffer|string} data - Data to hash
+ * @param {string} algorithm - One of CHECKSUM_ALGORITHMS
+ * @returns {string} - Lowercase hex digest
+ */
+export function hashBuffer(data, algorithm) {
+  const hasher = createHasher(algorithm)
+  hasher.update(Buffer.isBuffer(data) ? data : Buffer.from(data))
+  return hasher.digest()
+}
+
+/**
+ * Hash a file by streaming its contents
+ * @param {string} filePath - Path to the file
+ * @param {string} algorithm - One of CHECKSUM_ALGORITHMS
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+export async function hashFile(filePath, algorithm) {
+  const hasher = createHasher(algorithm)
+
+  for await (const chunk of createReadStream(filePath, { highWaterMark: 1024 * 1024 })) {
+    hasher.update(chunk)
+  }
+
+  return hasher.digest()
+}
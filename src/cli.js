@@ -1,14 +1,46 @@
 import prompts from 'prompts'
-import { loadProfiles, validateProfile, saveProfile } from './config.js'
+import { promises as fs } from 'fs'
+import { resolve, relative, join, dirname, basename, extname } from 'path'
+import { loadProfiles, validateProfile, saveProfile, updateProfile } from './config.js'
 import {
   scanFiles,
-  extractFileDate,
+  readCaptureInfo,
   generateTargetPath,
   findAvailableFilename,
   processFile,
-  processFileGroup,
+  planFileGroup,
+  executeFilePlan,
+  removeVerifiedSources,
+  shiftEmbeddedDates,
 } from './fileProcessor.js'
-import { hasGpsData, writeGpsData, parseCoordinateString, formatCoordinates } from './gpsHandler.js'
+import { readGpsCoordinates, writeGpsData, parseCoordinateString, formatCoordinates } from './gpsHandler.js'
+import { gpsSanityRules, importCenter, checkGpsPosition } from './gpsSanity.js'
+import { loadTracks, locateInTrack, trackLookupOptions, formatGpx, formatGeoJson } from './gpsTrack.js'
+import { readDjiSrt, srtTrack, SRT_TRACK_FORMATS } from './djiSrt.js'
+import { writeManifests } from './manifest.js'
+import { hashFile } from './checksum.js'
+import DuplicateIndex from './duplicateIndex.js'
+import ImportState, { STATE_DIR, loadImportedCopies } from './importState.js'
+import ImportJournal from './journal.js'
+import { createStageLimiters, parseConcurrency } from './pool.js'
+import { checkDestination } from './preflight.js'
+import { buildImportPlan, formatPlanTable } from './importPlan.js'
+import { templateUsesToken, templateUsesLocation, getMediaType } from './template.js'
+import { loadPlaces, reverseGeocode, groupPosition, writeLocationNames } from './geocoder.js'
+import { parseTimeShift, formatTimeShift, measureTimeShift, parseReferenceTime } from './timeShift.js'
+import { formatZonedISO } from './timezone.js'
+import { readCaptureDate } from './dateSources.js'
+import { closeExiftool, probeExiftool, EXIFTOOL_FEATURES } from './exiftool.js'
+import { runDoctor, formatDoctorReport } from './doctor.js'
+import {
+  loadLocations,
+  saveLocation,
+  removeLocation,
+  resolveLocation,
+  validateLocationName,
+  formatLocations,
+  LOCATIONS_FILE,
+} from './locations.js'
 import Logger from './logger.js'
 
 export async function main() {
@@ -20,6 +52,29 @@ export async function main() {
       return
     }
 
+    if (args.command === 'resume') {
+      await resumeImport(args)
+      return
+    }
+
+    if (args.command === 'doctor') {
+      const result = await runDoctor()
+      console.log(formatDoctorReport(result))
+      if (!result.ok) process.exitCode = 1
+      return
+    }
+
+    if (args.command === 'locations') {
+      await manageLocations(args)
+      return
+    }
+
+    if (args.command) {
+      console.error(`Unknown command "${args.command}".`)
+      showHelp()
+      process.exit(1)
+    }
+
     const profiles = await loadProfiles()
 
     if (Object.keys(profiles).length === 0) {
@@ -45,6 +100,47 @@ export async function main() {
       }
     }
 
+    if (args.project) {
+      selectedProfile.project = args.project
+    }
+    if (args.timeShift && args.syncClock) {
+      throw new Error('Use either --time-shift or --sync-clock, not both')
+    }
+    if (args.timeShift) {
+      parseTimeShift(args.timeShift, '--time-shift')
+      selectedProfile.timeOffset = args.timeShift
+    }
+    if (args.rewriteDates) {
+      selectedProfile.rewriteDates = true
+    }
+    if (args.locationNames) {
+      selectedProfile.locationNames = true
+    }
+    if (args.gpxFiles) {
+      selectedProfile.gpxFiles = args.gpxFiles
+      selectedProfile.addGpsData = true
+    }
+    if (args.srtGps) {
+      selectedProfile.srtGps = true
+    }
+    if (args.replaceFlaggedGps) {
+      selectedProfile.replaceFlaggedGps = true
+    }
+    if (args.srtTrackFormat) {
+      if (!SRT_TRACK_FORMATS.includes(args.srtTrackFormat)) {
+        throw new Error(`--srt-track must be one of ${SRT_TRACK_FORMATS.join(', ')}`)
+      }
+      selectedProfile.srtTrackFormat = args.srtTrackFormat
+    }
+    if (args.gpxMaxGap !== undefined) {
+      parseTimeShift(args.gpxMaxGap, '--gpx-max-gap')
+      selectedProfile.gpxMaxGap = args.gpxMaxGap
+    }
+    if (args.gpxOffset !== undefined) {
+      parseTimeShift(args.gpxOffset, '--gpx-offset')
+      selectedProfile.gpxOffset = args.gpxOffset
+    }
+
     let finalProfile
 
     if (args.headless) {
@@ -54,36 +150,52 @@ export async function main() {
       if (args.camera) finalProfile.cameraLabel = args.camera
       if (args.onCollision) finalProfile.onCollision = args.onCollision
       if (args.logLevel) finalProfile.logLevel = args.logLevel
+      if (args.checksum) finalProfile.checksumAlgorithm = args.checksum
       if (args.gpsCoordinates) {
-        const parsed = parseCoordinateString(args.gpsCoordinates)
-        if (parsed.error) {
-          console.error(`Invalid GPS coordinates: ${parsed.error}`)
+        // Saved locations are only read when one is asked for, so a broken registry can't block other imports
+        const locations = args.gpsCoordinates.trim().startsWith('@') ? await loadLocations() : {}
+        const { error, ...position } = resolveLocation(args.gpsCoordinates, locations)
+        if (error) {
+          console.error(`Invalid GPS coordinates: ${error}`)
           process.exit(1)
         }
-        finalProfile.gpsCoordinates = { latitude: parsed.latitude, longitude: parsed.longitude }
+        finalProfile.gpsCoordinates = position
         finalProfile.addGpsData = true
       }
       if (args.gpsSkip) finalProfile.addGpsData = false
     } else {
-      finalProfile = await promptOverrides(selectedProfile)
+      finalProfile = await promptOverrides(selectedProfile, { exiftool: (await probeExiftool()).available })
+    }
+
+    if (args.syncClock) {
+      await syncClock(finalProfile, args, args.headless)
+    }
+
+    if (args.jobs) {
+      finalProfile.concurrency = withJobs(finalProfile.concurrency, args.jobs)
     }
 
     const validatedProfile = validateProfile(finalProfile)
 
     // Create logger instance
     const reportFile = args.report === true ? null : args.report
-    const logger = new Logger(validatedProfile.logLevel, reportFile)
+    // A JSON plan goes to stdout, so keep progress messages off it
+    const logLevel = args.dryRun === 'json' ? 'warn' : validatedProfile.logLevel
+    const logger = new Logger(logLevel, reportFile)
 
-    await runImport(validatedProfile, args.headless, logger)
+    await runImport(validatedProfile, args.headless, logger, { full: args.full, dryRun: args.dryRun })
   } catch (error) {
     console.error('Error:', error.message)
     process.exit(1)
+  } finally {
+    // Lets the shared exiftool process exit now instead of after its idle timeout
+    await closeExiftool()
   }
 }
 
 function parseArgs() {
   const args = process.argv.slice(2)
-  const parsed = {}
+  const parsed = { commandArgs: [] }
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i]
@@ -110,18 +222,155 @@ function parseArgs() {
       parsed.gpsCoordinates = args[++i]
     } else if (arg === '--gps-skip') {
       parsed.gpsSkip = true
+    } else if (arg === '--gpx') {
+      parsed.gpxFiles = [...(parsed.gpxFiles || []), args[++i]]
+    } else if (arg === '--gpx-max-gap') {
+      parsed.gpxMaxGap = durationArg(args[++i])
+    } else if (arg === '--gpx-offset') {
+      parsed.gpxOffset = durationArg(args[++i])
+    } else if (arg === '--srt-gps') {
+      parsed.srtGps = true
+    } else if (arg === '--replace-flagged-gps') {
+      parsed.replaceFlaggedGps = true
+    } else if (arg === '--srt-track') {
+      parsed.srtTrackFormat = args[++i]
+    } else if (arg === '--checksum') {
+      parsed.checksum = args[++i]
+    } else if (arg === '--full') {
+      parsed.full = true
+    } else if (arg === '--dry-run' || arg === '-n') {
+      parsed.dryRun = ['table', 'json'].includes(args[i + 1]) ? args[++i] : 'table'
+    } else if (arg === '--project') {
+      parsed.project = args[++i]
+    } else if (arg === '--time-shift') {
+      parsed.timeShift = args[++i]
+    } else if (arg === '--sync-clock') {
+      parsed.syncClock = args[++i]
+    } else if (arg === '--sync-time') {
+      parsed.syncTime = args[++i]
+    } else if (arg === '--save-offset') {
+      parsed.saveOffset = true
+    } else if (arg === '--rewrite-dates') {
+      parsed.rewriteDates = true
+    } else if (arg === '--location-names') {
+      parsed.locationNames = true
+    } else if (arg === '--altitude') {
+      parsed.altitude = args[++i]
+    } else if (arg === '--description') {
+      parsed.description = args[++i]
+    } else if (arg === '--jobs' || arg === '-j') {
+      parsed.jobs = args[++i]
+    } else if (!arg.startsWith('-') || /^-\d/.test(arg)) {
+      // The first positional argument is a command, the rest are its arguments (negative coordinates included)
+      if (parsed.command) {
+        parsed.commandArgs.push(arg)
+      } else {
+        parsed.command = arg
+      }
     }
   }
 
   return parsed
 }
 
+// Durations are given in seconds or as "HH:MM:SS"; plain numbers are seconds
+function durationArg(value) {
+  return /^[+-]?\d+(\.\d+)?$/.test(value || '') ? Number(value) : value
+}
+
+/**
+ * Apply a --jobs value on top of the profile's concurrency settings
+ * @param {number|string|object|undefined} concurrency - Profile setting
+ * @param {string} jobs - Command line value, e.g. "4" or "copy=4,exiftool=1"
+ * @returns {object}
+ */
+function withJobs(concurrency, jobs) {
+  return { ...(concurrency !== undefined ? parseConcurrency(concurrency) : {}), ...parseConcurrency(jobs) }
+}
+
+/**
+ * Measure the camera clock's error from a reference photo of a trustworthy clock and use it as the
+ * profile's timeOffset for this run, optionally saving it to the profile file
+ * @param {object} profile - Profile for this run (selected profile plus overrides), updated in place
+ * @param {{syncClock: string, syncTime?: string, saveOffset?: boolean}} args - Parsed command line
+ * @param {boolean} headless - Don't prompt; the true time must come from --sync-time
+ */
+async function syncClock(profile, args, headless) {
+  const { sourcePath, dateSources, filenamePatterns, cameraTimezone } = validateProfile(profile)
+  // Relative paths point into the card
+  const referencePath = resolve(sourcePath, args.syncClock)
+
+  const { date: cameraDate, source } = await readCaptureDate(referencePath, dateSources, {
+    timeZone: cameraTimezone,
+    filenamePatterns,
+  })
+  const cameraTime = formatZonedISO(cameraDate, cameraTimezone).replace('T', ' ')
+  console.log(`Camera time of ${relative(sourcePath, referencePath)}: ${cameraTime} (from ${source})`)
+
+  let syncTime = args.syncTime
+  if (!syncTime) {
+    if (headless) {
+      throw new Error('--sync-clock needs --sync-time in headless mode')
+    }
+    const answer = await prompts({
+      type: 'text',
+      name: 'syncTime',
+      message: 'True time shown in the photo (HH:MM:SS or YYYY-MM-DD HH:MM:SS):',
+      validate: input => {
+        try {
+          parseReferenceTime(input, cameraDate, cameraTimezone)
+          return true
+        } catch (error) {
+          return error.message
+        }
+      },
+    })
+    if (!answer.syncTime) {
+      throw new Error('Clock sync cancelled')
+    }
+    syncTime = answer.syncTime
+  }
+
+  const timeOffset = formatTimeShift(
+    measureTimeShift(cameraDate, parseReferenceTime(syncTime, cameraDate, cameraTimezone))
+  )
+  profile.timeOffset = timeOffset
+  console.log(`Camera clock correction: ${timeOffset}`)
+
+  let save = Boolean(args.saveOffset)
+  if (!save && !headless && profile.name) {
+    const answer = await prompts({
+      type: 'confirm',
+      name: 'save',
+      message: `Save ${timeOffset} as the clock correction of profile "${profile.name}"?`,
+      initial: false,
+    })
+    save = Boolean(answer.save)
+  }
+
+  if (save) {
+    if (!profile.name) {
+      throw new Error('--save-offset needs a saved profile')
+    }
+    const filePath = await updateProfile(profile, { timeOffset })
+    console.log(`Saved timeOffset to ${filePath}`)
+  }
+}
+
 function showHelp() {
   console.log(`
 ingestio - Import raw media from SD cards
 
 Usage:
   ingestio [options]
+  ingestio resume [session-id] [options]
+  ingestio doctor
+  ingestio locations [list|add|remove] [name] [latitude,longitude] [--altitude <m>] [--description <text>]
+
+Commands:
+  resume [session-id]     Resume an interrupted import (the most recent one by default)
+  doctor                  Check exiftool, the config directories and every profile
+  locations               List saved locations, or add/remove one for use as --gps @name
 
 Options:
   -h, --help              Show this help message
@@ -129,11 +378,31 @@ Options:
   -s, --source <path>     Override source path
   -d, --destination <path> Override destination path
   -c, --camera <label>    Override camera label
-  --on-collision <action> File collision handling: 'rename' or 'replace'
+  --on-collision <action> File collision handling: 'rename', 'replace' or 'skip-duplicate'
   -l, --log-level <level> Set log level: 'debug', 'info', 'warn', 'error'
   -r, --report [filename] Generate import report (optional filename)
+  --checksum <algorithm>  Verification hash: 'xxhash64', 'sha256' or 'md5'
+  --full                  Import every file, ignoring what was imported from this card before
+  --project <name>        Project name for the {project} template token
+  --time-shift <offset>   Correct the camera clock, e.g. "+01:03:20" or "-00:05:00"
+  --rewrite-dates         Also write the corrected time into the dates embedded in the copies
+  --location-names        Write city, region and country into the IPTC/XMP location fields
+  --sync-clock <file>     Work out the clock correction from a photo of a clock on the card
+  --sync-time <time>      True time shown in that photo, "HH:MM:SS" or "YYYY-MM-DD HH:MM:SS"
+  --save-offset           Store the measured correction as the profile's timeOffset
+  -n, --dry-run [format]  Show what would be imported without touching any files ('table' or 'json')
+  -j, --jobs <n|stage=n>  Parallel jobs for all stages, or per stage: metadata, copy, exiftool
+                          (e.g., "4" or "copy=4,exiftool=1")
   -g, --gps <coordinates> Add GPS coordinates to files missing location data
-                          Format: "latitude,longitude" (e.g., "40.7128,-74.0060")
+                          Format: "latitude,longitude" (e.g., "40.7128,-74.0060") or a saved "@name";
+                          also DMS, Google Maps links, geo: URIs, Plus Codes, MGRS and UTM;
+                          add ",altitude" and "; direction=<deg>; accuracy=<m>" as needed
+  --gpx <file>            Geotag from a GPX, KML, GeoJSON or NMEA track log (repeatable)
+  --gpx-max-gap <seconds> Longest gap between track points to interpolate across (default 600)
+  --gpx-offset <offset>   Added to capture times before the track lookup, e.g. "-00:00:05"
+  --srt-gps               Write the start position from DJI SRT telemetry into each video
+  --srt-track <format>    Also save the SRT flight path next to each video: 'gpx' or 'geojson'
+  --replace-flagged-gps   Geotag files whose own GPS fails the profile's sanity rules, instead of only reporting them
   --gps-skip              Skip GPS coordinate prompting (for headless mode)
   --headless              Run without interactive prompts
 
@@ -145,9 +414,20 @@ Examples:
   ingestio -p dji-drone --on-collision replace --headless
   ingestio -p dji-drone --log-level debug --report my-import.txt
   ingestio -p dji-drone --gps "40.7128,-74.0060" --headless
+  ingestio -p studio --gps @studio --headless
+  ingestio -p studio --gps "52.52,13.405,34m; direction=90; accuracy=5" --headless
+  ingestio locations add studio "52.5200,13.4050" --altitude 34 --description "Kreuzberg studio"
   ingestio -p dji-drone --gps-skip --headless
+  ingestio -p dji-drone --checksum xxhash64 --headless
+  ingestio -p dji-drone --full --headless
+  ingestio -p dji-drone --jobs copy=4 --headless
+  ingestio -p dji-drone --time-shift "+01:03:20" --rewrite-dates --headless
+  ingestio -p dji-drone --sync-clock DCIM/100MEDIA/DJI_0001.JPG --sync-time 14:32:10 --headless
+  ingestio -p dji-drone --dry-run json --headless > plan.json
+  ingestio resume --headless
 
 Profiles are stored in ~/.ingestio/profiles/
+Saved locations are stored in ~/.ingestio/locations.yaml
 `)
 }
 
@@ -213,6 +493,7 @@ async function createProfile() {
       choices: [
         { title: 'Copy (preserve originals)', value: 'copy' },
         { title: 'Move (remove from source)', value: 'move' },
+        { title: 'Safe move (remove from source after the import is verified)', value: 'safe-move' },
       ],
       initial: 0,
     },
@@ -229,6 +510,7 @@ async function createProfile() {
       choices: [
         { title: 'Rename (add suffix)', value: 'rename' },
         { title: 'Replace existing file', value: 'replace' },
+        { title: 'Skip files already in the library (content match)', value: 'skip-duplicate' },
       ],
       initial: 0,
     },
@@ -263,7 +545,7 @@ async function createProfile() {
   return null
 }
 
-async function promptOverrides(profile) {
+async function promptOverrides(profile, options = {}) {
   const questions = [
     {
       type: 'text',
@@ -284,7 +566,19 @@ async function promptOverrides(profile) {
       initial: profile.cameraLabel,
     },
     {
-      type: 'confirm',
+      // Only asked when the folder or filename template has a place for it
+      type: [profile.folderFormat, profile.filenameFormat].some(
+        template => template && templateUsesToken(template, 'project')
+      )
+        ? 'text'
+        : null,
+      name: 'project',
+      message: 'Project name:',
+      initial: profile.project || '',
+    },
+    {
+      // GPS writing needs exiftool
+      type: options.exiftool === false ? null : 'confirm',
       name: 'addGpsData',
       message: 'Add GPS coordinates to files missing location data?',
       initial: profile.addGpsData || false,
@@ -293,32 +587,107 @@ async function promptOverrides(profile) {
 
   const overrides = await prompts(questions)
 
-  // If user wants to add GPS data, prompt for coordinates
+  // If user wants to add GPS data, prompt for coordinates; with a track log they are only a fallback
   if (overrides.addGpsData) {
-    const gpsQuestion = {
-      type: 'text',
-      name: 'gpsCoordinates',
-      message: 'Enter GPS coordinates (latitude,longitude):',
-      initial: profile.gpsCoordinates ? `${profile.gpsCoordinates.latitude},${profile.gpsCoordinates.longitude}` : '',
-      validate: input => {
-        if (!input.trim()) return 'GPS coordinates are required'
-        const parsed = parseCoordinateString(input)
-        return parsed.error || true
-      },
+    const hasTrack = profile.gpxFiles?.length > 0
+    let locations = {}
+    try {
+      locations = await loadLocations()
+    } catch (error) {
+      console.warn(`Saved locations unavailable: ${error.message}`)
     }
 
-    const gpsAnswer = await prompts(gpsQuestion)
-    if (gpsAnswer.gpsCoordinates) {
-      const parsed = parseCoordinateString(gpsAnswer.gpsCoordinates)
-      overrides.gpsCoordinates = { latitude: parsed.latitude, longitude: parsed.longitude }
+    // Saved locations are offered first; typing coordinates stays one choice away
+    const names = Object.keys(locations)
+    const { savedLocation } = await prompts({
+      type: names.length > 0 ? 'select' : null,
+      name: 'savedLocation',
+      message: hasTrack ? 'Location for files outside the track:' : 'Location:',
+      choices: [
+        ...names.map(name => ({
+          title: `@${name}`,
+          description:
+            locations[name].description || formatCoordinates(locations[name].latitude, locations[name].longitude),
+          value: name,
+        })),
+        { title: 'Enter coordinates', value: null },
+        ...(hasTrack ? [{ title: 'None (track only)', value: '' }] : []),
+      ],
+    })
+
+    if (savedLocation) {
+      overrides.gpsCoordinates = resolveLocation(`@${savedLocation}`, locations)
+    } else if (savedLocation === '') {
+      overrides.gpsCoordinates = null
+    } else {
+      const gpsQuestion = {
+        type: 'text',
+        name: 'gpsCoordinates',
+        message: hasTrack
+          ? 'GPS coordinates for files outside the track (latitude,longitude or @name, optional):'
+          : 'Enter GPS coordinates (latitude,longitude or @name):',
+        initial: profile.gpsCoordinates ? `${profile.gpsCoordinates.latitude},${profile.gpsCoordinates.longitude}` : '',
+        validate: input => {
+          if (!input.trim()) return hasTrack || 'GPS coordinates are required'
+          return resolveLocation(input, locations).error || true
+        },
+      }
+
+      const gpsAnswer = await prompts(gpsQuestion)
+      if (gpsAnswer.gpsCoordinates) {
+        overrides.gpsCoordinates = resolveLocation(gpsAnswer.gpsCoordinates, locations)
+      }
     }
   }
 
   return { ...profile, ...overrides }
 }
 
-async function runImport(profile, headless = false, logger) {
+/**
+ * Check that exiftool is there for the features this import uses
+ * @param {object} profile - Validated profile
+ * @param {Logger} logger
+ */
+async function checkExiftool(profile, logger) {
+  const exiftool = await probeExiftool()
+  if (exiftool.available) {
+    logger.debug(`Using exiftool ${exiftool.version}`)
+    return
+  }
+
+  // Writing metadata is what the user asked for, so stop before copying instead of importing without it
+  if ((profile.addGpsData && (profile.gpsCoordinates || profile.gpxFiles.length > 0)) || profile.srtGps) {
+    throw new Error(`GPS writing needs exiftool. ${exiftool.error}; or run with --gps-skip to import without GPS`)
+  }
+  if (profile.rewriteDates && profile.timeOffset) {
+    throw new Error(`--rewrite-dates needs exiftool. ${exiftool.error}; or leave the embedded dates alone`)
+  }
+  if (profile.locationNames) {
+    throw new Error(`--location-names needs exiftool. ${exiftool.error}; or leave the location fields alone`)
+  }
+
+  logger.warn(`${exiftool.error}. Disabled without it: ${EXIFTOOL_FEATURES.join('; ')}`)
+}
+
+/**
+ * Read the profile's track logs before anything is copied, so a broken file stops the import early
+ * @returns {Promise<Array<object>|null>} - Merged track, or null when not geotagging from tracks
+ */
+async function loadGpsTrack(profile, logger) {
+  if (!profile.addGpsData || profile.gpxFiles.length === 0) return null
+
+  const track = await loadTracks(profile.gpxFiles)
+  logger.info(`Loaded GPS track with ${track.length} points`, {
+    from: new Date(track[0].time).toISOString(),
+    to: new Date(track.at(-1).time).toISOString(),
+  })
+  return track
+}
+
+async function runImport(profile, headless = false, logger, options = {}) {
   logger.setProfile(profile)
+  await checkExiftool(profile, logger)
+  const track = await loadGpsTrack(profile, logger)
 
   logger.info('Starting import with profile:', {
     name: profile.name || 'Custom',
@@ -326,14 +695,16 @@ async function runImport(profile, headless = false, logger) {
     destination: profile.destinationRoot,
     camera: profile.cameraLabel,
     transferMode: profile.transferMode,
+    checksumAlgorithm: profile.checksumAlgorithm,
     logLevel: profile.logLevel,
     addGpsData: profile.addGpsData,
     gpsCoordinates: profile.gpsCoordinates
       ? formatCoordinates(profile.gpsCoordinates.latitude, profile.gpsCoordinates.longitude)
       : undefined,
+    gpxFiles: profile.gpxFiles.length > 0 ? profile.gpxFiles : undefined,
   })
 
-  if (!headless) {
+  if (!headless && !options.dryRun) {
     const confirm = await prompts({
       type: 'confirm',
       name: 'proceed',
@@ -348,7 +719,7 @@ async function runImport(profile, headless = false, logger) {
   }
 
   logger.info('Scanning files...')
-  const fileGroups = await scanFiles(
+  let fileGroups = await scanFiles(
     profile.sourcePath,
     profile.includeExtensions,
     profile.excludeExtensions,
@@ -363,6 +734,46 @@ async function runImport(profile, headless = false, logger) {
     return
   }
 
+  // Stat sources up front: sizes drive progress, and move mode removes the files we'd record later
+  const sourceStats = await statSources(fileGroups, logger)
+
+  // A dry run must not leave a card marker behind
+  const importState = await ImportState.open(profile.name, profile.sourcePath, STATE_DIR, {
+    createMarker: !options.dryRun,
+  })
+  logger.debug(`Import history for card ${importState.cardId}`, { knownFiles: importState.size })
+
+  if (options.full) {
+    logger.info('Full import requested, ignoring import history for this card')
+  } else if (importState.size > 0) {
+    let alreadyImported = 0
+    fileGroups = fileGroups
+      .map(group => {
+        const newFiles = group.files.filter(file => {
+          const stats = sourceStats.get(file)
+          const imported = stats && importState.isImported(file, stats)
+          if (imported) alreadyImported++
+          return !imported
+        })
+        // Keep the primary file for naming even if only a companion is new
+        return {
+          ...group,
+          files: newFiles,
+          companionFiles: group.companionFiles.filter(file => newFiles.includes(file)),
+        }
+      })
+      .filter(group => group.files.length > 0)
+
+    if (alreadyImported > 0) {
+      logger.info(`Skipping ${alreadyImported} files already imported from this card (use --full to re-import)`)
+    }
+
+    if (fileGroups.length === 0) {
+      logger.info('No new files to import')
+      return
+    }
+  }
+
   // Count total files across all groups
   const totalFiles = fileGroups.reduce((total, group) => total + group.files.length, 0)
 
@@ -372,95 +783,652 @@ async function runImport(profile, headless = false, logger) {
     logger.info(`Found ${totalFiles} files to import`)
   }
 
-  logger.startFileProcessing(totalFiles)
+  const totalSize = fileGroups.reduce(
+    (total, group) => total + group.files.reduce((sum, file) => sum + (sourceStats.get(file)?.size || 0), 0),
+    0
+  )
+  if (options.dryRun) {
+    await printImportPlan(profile, fileGroups, totalSize, options.dryRun, logger, track)
+    return
+  }
+
+  if (!(await runPreflight(profile, totalSize, headless, logger))) {
+    return
+  }
+
+  const journal = await ImportJournal.create(profile, fileGroups, { headless, sourceStats })
+  logger.debug(`Import journal: ${journal.filePath}`)
+
+  await transferGroups(profile, journal, { headless, logger, sourceStats, importState, track })
+}
+
+/**
+ * Print what an import would do without writing anything
+ * @param {string} format - 'table' or 'json'
+ */
+async function printImportPlan(profile, fileGroups, totalSize, format, logger, track) {
+  let duplicateIndex = null
+  if (profile.onCollision === 'skip-duplicate') {
+    logger.info('Indexing destination library for duplicate detection...')
+    duplicateIndex = await new DuplicateIndex(profile.destinationRoot, profile.checksumAlgorithm).build(
+      await loadImportedCopies()
+    )
+  }
+
+  logger.info('Planning import (dry run, nothing will be written)...')
+  const plan = await buildImportPlan(profile, fileGroups, { duplicateIndex, track })
+
+  const check = await checkDestination(profile, totalSize, { probeWrite: false })
+  plan.preflight = {
+    directory: check.directory,
+    writeError: check.writeError,
+    requiredBytes: check.requiredBytes,
+    marginBytes: check.marginBytes,
+    freeBytes: check.freeBytes,
+    enoughSpace: check.enoughSpace,
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify(plan, null, 2))
+    return
+  }
+
+  console.log('\n' + formatPlanTable(plan))
+  console.log(
+    `Destination ${check.directory}: needs ${logger.formatBytes(check.requiredBytes)} ` +
+      `+ ${logger.formatBytes(check.marginBytes)} margin, ` +
+      `${check.freeBytes === null ? 'free space unknown' : logger.formatBytes(check.freeBytes) + ' free'}` +
+      `${check.writeError ? `, not writable (${check.writeError})` : ''}`
+  )
+}
+
+/**
+ * Check destination permissions and free space before anything is copied.
+ * Headless runs fail outright; interactive runs may choose to continue despite low space.
+ * @returns {Promise<boolean>} - Whether the import should go ahead
+ */
+async function runPreflight(profile, totalSize, headless, logger) {
+  const check = await checkDestination(profile, totalSize)
+
+  logger.debug('Pre-flight check', {
+    destination: check.directory,
+    required: logger.formatBytes(check.requiredBytes),
+    margin: logger.formatBytes(check.marginBytes),
+    free: check.freeBytes === null ? 'unknown' : logger.formatBytes(check.freeBytes),
+  })
+
+  if (check.writeError) {
+    const message = `Destination ${check.directory} is not writable (${check.writeError})`
+    if (headless) {
+      throw new Error(message)
+    }
+    logger.error(message)
+    return false
+  }
+
+  if (!check.enoughSpace) {
+    const message =
+      `Not enough free space on ${check.directory}: the import needs ${logger.formatBytes(check.requiredBytes)} ` +
+      `plus a ${logger.formatBytes(check.marginBytes)} margin, but only ${logger.formatBytes(check.freeBytes)} is available`
+    if (headless) {
+      throw new Error(message)
+    }
+
+    logger.warn(message)
+    const confirm = await prompts({
+      type: 'confirm',
+      name: 'proceed',
+      message: 'Start the import anyway?',
+      initial: false,
+    })
+    if (!confirm.proceed) {
+      logger.info('Import cancelled by user')
+      return false
+    }
+  }
+
+  return true
+}
+
+async function statSources(fileGroups, logger) {
+  const sourceStats = new Map()
 
-  // Calculate total size for progress tracking
-  let totalSize = 0
   for (const group of fileGroups) {
     for (const file of group.files) {
       try {
-        const stats = await import('fs').then(fs => fs.promises.stat(file))
-        totalSize += stats.size
+        sourceStats.set(file, await fs.stat(file))
       } catch (error) {
         logger.warn(`Could not get file size for ${file}`, { error: error.message })
       }
     }
   }
+
+  return sourceStats
+}
+
+/**
+ * `ingestio locations [list|add|remove]`: manage the named places --gps @name refers to
+ * @param {{commandArgs: string[], altitude?: string, description?: string}} args - Parsed command line
+ */
+async function manageLocations(args) {
+  const [action = 'list', name, coordinates] = args.commandArgs
+  const usage = 'Usage: ingestio locations add <name> <latitude,longitude> [--altitude <m>] [--description <text>]'
+
+  if (action === 'list') {
+    console.log(formatLocations(await loadLocations()))
+    return
+  }
+
+  if (action === 'add') {
+    if (!name || !coordinates) throw new Error(usage)
+    const problem = validateLocationName(name.replace(/^@/, ''))
+    if (problem) throw new Error(`Invalid location name "${name}": ${problem}`)
+
+    // Altitude, direction and accuracy given in the coordinates are saved with them
+    const { error, ...location } = parseCoordinateString(coordinates)
+    if (error) throw new Error(`Invalid coordinates: ${error}`)
+    if (args.altitude !== undefined) {
+      if (!/^[+-]?\d+(\.\d+)?$/.test(args.altitude)) {
+        throw new Error(`Invalid altitude: ${args.altitude}. Use metres above sea level, e.g. 34 or -2.5`)
+      }
+      location.altitude = Number(args.altitude)
+    }
+    if (args.description) location.description = args.description
+
+    const replaced = await saveLocation(name.replace(/^@/, ''), location)
+    console.log(`${replaced ? 'Updated' : 'Saved'} @${name.replace(/^@/, '')} in ${LOCATIONS_FILE}`)
+    return
+  }
+
+  if (action === 'remove') {
+    if (!name) throw new Error('Usage: ingestio locations remove <name>')
+    if (!(await removeLocation(name.replace(/^@/, '')))) {
+      throw new Error(`No saved location "${name}"`)
+    }
+    console.log(`Removed @${name.replace(/^@/, '')}`)
+    return
+  }
+
+  throw new Error(`Unknown locations action "${action}". Use list, add or remove`)
+}
+
+async function resumeImport(args) {
+  const sessionId = args.commandArgs[0]
+  const journals = await ImportJournal.findInterrupted()
+  const journal = sessionId ? journals.find(j => j.sessionId === sessionId) : journals[0]
+
+  if (!journal) {
+    console.log(sessionId ? `No interrupted import session "${sessionId}" found.` : 'No interrupted import to resume.')
+    if (journals.length > 0) {
+      console.log('Interrupted sessions:', journals.map(j => j.sessionId).join(', '))
+    }
+    return
+  }
+
+  const sessionProfile = journal.session.profile
+  const profile = validateProfile(
+    args.jobs ? { ...sessionProfile, concurrency: withJobs(sessionProfile.concurrency, args.jobs) } : sessionProfile
+  )
+  const headless = args.headless || journal.session.headless
+  const reportFile = args.report === true ? null : args.report
+  const logger = new Logger(args.logLevel || profile.logLevel, reportFile)
+  logger.setProfile(profile)
+  await checkExiftool(profile, logger)
+  const track = await loadGpsTrack(profile, logger)
+
+  const pendingGroups = journal.pendingGroupIndexes()
+  logger.info(`Resuming import session ${journal.sessionId}`, {
+    name: profile.name || 'Custom',
+    source: profile.sourcePath,
+    destination: profile.destinationRoot,
+    startedAt: journal.session.startedAt,
+    remainingGroups: `${pendingGroups.length}/${journal.session.groups.length}`,
+  })
+
+  if (!headless) {
+    const confirm = await prompts({
+      type: 'confirm',
+      name: 'proceed',
+      message: 'Resume this import?',
+      initial: true,
+    })
+
+    if (!confirm.proceed) {
+      logger.info('Resume cancelled by user')
+      return
+    }
+  }
+
+  const { recovered, discarded } = await journal.reconcile(profile.checksumAlgorithm)
+  if (recovered > 0 || discarded > 0) {
+    logger.info('Settled files that were in transfer when the import stopped', { recovered, discarded })
+  }
+
+  const sourceStats = journal.sourceStats()
+  const remainingSize = pendingGroups.reduce(
+    (total, index) =>
+      total + journal.session.groups[index].files.reduce((sum, file) => sum + (sourceStats.get(file)?.size || 0), 0),
+    0
+  )
+  if (!(await runPreflight(profile, remainingSize, headless, logger))) {
+    return
+  }
+
+  const importState = await ImportState.open(profile.name, profile.sourcePath)
+
+  await transferGroups(profile, journal, { headless, logger, sourceStats, importState, track })
+}
+
+async function transferGroups(profile, journal, { headless, logger, sourceStats, importState, track = null }) {
+  const fileGroups = journal.session.groups
+  const pendingGroups = journal.pendingGroupIndexes()
+  const totalFiles = pendingGroups.reduce((total, index) => total + fileGroups[index].files.length, 0)
+
+  logger.startFileProcessing(totalFiles)
+
+  // Calculate total size for progress tracking
+  let totalSize = 0
+  for (const index of pendingGroups) {
+    for (const file of fileGroups[index].files) {
+      totalSize += sourceStats.get(file)?.size || 0
+    }
+  }
   logger.updateTotalSize(totalSize)
 
+  let duplicateIndex = null
+  if (profile.onCollision === 'skip-duplicate') {
+    logger.info('Indexing destination library for duplicate detection...')
+    duplicateIndex = await new DuplicateIndex(profile.destinationRoot, profile.checksumAlgorithm).build(
+      await loadImportedCopies()
+    )
+    logger.info(`Indexed ${duplicateIndex.fileCount} library files`)
+  }
+
   let processed = 0
   let errors = 0
   let gpsAdded = 0
+  let outsideTrack = 0
+  let gpsFlagged = 0
+  let srtTracksWritten = 0
+  let locationsNamed = 0
+  let datesRewritten = 0
+  let duplicatesSkipped = 0
+  const verifiedResults = []
+  const pendingRemovals = []
+  const reservedPaths = new Set()
 
-  for (const group of fileGroups) {
+  // Groups finished before an interruption still count towards manifests and safe-move removal
+  for (const result of journal.completedGroupResults()) {
+    if (sourceStats.has(result.sourcePath)) {
+      importState.record(result.sourcePath, sourceStats.get(result.sourcePath), {
+        ...result,
+        checksumAlgorithm: profile.checksumAlgorithm,
+      })
+    }
+    if (result.skipped) continue
+    reservedPaths.add(result.targetPath)
+    verifiedResults.push(result)
+    if (result.pendingRemoval) {
+      pendingRemovals.push(result)
+    }
+  }
+
+  const limits = createStageLimiters(profile.concurrency)
+  logger.debug('Pipeline concurrency', profile.concurrency)
+
+  const handleGroupError = async (index, error, duration) => {
+    const group = fileGroups[index]
+    logger.error(`Error processing group starting with ${group.primaryFile}`, { error: error.message, duration })
+    await journal.failGroup(index, error.message)
+    errors += group.files.length
+    processed += group.files.length
+  }
+
+  const trackOptions = trackLookupOptions(profile)
+  const gpsRules = gpsSanityRules(profile)
+  // Middle of the files' own positions, set once capture info is read, for outlier detection
+  let gpsCenter = null
+
+  // Where a file was taken: its own telemetry, its position in the track log, else the profile's fixed coordinates
+  const locate = (result, date, known) => {
+    if (known) return known
+    if (track) {
+      const position = locateInTrack(track, date, trackOptions)
+      if (!position.error) return position
+      logger.logOutsideTrack(result.sourcePath, date, position.error)
+      outsideTrack++
+    }
+    return profile.gpsCoordinates || null
+  }
+
+  // A file's own GPS is kept unless the sanity rules flag it; flagged positions are reported, and replaced
+  // when the profile asks for it and there is something to replace them with
+  const addGps = async (result, date, known = null, geotag = true) => {
+    try {
+      const added = await limits.exiftool(async () => {
+        const own = await readGpsCoordinates(result.targetPath)
+        const problem = own && checkGpsPosition(own, gpsRules, gpsCenter)
+        if (own && !problem) {
+          logger.debug(`Skipped GPS for ${result.targetPath} (already has location data)`)
+          return null
+        }
+        const position = geotag && (!own || gpsRules.replace) ? locate(result, date, known) : null
+        if (problem) {
+          logger.logFlaggedGps(result.sourcePath, own, problem, Boolean(position))
+          gpsFlagged++
+        }
+        if (!position) return null
+        await writeGpsData(result.targetPath, position.latitude, position.longitude, {
+          altitude: position.altitude,
+          direction: position.direction,
+          accuracy: position.accuracy,
+          date,
+          replace: Boolean(own),
+        })
+        return position
+      })
+      if (added) {
+        logger.debug(`Added GPS coordinates to ${result.targetPath}`, {
+          coordinates: formatCoordinates(added.latitude, added.longitude),
+        })
+        gpsAdded++
+      }
+      return Boolean(added)
+    } catch (error) {
+      logger.warn(`Failed to add GPS data to ${result.targetPath}`, { error: error.message })
+      return false
+    }
+  }
+
+  // Place names come from the bundled city list, so they only cost a lookup per group
+  const namePlaces =
+    profile.locationNames ||
+    [profile.filenameFormat, profile.folderFormat].some(template => template && templateUsesLocation(template))
+  const places = namePlaces ? await loadPlaces() : null
+  const findPlace = async (group, date) => {
+    const position = await groupPosition(group, date, profile, track, { gpsRules, gpsCenter })
+    return position && reverseGeocode(places, position.latitude, position.longitude)
+  }
+
+  const nameLocation = async (result, place) => {
+    try {
+      await limits.exiftool(() => writeLocationNames(result.targetPath, place))
+      logger.debug(`Added location names to ${result.targetPath}`, { place: `${place.city}, ${place.country}` })
+      locationsNamed++
+      return true
+    } catch (error) {
+      logger.warn(`Failed to add location names to ${result.targetPath}`, { error: error.message })
+      return false
+    }
+  }
+
+  const timeShift = profile.timeOffset ? parseTimeShift(profile.timeOffset) : 0
+  const rewriteDates = async result => {
+    if (getMediaType(result.targetPath) === 'other') return
+    try {
+      await limits.exiftool(() => shiftEmbeddedDates(result.targetPath, timeShift))
+      logger.logDateRewrite(result.targetPath, formatTimeShift(timeShift))
+      datesRewritten++
+      return true
+    } catch (error) {
+      logger.warn(`Failed to rewrite dates in ${result.targetPath}`, { error: error.message })
+      return false
+    }
+  }
+
+  // DJI videos carry their flight path in an SRT companion, read from the copy (or the library duplicate)
+  const readTelemetry = async (results, date) => {
+    const video = results.find(result => !result.isCompanion && getMediaType(result.sourcePath) === 'videos')
+    const srt = results.find(result => result.isCompanion && extname(result.sourcePath).toLowerCase() === '.srt')
+    if (!video || video.skipped || !srt) return null
+
+    try {
+      const points = await readDjiSrt(srt.skipped ? srt.duplicateOf : srt.targetPath)
+      if (points.length === 0) {
+        logger.debug(`No GPS positions in ${srt.sourcePath}`)
+        return null
+      }
+      return { video, track: srtTrack(points, date) }
+    } catch (error) {
+      logger.warn(`Failed to read GPS positions from ${srt.sourcePath}`, { error: error.message })
+      return null
+    }
+  }
+
+  const writeSrtTrack = async ({ video, track: flight }) => {
+    const name = basename(video.targetPath)
+    const trackPath = join(dirname(video.targetPath), `${basename(name, extname(name))}.${profile.srtTrackFormat}`)
+    try {
+      const content = profile.srtTrackFormat === 'gpx' ? formatGpx(flight, name) : formatGeoJson(flight, name)
+      await fs.writeFile(trackPath, content)
+      logger.debug(`Wrote flight track ${trackPath}`, { points: flight.length })
+      srtTracksWritten++
+    } catch (error) {
+      logger.warn(`Failed to write flight track ${trackPath}`, { error: error.message })
+    }
+  }
+
+  // Manifests describe the files as they end up in the library, after any metadata edits. size and checksum
+  // stay as verified at transfer time: safe-move removal checks the source against them.
+  const rehash = async result => {
+    try {
+      result.targetSize = (await fs.stat(result.targetPath)).size
+      if (result.checksum) {
+        result.targetChecksum = await hashFile(result.targetPath, profile.checksumAlgorithm)
+      }
+    } catch (error) {
+      logger.warn(`Failed to update checksum of ${result.targetPath}`, { error: error.message })
+    }
+  }
+
+  const runGroup = async (index, plan, place) => {
     const startTime = Date.now()
 
     try {
-      // Extract date from primary file
-      const date = await extractFileDate(group.primaryFile, profile.useExifDate)
+      const results = await executeFilePlan(plan, profile.transferMode, {
+        checksumAlgorithm: profile.checksumAlgorithm,
+        verifyRetries: profile.verifyRetries,
+        limit: limits.copy,
+        onFileStart: (file, targetPath) => journal.startFile(index, file, targetPath),
+        onFileDone: result => journal.completeFile(index, result),
+      })
 
-      // Process the entire group with consistent naming
-      const results = await processFileGroup(
-        group,
-        date,
-        profile.cameraLabel,
-        profile.destinationRoot,
-        profile.onCollision,
-        profile.transferMode,
-        profile.filenameFormat
-      )
+      const date = journal.groupDates.get(index)
+      const telemetry = profile.srtGps || profile.srtTrackFormat ? await readTelemetry(results, date) : null
+      if (telemetry && profile.srtTrackFormat) {
+        await writeSrtTrack(telemetry)
+      }
+      const srtStart = profile.srtGps && telemetry ? telemetry.track[0] : null
 
-      // Log each file transfer in the group and handle GPS data
+      // Log each file transfer in the group and handle date and GPS writes
+      const metadataWrites = []
       for (const result of results) {
-        const stats = await import('fs').then(fs => fs.promises.stat(result.targetPath))
-        const duration = Date.now() - startTime
+        if (sourceStats.has(result.sourcePath)) {
+          importState.record(result.sourcePath, sourceStats.get(result.sourcePath), {
+            ...result,
+            checksumAlgorithm: profile.checksumAlgorithm,
+          })
+        }
+
+        if (result.skipped) {
+          logger.logDuplicateSkip(result.sourcePath, result.duplicateOf)
+          duplicatesSkipped++
+          processed++
+          continue
+        }
 
         logger.logFileTransfer(
           result.sourcePath,
           result.targetPath,
           profile.transferMode,
-          stats.size,
-          duration,
+          result.size,
+          result.duration ?? 0,
           true,
-          result.isCompanion
+          result.isCompanion,
+          {
+            checksum: result.checksum,
+            checksumAlgorithm: profile.checksumAlgorithm,
+            resumed: result.resumed,
+            dateSource: journal.groupDateSources.get(index),
+          }
         )
+        verifiedResults.push(result)
+        if (result.pendingRemoval) {
+          pendingRemovals.push(result)
+        }
 
-        // Add GPS data if requested and file doesn't have it
-        if (profile.addGpsData && profile.gpsCoordinates) {
-          try {
-            const hasGps = await hasGpsData(result.targetPath)
-            if (!hasGps) {
-              await writeGpsData(result.targetPath, profile.gpsCoordinates.latitude, profile.gpsCoordinates.longitude)
-              logger.debug(`Added GPS coordinates to ${result.targetPath}`, {
-                coordinates: formatCoordinates(profile.gpsCoordinates.latitude, profile.gpsCoordinates.longitude),
-              })
-              gpsAdded++
-            } else {
-              logger.debug(`Skipped GPS for ${result.targetPath} (already has location data)`)
-            }
-          } catch (error) {
-            logger.warn(`Failed to add GPS data to ${result.targetPath}`, { error: error.message })
-          }
+        // Both edit the same file, so they run one after the other. Shifting isn't idempotent, so files
+        // finished before an interruption are left as they are.
+        const shiftDates = profile.rewriteDates && timeShift !== 0 && !result.resumed
+        const known = srtStart && result === telemetry.video ? srtStart : null
+        const addLocation =
+          known ||
+          (profile.addGpsData && (profile.gpsCoordinates || track) && getMediaType(result.targetPath) !== 'other')
+        // Own GPS is only read when a GPS feature is on; then it is checked, if only for the built-in placeholders
+        const checkLocation = (gpsRules.configured || places) && getMediaType(result.targetPath) !== 'other'
+        const addNames = profile.locationNames && place && getMediaType(result.targetPath) !== 'other'
+        if (shiftDates || addLocation || checkLocation || addNames) {
+          metadataWrites.push(
+            (async () => {
+              const shifted = shiftDates && (await rewriteDates(result))
+              // Add GPS data if requested and file doesn't have it
+              const located =
+                (addLocation || checkLocation) && (await addGps(result, date, known, Boolean(addLocation)))
+              const named = addNames && (await nameLocation(result, place))
+              if (shifted || located || named) await rehash(result)
+            })()
+          )
         }
 
         processed++
       }
 
+      await Promise.all(metadataWrites)
+      await journal.completeGroup(index)
+
       if (processed % 10 === 0 || processed === totalFiles) {
         logger.info(`Progress: ${processed}/${totalFiles} files processed`)
       }
     } catch (error) {
-      const duration = Date.now() - startTime
-      logger.error(`Error processing group starting with ${group.primaryFile}`, { error: error.message, duration })
-      errors += group.files.length
-      processed += group.files.length
+      await handleGroupError(index, error, Date.now() - startTime)
     }
   }
 
+  // Capture dates are read in parallel up front; every later stage needs them to name files
+  const captures = await Promise.all(
+    pendingGroups.map(index =>
+      limits
+        .metadata(async () => {
+          const capture = await readCaptureInfo(
+            fileGroups[index].primaryFile,
+            profile,
+            journal.groupDates.get(index),
+            journal.groupDateSources.get(index)
+          )
+          const outlierCheck = gpsRules.outlierDistance && getMediaType(fileGroups[index].primaryFile) !== 'other'
+          const position = outlierCheck ? await readGpsCoordinates(fileGroups[index].primaryFile) : null
+          return { ...capture, place: null, position }
+        })
+        .catch(error => error)
+    )
+  )
+  if (gpsRules.outlierDistance) {
+    gpsCenter = importCenter(captures.filter(capture => capture.position).map(capture => capture.position))
+  }
+  // Places come second: a group's own position only counts once it has passed the outlier check
+  if (places) {
+    await Promise.all(
+      captures.map((capture, position) =>
+        capture instanceof Error
+          ? null
+          : limits
+              .metadata(() => findPlace(fileGroups[pendingGroups[position]], capture.date))
+              .then(place => {
+                capture.place = place
+              })
+              .catch(error => {
+                captures[position] = error
+              })
+      )
+    )
+  }
+
+  // Groups are planned one by one in scan order so colliding names always resolve the same way,
+  // and each group starts transferring as soon as its plan is ready
+  const running = []
+
+  for (const [position, index] of pendingGroups.entries()) {
+    const group = fileGroups[index]
+
+    try {
+      const capture = captures[position]
+      if (capture instanceof Error) throw capture
+      const { date, dateSource, metadata, place } = capture
+      await journal.startGroup(index, date, dateSource)
+
+      const plan = await planFileGroup(
+        group,
+        date,
+        profile.cameraLabel,
+        profile.destinationRoot,
+        profile.onCollision,
+        profile.filenameFormat,
+        {
+          duplicateIndex,
+          completedFiles: journal.completedFilesForGroup(index),
+          reservedPaths,
+          counter: index + 1,
+          metadata,
+          folderFormat: profile.folderFormat,
+          project: profile.project,
+          timeZone: profile.cameraTimezone,
+          location: place,
+        }
+      )
+      running.push(runGroup(index, plan, place))
+    } catch (error) {
+      await handleGroupError(index, error, 0)
+    }
+  }
+
+  await Promise.all(running)
+
+  try {
+    await importState.save()
+  } catch (error) {
+    logger.error('Failed to save import history', { error: error.message })
+  }
+
+  try {
+    const manifests = await writeManifests(verifiedResults, profile.checksumAlgorithm, profile.manifestFormat)
+    for (const manifestPath of manifests) {
+      logger.debug(`Wrote checksum manifest ${manifestPath}`)
+    }
+  } catch (error) {
+    logger.error('Failed to write checksum manifests', { error: error.message })
+  }
+
+  let sourcesRemoved = 0
+  if (pendingRemovals.length > 0) {
+    sourcesRemoved = await removeSafeMoveSources(pendingRemovals, profile, headless, logger)
+  }
+
+  await journal.finish(errors > 0 ? 'failed' : 'completed')
+  if (errors > 0) {
+    logger.info(`Failed groups can be retried with: ingestio resume ${journal.sessionId}`)
+  }
+
   logger.info('Import completed', {
     processed,
     errors,
     gpsAdded,
+    outsideTrack,
+    gpsFlagged,
+    srtTracksWritten,
+    locationsNamed,
+    datesRewritten,
+    duplicatesSkipped,
+    sourcesRemoved,
     operation: profile.transferMode,
     totalSize: logger.formatBytes(totalSize),
   })
@@ -474,13 +1442,90 @@ async function runImport(profile, headless = false, logger) {
     console.log('='.repeat(50))
     console.log(`Files processed: ${processed}`)
     console.log(`Errors: ${errors}`)
+    if (duplicatesSkipped > 0) {
+      console.log(`Duplicates skipped: ${duplicatesSkipped}`)
+    }
     if (gpsAdded > 0) {
       console.log(`GPS coordinates added: ${gpsAdded}`)
     }
-    console.log(`Operation: ${profile.transferMode === 'copy' ? 'Copy' : 'Move'}`)
+    if (outsideTrack > 0) {
+      console.log(`Outside the GPS track: ${outsideTrack} files`)
+    }
+    if (gpsFlagged > 0) {
+      console.log(`Suspicious GPS: ${gpsFlagged} files (see the report)`)
+    }
+    if (srtTracksWritten > 0) {
+      console.log(`Flight tracks written: ${srtTracksWritten} (${profile.srtTrackFormat})`)
+    }
+    if (locationsNamed > 0) {
+      console.log(`Location names added: ${locationsNamed}`)
+    }
+    if (timeShift !== 0) {
+      console.log(
+        `Clock corrected by: ${formatTimeShift(timeShift)}` +
+          (datesRewritten > 0 ? ` (dates rewritten in ${datesRewritten} files)` : '')
+      )
+    }
+    const filesystemDated = logger.filesystemDatedFiles().length
+    if (filesystemDated > 0) {
+      console.log(`Dated by filesystem time: ${filesystemDated} files`)
+    }
+    console.log(`Operation: ${formatTransferMode(profile.transferMode)}`)
+    if (profile.transferMode === 'safe-move') {
+      console.log(`Source files removed: ${sourcesRemoved}/${uniqueSources(pendingRemovals).length}`)
+    }
+    console.log(`Verified: ${verifiedResults.length} files (${profile.checksumAlgorithm})`)
     console.log(`Total size: ${logger.formatBytes(totalSize)}`)
     if (logger.reportFile) {
       console.log(`Report saved to: ~/.ingestio/reports/${logger.reportFile}`)
     }
   }
 }
+
+function formatTransferMode(transferMode) {
+  switch (transferMode) {
+    case 'copy':
+      return 'Copy'
+    case 'safe-move':
+      return 'Safe move'
+    default:
+      return 'Move'
+  }
+}
+
+// Companions shared by several groups have one result per group but only one source file
+function uniqueSources(results) {
+  return [...new Map(results.map(result => [result.sourcePath, result])).values()]
+}
+
+async function removeSafeMoveSources(pendingRemovals, profile, headless, logger) {
+  const sources = uniqueSources(pendingRemovals)
+  const totalSize = sources.reduce((total, result) => total + (result.sourceSize ?? result.size), 0)
+
+  logger.info(`${sources.length} source files verified and ready for removal`, {
+    size: logger.formatBytes(totalSize),
+  })
+
+  if (!headless) {
+    const confirm = await prompts({
+      type: 'confirm',
+      name: 'remove',
+      message: `Remove ${sources.length} verified source files (${logger.formatBytes(totalSize)}) from ${profile.sourcePath}?`,
+      initial: true,
+    })
+
+    if (!confirm.remove) {
+      logger.info('Source files kept on card')
+      return 0
+    }
+  }
+
+  const { removed, kept } = await removeVerifiedSources(pendingRemovals, profile.checksumAlgorithm)
+
+  for (const entry of kept) {
+    logger.warn(`Kept source file ${entry.sourcePath}`, { reason: entry.reason })
+  }
+  logger.info(`Removed ${removed.length} verified source files`)
+
+  return removed.length
+}
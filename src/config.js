@@ -2,6 +2,17 @@ import { promises as fs } from 'fs'
 import { join, dirname } from 'path'
 import { homedir } from 'os'
 import YAML from 'yaml'
+import { CHECKSUM_ALGORITHMS } from './checksum.js'
+import { MANIFEST_FORMATS } from './manifest.js'
+import { DEFAULT_CONCURRENCY, parseConcurrency } from './pool.js'
+import { parseMargin } from './preflight.js'
+import { validateTemplate } from './template.js'
+import { validateTimezone } from './timezone.js'
+import { parseTimeShift } from './timeShift.js'
+import { DEFAULT_DATE_SOURCES, validateDateSources, compileFilenamePatterns } from './dateSources.js'
+import { SRT_TRACK_FORMATS } from './djiSrt.js'
+import { gpsSanityRules } from './gpsSanity.js'
+import { parseCoordinateString } from './gpsHandler.js'
 
 const CONFIG_DIR = join(homedir(), '.ingestio', 'profiles')
 const LOCAL_PROFILES_DIR = join(process.cwd(), 'profiles')
@@ -62,6 +73,37 @@ export async function saveProfile(name, profile) {
   await fs.writeFile(filePath, content)
 }
 
+/**
+ * Set fields in a loaded profile's YAML file, keeping the rest of the file (comments included) as it is
+ * @param {{name: string, source?: string}} profile - Profile as returned by loadProfiles
+ * @param {object} changes - Fields to set
+ * @returns {Promise<string>} - Path of the updated file
+ */
+export async function updateProfile(profile, changes) {
+  const directory = profile.source || CONFIG_DIR
+  let filePath = join(directory, `${profile.name}.yaml`)
+  let content = ''
+
+  for (const candidate of [filePath, join(directory, `${profile.name}.yml`)]) {
+    try {
+      content = await fs.readFile(candidate, 'utf-8')
+      filePath = candidate
+      break
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+
+  const document = YAML.parseDocument(content)
+  for (const [key, value] of Object.entries(changes)) {
+    document.set(key, value)
+  }
+
+  await fs.mkdir(directory, { recursive: true })
+  await fs.writeFile(filePath, String(document))
+  return filePath
+}
+
 export function validateProfile(profile) {
   const required = ['sourcePath', 'destinationRoot', 'cameraLabel']
   const missing = required.filter(field => !profile[field])
@@ -71,13 +113,15 @@ export function validateProfile(profile) {
   }
 
   // Validate collision handling option
-  if (profile.onCollision && !['rename', 'replace'].includes(profile.onCollision)) {
-    throw new Error(`Invalid onCollision value: ${profile.onCollision}. Must be 'rename' or 'replace'`)
+  if (profile.onCollision && !['rename', 'replace', 'skip-duplicate'].includes(profile.onCollision)) {
+    throw new Error(
+      `Invalid onCollision value: ${profile.onCollision}. Must be 'rename', 'replace' or 'skip-duplicate'`
+    )
   }
 
   // Validate transfer mode option
-  if (profile.transferMode && !['copy', 'move'].includes(profile.transferMode)) {
-    throw new Error(`Invalid transferMode value: ${profile.transferMode}. Must be 'copy' or 'move'`)
+  if (profile.transferMode && !['copy', 'move', 'safe-move'].includes(profile.transferMode)) {
+    throw new Error(`Invalid transferMode value: ${profile.transferMode}. Must be 'copy', 'move' or 'safe-move'`)
   }
 
   // Validate log level option
@@ -85,6 +129,93 @@ export function validateProfile(profile) {
     throw new Error(`Invalid logLevel value: ${profile.logLevel}. Must be 'debug', 'info', 'warn', or 'error'`)
   }
 
+  // Validate checksum verification options
+  if (profile.checksumAlgorithm && !CHECKSUM_ALGORITHMS.includes(profile.checksumAlgorithm)) {
+    throw new Error(
+      `Invalid checksumAlgorithm value: ${profile.checksumAlgorithm}. Must be one of ${CHECKSUM_ALGORITHMS.join(', ')}`
+    )
+  }
+
+  if (profile.verifyRetries !== undefined && (!Number.isInteger(profile.verifyRetries) || profile.verifyRetries < 0)) {
+    throw new Error(`Invalid verifyRetries value: ${profile.verifyRetries}. Must be a non-negative integer`)
+  }
+
+  if (profile.manifestFormat && !MANIFEST_FORMATS.includes(profile.manifestFormat)) {
+    throw new Error(
+      `Invalid manifestFormat value: ${profile.manifestFormat}. Must be one of ${MANIFEST_FORMATS.join(', ')}`
+    )
+  }
+
+  if (profile.filenameFormat !== undefined) {
+    validateTemplate(profile.filenameFormat, 'filenameFormat')
+  }
+  if (profile.folderFormat !== undefined) {
+    validateTemplate(profile.folderFormat, 'folderFormat', { allowSeparators: true })
+  }
+
+  if (profile.cameraTimezone !== undefined && profile.cameraTimezone !== null) {
+    validateTimezone(profile.cameraTimezone, 'cameraTimezone')
+  }
+
+  if (profile.timeOffset !== undefined && profile.timeOffset !== null) {
+    parseTimeShift(profile.timeOffset, 'timeOffset')
+  }
+
+  if (profile.dateSources !== undefined && profile.dateSources !== null) {
+    validateDateSources(profile.dateSources)
+  }
+
+  if (profile.filenamePatterns !== undefined && profile.filenamePatterns !== null) {
+    compileFilenamePatterns(profile.filenamePatterns)
+  }
+
+  // Coordinates may be written in any format --gps accepts, e.g. "52.52, 13.405; alt=34"
+  let gpsCoordinates = profile.gpsCoordinates
+  if (typeof gpsCoordinates === 'string') {
+    const parsed = gpsCoordinates.trim() ? parseCoordinateString(gpsCoordinates) : null
+    if (parsed?.error) {
+      throw new Error(`Invalid gpsCoordinates value: ${gpsCoordinates}. ${parsed.error}`)
+    }
+    gpsCoordinates = parsed
+  }
+
+  if (profile.gpxFiles !== undefined && profile.gpxFiles !== null) {
+    if (!Array.isArray(profile.gpxFiles) || !profile.gpxFiles.every(file => typeof file === 'string' && file)) {
+      throw new Error(`Invalid gpxFiles value: ${profile.gpxFiles}. Must be a list of track file paths`)
+    }
+  }
+
+  if (profile.gpxMaxGap !== undefined && profile.gpxMaxGap !== null) {
+    if (parseTimeShift(profile.gpxMaxGap, 'gpxMaxGap') <= 0) {
+      throw new Error(`Invalid gpxMaxGap value: ${profile.gpxMaxGap}. Must be longer than zero`)
+    }
+  }
+
+  if (profile.gpxOffset !== undefined && profile.gpxOffset !== null) {
+    parseTimeShift(profile.gpxOffset, 'gpxOffset')
+  }
+
+  if (profile.srtTrackFormat !== undefined && profile.srtTrackFormat !== null) {
+    if (!SRT_TRACK_FORMATS.includes(profile.srtTrackFormat)) {
+      throw new Error(
+        `Invalid srtTrackFormat value: ${profile.srtTrackFormat}. Must be one of ${SRT_TRACK_FORMATS.join(', ')}`
+      )
+    }
+  }
+
+  // GPS sanity rules; throws on a malformed bounding box, radius or placeholder
+  gpsSanityRules(profile)
+
+  // Validate pipeline concurrency (a number for every stage, or per-stage limits)
+  const concurrency = {
+    ...DEFAULT_CONCURRENCY,
+    ...(profile.concurrency !== undefined ? parseConcurrency(profile.concurrency) : {}),
+  }
+
+  if (profile.freeSpaceMargin !== undefined) {
+    parseMargin(profile.freeSpaceMargin)
+  }
+
   // Handle backward compatibility for copyFiles
   let transferMode = profile.transferMode
   if (!transferMode && profile.copyFiles !== undefined) {
@@ -95,6 +226,7 @@ export function validateProfile(profile) {
   }
 
   return {
+    name: profile.name,
     sourcePath: profile.sourcePath,
     destinationRoot: profile.destinationRoot,
     cameraLabel: profile.cameraLabel,
@@ -115,6 +247,9 @@ export function validateProfile(profile) {
     excludeFolders: profile.excludeFolders || [],
     transferMode: transferMode,
     useExifDate: profile.useExifDate !== false, // default to true
+    // Where capture dates come from, first match wins; useExifDate: false means modification times only
+    dateSources: profile.dateSources || (profile.useExifDate === false ? ['mtime'] : DEFAULT_DATE_SOURCES),
+    filenamePatterns: profile.filenamePatterns || [], // own patterns for the filename-pattern date source
     onCollision: profile.onCollision || 'rename', // default to rename
     logLevel: profile.logLevel || 'info', // default to info
     maintainFileRelationships: profile.maintainFileRelationships !== false, // default to true
@@ -133,6 +268,30 @@ export function validateProfile(profile) {
     ],
     companionExtensions: profile.companionExtensions || ['.srt', '.lrf', '.xmp'],
     filenameFormat: profile.filenameFormat || '{date}_{time}_{camera}', // default format: YYYY-MM-DD_HH-MM-SS_camera
+    folderFormat: profile.folderFormat || '{date}', // default: one folder per day
+    project: profile.project || '',
+    cameraTimezone: profile.cameraTimezone || null, // default to the system zone
+    timeOffset: profile.timeOffset ?? null, // camera clock correction, e.g. '+01:03:20'
+    rewriteDates: profile.rewriteDates === true, // default to leaving embedded dates alone
+    checksumAlgorithm: profile.checksumAlgorithm || 'sha256', // default to sha256 (native, fast)
+    verifyRetries: profile.verifyRetries ?? 2, // default to two re-copies on mismatch
+    manifestFormat: profile.manifestFormat || 'json', // default to JSON sidecar per folder
+    concurrency,
+    freeSpaceMargin: profile.freeSpaceMargin ?? '5%', // headroom kept free on the destination
+    addGpsData: profile.addGpsData === true, // default to leaving location data alone
+    gpsCoordinates,
+    gpxFiles: profile.gpxFiles || [], // track logs to geotag from, before the fixed gpsCoordinates
+    gpxMaxGap: profile.gpxMaxGap ?? null, // longest gap between track points to interpolate across
+    gpxOffset: profile.gpxOffset ?? null, // added to capture times before the track lookup
+    srtGps: profile.srtGps === true, // default to leaving videos with SRT telemetry alone
+    srtTrackFormat: profile.srtTrackFormat || null, // 'gpx' or 'geojson' track next to each video with an SRT
+    locationNames: profile.locationNames === true, // write city, region and country into IPTC/XMP fields
+    gpsBounds: profile.gpsBounds ?? null, // [south, west, north, east] the files' own GPS should lie in
+    gpsCenter: profile.gpsCenter ?? null, // centre of gpsRadius, default gpsCoordinates
+    gpsRadius: profile.gpsRadius ?? null, // kilometres the files' own GPS may lie from gpsCenter
+    gpsOutlierDistance: profile.gpsOutlierDistance ?? null, // kilometres from the rest of the import
+    gpsPlaceholders: profile.gpsPlaceholders || [], // bogus positions on top of the known defaults
+    replaceFlaggedGps: profile.replaceFlaggedGps === true, // default to reporting suspicious GPS, not replacing it
   }
 }
 
@@ -0,0 +1,440 @@
+// Positions pasted from maps, GPS receivers and military or survey grids. Each parser returns null when the text
+// isn't in its format, so the next one can try, and an error naming the part that is wrong when it is.
+
+// Open Location Code digits, in value order
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX'
+const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125]
+
+// UTM latitude bands, 8° each from 80°S; X stretches to 84°N
+const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWX'
+
+// MGRS 100 km square letters: columns cycle through three sets by zone, rows repeat every 2000 km
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ']
+const MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV'
+
+// WGS84 ellipsoid and the UTM scale at the central meridian
+const SEMI_MAJOR_AXIS = 6378137
+const FLATTENING = 1 / 298.257223563
+const UTM_SCALE = 0.9996
+
+const DEGREE_MARKS = '°º˚'
+const MINUTE_MARKS = "'′’"
+const SECOND_MARKS = '"″”'
+
+function number(value) {
+  return parseFloat(value)
+}
+
+function pair(latitude, longitude) {
+  return { latitude: number(latitude), longitude: number(longitude) }
+}
+
+/**
+ * Read a geo: URI (RFC 5870), e.g. "geo:52.52,13.405,34;u=5". The uncertainty becomes the accuracy; Android's
+ * "geo:0,0?q=52.52,13.405(Studio)" form is read from its query.
+ * @param {string} text - Trimmed input
+ * @returns {{latitude: number, longitude: number, altitude?: number, accuracy?: number}|{error: string}|null}
+ */
+export function parseGeoUri(text) {
+  const match = text.match(/^geo:([^?]*)(?:\?(.*))?$/i)
+  if (!match) return null
+
+  const [coordinates, ...parameters] = match[1].split(';')
+  const values = coordinates.split(',').map(value => value.trim())
+  if (values.length < 2 || values.length > 3 || values.some(value => !/^-?\d+(\.\d+)?$/.test(value))) {
+    return { error: `Invalid geo: URI "${text}": expected "geo:latitude,longitude" with an optional altitude` }
+  }
+
+  const position = pair(values[0], values[1])
+  if (values.length === 3) position.altitude = number(values[2])
+
+  for (const parameter of parameters) {
+    const [name, value = ''] = parameter.split('=')
+    if (name.toLowerCase() === 'crs' && value.toLowerCase() !== 'wgs84') {
+      return { error: `Invalid geo: URI "${text}": coordinate system "${value}" is not supported, only wgs84` }
+    }
+    if (name.toLowerCase() === 'u') {
+      if (!/^\d+(\.\d+)?$/.test(value)) {
+        return { error: `Invalid geo: URI "${text}": uncertainty "${value}" is not a number of metres` }
+      }
+      if (number(value) > 0) position.accuracy = number(value)
+    }
+  }
+
+  const query = new URLSearchParams(match[2] || '').get('q')
+  const queried = query?.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*(?:\(.*\))?$/)
+  if (position.latitude === 0 && position.longitude === 0) {
+    if (queried) return pair(queried[1], queried[2])
+    if (query) return { error: `The geo: URI searches for "${query}" rather than a position` }
+  }
+
+  return position
+}
+
+/**
+ * Read the position from a Google Maps link: the dropped pin of a place page, the "q", "query" or "ll"
+ * parameter, or the centre of the map view
+ * @param {string} text - Trimmed input
+ * @returns {{latitude: number, longitude: number}|{error: string}|null}
+ */
+export function parseGoogleMapsUrl(text) {
+  if (!/^(https?:\/\/|[\w-]+(\.[\w-]+)+\/)/i.test(text)) return null
+
+  let url
+  try {
+    url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`)
+  } catch {
+    return { error: `Invalid link "${text}"` }
+  }
+
+  if (url.hostname === 'goo.gl' || url.hostname.endsWith('.goo.gl')) {
+    return { error: 'Short Google Maps links need network access to open; paste the full URL from the browser' }
+  }
+  if (!/(^|\.)google\.[a-z.]+$/i.test(url.hostname)) {
+    return { error: `Links from ${url.hostname} aren't understood; copy the coordinates from the page instead` }
+  }
+
+  const decoded = decodeURIComponent(url.pathname)
+  const pin = decoded.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/)
+  if (pin) return pair(pin[1], pin[2])
+
+  for (const name of ['q', 'query', 'll', 'destination', 'daddr', 'center']) {
+    const value = url.searchParams.get(name)
+    if (!value) continue
+    const coordinates = value.match(/^\s*(?:loc:)?\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/)
+    if (coordinates) return pair(coordinates[1], coordinates[2])
+    return { error: `The Google Maps link searches for "${value}" rather than a position; open it and copy the pin` }
+  }
+
+  const view = decoded.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/)
+  if (view) return pair(view[1], view[2])
+
+  return { error: 'No position found in the Google Maps link; open it and share the dropped pin instead' }
+}
+
+/**
+ * Decode a full Plus Code (Open Location Code), e.g. "8FVC9G8F+6X", to the centre of its area. Short codes such as
+ * "9G8F+6X Zurich" need a reference position and are rejected with a hint.
+ * @param {string} text - Trimmed input
+ * @returns {{latitude: number, longitude: number}|{error: string}|null}
+ */
+export function decodePlusCode(text) {
+  const match = text.match(/^([0-9a-z]{2,8})\+([0-9a-z]*)(?:\s+(.+))?$/i)
+  if (!match) return null
+
+  const code = `${match[1]}+${match[2]}`.toUpperCase()
+  const invalid = [...code.replace('+', '')].find(char => char !== '0' && !PLUS_CODE_ALPHABET.includes(char))
+  if (invalid) {
+    return { error: `Invalid Plus Code "${code}": "${invalid}" is not a Plus Code character` }
+  }
+  if (match[1].length < 8 || match[3]) {
+    return {
+      error:
+        `"${text}" is a short Plus Code, which depends on a nearby town; ` +
+        'use the full code from the map (e.g. "8FVC9G8F+6X")',
+    }
+  }
+
+  const padding = match[1].indexOf('0')
+  const digits = (padding === -1 ? match[1] : match[1].slice(0, padding)) + match[2]
+  if (padding !== -1 && (padding % 2 === 1 || /[^0]/.test(match[1].slice(padding)) || match[2])) {
+    return { error: `Invalid Plus Code "${code}": "0" may only pad whole pairs before the "+"` }
+  }
+  if (match[2].length === 1) {
+    return { error: `Invalid Plus Code "${code}": expected at least two characters after the "+"` }
+  }
+
+  const values = [...digits.toUpperCase()].map(char => PLUS_CODE_ALPHABET.indexOf(char))
+  if (values[0] >= 9 || values[1] >= 18) {
+    return { error: `Invalid Plus Code "${code}": "${digits.slice(0, 2)}" is outside the world` }
+  }
+
+  let latitude = -90
+  let longitude = -180
+  let latitudeSize = 0
+  let longitudeSize = 0
+  for (let index = 0; index < Math.min(values.length, 10); index += 2) {
+    latitudeSize = longitudeSize = PLUS_CODE_PAIR_RESOLUTIONS[index / 2]
+    latitude += values[index] * latitudeSize
+    longitude += values[index + 1] * longitudeSize
+  }
+  // Beyond ten digits each character picks one cell of a 4 x 5 grid
+  for (const value of values.slice(10)) {
+    latitudeSize /= 5
+    longitudeSize /= 4
+    latitude += Math.floor(value / 4) * latitudeSize
+    longitude += (value % 4) * longitudeSize
+  }
+
+  return {
+    latitude: Math.min(latitude + latitudeSize / 2, 90),
+    longitude: longitude + longitudeSize / 2,
+  }
+}
+
+// Inverse transverse Mercator on WGS84 (Snyder's series), accurate to well under a metre inside a zone
+function utmToLatLon(zone, easting, northing, southern) {
+  const e2 = FLATTENING * (2 - FLATTENING)
+  const ep2 = e2 / (1 - e2)
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2))
+
+  const x = easting - 500000
+  const y = southern ? northing - 10000000 : northing
+  const mu = y / UTM_SCALE / (SEMI_MAJOR_AXIS * (1 - e2 / 4 - (3 * e2 ** 2) / 64 - (5 * e2 ** 3) / 256))
+  const phi =
+    mu +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * e1 ** 2) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu)
+
+  const sinPhi = Math.sin(phi)
+  const cosPhi = Math.cos(phi)
+  const n = SEMI_MAJOR_AXIS / Math.sqrt(1 - e2 * sinPhi ** 2)
+  const t = Math.tan(phi) ** 2
+  const c = ep2 * cosPhi ** 2
+  const r = (SEMI_MAJOR_AXIS * (1 - e2)) / (1 - e2 * sinPhi ** 2) ** 1.5
+  const d = x / (n * UTM_SCALE)
+
+  const latitude =
+    phi -
+    ((n * Math.tan(phi)) / r) *
+      (d ** 2 / 2 -
+        ((5 + 3 * t + 10 * c - 4 * c ** 2 - 9 * ep2) * d ** 4) / 24 +
+        ((61 + 90 * t + 298 * c + 45 * t ** 2 - 252 * ep2 - 3 * c ** 2) * d ** 6) / 720)
+  const longitude =
+    (d - ((1 + 2 * t + c) * d ** 3) / 6 + ((5 - 2 * c + 28 * t - 3 * c ** 2 + 8 * ep2 + 24 * t ** 2) * d ** 5) / 120) /
+    cosPhi
+
+  return {
+    latitude: (latitude * 180) / Math.PI,
+    longitude: (zone - 1) * 6 - 180 + 3 + (longitude * 180) / Math.PI,
+  }
+}
+
+function bandRange(band) {
+  const index = UTM_BANDS.indexOf(band)
+  return [-80 + index * 8, band === 'X' ? 84 : -72 + index * 8]
+}
+
+// Half a degree of slack: band edges are lines of latitude, grid references near them round either way
+function inBand(latitude, band) {
+  const [south, north] = bandRange(band)
+  return latitude >= south - 0.5 && latitude <= north + 0.5
+}
+
+function checkZone(zone, label, text) {
+  if (zone < 1 || zone > 60) return `Invalid ${label} "${text}": zone ${zone} doesn't exist, zones run from 1 to 60`
+  return null
+}
+
+function checkBand(band, label, text) {
+  if ('ABYZ'.includes(band)) {
+    return `Invalid ${label} "${text}": band ${band} is polar (UPS), which isn't supported`
+  }
+  if (!UTM_BANDS.includes(band)) return `Invalid ${label} "${text}": "${band}" is not a latitude band letter`
+  return null
+}
+
+/**
+ * Read a UTM position, e.g. "33U 389885 5819698" or "18T 583960mE 4507523mN". The letter is the latitude band; "N"
+ * and "S" also work as hemispheres when the position lies outside that band.
+ * @param {string} text - Trimmed input
+ * @returns {{latitude: number, longitude: number}|{error: string}|null}
+ */
+export function parseUtm(text) {
+  const match = text.match(
+    /^(?:zone\s*)?(\d{1,2})\s*([a-z])[,\s]+(\d+(?:\.\d+)?)\s*(?:m\s*E?)?[,\s]+(\d+(?:\.\d+)?)\s*(?:m\s*N?)?$/i
+  )
+  if (!match) return null
+
+  const zone = parseInt(match[1], 10)
+  const band = match[2].toUpperCase()
+  const easting = number(match[3])
+  const northing = number(match[4])
+
+  const problem = checkZone(zone, 'UTM position', text) || checkBand(band, 'UTM position', text)
+  if (problem) return { error: problem }
+  if (easting < 100000 || easting > 900000) {
+    return { error: `Invalid UTM position "${text}": easting ${easting} is outside the zone (100000 to 900000 m)` }
+  }
+  if (northing < 0 || northing > 10000000) {
+    return { error: `Invalid UTM position "${text}": northing ${northing} must be between 0 and 10000000 m` }
+  }
+
+  const position = utmToLatLon(zone, easting, northing, band < 'N')
+  if (inBand(position.latitude, band)) return position
+
+  // Read as a hemisphere instead: "33N" for anywhere north of the equator, "33S" for south
+  if (band === 'N') return position
+  if (band === 'S') return utmToLatLon(zone, easting, northing, true)
+
+  const [south, north] = bandRange(band)
+  return {
+    error:
+      `Invalid UTM position "${text}": northing ${northing} lies at ${position.latitude.toFixed(1)}°, ` +
+      `outside band ${band} (${south}° to ${north}°)`,
+  }
+}
+
+/**
+ * Read an MGRS grid reference, e.g. "33UUU 89885 19698" or "18TWL8396007523", to the centre of the square it names
+ * @param {string} text - Trimmed input
+ * @returns {{latitude: number, longitude: number}|{error: string}|null}
+ */
+export function parseMgrs(text) {
+  const match = text.match(/^(\d{1,2})\s*([a-z])\s*([a-z])([a-z])\s*(\d*)\s*(\d*)$/i)
+  if (!match) return null
+
+  const zone = parseInt(match[1], 10)
+  const band = match[2].toUpperCase()
+  const column = match[3].toUpperCase()
+  const row = match[4].toUpperCase()
+
+  const problem = checkZone(zone, 'MGRS reference', text) || checkBand(band, 'MGRS reference', text)
+  if (problem) return { error: problem }
+
+  const digits = match[6]
+    ? [match[5], match[6]]
+    : [match[5].slice(0, match[5].length / 2), match[5].slice(match[5].length / 2)]
+  if (digits[0].length !== digits[1].length || digits[0].length > 5) {
+    return {
+      error: `Invalid MGRS reference "${text}": easting and northing need the same number of digits, at most five each`,
+    }
+  }
+
+  const columns = MGRS_COLUMN_SETS[(zone - 1) % 3]
+  if (!columns.includes(column)) {
+    return {
+      error: `Invalid MGRS reference "${text}": square column ${column} isn't used in zone ${zone} (${columns})`,
+    }
+  }
+  if (!MGRS_ROWS.includes(row)) {
+    return { error: `Invalid MGRS reference "${text}": "${row}" is not a square row letter` }
+  }
+
+  // Precision follows the digits given; the result is the middle of the square they name
+  const size = 10 ** (5 - digits[0].length)
+  const easting = (columns.indexOf(column) + 1) * 100000 + (Number(digits[0]) || 0) * size + size / 2
+  // Even zones start their row letters at F
+  const rowIndex = (MGRS_ROWS.indexOf(row) + (zone % 2 === 0 ? 15 : 0)) % 20
+  const rowNorthing = rowIndex * 100000 + (Number(digits[1]) || 0) * size + size / 2
+
+  // The row letters repeat every 2000 km; the band says which repetition is meant
+  for (let cycle = 0; cycle < 5; cycle++) {
+    const position = utmToLatLon(zone, easting, rowNorthing + cycle * 2000000, band < 'N')
+    if (inBand(position.latitude, band)) return position
+  }
+  return { error: `Invalid MGRS reference "${text}": square ${column}${row} is not in band ${band} of zone ${zone}` }
+}
+
+// One angle of a DMS or DDM position, hemisphere letter removed: "40°42'46.1", "40 42.768", "-74°"
+function parseAngle(text, axis, whole) {
+  const marks = `[${DEGREE_MARKS}]|[${MINUTE_MARKS}]{2}|[${MINUTE_MARKS}]|[${SECOND_MARKS}]`
+  const parts = [...text.matchAll(new RegExp(`(-?\\d+(?:\\.\\d+)?)\\s*(${marks})?`, 'g'))]
+  const rest = text.replace(new RegExp(`(-?\\d+(?:\\.\\d+)?)\\s*(${marks})?|\\s+`, 'g'), '')
+  if (parts.length === 0 || parts.length > 3 || rest) {
+    return { error: `Invalid ${axis} "${whole}": expected degrees, minutes and seconds like 40°42'46.1"` }
+  }
+
+  const units = parts.map(([, , mark], index) => {
+    if (!mark) return index
+    if (DEGREE_MARKS.includes(mark)) return 0
+    if (SECOND_MARKS.includes(mark) || mark.length === 2) return 2
+    return 1
+  })
+  if (units.some((unit, index) => unit !== index)) {
+    return { error: `Invalid ${axis} "${whole}": degrees, minutes and seconds must come in that order` }
+  }
+
+  const [degrees, minutes = 0, seconds = 0] = parts.map(([, value]) => number(value))
+  const negative = parts[0][1].startsWith('-')
+  if (parts.slice(1).some(([, value]) => value.startsWith('-'))) {
+    return { error: `Invalid ${axis} "${whole}": only the degrees can carry a minus sign` }
+  }
+  if (parts.length > 1 && !Number.isInteger(degrees)) {
+    return { error: `Invalid ${axis} "${whole}": degrees can't have decimals when minutes follow` }
+  }
+  if (parts.length > 2 && !Number.isInteger(minutes)) {
+    return { error: `Invalid ${axis} "${whole}": minutes can't have decimals when seconds follow` }
+  }
+  if (minutes >= 60) return { error: `Invalid ${axis} "${whole}": minutes must be less than 60, got ${minutes}` }
+  if (seconds >= 60) return { error: `Invalid ${axis} "${whole}": seconds must be less than 60, got ${seconds}` }
+
+  const value = Math.abs(degrees) + minutes / 60 + seconds / 3600
+  return { value: negative ? -value : value, negative }
+}
+
+/**
+ * Read degrees-minutes-seconds or degrees-decimal-minutes, e.g. `40°42'46.1"N 74°00'21.6"W`,
+ * "N 40° 42.768' W 74° 0.360'" or "40 42 46.1 N, 74 0 21.6 W". Hemisphere letters may come before or after each
+ * angle; without them the latitude comes first and the two are separated by a comma.
+ * @param {string} text - Trimmed input
+ * @returns {{latitude: number, longitude: number}|{error: string}|null}
+ */
+export function parseDms(text) {
+  const symbols = new RegExp(`[${DEGREE_MARKS}${MINUTE_MARKS}${SECOND_MARKS}]`)
+  if (!/^[\d\s.,°º˚'′’"″”NSEW-]+$/i.test(text) || !/\d/.test(text)) return null
+  const letters = text.match(/[NSEW]/gi) || []
+  if (!symbols.test(text) && letters.length === 0) return null
+
+  let halves
+  if (letters.length === 2) {
+    // "N 40 42.768 W 74 0.360" splits before the second letter, "40 42 46 N 74 0 21 W" after the first
+    const [first, second] = [...text.matchAll(/[NSEW]/gi)].map(letter => letter.index)
+    const split = first === 0 ? second : first + 1
+    halves = [text.slice(0, split), text.slice(split)]
+  } else if (letters.length === 0 && text.split(',').length === 2) {
+    halves = text.split(',')
+  } else if (letters.length === 0) {
+    return { error: `Cannot tell latitude from longitude in "${text}": separate them with a comma or add N/S and E/W` }
+  } else {
+    return { error: `Invalid position "${text}": expected one N/S and one E/W letter, found ${letters.join(', ')}` }
+  }
+
+  const angles = halves.map(half => {
+    const cleaned = half.replace(/^[\s,]+|[\s,]+$/g, '')
+    const letter = cleaned.match(/[NSEW]/i)?.[0].toUpperCase() || null
+    return { letter, text: cleaned, angle: cleaned.replace(/^[NSEW]\s*|\s*[NSEW]$/i, '') }
+  })
+
+  if (letters.length === 2) {
+    if (angles.every(({ letter }) => 'NS'.includes(letter)) || angles.every(({ letter }) => 'EW'.includes(letter))) {
+      return { error: `Invalid position "${text}": expected one N/S and one E/W letter, found ${letters.join(', ')}` }
+    }
+    // "74°0'21.6"W 40°42'46.1"N" names its axes, so the order doesn't matter
+    if ('EW'.includes(angles[0].letter)) angles.reverse()
+  }
+
+  const [latitude, longitude] = angles.map(({ letter, text: whole, angle }, index) => {
+    const axis = index === 0 ? 'latitude' : 'longitude'
+    const parsed = parseAngle(angle, axis, whole)
+    if (parsed.error) return parsed
+    if (letter && parsed.negative) {
+      return { error: `Invalid ${axis} "${whole}": use either a minus sign or ${index === 0 ? 'N/S' : 'E/W'}` }
+    }
+    const limit = index === 0 ? 90 : 180
+    if (Math.abs(parsed.value) > limit) {
+      return { error: `Invalid ${axis} "${whole}": must be at most ${limit}°` }
+    }
+    return { value: letter === 'S' || letter === 'W' ? -parsed.value : parsed.value }
+  })
+
+  if (latitude.error) return latitude
+  if (longitude.error) return longitude
+  return { latitude: latitude.value, longitude: longitude.value }
+}
+
+/**
+ * Try every format beyond plain decimal degrees
+ * @param {string} text - Input with surrounding whitespace removed
+ * @returns {{latitude: number, longitude: number, altitude?: number, accuracy?: number}|{error: string}|null} -
+ *   null when the text is in none of the formats
+ */
+export function parseCoordinateFormats(text) {
+  for (const parse of [parseGeoUri, parseGoogleMapsUrl, decodePlusCode, parseMgrs, parseUtm, parseDms]) {
+    const result = parse(text)
+    if (result) return result
+  }
+  return null
+}
@@ -0,0 +1,297 @@
+import { promises as fs } from 'fs'
+import { join, dirname, basename, extname } from 'path'
+import exifr from 'exifr'
+import { runExiftool } from './exiftool.js'
+import { parseExifDate, fromWallClock, validateTimezone } from './timezone.js'
+import { readQuickTimeMetadata, quickTimeDate } from './quicktime.js'
+
+// EXIF date tags and the offset tag that goes with each
+const EXIF_SOURCES = {
+  'exif.DateTimeOriginal': ['DateTimeOriginal', 'OffsetTimeOriginal'],
+  'exif.CreateDate': ['CreateDate', 'OffsetTimeDigitized'],
+  'exif.ModifyDate': ['ModifyDate', 'OffsetTime'],
+}
+
+// QuickTime dates as named by readQuickTimeMetadata (and exiftool)
+const QUICKTIME_SOURCES = {
+  'quicktime.CreationDate': 'CreationDate',
+  'quicktime.ContentCreateDate': 'ContentCreateDate',
+  'quicktime.CreateDate': 'CreateDate',
+  'quicktime.TrackCreateDate': 'TrackCreateDate',
+  'quicktime.MediaCreateDate': 'MediaCreateDate',
+}
+
+// XMP properties read from a sidecar, best first
+const SIDECAR_TAGS = ['exif:DateTimeOriginal', 'photoshop:DateCreated', 'xmp:CreateDate']
+
+// Time fields of a filename pattern; year, month and day are required
+const DATE_GROUPS = ['year', 'month', 'day', 'hour', 'minute', 'second']
+
+// Camera and phone filenames that carry the capture time. Read as the camera's wall clock unless the pattern
+// has its own zone.
+export const FILENAME_PATTERNS = [
+  // DJI drones and Osmo cameras: DJI_20240512143011_0001_D.MP4
+  {
+    pattern: /^DJI_(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})_/i,
+  },
+  // Google Pixel: PXL_20240512_143011123.mp4, named in UTC
+  {
+    pattern: /^PXL_(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})_(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})\d{0,3}/i,
+    timeZone: 'UTC',
+  },
+  // Android cameras: VID_20240512_143011.mp4, IMG_20240512_143011_1.jpg, PANO_..., MVIMG_...
+  {
+    pattern:
+      /^(?:IMG|VID|PANO|MVIMG|BURST\d*)_(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})_(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})/i,
+  },
+  // Samsung: 20240512_143011.jpg
+  {
+    pattern: /^(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})_(?<hour>\d{2})(?<minute>\d{2})(?<second>\d{2})(?!\d)/,
+  },
+]
+
+// Sources that say when the file was written to the card, not when it was captured
+export const FILESYSTEM_DATE_SOURCES = ['mtime', 'birthtime']
+
+export const DATE_SOURCES = [
+  ...Object.keys(EXIF_SOURCES),
+  ...Object.keys(QUICKTIME_SOURCES),
+  'filename-pattern',
+  'sidecar',
+  ...FILESYSTEM_DATE_SOURCES,
+]
+
+// Names come after embedded metadata but before the card's clock, so stripped files still get their capture time
+export const DEFAULT_DATE_SOURCES = [
+  ...Object.keys(EXIF_SOURCES),
+  ...Object.keys(QUICKTIME_SOURCES),
+  'filename-pattern',
+  'mtime',
+]
+
+/**
+ * Check a profile's dateSources list
+ * @param {Array<string>} sources - Source names, tried in order
+ * @param {string} field - Setting name used in the error message
+ */
+export function validateDateSources(sources, field = 'dateSources') {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error(`Invalid ${field} value: ${sources}. Must be a list of date sources`)
+  }
+
+  for (const source of sources) {
+    if (!DATE_SOURCES.includes(source)) {
+      throw new Error(`Invalid ${field} value: ${source}. Must be one of ${DATE_SOURCES.join(', ')}`)
+    }
+  }
+}
+
+/**
+ * Turn a profile's filenamePatterns into matchers
+ * @param {Array<string|{pattern: string, timeZone?: string}>} patterns - Regular expressions with named groups
+ *   year, month and day (and optionally hour, minute, second), matched case-insensitively against the filename;
+ *   timeZone overrides the camera zone for names written in another zone
+ * @param {string} field - Setting name used in the error message
+ * @returns {Array<{pattern: RegExp, timeZone?: string}>}
+ */
+export function compileFilenamePatterns(patterns, field = 'filenamePatterns') {
+  if (!Array.isArray(patterns)) {
+    throw new Error(`Invalid ${field} value: ${patterns}. Must be a list of regular expressions`)
+  }
+
+  return patterns.map(entry => {
+    const { pattern, timeZone } = typeof entry === 'string' ? { pattern: entry } : entry || {}
+
+    if (typeof pattern !== 'string' || !['year', 'month', 'day'].every(group => pattern.includes(`(?<${group}>`))) {
+      throw new Error(`Invalid ${field} value: ${pattern}. Needs the named groups (?<year>), (?<month>) and (?<day>)`)
+    }
+
+    let regex
+    try {
+      regex = new RegExp(pattern, 'i')
+    } catch (error) {
+      throw new Error(`Invalid ${field} value: ${pattern}. ${error.message}`)
+    }
+    if (timeZone !== undefined) {
+      validateTimezone(timeZone, `${field} timeZone`)
+    }
+
+    return timeZone === undefined ? { pattern: regex } : { pattern: regex, timeZone }
+  })
+}
+
+/**
+ * Capture date encoded in a filename
+ * @param {string} filePath - File whose name is read; directories are ignored
+ * @param {Array<{pattern: RegExp, timeZone?: string}>} patterns - Matchers, tried in order
+ * @param {string|null} timeZone - Zone of the camera clock, for patterns without their own
+ * @returns {Date|null} - null when no pattern matches or the matched numbers aren't a date
+ */
+export function parseFilenameDate(filePath, patterns = FILENAME_PATTERNS, timeZone = null) {
+  const name = basename(filePath)
+
+  for (const entry of patterns) {
+    const groups = name.match(entry.pattern)?.groups
+    if (!groups) continue
+
+    const [year, month, day, hour, minute, second] = DATE_GROUPS.map(group => Number(groups[group] || 0))
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) continue
+
+    const fullYear = groups.year.length === 2 ? 2000 + year : year
+    // Days past the end of the month (20240231) would roll over into the next one
+    if (new Date(Date.UTC(fullYear, month - 1, day)).getUTCDate() !== day) continue
+
+    return fromWallClock([fullYear, month, day, hour, minute, second], entry.timeZone ?? timeZone)
+  }
+
+  return null
+}
+
+/**
+ * Whether a date came from the filesystem rather than from the file's contents
+ * @param {string} source - Date source name
+ * @returns {boolean}
+ */
+export function isFilesystemDateSource(source) {
+  return FILESYSTEM_DATE_SOURCES.includes(source)
+}
+
+// Text of the XMP sidecar next to a file: "IMG_0001.xmp" (Lightroom) or "IMG_0001.CR3.xmp" (darktable)
+async function readSidecar(filePath) {
+  const stem = join(dirname(filePath), basename(filePath, extname(filePath)))
+  for (const candidate of [`${stem}.xmp`, `${stem}.XMP`, `${filePath}.xmp`, `${filePath}.XMP`]) {
+    try {
+      return await fs.readFile(candidate, 'utf-8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+  return null
+}
+
+// XMP writes properties either as attributes or as elements
+function xmpValue(xmp, tag) {
+  const match = xmp.match(new RegExp(`${tag}="([^"]*)"`)) || xmp.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))
+  return match ? match[1].trim() : null
+}
+
+// Header dates from exiftool come as "YYYY:MM:DD HH:MM:SS" in UTC; readQuickTimeMetadata gives Unix seconds
+function headerSeconds(value) {
+  const date = parseExifDate(value, { timeZone: 'UTC' })
+  return date ? date.getTime() / 1000 : null
+}
+
+/**
+ * Embedded metadata of one file, read lazily and at most once per reader. exifr handles photos and the
+ * built-in parser handles movies; exiftool is only started when neither can read the file (e.g. some RAW).
+ */
+function createMetadataReaders(filePath, size) {
+  const once = read => {
+    let result
+    return () => (result ??= read().catch(() => null))
+  }
+
+  // Empty files carry no metadata, and exifr leaks its file handle when parsing them
+  const exif = once(async () =>
+    size > 0
+      ? ((await exifr.parse(filePath, {
+          pick: Object.values(EXIF_SOURCES).flat(),
+          reviveValues: false,
+        })) ?? null)
+      : null
+  )
+  const quickTime = once(async () => (size > 0 ? readQuickTimeMetadata(filePath) : null))
+
+  const exiftool = once(async () => {
+    if ((await exif()) || (await quickTime()) || size === 0) return null
+
+    const tags = [
+      ...Object.values(EXIF_SOURCES)
+        .flat()
+        .map(tag => `-EXIF:${tag}`),
+      ...Object.values(QUICKTIME_SOURCES).map(tag => `-QuickTime:${tag}`),
+    ]
+    const data = JSON.parse(await runExiftool(['-j', '-G0', ...tags, filePath]))[0] || {}
+    const group = prefix =>
+      Object.fromEntries(
+        Object.entries(data)
+          .filter(([key]) => key.startsWith(prefix))
+          .map(([key, value]) => [key.slice(prefix.length), value])
+      )
+
+    const quickTimeData = group('QuickTime:')
+    return {
+      exif: group('EXIF:'),
+      quickTime: {
+        ...quickTimeData,
+        CreateDate: headerSeconds(quickTimeData.CreateDate),
+        TrackCreateDate: headerSeconds(quickTimeData.TrackCreateDate),
+        MediaCreateDate: headerSeconds(quickTimeData.MediaCreateDate),
+        localTime: false,
+      },
+    }
+  })
+
+  return {
+    exif: async () => (await exif()) || (await exiftool())?.exif || null,
+    quickTime: async () => (await quickTime()) || (await exiftool())?.quickTime || null,
+  }
+}
+
+/**
+ * Capture date of a file from the first source in the list that has one
+ * @param {string} filePath - Media file
+ * @param {Array<string>} sources - Date source names (see DATE_SOURCES), tried in order
+ * @param {{timeZone?: string|null, filenamePatterns?: Array}} options - timeZone: zone the camera clock runs in,
+ *   for dates without an offset; filenamePatterns: the profile's own patterns, tried before the built-in ones
+ * @returns {Promise<{date: Date, source: string}>}
+ */
+export async function readCaptureDate(filePath, sources = DEFAULT_DATE_SOURCES, options = {}) {
+  const timeZone = options.timeZone ?? null
+  const stats = await fs.stat(filePath)
+  const metadata = createMetadataReaders(filePath, stats.size)
+
+  const read = async source => {
+    if (EXIF_SOURCES[source]) {
+      const [tag, offsetTag] = EXIF_SOURCES[source]
+      const data = await metadata.exif()
+      return parseExifDate(data?.[tag], { offset: data?.[offsetTag], timeZone })
+    }
+
+    if (QUICKTIME_SOURCES[source]) {
+      return quickTimeDate(await metadata.quickTime(), QUICKTIME_SOURCES[source], timeZone)
+    }
+
+    switch (source) {
+      case 'filename-pattern': {
+        const patterns = [...compileFilenamePatterns(options.filenamePatterns || []), ...FILENAME_PATTERNS]
+        return parseFilenameDate(filePath, patterns, timeZone)
+      }
+      case 'sidecar': {
+        const xmp = await readSidecar(filePath).catch(() => null)
+        if (!xmp) return null
+        for (const tag of SIDECAR_TAGS) {
+          const date = parseExifDate(xmpValue(xmp, tag), { timeZone })
+          if (date) return date
+        }
+        return null
+      }
+      case 'mtime':
+        return stats.mtime
+      case 'birthtime':
+        // Filesystems without creation times report the epoch
+        return stats.birthtimeMs > 0 ? stats.birthtime : null
+    }
+
+    throw new Error(`Unknown date source: ${source}`)
+  }
+
+  for (const source of sources) {
+    const date = await read(source)
+    if (date) {
+      return { date, source }
+    }
+  }
+
+  throw new Error(`No capture date found in ${sources.join(', ')}`)
+}
@@ -0,0 +1,101 @@
+import { promises as fs } from 'fs'
+import { extname } from 'path'
+
+// Track points kept from SRT telemetry; DJI writes one cue per video frame
+const DEFAULT_INTERVAL = 1000
+
+// Track files that can be written next to a video
+export const SRT_TRACK_FORMATS = ['gpx', 'geojson']
+
+// 00:01:02,345 --> 00:01:02,378
+const CUE_TIMING = /(\d{2}):(\d{2}):(\d{2})[,.](\d{3})\s*-->/
+
+function cueOffset(match) {
+  const [, hours, minutes, seconds, milliseconds] = match.map(Number)
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds
+}
+
+function bracketValue(text, names) {
+  for (const name of names) {
+    const match = text.match(new RegExp(`\\b${name}\\s*:\\s*(-?\\d+(?:\\.\\d+)?)`, 'i'))
+    if (match) return parseFloat(match[1])
+  }
+  return NaN
+}
+
+/**
+ * Positions from the telemetry subtitles DJI drones and cameras record next to their videos. Both the bracketed
+ * style ("[latitude: 51.517812] [longitude: -0.107435] [rel_alt: 1.2 abs_alt: 120.3]", including the
+ * "longtitude" spelling of some firmware) and the older "GPS(lon,lat,…)" style are read.
+ * @param {string} text - SRT file contents
+ * @returns {Array<{offset: number, latitude: number, longitude: number, altitude?: number}>} - offset is the cue
+ *   start in milliseconds from the start of the video; cues without a fix (0, 0) are left out
+ */
+export function parseDjiSrt(text) {
+  const points = []
+
+  for (const cue of text.replace(/\r/g, '').split(/\n\s*\n/)) {
+    const timing = cue.match(CUE_TIMING)
+    if (!timing) continue
+    const body = cue.replace(/<[^>]*>/g, ' ')
+
+    let latitude = bracketValue(body, ['latitude'])
+    let longitude = bracketValue(body, ['longitude', 'longtitude'])
+    let altitude = bracketValue(body, ['abs_alt', 'altitude'])
+
+    const legacy = body.match(/GPS\s*\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)/)
+    if ((isNaN(latitude) || isNaN(longitude)) && legacy) {
+      longitude = parseFloat(legacy[1])
+      latitude = parseFloat(legacy[2])
+      altitude = NaN
+    }
+
+    if (isNaN(latitude) || isNaN(longitude) || (latitude === 0 && longitude === 0)) continue
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) continue
+
+    const point = { offset: cueOffset(timing), latitude, longitude }
+    if (!isNaN(altitude)) point.altitude = altitude
+    points.push(point)
+  }
+
+  return points
+}
+
+/**
+ * Timed track of a video from its SRT positions
+ * @param {Array<{offset: number, latitude: number, longitude: number, altitude?: number}>} points - From
+ *   parseDjiSrt
+ * @param {Date} startDate - Capture time of the video, as used to name it
+ * @param {number} interval - Minimum milliseconds between kept points; the last point is always kept
+ * @returns {Array<{time: number, latitude: number, longitude: number, altitude?: number}>}
+ */
+export function srtTrack(points, startDate, interval = DEFAULT_INTERVAL) {
+  const track = []
+  let lastOffset = -Infinity
+
+  points.forEach(({ offset, ...position }, index) => {
+    if (offset - lastOffset < interval && index !== points.length - 1) return
+    lastOffset = offset
+    track.push({ time: startDate.getTime() + offset, ...position })
+  })
+
+  return track
+}
+
+/**
+ * The SRT companion of a group's video, if it has one
+ * @param {{primaryFile: string, companionFiles: Array<string>}} group - File group from scanFiles
+ * @returns {string|null}
+ */
+export function findSrtCompanion(group) {
+  return group.companionFiles.find(file => extname(file).toLowerCase() === '.srt') || null
+}
+
+/**
+ * Read the SRT positions of a file
+ * @param {string} filePath - SRT file
+ * @returns {Promise<Array<{offset: number, latitude: number, longitude: number, altitude?: number}>>}
+ */
+export async function readDjiSrt(filePath) {
+  return parseDjiSrt(await fs.readFile(filePath, 'utf-8'))
+}
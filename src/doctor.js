@@ -0,0 +1,160 @@
+import { promises as fs, constants } from 'fs'
+import { dirname } from 'path'
+import { loadProfiles, validateProfile, CONFIG_DIR } from './config.js'
+import { JOURNAL_DIR } from './journal.js'
+import { STATE_DIR } from './importState.js'
+import { REPORTS_DIR } from './logger.js'
+import { probeExiftool, EXIFTOOL_FEATURES } from './exiftool.js'
+import { validateCoordinates, validatePositionDetails } from './gpsHandler.js'
+import { loadLocations, LOCATIONS_FILE } from './locations.js'
+
+const DIRECTORIES = {
+  profiles: CONFIG_DIR,
+  journals: JOURNAL_DIR,
+  state: STATE_DIR,
+  reports: REPORTS_DIR,
+}
+
+// A directory that doesn't exist yet is fine as long as it can be created
+async function checkDirectory(name, path) {
+  let target = path
+  let exists = true
+
+  for (;;) {
+    try {
+      const stats = await fs.stat(target)
+      if (!stats.isDirectory()) {
+        return { name, status: 'fail', detail: `${target} is not a directory` }
+      }
+      break
+    } catch (error) {
+      if (error.code !== 'ENOENT' || dirname(target) === target) {
+        return { name, status: 'fail', detail: `${path}: ${error.message}` }
+      }
+      exists = false
+      target = dirname(target)
+    }
+  }
+
+  try {
+    await fs.access(target, constants.W_OK)
+  } catch {
+    return { name, status: 'fail', detail: `${target} is not writable` }
+  }
+
+  return { name, status: 'ok', detail: exists ? path : `${path} (created on first use)` }
+}
+
+async function checkLocations(file) {
+  try {
+    const count = Object.keys(await loadLocations(file)).length
+    return { name: 'locations', status: 'ok', detail: count > 0 ? `${count} saved in ${file}` : 'None saved' }
+  } catch (error) {
+    return { name: 'locations', status: 'fail', detail: error.message }
+  }
+}
+
+function checkProfile(name, profile, exiftool) {
+  const check = `profile ${name}`
+
+  let validated
+  try {
+    validated = validateProfile(profile)
+  } catch (error) {
+    return { name: check, status: 'fail', detail: error.message }
+  }
+
+  const coordinates = validated.gpsCoordinates
+  if (coordinates) {
+    const position = validateCoordinates(coordinates.latitude, coordinates.longitude)
+    const { valid, error } = position.valid ? validatePositionDetails(coordinates) : position
+    if (!valid) {
+      return { name: check, status: 'fail', detail: `Invalid gpsCoordinates: ${error}` }
+    }
+  }
+
+  if (!exiftool.available) {
+    const needs = [
+      validated.addGpsData && (coordinates || validated.gpxFiles.length > 0) && 'addGpsData',
+      validated.srtGps && 'srtGps',
+      validated.locationNames && 'locationNames',
+      validated.rewriteDates && validated.timeOffset && 'rewriteDates',
+    ].filter(Boolean)
+    if (needs.length > 0) {
+      return {
+        name: check,
+        status: 'warn',
+        detail: `${needs.join(' and ')} need exiftool; imports will refuse to start`,
+      }
+    }
+  }
+
+  return { name: check, status: 'ok', detail: profile.source || 'valid' }
+}
+
+/**
+ * Check what ingestio depends on: exiftool, the directories it writes to and the saved profiles
+ * @param {{exiftool?: import('./exiftool.js').default, directories?: Object<string, string>,
+ *   profiles?: Object<string, object>, locationsFile?: string}} options - Replacements for the real exiftool,
+ *   directories, profiles and saved locations
+ * @returns {Promise<{ok: boolean, checks: Array<{name: string, status: 'ok'|'warn'|'fail', detail: string}>}>}
+ *   ok is false when any check failed; warnings don't count
+ */
+export async function runDoctor(options = {}) {
+  const checks = []
+
+  const runtime = process.versions.bun ? `Bun ${process.versions.bun}` : `Node.js ${process.versions.node}`
+  checks.push({ name: 'runtime', status: 'ok', detail: runtime })
+
+  const exiftool = await probeExiftool(options.exiftool)
+  checks.push(
+    exiftool.available
+      ? { name: 'exiftool', status: 'ok', detail: exiftool.version }
+      : { name: 'exiftool', status: 'warn', detail: `${exiftool.error}. Disabled: ${EXIFTOOL_FEATURES.join('; ')}` }
+  )
+
+  for (const [name, path] of Object.entries(options.directories || DIRECTORIES)) {
+    checks.push(await checkDirectory(`${name} dir`, path))
+  }
+  checks.push(await checkLocations(options.locationsFile || LOCATIONS_FILE))
+
+  let profiles = options.profiles
+  if (!profiles) {
+    try {
+      profiles = await loadProfiles()
+    } catch (error) {
+      checks.push({ name: 'profiles', status: 'fail', detail: `Could not load profiles: ${error.message}` })
+      profiles = {}
+    }
+  }
+
+  const names = Object.keys(profiles).sort()
+  if (names.length === 0 && !checks.some(check => check.name === 'profiles')) {
+    checks.push({ name: 'profiles', status: 'warn', detail: 'No profiles yet; run ingestio to create one' })
+  }
+  for (const name of names) {
+    checks.push(checkProfile(name, profiles[name], exiftool))
+  }
+
+  return { ok: checks.every(check => check.status !== 'fail'), checks }
+}
+
+/**
+ * Doctor results as aligned lines, one per check, with a closing verdict
+ * @param {{ok: boolean, checks: Array<{name: string, status: string, detail: string}>}} result - From runDoctor
+ * @returns {string}
+ */
+export function formatDoctorReport(result) {
+  const width = Math.max(...result.checks.map(check => check.name.length))
+  const lines = result.checks.map(check => `${check.status.padEnd(5)} ${check.name.padEnd(width)}  ${check.detail}`)
+
+  const warnings = result.checks.filter(check => check.status === 'warn').length
+  const failures = result.checks.filter(check => check.status === 'fail').length
+  lines.push('')
+  lines.push(
+    failures > 0
+      ? `${failures} problem${failures === 1 ? '' : 's'} found`
+      : `All good${warnings > 0 ? ` (${warnings} warning${warnings === 1 ? '' : 's'})` : ''}`
+  )
+  return lines.join('\n')
+}
@@ -0,0 +1,237 @@
+import { promises as fs } from 'fs'
+import { join, dirname, basename, extname } from 'path'
+import { hashFile, createHasher } from './checksum.js'
+import { getManifestPath, readExistingEntries } from './manifest.js'
+import { SRT_TRACK_FORMATS } from './djiSrt.js'
+
+// Bytes read from each end of a file for the cheap partial fingerprint
+const PARTIAL_CHUNK_SIZE = 64 * 1024
+
+/**
+ * Compute a cheap fingerprint from the first and last chunk of a file
+ * @param {string} filePath - Path to the file
+ * @param {number} size - File size in bytes
+ * @returns {Promise<string>}
+ */
+async function partialFingerprint(filePath, size) {
+  const hasher = createHasher('sha256')
+  const handle = await fs.open(filePath, 'r')
+
+  try {
+    const headLength = Math.min(size, PARTIAL_CHUNK_SIZE)
+    const head = Buffer.alloc(headLength)
+    await handle.read(head, 0, headLength, 0)
+    hasher.update(head)
+
+    if (size > PARTIAL_CHUNK_SIZE) {
+      const tailLength = Math.min(size - PARTIAL_CHUNK_SIZE, PARTIAL_CHUNK_SIZE)
+      const tail = Buffer.alloc(tailLength)
+      await handle.read(tail, 0, tailLength, size - tailLength)
+      hasher.update(tail)
+    }
+  } finally {
+    await handle.close()
+  }
+
+  return hasher.digest()
+}
+
+// Interrupted copies, and flight tracks written next to the video they were taken from
+function isGeneratedFile(name, siblings) {
+  if (name.startsWith('.') && name.endsWith('.ingestio-partial')) return true
+  const extension = extname(name).slice(1)
+  if (!SRT_TRACK_FORMATS.includes(extension)) return false
+  const stem = basename(name, extname(name))
+  return [...siblings].some(sibling => sibling !== name && basename(sibling, extname(sibling)) === stem)
+}
+
+/**
+ * Library-wide content index used by the 'skip-duplicate' collision mode.
+ * Files are bucketed by size; partial and full hashes are only computed when sizes match,
+ * and full hashes already recorded in ingestio manifests are reused instead of re-reading the file.
+ * Manifests and the import history also record the original hash of copies edited after their import (GPS,
+ * dates, place names), so a card file still matches the edited copy made from it.
+ */
+class DuplicateIndex {
+  constructor(libraryRoot, checksumAlgorithm) {
+    this.libraryRoot = libraryRoot
+    this.checksumAlgorithm = checksumAlgorithm
+    this.entriesBySize = new Map()
+    this.fileCount = 0
+  }
+
+  /**
+   * Index the library
+   * @param {Array<{targetPath: string, size: number, checksum: string, checksumAlgorithm: string}>} importedCopies -
+   *   From loadImportedCopies, for libraries without manifests
+   * @returns {Promise<DuplicateIndex>}
+   */
+  async build(importedCopies = []) {
+    const manifestHashes = new Map()
+
+    const walk = async dir => {
+      let entries
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true })
+      } catch (error) {
+        if (error.code === 'ENOENT') return
+        throw error
+      }
+
+      const names = new Set(entries.map(entry => entry.name))
+      for (const entry of entries) {
+        const fullPath = join(dir, entry.name)
+
+        if (entry.isDirectory()) {
+          await walk(fullPath)
+        } else if (entry.isFile()) {
+          if (entry.name.startsWith('ingestio-manifest.')) {
+            await this.loadManifestHashes(fullPath, manifestHashes)
+            continue
+          }
+          if (isGeneratedFile(entry.name, names)) continue
+
+          const stats = await fs.stat(fullPath)
+          this.addEntry({ path: fullPath, size: stats.size })
+        }
+      }
+    }
+
+    await walk(this.libraryRoot)
+
+    // Manifests may be read after the files they describe, so attach their hashes at the end
+    for (const entries of this.entriesBySize.values()) {
+      for (const entry of entries) {
+        const recorded = manifestHashes.get(entry.path)
+        if (recorded && recorded.size === entry.size) {
+          entry.checksum = recorded.hash
+        }
+      }
+    }
+    const indexed = new Set([...this.entriesBySize.values()].flat().map(entry => entry.path))
+    for (const [path, recorded] of manifestHashes) {
+      const entry = this.entriesBySize.get(recorded.size)?.find(candidate => candidate.path === path)
+      if (entry && recorded.sourceHash) {
+        this.addOriginal({ path, size: recorded.sourceSize, checksum: recorded.sourceHash })
+      }
+    }
+    for (const copy of importedCopies) {
+      if (copy.checksumAlgorithm === this.checksumAlgorithm && indexed.has(copy.targetPath)) {
+        this.addOriginal({ path: copy.targetPath, size: copy.size, checksum: copy.checksum })
+      }
+    }
+
+    return this
+  }
+
+  async loadManifestHashes(manifestPath, manifestHashes) {
+    const format = ['json', 'csv'].find(candidate => manifestPath === getManifestPath(dirname(manifestPath), candidate))
+    if (!format) return
+
+    try {
+      for (const file of await readExistingEntries(manifestPath, format)) {
+        if (file.algorithm === this.checksumAlgorithm) {
+          manifestHashes.set(join(dirname(manifestPath), file.file), {
+            hash: file.hash,
+            size: file.size,
+            sourceHash: file.sourceHash,
+            sourceSize: file.sourceSize,
+          })
+        }
+      }
+    } catch (error) {
+      // A damaged manifest only costs us the shortcut; the files get hashed on demand instead
+    }
+  }
+
+  addEntry(entry) {
+    if (!this.entriesBySize.has(entry.size)) {
+      this.entriesBySize.set(entry.size, [])
+    }
+    this.entriesBySize.get(entry.size).push(entry)
+    this.fileCount++
+  }
+
+  // The content a library file had before it was edited: only known by its hash, and not counted as a file
+  addOriginal(entry) {
+    if (!this.entriesBySize.has(entry.size)) {
+      this.entriesBySize.set(entry.size, [])
+    }
+    const bucket = this.entriesBySize.get(entry.size)
+    if (!bucket.some(other => other.original && other.path === entry.path && other.checksum === entry.checksum)) {
+      bucket.push({ ...entry, original: true })
+    }
+  }
+
+  /**
+   * Register a file being imported so later files in the same run are checked against it
+   * @param {string} filePath - Path of the file inside the library
+   * @param {number} size - File size in bytes
+   * @param {string|null} checksum - Full hash if already known
+   * @param {string} contentPath - Where to read the content from while the copy is still pending
+   */
+  add(filePath, size, checksum = null, contentPath = filePath) {
+    this.addEntry({ path: filePath, contentPath, size, checksum })
+  }
+
+  async readEntry(entry, read) {
+    try {
+      return await read(entry.contentPath || entry.path)
+    } catch (error) {
+      // A pending file's source is gone once it has been moved into the library
+      if (error.code === 'ENOENT' && entry.contentPath && entry.contentPath !== entry.path) {
+        return read(entry.path)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Find a library file with the same content as the given file
+   * @param {string} filePath - Candidate file (usually on the card)
+   * @returns {Promise<string|null>} - Path of the existing copy, or null
+   */
+  async findDuplicate(filePath) {
+    const { size } = await fs.stat(filePath)
+    const candidates = this.entriesBySize.get(size)
+
+    if (!candidates || candidates.length === 0) {
+      return null
+    }
+
+    const partial = await partialFingerprint(filePath, size)
+    let fullHash = null
+
+    for (const entry of candidates) {
+      try {
+        if (entry.original) {
+          fullHash ??= await hashFile(filePath, this.checksumAlgorithm)
+          if (entry.checksum === fullHash) return entry.path
+          continue
+        }
+
+        if (!entry.partial) {
+          entry.partial = await this.readEntry(entry, path => partialFingerprint(path, entry.size))
+        }
+        if (entry.partial !== partial) continue
+
+        if (!entry.checksum) {
+          entry.checksum = await this.readEntry(entry, path => hashFile(path, this.checksumAlgorithm))
+        }
+        if (!fullHash) {
+          fullHash = await hashFile(filePath, this.checksumAlgorithm)
+        }
+        if (entry.checksum === fullHash) {
+          return entry.path
+        }
+      } catch (error) {
+        // The library file vanished or became unreadable; it can't be a duplicate
+        if (error.code !== 'ENOENT' && error.code !== 'EACCES') throw error
+      }
+    }
+
+    return null
+  }
+}
+
+export default DuplicateIndex
@@ -0,0 +1,274 @@
+import { spawn } from 'child_process'
+
+// Requests written to exiftool's stdin in one go; exiftool works through them in order
+const DEFAULT_BATCH_SIZE = 16
+
+// Generous enough for rewriting the metadata of a multi-gigabyte video on a slow disk
+const DEFAULT_TIMEOUT = 120000
+
+// An idle process is closed after this long so nothing keeps running between imports
+const DEFAULT_IDLE_TIMEOUT = 5000
+
+// What stops working without exiftool; everything else has built-in readers
+export const EXIFTOOL_FEATURES = [
+  'GPS writing',
+  'date rewriting (rewriteDates)',
+  'location names in IPTC/XMP fields (locationNames)',
+  'GPS checks and capture dates of files the built-in readers cannot parse (e.g. some RAW formats)',
+  'camera tokens ({make}, {model}, {lens}, {iso}) for videos',
+]
+
+/**
+ * A long-running exiftool in -stay_open mode. Requests are queued, sent in batches over stdin and answered in
+ * order, so a card of thousands of files costs one exiftool start instead of one per file and per read.
+ */
+export default class ExiftoolProcess {
+  /**
+   * @param {{command?: string, batchSize?: number, timeout?: number, idleTimeout?: number}} options - timeout:
+   *   milliseconds a request may take before the process is restarted; idleTimeout: milliseconds without
+   *   requests before the process is closed (it starts again on the next request)
+   */
+  constructor(options = {}) {
+    this.command = options.command || 'exiftool'
+    this.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT
+    this.idleTimeout = options.idleTimeout ?? DEFAULT_IDLE_TIMEOUT
+    this.queue = []
+    this.sent = []
+    this.child = null
+    this.nextId = 1
+    this.idleTimer = null
+    this.closing = null
+    this.onDrained = null
+    this.unavailable = null
+  }
+
+  /**
+   * Run one exiftool command
+   * @param {string[]} args - Command-line arguments, one per element
+   * @param {{timeout?: number}} options - Override the process timeout for this request
+   * @returns {Promise<string>} - Standard output; rejects with exiftool's error message
+   */
+  run(args, options = {}) {
+    if (args.some(arg => String(arg).includes('\n'))) {
+      return Promise.reject(new Error('exiftool arguments cannot contain line breaks'))
+    }
+    // Not installed: fail at once instead of trying to start it again for every file
+    if (this.unavailable) {
+      return Promise.reject(this.unavailable)
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ args, timeout: options.timeout ?? this.timeout, resolve, reject })
+      this.flush()
+    })
+  }
+
+  /**
+   * Finish queued requests, then let exiftool exit
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearTimeout(this.idleTimer)
+    if (this.queue.length > 0 || this.sent.length > 0) {
+      await new Promise(resolve => {
+        this.onDrained = resolve
+      })
+    }
+    await this.stop()
+  }
+
+  start() {
+    const child = spawn(this.command, ['-stay_open', 'True', '-@', '-'])
+    const state = { stdout: '', stderr: '' }
+    this.child = child
+
+    // Decoded as streams so multi-byte characters split across chunks survive
+    child.stdout.setEncoding('utf8')
+    child.stderr.setEncoding('utf8')
+    child.stdout.on('data', data => {
+      state.stdout += data
+      this.settle(child, state)
+    })
+    child.stderr.on('data', data => {
+      state.stderr += data
+      this.settle(child, state)
+    })
+    child.stdin.on('error', () => {
+      // A dead process is reported through 'error'/'exit'
+    })
+    child.on('error', error => {
+      if (error.code === 'ENOENT' || error.code === 'EACCES') {
+        this.unavailable = new Error(`exiftool not found (${this.command}): install it from https://exiftool.org`)
+      }
+      this.abort(child, this.unavailable || error)
+    })
+    child.on('exit', () => this.abort(child, new Error('exiftool exited unexpectedly')))
+  }
+
+  // Write queued requests; each ends with a marker exiftool echoes on stdout and stderr when it is done
+  flush() {
+    clearTimeout(this.idleTimer)
+    if (this.closing) return
+
+    if (!this.child) {
+      this.start()
+    }
+
+    const batch = []
+    while (this.queue.length > 0 && this.sent.length < this.batchSize) {
+      const request = this.queue.shift()
+      request.id = this.nextId++
+      this.sent.push(request)
+      batch.push(...request.args, '-echo4', `{ready${request.id}}`, `-execute${request.id}`)
+    }
+
+    if (batch.length > 0) {
+      this.child.stdin.write(batch.join('\n') + '\n')
+      this.armTimeout()
+    }
+  }
+
+  // Only the oldest request is running; the others wait behind it inside exiftool
+  armTimeout() {
+    const [request] = this.sent
+    if (!request || request.timer) return
+
+    request.timer = setTimeout(() => {
+      const child = this.child
+      this.sent.shift()
+      request.reject(new Error(`exiftool timed out after ${request.timeout}ms`))
+      // The process is stuck; requests behind this one were never started and go to a fresh process
+      this.queue.unshift(...this.sent.map(({ timer, ...rest }) => rest))
+      this.sent = []
+      this.child = null
+      child?.kill()
+      this.flush()
+    }, request.timeout)
+  }
+
+  settle(child, state) {
+    while (child === this.child && this.sent.length > 0) {
+      const request = this.sent[0]
+      const marker = `{ready${request.id}}\n`
+      const stdoutEnd = state.stdout.indexOf(marker)
+      const stderrEnd = state.stderr.indexOf(marker)
+      if (stdoutEnd === -1 || stderrEnd === -1) return
+
+      const output = state.stdout.slice(0, stdoutEnd)
+      const error = state.stderr.slice(0, stderrEnd).trim()
+      state.stdout = state.stdout.slice(stdoutEnd + marker.length)
+      state.stderr = state.stderr.slice(stderrEnd + marker.length)
+
+      clearTimeout(request.timer)
+      this.sent.shift()
+      // Warnings go to stderr as well; only errors fail the request, as exiftool's exit code would
+      if (/^Error/m.test(error)) {
+        request.reject(new Error(error))
+      } else {
+        request.resolve(output)
+      }
+
+      this.armTimeout()
+    }
+
+    if (this.queue.length > 0) {
+      this.flush()
+    } else if (this.sent.length === 0) {
+      this.idle()
+    }
+  }
+
+  abort(child, error) {
+    if (child !== this.child) return
+    this.child = null
+
+    for (const request of [...this.sent, ...this.queue]) {
+      clearTimeout(request.timer)
+      request.reject(error)
+    }
+    this.sent = []
+    this.queue = []
+    this.idle()
+  }
+
+  idle() {
+    if (this.onDrained) {
+      const drained = this.onDrained
+      this.onDrained = null
+      drained()
+      return
+    }
+
+    clearTimeout(this.idleTimer)
+    this.idleTimer = setTimeout(() => this.stop(), this.idleTimeout)
+    this.idleTimer.unref?.()
+  }
+
+  stop() {
+    const child = this.child
+    if (!child) return Promise.resolve()
+
+    this.child = null
+    this.closing = new Promise(resolve => {
+      const timer = setTimeout(() => child.kill(), 2000)
+      child.once('exit', () => {
+        clearTimeout(timer)
+        resolve()
+      })
+      child.stdin.end('-stay_open\nFalse\n')
+    }).finally(() => {
+      this.closing = null
+      if (this.queue.length > 0) this.flush()
+    })
+    return this.closing
+  }
+}
+
+let shared = null
+let probe = null
+
+/**
+ * Check that exiftool can be started and answers, and which version it is
+ * @param {ExiftoolProcess} exiftool - Process to probe; the shared one by default (the result is then cached)
+ * @returns {Promise<{available: boolean, version?: string, error?: string}>}
+ */
+export function probeExiftool(exiftool = null) {
+  const check = async target => {
+    try {
+      const version = (await target.run(['-ver'], { timeout: 10000 })).trim()
+      return { available: true, version }
+    } catch (error) {
+      return { available: false, error: error.message }
+    }
+  }
+
+  if (exiftool) return check(exiftool)
+  shared ??= new ExiftoolProcess()
+  probe ??= check(shared)
+  return probe
+}
+
+/**
+ * Run exiftool through the shared -stay_open process
+ * @param {string[]} args - Command-line arguments
+ * @param {{timeout?: number}} options - Override the request timeout
+ * @returns {Promise<string>} - Standard output; rejects with standard error when exiftool reports an error
+ */
+export function runExiftool(args, options = {}) {
+  shared ??= new ExiftoolProcess()
+  return shared.run(args, options)
+}
+
+/**
+ * Let the shared exiftool process finish its work and exit
+ * @returns {Promise<void>}
+ */
+export async function closeExiftool() {
+  if (shared) {
+    const process = shared
+    shared = null
+    probe = null
+    await process.close()
+  }
+}
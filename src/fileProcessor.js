@@ -1,6 +1,17 @@
 import { promises as fs } from 'fs'
 import { join, extname, basename, dirname } from 'path'
 import exifr from 'exifr'
+import { hashFile } from './checksum.js'
+import { runExiftool } from './exiftool.js'
+import { readCaptureDate, DEFAULT_DATE_SOURCES } from './dateSources.js'
+import { parseTimeShift, shiftDate, exiftoolShiftArgs } from './timeShift.js'
+import {
+  renderTemplate,
+  renderFolderTemplate,
+  templateHasExtension,
+  templateUsesMetadata,
+  getMediaType,
+} from './template.js'
 
 export async function scanFiles(
   sourcePath,
@@ -45,6 +56,9 @@ export async function scanFiles(
 
   await scan(sourcePath)
 
+  // Directory order differs between filesystems; a stable order keeps collision suffixes reproducible
+  files.sort()
+
   // Group files by relationships if enabled
   if (maintainFileRelationships) {
     return groupRelatedFiles(files, primaryExtensions, companionExtensions)
@@ -58,85 +72,160 @@ export async function scanFiles(
   }))
 }
 
-export async function extractFileDate(filePath, useExifDate) {
-  if (useExifDate) {
-    try {
-      const exifData = await exifr.parse(filePath)
-      if (exifData?.DateTimeOriginal) {
-        return new Date(exifData.DateTimeOriginal)
-      }
-      if (exifData?.DateTime) {
-        return new Date(exifData.DateTime)
+/**
+ * Capture time of a file. EXIF DateTimeOriginal is read with its OffsetTimeOriginal when the camera wrote one,
+ * otherwise as a wall-clock time in the camera's zone. Movies are read by the built-in QuickTime parser
+ * (see quickTimeCaptureDate), with exiftool as a fallback. Falls back to the file's modification time.
+ * @param {string} filePath - Media file
+ * @param {boolean} useExifDate - Read embedded dates; false goes straight to the modification time
+ * @param {string|null} timeZone - Zone the camera clock runs in (profile cameraTimezone); null for the system zone
+ * @param {{dateSources?: Array<string>, filenamePatterns?: Array}} options - Sources to try instead of the default
+ *   order (see readCaptureDate), e.g. with 'filename-pattern' before 'mtime', and the profile's own patterns
+ * @returns {Promise<Date>}
+ */
+export async function extractFileDate(filePath, useExifDate, timeZone = null, options = {}) {
+  const sources = options.dateSources || (useExifDate ? DEFAULT_DATE_SOURCES : ['mtime'])
+  const { date } = await readCaptureDate(filePath, sources, { timeZone, filenamePatterns: options.filenamePatterns })
+  return date
+}
+
+const CAMERA_METADATA_TAGS = {
+  make: ['Make'],
+  model: ['Model'],
+  lens: ['LensModel', 'Lens'],
+  iso: ['ISO'],
+}
+
+/**
+ * Read the camera fields available to templates ({make}, {model}, {lens}, {iso})
+ * @param {string} filePath - Media file
+ * @returns {Promise<{make?: string, model?: string, lens?: string, iso?: number}>}
+ */
+export async function extractCameraMetadata(filePath) {
+  const pick = data => {
+    const metadata = {}
+    for (const [field, tags] of Object.entries(CAMERA_METADATA_TAGS)) {
+      const value = tags.map(tag => data?.[tag]).find(v => v !== undefined && v !== null && v !== '')
+      if (value !== undefined) {
+        metadata[field] = typeof value === 'string' ? value.trim() : Array.isArray(value) ? value[0] : value
       }
-    } catch (error) {
-      // Fallback to exiftool for DNG files or other files that exifr can't handle
     }
+    return metadata
+  }
 
-    // Try exiftool as fallback, especially useful for DNG files
-    try {
-      const { spawn } = await import('child_process')
-      const { promisify } = await import('util')
-
-      const result = await new Promise((resolve, reject) => {
-        const process = spawn('exiftool', ['-DateTimeOriginal', '-s3', filePath])
-        let output = ''
-        let error = ''
+  try {
+    const { size } = await fs.stat(filePath)
+    if (size === 0) return {}
 
-        process.stdout.on('data', data => {
-          output += data.toString()
-        })
+    const metadata = pick(await exifr.parse(filePath, Object.values(CAMERA_METADATA_TAGS).flat()))
+    if (Object.keys(metadata).length > 0) return metadata
+  } catch (error) {
+    // Videos and some RAW formats aren't readable by exifr; try exiftool
+  }
 
-        process.stderr.on('data', data => {
-          error += data.toString()
-        })
+  try {
+    const output = await runExiftool([
+      '-j',
+      ...Object.values(CAMERA_METADATA_TAGS)
+        .flat()
+        .map(tag => `-${tag}`),
+      filePath,
+    ])
+    return pick(JSON.parse(output)[0])
+  } catch (error) {
+    return {}
+  }
+}
 
-        process.on('close', code => {
-          if (code === 0 && output.trim()) {
-            resolve(output.trim())
-          } else {
-            reject(new Error(error || 'exiftool failed'))
-          }
-        })
-      })
+/**
+ * Move the embedded capture dates of a file by a clock correction, in place
+ * @param {string} filePath - Destination copy
+ * @param {number} milliseconds - Correction from parseTimeShift
+ * @returns {Promise<void>}
+ */
+export async function shiftEmbeddedDates(filePath, milliseconds) {
+  try {
+    await runExiftool(['-overwrite_original', ...exiftoolShiftArgs(milliseconds), filePath])
+  } catch (error) {
+    throw new Error(`Failed to rewrite dates: ${error.message.trim()}`)
+  }
+}
 
-      if (result) {
-        // Parse exiftool date format: "YYYY:MM:DD HH:MM:SS"
-        const dateStr = result.replace(/(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3')
-        const date = new Date(dateStr)
-        if (!isNaN(date.getTime())) {
-          return date
-        }
-      }
-    } catch (error) {
-      // Fallback to file mtime if both exifr and exiftool fail
-    }
+/**
+ * Read everything naming a group needs from its primary file
+ * @param {string} filePath - Primary file of the group
+ * @param {{useExifDate: boolean, filenameFormat: string, folderFormat?: string, cameraTimezone?: string|null,
+ *   timeOffset?: number|string|null, dateSources?: Array<string>, filenamePatterns?: Array}} profile - Validated
+ *   profile; timeOffset corrects the camera clock, dateSources lists where the capture date may come from, in order
+ * @param {Date|null} knownDate - Date recorded earlier (resume, already corrected), skips date extraction
+ * @param {string|null} knownSource - Date source recorded with knownDate
+ * @returns {Promise<{date: Date, dateSource: string|null, metadata: object}>}
+ */
+export async function readCaptureInfo(filePath, profile, knownDate = null, knownSource = null) {
+  let date = knownDate
+  let dateSource = knownSource
+
+  if (!date) {
+    const sources = profile.dateSources || (profile.useExifDate ? DEFAULT_DATE_SOURCES : ['mtime'])
+    const capture = await readCaptureDate(filePath, sources, {
+      timeZone: profile.cameraTimezone,
+      filenamePatterns: profile.filenamePatterns,
+    })
+    date = shiftDate(capture.date, profile.timeOffset ? parseTimeShift(profile.timeOffset) : 0)
+    dateSource = capture.source
   }
 
-  const stats = await fs.stat(filePath)
-  return stats.mtime
+  const needsMetadata = [profile.filenameFormat, profile.folderFormat].some(
+    template => template && templateUsesMetadata(template)
+  )
+  const metadata = needsMetadata ? await extractCameraMetadata(filePath) : {}
+  return { date, dateSource, metadata }
 }
 
+/**
+ * Work out where a file goes
+ * @param {Date} date - Capture date
+ * @param {string} cameraLabel - Camera label for {camera}
+ * @param {string} originalPath - Source file, used for {original}, {seq}, {ext} and the extension
+ * @param {string} destinationRoot - Library root
+ * @param {string} filenameFormat - Filename template
+ * @param {{counter?: number, metadata?: object, project?: string, mediaType?: string, folderFormat?: string,
+ *   timeZone?: string|null, location?: object|null}} context - Values for {counter}, {project}, {mediaType}, the
+ *   EXIF and the place tokens, the folder template ('{date}' by default) and the zone date and time tokens are
+ *   rendered in (system zone by default)
+ * @returns {{targetDir: string, baseFilename: string}}
+ */
 export function generateTargetPath(
   date,
   cameraLabel,
   originalPath,
   destinationRoot,
-  filenameFormat = '{date}_{time}_{camera}'
+  filenameFormat = '{date}_{time}_{camera}',
+  context = {}
 ) {
-  const dateStr = date.toISOString().split('T')[0] // YYYY-MM-DD
-  const timeStr = date.toTimeString().split(' ')[0].replace(/:/g, '-') // HH-MM-SS
-
-  const ext = extname(originalPath)
-  const targetDir = join(destinationRoot, dateStr)
+  const values = { ...context, date, camera: cameraLabel, originalPath }
+  const targetDir = join(destinationRoot, ...renderFolderTemplate(context.folderFormat || '{date}', values))
 
-  // Generate filename from format template
-  const baseFilename =
-    filenameFormat.replace('{date}', dateStr).replace('{time}', timeStr).replace('{camera}', cameraLabel) + ext
+  // Generate filename from format template; the extension is appended unless {ext} places it
+  let baseFilename = renderTemplate(filenameFormat, values)
+  if (!templateHasExtension(filenameFormat)) {
+    baseFilename += extname(originalPath)
+  }
 
   return { targetDir, baseFilename }
 }
 
-export async function findAvailableFilename(targetDir, baseFilename) {
+/**
+ * Find a filename in targetDir that is neither on disk nor reserved by an earlier file of the same run,
+ * appending _1, _2, ... to the base name as needed. The chosen path is added to reservedPaths.
+ * @param {string} targetDir - Destination folder
+ * @param {string} baseFilename - Preferred filename
+ * @param {Set<string>|null} reservedPaths - Target paths already claimed during this import
+ * @param {{checkDisk?: boolean}} options - checkDisk: false only avoids reserved names (replace mode)
+ * @returns {Promise<string>}
+ */
+export async function findAvailableFilename(targetDir, baseFilename, reservedPaths = null, options = {}) {
+  const { checkDisk = true } = options
   const ext = extname(baseFilename)
   const nameWithoutExt = basename(baseFilename, ext)
 
@@ -145,41 +234,137 @@ export async function findAvailableFilename(targetDir, baseFilename) {
 
   while (true) {
     const fullPath = join(targetDir, filename)
-    try {
-      await fs.access(fullPath)
-      filename = `${nameWithoutExt}_${counter}${ext}`
-      counter++
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return filename
+    let taken = reservedPaths?.has(fullPath) || false
+
+    if (!taken && checkDisk) {
+      try {
+        await fs.access(fullPath)
+        taken = true
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error
+        }
       }
-      throw error
     }
+
+    if (!taken) {
+      reservedPaths?.add(fullPath)
+      return filename
+    }
+
+    filename = `${nameWithoutExt}_${counter}${ext}`
+    counter++
   }
 }
 
-export async function processFile(sourcePath, targetDir, filename, copyFiles) {
+/**
+ * Get the temporary name a file is written under until its transfer is complete
+ * @param {string} targetPath - Final destination path
+ * @returns {string}
+ */
+export function getPartialPath(targetPath) {
+  return join(dirname(targetPath), `.${basename(targetPath)}.ingestio-partial`)
+}
+
+/**
+ * Copy a file under a temporary name, verify it if requested, then atomically rename it into place,
+ * so an interrupted import never leaves a truncated file under its final name
+ */
+async function copyIntoPlace(sourcePath, targetPath, expectedHash, checksumAlgorithm, verifyRetries) {
+  const partialPath = getPartialPath(targetPath)
+
+  try {
+    if (!checksumAlgorithm) {
+      await fs.copyFile(sourcePath, partialPath)
+    } else {
+      const attempts = verifyRetries + 1
+      let actualHash
+
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        await fs.copyFile(sourcePath, partialPath)
+        actualHash = await hashFile(partialPath, checksumAlgorithm)
+
+        if (actualHash === expectedHash) {
+          break
+        }
+        if (attempt === attempts) {
+          throw new Error(
+            `Checksum mismatch for ${sourcePath} after ${attempts} attempt(s): ` +
+              `expected ${checksumAlgorithm} ${expectedHash}, got ${actualHash}`
+          )
+        }
+      }
+    }
+
+    await fs.rename(partialPath, targetPath)
+  } catch (error) {
+    // Never leave a corrupt or partial copy behind that could later be mistaken for a good one
+    await fs.rm(partialPath, { force: true })
+    throw error
+  }
+}
+
+/**
+ * Transfer a single file, optionally verifying it by checksum.
+ * With a checksum algorithm the source is hashed before the transfer and the destination
+ * re-hashed afterwards; mismatched copies are retried and then reported as an error.
+ * Copies are written under a temporary name and renamed into place once complete.
+ * In move mode the source is only unlinked after the copy has been verified.
+ * @param {string} sourcePath - File to transfer
+ * @param {string} targetDir - Destination folder (created if missing)
+ * @param {string} filename - Destination filename
+ * @param {{transferMode?: string, checksumAlgorithm?: string|null, verifyRetries?: number}} options
+ * @returns {Promise<{targetPath: string, size: number, checksum: string|null}>}
+ */
+export async function transferFile(sourcePath, targetDir, filename, options = {}) {
+  const { transferMode = 'copy', checksumAlgorithm = null, verifyRetries = 0 } = options
+
   await fs.mkdir(targetDir, { recursive: true })
 
   const targetPath = join(targetDir, filename)
+  const { size } = await fs.stat(sourcePath)
+  const sourceHash = checksumAlgorithm ? await hashFile(sourcePath, checksumAlgorithm) : null
 
-  if (copyFiles) {
-    await fs.copyFile(sourcePath, targetPath)
-  } else {
-    try {
-      // Try rename first (faster for same filesystem)
-      await fs.rename(sourcePath, targetPath)
-    } catch (error) {
-      if (error.code === 'EXDEV') {
-        // Cross-device move: copy then delete
-        await fs.copyFile(sourcePath, targetPath)
-        await fs.unlink(sourcePath)
-      } else {
-        throw error
+  if (transferMode === 'copy') {
+    await copyIntoPlace(sourcePath, targetPath, sourceHash, checksumAlgorithm, verifyRetries)
+    return { targetPath, size, checksum: sourceHash }
+  }
+
+  let renamed = false
+  try {
+    // Try rename first (faster for same filesystem)
+    await fs.rename(sourcePath, targetPath)
+    renamed = true
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error
+    }
+  }
+
+  if (renamed) {
+    if (checksumAlgorithm) {
+      const targetHash = await hashFile(targetPath, checksumAlgorithm)
+      if (targetHash !== sourceHash) {
+        throw new Error(
+          `Checksum mismatch for ${targetPath} after move: expected ${checksumAlgorithm} ${sourceHash}, got ${targetHash}`
+        )
       }
     }
+    return { targetPath, size, checksum: sourceHash }
   }
 
+  // Cross-device move: copy, verify, then delete
+  await copyIntoPlace(sourcePath, targetPath, sourceHash, checksumAlgorithm, verifyRetries)
+  await fs.unlink(sourcePath)
+
+  return { targetPath, size, checksum: sourceHash }
+}
+
+export async function processFile(sourcePath, targetDir, filename, copyFiles) {
+  const { targetPath } = await transferFile(sourcePath, targetDir, filename, {
+    transferMode: copyFiles ? 'copy' : 'move',
+  })
+
   return targetPath
 }
 
@@ -245,48 +430,250 @@ export function groupRelatedFiles(files, primaryExtensions, companionExtensions)
   return fileGroups
 }
 
-export async function processFileGroup(
+/**
+ * Decide where every file of a group goes, without transferring anything.
+ * Groups must be planned one at a time in import order: names are claimed in reservedPaths, so
+ * two groups resolving to the same filename always get the same suffixes no matter which
+ * transfer finishes first. Duplicate checks also happen here for the same reason.
+ * @param {{files: string[], primaryFile: string, companionFiles: string[]}} group - File group
+ * @param {Date} date - Capture date of the primary file
+ * @param {string} cameraLabel - Camera label used in the filename
+ * @param {string} destinationRoot - Library root
+ * @param {string} onCollision - 'rename', 'replace' or 'skip-duplicate'
+ * @param {string} filenameFormat - Filename template
+ * @param {{duplicateIndex?: object, completedFiles?: Map<string, object>, reservedPaths?: Set<string>,
+ *   counter?: number, metadata?: object, folderFormat?: string, project?: string, timeZone?: string|null,
+ *   location?: object|null}} options - counter is the group's position in the import, metadata the camera fields
+ *   of the primary file, location the place it was taken from reverseGeocode
+ * @returns {Promise<{targetDir: string, files: Array<object>}>}
+ */
+export async function planFileGroup(
   group,
   date,
   cameraLabel,
   destinationRoot,
   onCollision,
-  transferMode,
-  filenameFormat
+  filenameFormat,
+  options = {}
 ) {
-  const results = []
+  const reservedPaths = options.reservedPaths || new Set()
+  const context = {
+    counter: options.counter,
+    metadata: options.metadata,
+    project: options.project,
+    folderFormat: options.folderFormat,
+    timeZone: options.timeZone,
+    location: options.location,
+    mediaType: getMediaType(group.primaryFile),
+  }
 
-  // Generate target path based on the primary file
-  const { targetDir, baseFilename } = generateTargetPath(
+  // Folder and naming come from the primary file; companions share its base name
+  const { targetDir } = generateTargetPath(
     date,
     cameraLabel,
     group.primaryFile,
     destinationRoot,
-    filenameFormat
+    filenameFormat,
+    context
   )
+  const files = []
 
-  // Get base filename without extension for consistent naming
-  const baseFilenameWithoutExt = basename(baseFilename, extname(baseFilename))
-
-  // Process each file in the group
   for (const file of group.files) {
-    const ext = extname(file)
-    const groupFilename = `${baseFilenameWithoutExt}${ext}`
+    const isCompanion = group.companionFiles.includes(file)
+
+    // Files finished before an interruption are reported from the journal, not transferred again
+    const completed = options.completedFiles?.get(file)
+    if (completed) {
+      if (completed.targetPath) reservedPaths.add(completed.targetPath)
+      files.push({ sourcePath: file, isCompanion, completed })
+      continue
+    }
 
-    let finalFilename
-    if (onCollision === 'replace') {
-      finalFilename = groupFilename
-    } else {
-      finalFilename = await findAvailableFilename(targetDir, groupFilename)
+    const duplicateOf =
+      onCollision === 'skip-duplicate' && options.duplicateIndex
+        ? await options.duplicateIndex.findDuplicate(file)
+        : null
+
+    if (duplicateOf) {
+      files.push({ sourcePath: file, isCompanion, duplicateOf })
+      continue
     }
 
-    const targetPath = await processFile(file, targetDir, finalFilename, transferMode === 'copy')
-    results.push({
-      sourcePath: file,
-      targetPath: targetPath,
-      isCompanion: group.companionFiles.includes(file),
+    const { baseFilename: groupFilename } = generateTargetPath(
+      date,
+      cameraLabel,
+      file,
+      destinationRoot,
+      filenameFormat,
+      context
+    )
+    // Replace only overwrites files from earlier imports, never another file of this run
+    const filename = await findAvailableFilename(targetDir, groupFilename, reservedPaths, {
+      checkDisk: onCollision !== 'replace',
     })
+    const targetPath = join(targetDir, filename)
+
+    // Later files of this run must find this one even though it hasn't been copied yet
+    if (options.duplicateIndex) {
+      const { size } = await fs.stat(file)
+      options.duplicateIndex.add(targetPath, size, null, file)
+    }
+
+    files.push({ sourcePath: file, isCompanion, filename, targetPath, renamed: filename !== groupFilename })
+  }
+
+  return { targetDir, files }
+}
+
+/**
+ * Transfer the files of a planned group
+ * @param {{targetDir: string, files: Array<object>}} plan - Result of planFileGroup
+ * @param {string} transferMode - 'copy', 'move' or 'safe-move'
+ * @param {object} options - checksumAlgorithm, verifyRetries, onFileStart(file, targetPath), onFileDone(result),
+ *   and limit, a limiter from createLimiter that every file transfer is run through
+ * @returns {Promise<Array<object>>} - One result per file, in group order
+ */
+export async function executeFilePlan(plan, transferMode, options = {}) {
+  const limit = options.limit || (task => task())
+
+  // Safe-move copies and verifies now; sources are removed later by removeVerifiedSources
+  const safeMove = transferMode === 'safe-move'
+
+  const transferOne = async entry => {
+    if (entry.completed) {
+      return { ...entry.completed, resumed: true }
+    }
+
+    let result
+    if (entry.duplicateOf) {
+      result = {
+        sourcePath: entry.sourcePath,
+        targetPath: null,
+        isCompanion: entry.isCompanion,
+        skipped: true,
+        duplicateOf: entry.duplicateOf,
+      }
+    } else {
+      result = await limit(async () => {
+        if (options.onFileStart) {
+          await options.onFileStart(entry.sourcePath, entry.targetPath)
+        }
+
+        const startTime = Date.now()
+        const transfer = await transferFile(entry.sourcePath, plan.targetDir, entry.filename, {
+          transferMode: safeMove ? 'copy' : transferMode,
+          checksumAlgorithm: options.checksumAlgorithm || (safeMove ? 'sha256' : null),
+          verifyRetries: options.verifyRetries,
+        })
+
+        return {
+          sourcePath: entry.sourcePath,
+          targetPath: transfer.targetPath,
+          isCompanion: entry.isCompanion,
+          size: transfer.size,
+          checksum: transfer.checksum,
+          // What the source was verified as; the copy may be edited later (GPS, dates, place names)
+          sourceSize: transfer.size,
+          sourceChecksum: transfer.checksum,
+          pendingRemoval: safeMove,
+          duration: Date.now() - startTime,
+        }
+      })
+    }
+
+    if (options.onFileDone) {
+      await options.onFileDone(result)
+    }
+    return result
+  }
+
+  // Let every file finish (or fail) before reporting, so no transfer is left running unobserved
+  const settled = await Promise.allSettled(plan.files.map(transferOne))
+  const failure = settled.find(outcome => outcome.status === 'rejected')
+  if (failure) {
+    throw failure.reason
+  }
+
+  return settled.map(outcome => outcome.value)
+}
+
+export async function processFileGroup(
+  group,
+  date,
+  cameraLabel,
+  destinationRoot,
+  onCollision,
+  transferMode,
+  filenameFormat,
+  options = {}
+) {
+  const plan = await planFileGroup(group, date, cameraLabel, destinationRoot, onCollision, filenameFormat, options)
+  return executeFilePlan(plan, transferMode, options)
+}
+
+/**
+ * Remove the sources of verified safe-move transfers.
+ * Each source is re-checked against the size and hash it was verified with at transfer time, and every
+ * copy made from it must still exist; anything that doesn't match is kept. Each source is removed once, even
+ * when several results share it. The destination's content isn't
+ * compared, since metadata writes after the transfer legitimately change it.
+ * @param {Array<{sourcePath: string, targetPath: string, sourceSize?: number, sourceChecksum?: string,
+ *   size: number, checksum: string}>} results - Transfer results; size and checksum stand in for the
+ *   source values in results recorded without them
+ * @param {string} checksumAlgorithm - Algorithm the recorded checksums were computed with
+ * @returns {Promise<{removed: string[], kept: Array<{sourcePath: string, reason: string}>}>}
+ */
+export async function removeVerifiedSources(results, checksumAlgorithm) {
+  const removed = []
+  const kept = []
+
+  // A companion shared by several groups was copied once per group; its source goes once all copies are there
+  const copiesBySource = new Map()
+  for (const result of results) {
+    if (!copiesBySource.has(result.sourcePath)) {
+      copiesBySource.set(result.sourcePath, [])
+    }
+    copiesBySource.get(result.sourcePath).push(result)
+  }
+
+  for (const [sourcePath, copies] of copiesBySource) {
+    try {
+      const targetsPresent = await Promise.all(
+        copies.map(copy =>
+          fs.stat(copy.targetPath).then(
+            () => true,
+            () => false
+          )
+        )
+      )
+      if (targetsPresent.includes(false)) {
+        kept.push({ sourcePath, reason: 'copy missing' })
+        continue
+      }
+
+      // Every copy was verified against the same source content
+      const [verified] = copies
+      const sourceSize = verified.sourceSize ?? verified.size
+      const sourceChecksum = verified.sourceChecksum ?? verified.checksum
+
+      const sourceStats = await fs.stat(sourcePath)
+      if (sourceStats.size !== sourceSize) {
+        kept.push({ sourcePath, reason: 'size changed since transfer' })
+        continue
+      }
+
+      const sourceHash = await hashFile(sourcePath, checksumAlgorithm)
+      if (sourceHash !== sourceChecksum) {
+        kept.push({ sourcePath, reason: 'checksum changed since transfer' })
+        continue
+      }
+
+      await fs.unlink(sourcePath)
+      removed.push(sourcePath)
+    } catch (error) {
+      kept.push({ sourcePath, reason: error.message })
+    }
   }
 
-  return results
+  return { removed, kept }
 }
@@ -0,0 +1,201 @@
+import { promises as fs } from 'fs'
+import { fileURLToPath } from 'url'
+import { runExiftool } from './exiftool.js'
+import { readGpsCoordinates } from './gpsHandler.js'
+import { checkGpsPosition } from './gpsSanity.js'
+import { locateInTrack, trackLookupOptions } from './gpsTrack.js'
+import { findSrtCompanion, readDjiSrt } from './djiSrt.js'
+import { getMediaType } from './template.js'
+
+// Bundled city list: the GeoNames cities15000 extract (February 2017 dump, from the cities15000 npm package, CC BY
+// 3.0) with region names from the GeoNames admin1 codes (from the cities.json package, CC BY 4.0), reduced to the
+// columns the lookup needs. Regions whose codes changed since the dump are left empty.
+const CITIES_FILE = fileURLToPath(new URL('../data/cities.tsv', import.meta.url))
+const COUNTRIES_FILE = fileURLToPath(new URL('../data/countries.tsv', import.meta.url))
+
+// A position further than this from every listed city gets no names rather than a misleading one
+export const DEFAULT_MAX_DISTANCE = 100
+
+const EARTH_RADIUS = 6371
+
+let bundled = null
+
+// Tab-separated with a header row; columns are looked up by name so extracts may add their own. Rows keep
+// their line number in the file, counting blank and comment lines, for error messages.
+function parseTable(text, source) {
+  const [header, ...rows] = text.replace(/\r/g, '').split('\n')
+  const columns = header.split('\t').map(column => column.trim())
+
+  return rows
+    .map((row, index) => ({ row, line: index + 2 }))
+    .filter(({ row }) => row.trim() && !row.startsWith('#'))
+    .map(({ row, line }) => {
+      const values = row.split('\t')
+      if (values.length !== columns.length) {
+        throw new Error(`${source} line ${line}: expected ${columns.length} columns, found ${values.length}`)
+      }
+      return { line, fields: Object.fromEntries(columns.map((column, position) => [column, values[position].trim()])) }
+    })
+}
+
+/**
+ * Build the place list reverseGeocode searches
+ * @param {string} citiesText - TSV with name, region, country (ISO 3166 code), latitude and longitude columns
+ * @param {string} countriesText - TSV with code and name columns
+ * @returns {Array<{city: string, region: string, countryCode: string, country: string, latitude: number,
+ *   longitude: number}>}
+ */
+export function parsePlaces(citiesText, countriesText) {
+  const countries = new Map(parseTable(countriesText, 'countries').map(({ fields }) => [fields.code, fields.name]))
+
+  return parseTable(citiesText, 'cities').map(({ line, fields: row }) => {
+    const latitude = parseFloat(row.latitude)
+    const longitude = parseFloat(row.longitude)
+    if (!isFinite(latitude) || !isFinite(longitude)) {
+      throw new Error(`cities line ${line}: invalid position for ${row.name}`)
+    }
+    return {
+      city: row.name,
+      region: row.region || '',
+      countryCode: row.country,
+      country: countries.get(row.country) || row.country,
+      latitude,
+      longitude,
+    }
+  })
+}
+
+/**
+ * Load the bundled city list, once per process
+ * @returns {Promise<Array<object>>} - Places as returned by parsePlaces
+ */
+export async function loadPlaces() {
+  bundled ??= Promise.all([fs.readFile(CITIES_FILE, 'utf-8'), fs.readFile(COUNTRIES_FILE, 'utf-8')]).then(
+    ([cities, countries]) => parsePlaces(cities, countries)
+  )
+  return bundled
+}
+
+/**
+ * Great-circle distance between two positions
+ * @param {number} latitude1 - Decimal degrees
+ * @param {number} longitude1 - Decimal degrees
+ * @param {number} latitude2 - Decimal degrees
+ * @param {number} longitude2 - Decimal degrees
+ * @returns {number} - Kilometres
+ */
+export function distance(latitude1, longitude1, latitude2, longitude2) {
+  const toRadians = degrees => (degrees * Math.PI) / 180
+  const dLatitude = toRadians(latitude2 - latitude1)
+  const dLongitude = toRadians(longitude2 - longitude1)
+  const a =
+    Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(dLongitude / 2) ** 2
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Name the nearest city to a position, without network access
+ * @param {Array<object>} places - From loadPlaces or parsePlaces
+ * @param {number} latitude - Decimal degrees
+ * @param {number} longitude - Decimal degrees
+ * @param {{maxDistance?: number}} options - Kilometres beyond which a position is left unnamed
+ * @returns {{city: string, region: string, country: string, countryCode: string, distance: number}|null}
+ */
+export function reverseGeocode(places, latitude, longitude, options = {}) {
+  const maxDistance = options.maxDistance ?? DEFAULT_MAX_DISTANCE
+  // One degree of latitude is 111 km anywhere, so most places are ruled out without trigonometry
+  const latitudeWindow = maxDistance / 111
+
+  let nearest = null
+  let nearestDistance = Infinity
+  for (const place of places) {
+    if (Math.abs(place.latitude - latitude) > latitudeWindow) continue
+    const placeDistance = distance(latitude, longitude, place.latitude, place.longitude)
+    if (placeDistance < nearestDistance) {
+      nearest = place
+      nearestDistance = placeDistance
+    }
+  }
+
+  if (!nearest || nearestDistance > maxDistance) return null
+  return {
+    city: nearest.city,
+    region: nearest.region,
+    country: nearest.country,
+    countryCode: nearest.countryCode,
+    distance: Math.round(nearestDistance * 10) / 10,
+  }
+}
+
+/**
+ * Where a group was taken, as far as the import knows before copying: the primary file's own GPS, then its DJI
+ * telemetry (srtGps), then the track log or fixed coordinates it would be geotagged with (addGpsData). Own GPS
+ * that fails the sanity rules is passed over like the import does: replaced with replaceFlaggedGps, else the
+ * group has no trustworthy position.
+ * @param {{primaryFile: string, companionFiles: Array<string>}} group - File group
+ * @param {Date} date - Corrected capture date
+ * @param {object} profile - Validated profile
+ * @param {Array<object>|null} track - Track log from loadTracks
+ * @param {{gpsRules?: object, gpsCenter?: {latitude: number, longitude: number}|null}} options - Rules from
+ *   gpsSanityRules and the centre from importCenter
+ * @returns {Promise<{latitude: number, longitude: number}|null>}
+ */
+export async function groupPosition(group, date, profile, track = null, options = {}) {
+  if (getMediaType(group.primaryFile) === 'other') return null
+
+  const own = await readGpsCoordinates(group.primaryFile)
+  const flagged = own && options.gpsRules && checkGpsPosition(own, options.gpsRules, options.gpsCenter ?? null)
+  if (own && !flagged) return own
+  if (own && !options.gpsRules.replace) return null
+
+  const srtFile = profile.srtGps && getMediaType(group.primaryFile) === 'videos' ? findSrtCompanion(group) : null
+  if (srtFile) {
+    const [start] = await readDjiSrt(srtFile).catch(() => [])
+    if (start) return { latitude: start.latitude, longitude: start.longitude }
+  }
+
+  if (!profile.addGpsData) return null
+  if (track) {
+    const position = locateInTrack(track, date, trackLookupOptions(profile))
+    if (!position.error) return position
+  }
+  return profile.gpsCoordinates || null
+}
+
+/**
+ * Write city, region and country into the IPTC and XMP location fields photo managers read
+ * @param {string} filePath - Destination copy
+ * @param {{city: string, region: string, country: string, countryCode: string}} place - From reverseGeocode
+ * @returns {Promise<void>}
+ */
+export async function writeLocationNames(filePath, place) {
+  const fields = {
+    'XMP-photoshop:City': place.city,
+    'XMP-photoshop:State': place.region,
+    'XMP-photoshop:Country': place.country,
+    'XMP-iptcCore:CountryCode': place.countryCode,
+  }
+  const args = []
+  // Legacy IIM only exists in JPEG and TIFF-based files; exiftool refuses it elsewhere
+  if (getMediaType(filePath) === 'photos') {
+    args.push('-charset', 'iptc=UTF8', '-IPTC:CodedCharacterSet=UTF8')
+    Object.assign(fields, {
+      'IPTC:City': place.city,
+      'IPTC:Province-State': place.region,
+      'IPTC:Country-PrimaryLocationName': place.country,
+      'IPTC:Country-PrimaryLocationCode': place.countryCode,
+    })
+  }
+
+  try {
+    await runExiftool([
+      '-overwrite_original',
+      ...args,
+      ...Object.entries(fields).map(([tag, value]) => `-${tag}=${value}`),
+      filePath,
+    ])
+  } catch (error) {
+    throw new Error(`Failed to write location names: ${error.message.trim()}`)
+  }
+}
@@ -1,5 +1,24 @@
 import exifr from 'exifr'
-import { spawn } from 'child_process'
+import { extname } from 'path'
+import { runExiftool } from './exiftool.js'
+import { parseCoordinateFormats, parseGeoUri, parseGoogleMapsUrl } from './coordinateParsers.js'
+
+// QuickTime-based videos have no EXIF; players and photo libraries read their location from the Keys and ©xyz atoms
+const QUICKTIME_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.3gp', '.insv', '.360', '.lrv']
+
+// Names accepted after the coordinates, e.g. "52.52, 13.405; direction=90; accuracy=5"
+const DETAIL_NAMES = {
+  alt: 'altitude',
+  altitude: 'altitude',
+  dir: 'direction',
+  direction: 'direction',
+  err: 'accuracy',
+  accuracy: 'accuracy',
+}
+const SETTING_EXAMPLES = { altitude: '34', direction: '90', accuracy: '5' }
+
+// A number with an optional unit: metres for altitude and accuracy, degrees for direction
+const DETAIL_VALUE = /^([+-]?\d+(?:\.\d+)?)\s*(?:m|°|deg)?$/i
 
 /**
  * Check if a file already has valid GPS coordinates
@@ -7,26 +26,36 @@ import { spawn } from 'child_process'
  * @returns {Promise<boolean>} - True if valid GPS data exists
  */
 export async function hasGpsData(filePath) {
+  return (await readGpsCoordinates(filePath)) !== null
+}
+
+/**
+ * Read the position a file was taken at. Null Island (0, 0) is returned like any other position; the GPS sanity
+ * checks flag it as a placeholder.
+ * @param {string} filePath - Path to the media file
+ * @returns {Promise<{latitude: number, longitude: number}|null>} - null without valid GPS data
+ */
+export async function readGpsCoordinates(filePath) {
   try {
-    // First try with exifr
-    const exifData = await exifr.parse(filePath, { gps: true })
-    if (exifData?.latitude && exifData?.longitude) {
-      // Check if coordinates are valid (not 0,0 or other invalid values)
-      if (isValidGpsCoordinates(exifData.latitude, exifData.longitude)) {
-        return true
-      }
+    // First try with exifr; it reads EXIF only and throws on videos
+    const exifData = await exifr.parse(filePath, { gps: true }).catch(() => null)
+    if (exifData && isValidGpsCoordinates(exifData.latitude, exifData.longitude)) {
+      return { latitude: exifData.latitude, longitude: exifData.longitude }
     }
 
-    // Fallback to exiftool for more comprehensive GPS check
+    // Fallback to exiftool for more comprehensive GPS check, including the location atoms of videos
     const gpsInfo = await getGpsDataFromExiftool(filePath)
-    return gpsInfo.hasGps && isValidGpsCoordinates(gpsInfo.latitude, gpsInfo.longitude)
+    if (gpsInfo.hasGps && isValidGpsCoordinates(gpsInfo.latitude, gpsInfo.longitude)) {
+      return { latitude: gpsInfo.latitude, longitude: gpsInfo.longitude }
+    }
+    return null
   } catch (error) {
-    return false
+    return null
   }
 }
 
 /**
- * Check if GPS coordinates are valid (not placeholder values)
+ * Check if GPS coordinates are valid numbers in range
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
  * @returns {boolean} - True if coordinates are valid
@@ -40,11 +69,6 @@ function isValidGpsCoordinates(latitude, longitude) {
     return false
   }
 
-  // Check for common invalid/placeholder coordinates
-  if (latitude === 0 && longitude === 0) {
-    return false // Null Island - almost certainly a placeholder
-  }
-
   // Additional checks for obviously invalid coordinates
   if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
     return false
@@ -60,36 +84,9 @@ function isValidGpsCoordinates(latitude, longitude) {
  */
 async function getGpsDataFromExiftool(filePath) {
   try {
-    const result = await new Promise((resolve, reject) => {
-      const process = spawn('exiftool', [
-        '-GPSLatitude',
-        '-GPSLongitude',
-        '-GPSLatitudeRef',
-        '-GPSLongitudeRef',
-        '-s3',
-        '-n',
-        filePath,
-      ])
-
-      let output = ''
-      let error = ''
-
-      process.stdout.on('data', data => {
-        output += data.toString()
-      })
-
-      process.stderr.on('data', data => {
-        error += data.toString()
-      })
-
-      process.on('close', code => {
-        if (code === 0) {
-          resolve(output.trim())
-        } else {
-          reject(new Error(error || 'exiftool failed'))
-        }
-      })
-    })
+    const result = (
+      await runExiftool(['-GPSLatitude', '-GPSLongitude', '-GPSLatitudeRef', '-GPSLongitudeRef', '-s3', '-n', filePath])
+    ).trim()
 
     const lines = result.split('\n').filter(line => line.trim())
     if (lines.length >= 2 && lines[0] && lines[1]) {
@@ -135,20 +132,32 @@ export function validateCoordinates(latitude, longitude) {
 }
 
 /**
- * Parse coordinates from various string formats
- * @param {string} coordString - Coordinate string (e.g., "40.7128, -74.0060", "40.7128 N, 74.0060 W")
- * @returns {{latitude?: number, longitude?: number, error?: string}}
+ * Validate what a position may carry besides latitude and longitude
+ * @param {{altitude?: number, direction?: number, accuracy?: number}} details - Missing values are fine
+ * @returns {{valid: boolean, error?: string}}
  */
-export function parseCoordinateString(coordString) {
-  if (!coordString || typeof coordString !== 'string') {
-    return { error: 'Coordinate string is required' }
+export function validatePositionDetails(details) {
+  const { altitude, direction, accuracy } = details
+  const given = value => value !== undefined && value !== null
+
+  if (given(altitude) && (typeof altitude !== 'number' || !isFinite(altitude))) {
+    return { valid: false, error: 'Altitude must be a number of metres above sea level' }
   }
 
-  // Remove extra whitespace and normalize
-  const cleaned = coordString.trim().replace(/\s+/g, ' ')
+  if (given(direction) && (typeof direction !== 'number' || !(direction >= 0 && direction < 360))) {
+    return { valid: false, error: 'Direction must be at least 0 and less than 360 degrees, clockwise from true north' }
+  }
+
+  if (given(accuracy) && (typeof accuracy !== 'number' || !(accuracy > 0 && isFinite(accuracy)))) {
+    return { valid: false, error: 'Accuracy must be a positive number of metres' }
+  }
+
+  return { valid: true }
+}
 
-  // Pattern for decimal degrees: "40.7128, -74.0060" or "40.7128 -74.0060"
-  const decimalPattern = /^(-?\d+\.?\d*)[,\s]+(-?\d+\.?\d*)$/
+function parsePosition(cleaned) {
+  // Pattern for decimal degrees: "40.7128, -74.0060" or "40.7128 -74.0060", optionally with an altitude: ", 34m"
+  const decimalPattern = /^(-?\d+\.?\d*)[,\s]+(-?\d+\.?\d*)(?:[,\s]+(-?\d+\.?\d*)\s*m?)?$/i
   const decimalMatch = cleaned.match(decimalPattern)
 
   if (decimalMatch) {
@@ -157,14 +166,14 @@ export function parseCoordinateString(coordString) {
     const validation = validateCoordinates(latitude, longitude)
 
     if (validation.valid) {
-      return { latitude, longitude }
+      return withAltitude({ latitude, longitude }, decimalMatch[3])
     } else {
       return { error: validation.error }
     }
   }
 
   // Pattern for degrees with cardinal directions: "40.7128 N, 74.0060 W"
-  const cardinalPattern = /^(\d+\.?\d*)\s*([NS])[,\s]+(\d+\.?\d*)\s*([EW])$/i
+  const cardinalPattern = /^(\d+\.?\d*)\s*([NS])[,\s]+(\d+\.?\d*)\s*([EW])(?:[,\s]+(-?\d+\.?\d*)\s*m?)?$/i
   const cardinalMatch = cleaned.match(cardinalPattern)
 
   if (cardinalMatch) {
@@ -178,58 +187,160 @@ export function parseCoordinateString(coordString) {
     const validation = validateCoordinates(latitude, longitude)
 
     if (validation.valid) {
-      return { latitude, longitude }
+      return withAltitude({ latitude, longitude }, cardinalMatch[5])
     } else {
       return { error: validation.error }
     }
   }
 
-  return { error: 'Invalid coordinate format. Use "latitude, longitude" (e.g., "40.7128, -74.0060")' }
+  // Degrees-minutes-seconds, map links, Plus Codes and grid references
+  const other = parseCoordinateFormats(cleaned)
+  if (other?.error) return other
+  if (other) {
+    const validation = validateCoordinates(other.latitude, other.longitude)
+    return validation.valid ? other : { error: validation.error }
+  }
+
+  return {
+    error:
+      'Invalid coordinate format. Use "latitude, longitude" or "latitude, longitude, altitude" ' +
+      '(e.g., "40.7128, -74.0060" or "40.7128, -74.0060, 10m"), degrees-minutes-seconds, ' +
+      'a Google Maps link, a geo: URI, a Plus Code, MGRS or UTM',
+  }
+}
+
+function withAltitude(position, altitude) {
+  return altitude === undefined ? position : { ...position, altitude: parseFloat(altitude) }
 }
 
 /**
- * Write GPS coordinates to image file using exiftool
- * @param {string} filePath - Path to the image file
+ * Parse coordinates from various string formats: decimal degrees with signs or N/S/E/W, degrees-minutes-seconds
+ * and degrees-decimal-minutes, Google Maps links, geo: URIs, full Plus Codes, MGRS and UTM. Errors name the part
+ * that could not be read. An altitude in metres may follow the longitude, and direction (degrees from true north
+ * the camera faced) and accuracy (horizontal error in metres) follow as ";name=value" settings, e.g.
+ * "52.52, 13.405, 34m; direction=90; accuracy=5".
+ * @param {string} coordString - Coordinate string (e.g., "40.7128, -74.0060", "40.7128 N, 74.0060 W",
+ *   `40°42'46.1"N 74°00'21.6"W`, "18T WL 83960 07523")
+ * @returns {{latitude?: number, longitude?: number, altitude?: number, direction?: number, accuracy?: number,
+ *   error?: string}}
+ */
+export function parseCoordinateString(coordString) {
+  if (!coordString || typeof coordString !== 'string') {
+    return { error: 'Coordinate string is required' }
+  }
+
+  // geo: URIs have ";" parameters of their own and links may contain anything, so neither takes settings
+  const trimmed = coordString.trim()
+  if (parseGeoUri(trimmed) || parseGoogleMapsUrl(trimmed)) {
+    const parsed = parsePosition(trimmed)
+    if (parsed.error) return parsed
+    const validation = validatePositionDetails(parsed)
+    return validation.valid ? parsed : { error: validation.error }
+  }
+
+  // Remove extra whitespace and normalize
+  const [position, ...settings] = coordString.split(';').map(part => part.trim().replace(/\s+/g, ' '))
+
+  const parsed = parsePosition(position)
+  if (parsed.error) return parsed
+
+  for (const setting of settings.filter(Boolean)) {
+    const match = setting.match(/^([a-z]+)\s*=\s*(.*)$/i)
+    if (!match) {
+      return { error: `Invalid setting "${setting}". Use name=value after the coordinates, e.g. "; direction=90"` }
+    }
+
+    const name = DETAIL_NAMES[match[1].toLowerCase()]
+    if (!name) {
+      return { error: `Unknown setting "${match[1]}". Use altitude, direction or accuracy` }
+    }
+    if (parsed[name] !== undefined) {
+      return { error: `${name[0].toUpperCase()}${name.slice(1)} is given twice` }
+    }
+
+    const value = match[2].match(DETAIL_VALUE)
+    if (!value) {
+      return { error: `Invalid ${name} "${match[2]}": expected a number, e.g. "${name}=${SETTING_EXAMPLES[name]}"` }
+    }
+    parsed[name] = parseFloat(value[1])
+  }
+
+  const validation = validatePositionDetails(parsed)
+  if (!validation.valid) return { error: validation.error }
+
+  return parsed
+}
+
+// GPS IFD tags; exiftool puts them in the EXIF of JPEG, HEIC, DNG and camera raw files alike
+function exifGpsArgs(latitude, longitude, { altitude, direction, accuracy, date }) {
+  const args = [
+    `-GPSLatitude=${Math.abs(latitude)}`,
+    `-GPSLongitude=${Math.abs(longitude)}`,
+    `-GPSLatitudeRef=${latitude >= 0 ? 'N' : 'S'}`,
+    `-GPSLongitudeRef=${longitude >= 0 ? 'E' : 'W'}`,
+  ]
+  if (isFinite(altitude)) args.push(`-GPSAltitude=${Math.abs(altitude)}`, `-GPSAltitudeRef#=${altitude < 0 ? 1 : 0}`)
+  if (isFinite(direction)) args.push(`-GPSImgDirection=${direction}`, '-GPSImgDirectionRef=T')
+  if (isFinite(accuracy)) args.push(`-GPSHPositioningError=${accuracy}`)
+  if (date) {
+    // GPS time is always UTC
+    const utc = date.toISOString()
+    args.push(`-GPSDateStamp=${utc.slice(0, 10).replace(/-/g, ':')}`, `-GPSTimeStamp=${utc.slice(11, 19)}`)
+  }
+  return args
+}
+
+// Apple's Keys atoms and the older ©xyz user data atom, both holding an ISO 6709 position
+function quickTimeGpsArgs(latitude, longitude, { altitude, direction, accuracy, date }) {
+  const coordinates = [latitude, longitude, ...(isFinite(altitude) ? [altitude] : [])].join(', ')
+  const args = [`-Keys:GPSCoordinates=${coordinates}`, `-UserData:GPSCoordinates=${coordinates}`]
+  if (isFinite(direction)) args.push(`-Keys:CameraDirection=${direction}`)
+  if (isFinite(accuracy)) args.push(`-Keys:LocationAccuracyHorizontal=${accuracy}`)
+  if (date) args.push(`-Keys:LocationDate=${date.toISOString().slice(0, 19).replace('T', ' ').replace(/-/g, ':')}Z`)
+  return args
+}
+
+/**
+ * Write GPS coordinates to a media file using exiftool: EXIF GPS tags for photos, location atoms for QuickTime
+ * and MP4 videos
+ * @param {string} filePath - Path to the media file
  * @param {number} latitude - Latitude in decimal degrees
  * @param {number} longitude - Longitude in decimal degrees
+ * @param {{altitude?: number, direction?: number, accuracy?: number, date?: Date, replace?: boolean}} options -
+ *   altitude: metres above sea level, negative below; direction: degrees from true north the camera faced; accuracy:
+ *   horizontal positioning error in metres; date: when the position was taken, written as the GPS time stamp;
+ *   replace: remove the file's existing GPS tags first
  * @returns {Promise<boolean>} - Success status
  */
-export async function writeGpsData(filePath, latitude, longitude) {
+export async function writeGpsData(filePath, latitude, longitude, options = {}) {
   const validation = validateCoordinates(latitude, longitude)
   if (!validation.valid) {
     throw new Error(`Invalid coordinates: ${validation.error}`)
   }
+  const details = validatePositionDetails(options)
+  if (!details.valid) {
+    throw new Error(`Invalid coordinates: ${details.error}`)
+  }
+
+  const position = {
+    altitude: options.altitude ?? NaN,
+    direction: options.direction ?? NaN,
+    accuracy: options.accuracy ?? NaN,
+    date: options.date instanceof Date && !isNaN(options.date) ? options.date : null,
+  }
+  const quickTime = QUICKTIME_EXTENSIONS.includes(extname(filePath).toLowerCase())
+  const gpsArgs = quickTime
+    ? quickTimeGpsArgs(latitude, longitude, position)
+    : exifGpsArgs(latitude, longitude, position)
+  // Replacing a position clears what was written with it, such as a bogus altitude or time stamp
+  const clearArgs = options.replace ? (quickTime ? ['-Keys:Location*=', '-Keys:CameraDirection='] : ['-GPS:all=']) : []
 
   try {
-    await new Promise((resolve, reject) => {
-      const args = [
-        '-overwrite_original',
-        `-GPSLatitude=${Math.abs(latitude)}`,
-        `-GPSLongitude=${Math.abs(longitude)}`,
-        `-GPSLatitudeRef=${latitude >= 0 ? 'N' : 'S'}`,
-        `-GPSLongitudeRef=${longitude >= 0 ? 'E' : 'W'}`,
-        filePath,
-      ]
-
-      const process = spawn('exiftool', args)
-      let error = ''
-
-      process.stderr.on('data', data => {
-        error += data.toString()
-      })
-
-      process.on('close', code => {
-        if (code === 0) {
-          resolve()
-        } else {
-          reject(new Error(`exiftool failed: ${error || 'Unknown error'}`))
-        }
-      })
-    })
+    await runExiftool(['-overwrite_original', ...clearArgs, ...gpsArgs, filePath])
 
     return true
   } catch (error) {
-    throw new Error(`Failed to write GPS data: ${error.message}`)
+    throw new Error(`Failed to write GPS data: exiftool failed: ${error.message}`)
   }
 }
 
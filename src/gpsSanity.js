@@ -0,0 +1,178 @@
+import { parseCoordinateString, validateCoordinates, formatCoordinates } from './gpsHandler.js'
+import { distance } from './geocoder.js'
+
+// Positions devices and emulators write without a fix
+export const KNOWN_PLACEHOLDERS = [
+  { latitude: 0, longitude: 0, label: 'Null Island' },
+  { latitude: 37.785834, longitude: -122.406417, label: 'iOS Simulator default location' },
+  { latitude: 37.33233141, longitude: -122.0312186, label: 'iOS Simulator "Apple" location' },
+  { latitude: 37.421998, longitude: -122.084, label: 'Android emulator default location' },
+]
+
+// Placeholders are matched within this many kilometres; they are copied verbatim, so metres are plenty
+const PLACEHOLDER_TOLERANCE = 0.05
+
+// Fewer positioned files than this say too little about where the shoot was to call any of them an outlier
+const MIN_OUTLIER_SAMPLE = 3
+
+/**
+ * Read a position from a profile setting: coordinates in any format parseCoordinateString accepts, or an object
+ * with latitude and longitude
+ * @param {string|{latitude: number, longitude: number}} value - Setting value
+ * @param {string} name - Setting name for the error message
+ * @returns {{latitude: number, longitude: number}}
+ */
+export function parseGpsPoint(value, name) {
+  const shown = typeof value === 'string' ? value : JSON.stringify(value)
+  const parsed = typeof value === 'string' ? parseCoordinateString(value) : value
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error(`Invalid ${name} value: ${shown}. Must be coordinates like "52.52, 13.405"`)
+  }
+  if (parsed.error) throw new Error(`Invalid ${name} value: ${shown}. ${parsed.error}`)
+
+  const { valid, error } = validateCoordinates(parsed.latitude, parsed.longitude)
+  if (!valid) throw new Error(`Invalid ${name} value: ${shown}. ${error}`)
+  return { latitude: parsed.latitude, longitude: parsed.longitude }
+}
+
+/**
+ * Read a gpsBounds setting
+ * @param {Array<number>} value - [south, west, north, east] in decimal degrees; a west edge greater than the east
+ *   edge crosses the antimeridian
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export function parseGpsBounds(value) {
+  const usage = 'Must be [south, west, north, east] in decimal degrees'
+  if (!Array.isArray(value) || value.length !== 4 || !value.every(edge => typeof edge === 'number' && isFinite(edge))) {
+    throw new Error(`Invalid gpsBounds value: ${JSON.stringify(value)}. ${usage}`)
+  }
+
+  const [south, west, north, east] = value
+  for (const [edge, latitude, longitude] of [
+    ['south-west', south, west],
+    ['north-east', north, east],
+  ]) {
+    const { valid, error } = validateCoordinates(latitude, longitude)
+    if (!valid) throw new Error(`Invalid gpsBounds value: ${edge} corner: ${error}`)
+  }
+  if (south > north) {
+    throw new Error(`Invalid gpsBounds value: south edge ${south} is north of the north edge ${north}. ${usage}`)
+  }
+  return { south, west, north, east }
+}
+
+function positiveDistance(value, name) {
+  if (typeof value !== 'number' || !(value > 0) || !isFinite(value)) {
+    throw new Error(`Invalid ${name} value: ${value}. Must be a distance in kilometres greater than zero`)
+  }
+  return value
+}
+
+/**
+ * The GPS sanity rules of a profile, ready for checkGpsPosition
+ * @param {object} profile - Validated profile
+ * @returns {{bounds: object|null, radius: {latitude: number, longitude: number, distance: number}|null,
+ *   outlierDistance: number|null, placeholders: Array<{latitude: number, longitude: number, label: string}>,
+ *   replace: boolean, configured: boolean}} - The built-in placeholders are always among the rules; configured
+ *   tells whether the profile sets any rule of its own
+ */
+export function gpsSanityRules(profile) {
+  const bounds = profile.gpsBounds != null ? parseGpsBounds(profile.gpsBounds) : null
+
+  let radius = null
+  if (profile.gpsRadius != null) {
+    const center = profile.gpsCenter ?? profile.gpsCoordinates
+    if (!center) throw new Error('Invalid gpsRadius value: set gpsCenter (or gpsCoordinates) to measure it from')
+    radius = {
+      ...parseGpsPoint(center, profile.gpsCenter != null ? 'gpsCenter' : 'gpsCoordinates'),
+      distance: positiveDistance(profile.gpsRadius, 'gpsRadius'),
+    }
+  }
+
+  const outlierDistance =
+    profile.gpsOutlierDistance != null ? positiveDistance(profile.gpsOutlierDistance, 'gpsOutlierDistance') : null
+
+  const own = profile.gpsPlaceholders || []
+  if (!Array.isArray(own)) {
+    throw new Error(`Invalid gpsPlaceholders value: ${own}. Must be a list of coordinates`)
+  }
+  const placeholders = [
+    ...KNOWN_PLACEHOLDERS,
+    ...own.map(value => ({ ...parseGpsPoint(value, 'gpsPlaceholders'), label: 'gpsPlaceholders' })),
+  ]
+
+  return {
+    bounds,
+    radius,
+    outlierDistance,
+    placeholders,
+    replace: profile.replaceFlaggedGps === true,
+    configured: Boolean(bounds || radius || outlierDistance || own.length > 0),
+  }
+}
+
+/**
+ * Middle of the positions in an import, the reference for outlier detection. The median keeps a few stray
+ * positions from pulling it away from the rest.
+ * @param {Array<{latitude: number, longitude: number}>} positions - Files' own GPS positions
+ * @returns {{latitude: number, longitude: number}|null} - null with too few positions to tell
+ */
+export function importCenter(positions) {
+  if (positions.length < MIN_OUTLIER_SAMPLE) return null
+
+  const median = values => {
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+  }
+  return {
+    latitude: median(positions.map(position => position.latitude)),
+    longitude: median(positions.map(position => position.longitude)),
+  }
+}
+
+function inBounds({ latitude, longitude }, { south, west, north, east }) {
+  if (latitude < south || latitude > north) return false
+  return west <= east ? longitude >= west && longitude <= east : longitude >= west || longitude <= east
+}
+
+function kilometres(value) {
+  return value < 10 ? value.toFixed(1) : String(Math.round(value))
+}
+
+/**
+ * Check a file's own GPS position against the sanity rules
+ * @param {{latitude: number, longitude: number}} position - From readGpsCoordinates
+ * @param {object} rules - From gpsSanityRules
+ * @param {{latitude: number, longitude: number}|null} center - From importCenter, for outlier detection
+ * @returns {string|null} - Why the position is suspicious, or null when it passes
+ */
+export function checkGpsPosition(position, rules, center = null) {
+  const { latitude, longitude } = position
+
+  const placeholder = rules.placeholders.find(
+    known => distance(latitude, longitude, known.latitude, known.longitude) <= PLACEHOLDER_TOLERANCE
+  )
+  if (placeholder) return `placeholder position (${placeholder.label})`
+
+  if (rules.bounds && !inBounds(position, rules.bounds)) {
+    return 'outside gpsBounds'
+  }
+
+  if (rules.radius) {
+    const away = distance(latitude, longitude, rules.radius.latitude, rules.radius.longitude)
+    if (away > rules.radius.distance) {
+      return `${kilometres(away)} km from the centre of gpsRadius, more than ${rules.radius.distance} km`
+    }
+  }
+
+  if (rules.outlierDistance && center) {
+    const away = distance(latitude, longitude, center.latitude, center.longitude)
+    if (away > rules.outlierDistance) {
+      const around = formatCoordinates(center.latitude, center.longitude)
+      return `${kilometres(away)} km from the rest of the import (around ${around}), more than ${rules.outlierDistance} km`
+    }
+  }
+
+  return null
+}
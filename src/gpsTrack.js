@@ -0,0 +1,381 @@
+import { promises as fs } from 'fs'
+import { extname } from 'path'
+import { parseTimeShift } from './timeShift.js'
+
+// Points further apart than this aren't interpolated between: the logger was off or had no fix. Ten minutes,
+// used when a profile leaves gpxMaxGap unset
+export const DEFAULT_MAX_GAP = 600000
+
+const FORMATS_BY_EXTENSION = {
+  '.gpx': 'gpx',
+  '.kml': 'kml',
+  '.geojson': 'geojson',
+  '.json': 'geojson',
+  '.nmea': 'nmea',
+  '.nma': 'nmea',
+  '.log': 'nmea',
+  '.txt': 'nmea',
+}
+
+export const TRACK_FORMATS = ['gpx', 'kml', 'geojson', 'nmea']
+
+// Track times are UTC; a time without a zone is read as UTC rather than in the machine's zone
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null
+  if (typeof value === 'number') {
+    // GeoJSON writers use both epoch seconds and milliseconds
+    return value < 1e11 ? value * 1000 : value
+  }
+
+  const text = String(value)
+    .trim()
+    .replace(/^(\d{4}-\d{2}-\d{2}) (?=\d)/, '$1T')
+  const zoned = text.includes('T') && !/(?:Z|[+-]\d{2}:?\d{2})$/i.test(text) ? `${text}Z` : text
+  const time = Date.parse(zoned)
+  return isNaN(time) ? null : time
+}
+
+function point(time, latitude, longitude, altitude) {
+  if (time === null || !isFinite(latitude) || !isFinite(longitude)) return null
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null
+  return isFinite(altitude) ? { time, latitude, longitude, altitude } : { time, latitude, longitude }
+}
+
+function attribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`))
+  return match ? parseFloat(match[1]) : NaN
+}
+
+function element(body, name) {
+  const match = body.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([^<]*)</(?:\\w+:)?${name}>`))
+  return match ? match[1].trim() : null
+}
+
+// Track, route and waypoints; only points with a time can place a photo
+function parseGpx(text) {
+  const points = []
+  for (const match of text.matchAll(/<(trkpt|rtept|wpt)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+    const [, , attributes, body] = match
+    points.push(
+      point(
+        parseTime(element(body, 'time')),
+        attribute(attributes, 'lat'),
+        attribute(attributes, 'lon'),
+        parseFloat(element(body, 'ele'))
+      )
+    )
+  }
+  return points
+}
+
+// gx:Track pairs each <when> with the <gx:coord> at the same position; placemarks carry a TimeStamp and a Point
+function parseKml(text) {
+  const points = []
+
+  for (const [track] of text.matchAll(/<gx:Track\b[\s\S]*?<\/gx:Track>/g)) {
+    const times = [...track.matchAll(/<when>([^<]*)<\/when>/g)].map(match => parseTime(match[1]))
+    const coords = [...track.matchAll(/<gx:coord>([^<]*)<\/gx:coord>/g)].map(match =>
+      match[1].trim().split(/\s+/).map(Number)
+    )
+    coords.forEach(([longitude, latitude, altitude], index) => {
+      points.push(point(times[index] ?? null, latitude, longitude, altitude))
+    })
+  }
+
+  for (const [placemark] of text.matchAll(/<Placemark\b[\s\S]*?<\/Placemark>/g)) {
+    const when = placemark.match(/<TimeStamp\b[^>]*>\s*<when>([^<]*)<\/when>/)
+    const coordinates = placemark.match(/<Point\b[^>]*>[\s\S]*?<coordinates>([^<]*)<\/coordinates>/)
+    if (!when || !coordinates) continue
+    const [longitude, latitude, altitude] = coordinates[1].trim().split(',').map(Number)
+    points.push(point(parseTime(when[1]), latitude, longitude, altitude))
+  }
+
+  return points
+}
+
+// Lines carry their times in properties.coordTimes (togeojson) or properties.times; points in properties.time
+function parseGeoJson(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Invalid GeoJSON: ${error.message}`)
+  }
+
+  const points = []
+  const features = data.type === 'FeatureCollection' ? data.features || [] : [data]
+
+  for (const feature of features) {
+    const geometry = feature.type === 'Feature' ? feature.geometry : feature
+    const properties = feature.properties || {}
+    if (!geometry) continue
+
+    if (geometry.type === 'Point') {
+      const [longitude, latitude, altitude] = geometry.coordinates
+      const time = parseTime(properties.time ?? properties.timestamp ?? properties.when)
+      points.push(point(time, latitude, longitude, altitude))
+      continue
+    }
+
+    const lines =
+      geometry.type === 'LineString'
+        ? [geometry.coordinates]
+        : geometry.type === 'MultiLineString'
+          ? geometry.coordinates
+          : []
+    const times = properties.coordTimes ?? properties.times ?? []
+    lines.forEach((line, lineIndex) => {
+      const lineTimes = Array.isArray(times[0]) ? times[lineIndex] || [] : times
+      line.forEach(([longitude, latitude, altitude], index) => {
+        points.push(point(parseTime(lineTimes[index]), latitude, longitude, altitude))
+      })
+    })
+  }
+
+  return points
+}
+
+// ddmm.mmmm or dddmm.mmmm with a hemisphere letter
+function nmeaDegrees(value, hemisphere) {
+  const number = parseFloat(value)
+  if (isNaN(number)) return NaN
+  const degrees = Math.floor(number / 100)
+  const decimal = degrees + (number - degrees * 100) / 60
+  return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal
+}
+
+function nmeaChecksumValid(line) {
+  const star = line.lastIndexOf('*')
+  if (star === -1) return true
+  let sum = 0
+  for (let i = 1; i < star; i++) sum ^= line.charCodeAt(i)
+  return sum === parseInt(line.slice(star + 1, star + 3), 16)
+}
+
+// RMC sentences have date and time; GGA sentences with the same time add the altitude
+function parseNmea(text) {
+  const points = []
+  const altitudes = new Map()
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim()
+    if (!/^\$(?:GP|GN|GL|GA|GB)(?:RMC|GGA),/.test(line) || !nmeaChecksumValid(line)) continue
+    const fields = line.replace(/\*[0-9A-F]{2}$/i, '').split(',')
+
+    if (fields[0].endsWith('GGA')) {
+      if (fields[6] !== '0' && fields[9] !== '') altitudes.set(fields[1], parseFloat(fields[9]))
+      continue
+    }
+
+    const [, time, status, latitude, latitudeRef, longitude, longitudeRef, , , date] = fields
+    if (status !== 'A' || !/^\d{6}/.test(time) || !/^\d{6}$/.test(date)) continue
+
+    const year = 2000 + Number(date.slice(4, 6))
+    const iso = `${year}-${date.slice(2, 4)}-${date.slice(0, 2)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}Z`
+    const entry = point(parseTime(iso), nmeaDegrees(latitude, latitudeRef), nmeaDegrees(longitude, longitudeRef))
+    if (entry) points.push({ entry, timeKey: time })
+  }
+
+  return points.map(({ entry, timeKey }) =>
+    altitudes.has(timeKey) ? { ...entry, altitude: altitudes.get(timeKey) } : entry
+  )
+}
+
+const PARSERS = { gpx: parseGpx, kml: parseKml, geojson: parseGeoJson, nmea: parseNmea }
+
+/**
+ * Format of a track file, from its extension or, for unknown extensions, its contents
+ * @param {string} filePath - Track file
+ * @param {string} text - File contents
+ * @returns {string} - One of TRACK_FORMATS
+ */
+export function detectTrackFormat(filePath, text) {
+  const format = FORMATS_BY_EXTENSION[extname(filePath).toLowerCase()]
+  if (format) return format
+
+  const start = text.trimStart()
+  if (start.startsWith('{')) return 'geojson'
+  if (/<gpx\b/.test(start.slice(0, 1000))) return 'gpx'
+  if (/<kml\b/.test(start.slice(0, 1000))) return 'kml'
+  if (start.startsWith('$')) return 'nmea'
+
+  throw new Error(`Unknown track format: ${filePath}. Use a .gpx, .kml, .geojson or .nmea file`)
+}
+
+/**
+ * Timed positions of one track file
+ * @param {string} text - File contents
+ * @param {string} format - One of TRACK_FORMATS
+ * @returns {Array<{time: number, latitude: number, longitude: number, altitude?: number}>} - Sorted by time
+ *   (milliseconds since the epoch); points without a time or valid position are left out
+ */
+export function parseTrack(text, format) {
+  const parse = PARSERS[format]
+  if (!parse) {
+    throw new Error(`Invalid track format: ${format}. Must be one of ${TRACK_FORMATS.join(', ')}`)
+  }
+  return parse(text)
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time)
+}
+
+/**
+ * Read track files into one track
+ * @param {Array<string>} filePaths - GPX, KML, GeoJSON or NMEA files
+ * @returns {Promise<Array<{time: number, latitude: number, longitude: number, altitude?: number}>>}
+ */
+export async function loadTracks(filePaths) {
+  const points = []
+
+  for (const filePath of filePaths) {
+    let text
+    try {
+      text = await fs.readFile(filePath, 'utf-8')
+    } catch (error) {
+      throw new Error(`Cannot read track ${filePath}: ${error.message}`)
+    }
+
+    const track = parseTrack(text, detectTrackFormat(filePath, text))
+    if (track.length === 0) {
+      throw new Error(`No timed track points found in ${filePath}`)
+    }
+    points.push(...track)
+  }
+
+  // Overlapping logs (phone and watch) are merged; the first point at any one time wins
+  points.sort((a, b) => a.time - b.time)
+  return points.filter((entry, index) => index === 0 || entry.time !== points[index - 1].time)
+}
+
+/**
+ * Track lookup settings of a profile
+ * @param {{gpxMaxGap?: number|string|null, gpxOffset?: number|string|null}} profile - Validated profile
+ * @returns {{maxGap: number, offset: number}} - Milliseconds, as locateInTrack takes them
+ */
+export function trackLookupOptions(profile) {
+  return {
+    maxGap: profile.gpxMaxGap != null ? parseTimeShift(profile.gpxMaxGap, 'gpxMaxGap') : DEFAULT_MAX_GAP,
+    offset: profile.gpxOffset != null ? parseTimeShift(profile.gpxOffset, 'gpxOffset') : 0,
+  }
+}
+
+/**
+ * Position at a moment, interpolated between the track points around it
+ * @param {Array<{time: number, latitude: number, longitude: number, altitude?: number}>} track - From loadTracks
+ * @param {Date} date - Capture time
+ * @param {{maxGap?: number, offset?: number}} options - maxGap: milliseconds between two points (or past either
+ *   end of the track) still trusted; offset: milliseconds added to the capture time before the lookup
+ * @returns {{latitude?: number, longitude?: number, altitude?: number, error?: string}}
+ */
+export function locateInTrack(track, date, options = {}) {
+  const maxGap = options.maxGap ?? DEFAULT_MAX_GAP
+  const time = date.getTime() + (options.offset ?? 0)
+
+  if (track.length === 0) {
+    return { error: 'track is empty' }
+  }
+
+  const first = track[0]
+  const last = track.at(-1)
+  const seconds = ms => `${Math.round(ms / 1000)}s`
+
+  if (time <= first.time) {
+    return first.time - time <= maxGap
+      ? position(first)
+      : { error: `${seconds(first.time - time)} before the track starts` }
+  }
+  if (time >= last.time) {
+    return time - last.time <= maxGap ? position(last) : { error: `${seconds(time - last.time)} after the track ends` }
+  }
+
+  // First point after the capture time
+  let low = 0
+  let high = track.length - 1
+  while (low < high) {
+    const middle = (low + high) >> 1
+    if (track[middle].time <= time) low = middle + 1
+    else high = middle
+  }
+  const before = track[low - 1]
+  const after = track[low]
+
+  if (after.time - before.time > maxGap) {
+    return { error: `in a ${seconds(after.time - before.time)} gap in the track` }
+  }
+
+  const ratio = (time - before.time) / (after.time - before.time)
+  // Tracks crossing the antimeridian go the short way round
+  let longitudeStep = after.longitude - before.longitude
+  if (longitudeStep > 180) longitudeStep -= 360
+  if (longitudeStep < -180) longitudeStep += 360
+  let longitude = before.longitude + longitudeStep * ratio
+  if (longitude > 180) longitude -= 360
+  if (longitude < -180) longitude += 360
+
+  const result = {
+    latitude: before.latitude + (after.latitude - before.latitude) * ratio,
+    longitude,
+  }
+  if (before.altitude !== undefined && after.altitude !== undefined) {
+    result.altitude = before.altitude + (after.altitude - before.altitude) * ratio
+  }
+  return result
+}
+
+function position({ latitude, longitude, altitude }) {
+  return altitude === undefined ? { latitude, longitude } : { latitude, longitude, altitude }
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+/**
+ * Write a track as GPX 1.1
+ * @param {Array<{time: number, latitude: number, longitude: number, altitude?: number}>} track - Points in time order
+ * @param {string} name - Track name, e.g. the video it belongs to
+ * @returns {string}
+ */
+export function formatGpx(track, name) {
+  const points = track.map(
+    entry =>
+      `      <trkpt lat="${entry.latitude}" lon="${entry.longitude}">` +
+      (entry.altitude !== undefined ? `<ele>${entry.altitude}</ele>` : '') +
+      `<time>${new Date(entry.time).toISOString()}</time></trkpt>`
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="ingestio" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n')
+}
+
+/**
+ * Write a track as a GeoJSON LineString feature, with the point times in properties.coordTimes
+ * @param {Array<{time: number, latitude: number, longitude: number, altitude?: number}>} track - Points in time order
+ * @param {string} name - Track name, e.g. the video it belongs to
+ * @returns {string}
+ */
+export function formatGeoJson(track, name) {
+  const feature = {
+    type: 'Feature',
+    properties: { name, coordTimes: track.map(entry => new Date(entry.time).toISOString()) },
+    geometry: {
+      type: 'LineString',
+      coordinates: track.map(entry =>
+        entry.altitude !== undefined
+          ? [entry.longitude, entry.latitude, entry.altitude]
+          : [entry.longitude, entry.latitude]
+      ),
+    },
+  }
+  return JSON.stringify({ type: 'FeatureCollection', features: [feature] }, null, 2) + '\n'
+}
@@ -0,0 +1,268 @@
+import { promises as fs } from 'fs'
+import { relative } from 'path'
+import { readCaptureInfo, planFileGroup } from './fileProcessor.js'
+import { readGpsCoordinates } from './gpsHandler.js'
+import { gpsSanityRules, importCenter, checkGpsPosition } from './gpsSanity.js'
+import { locateInTrack, trackLookupOptions } from './gpsTrack.js'
+import { createStageLimiters } from './pool.js'
+import { formatZonedISO } from './timezone.js'
+import { parseTimeShift, formatTimeShift } from './timeShift.js'
+import { isFilesystemDateSource } from './dateSources.js'
+import { getMediaType, templateUsesLocation } from './template.js'
+import { loadPlaces, reverseGeocode, groupPosition } from './geocoder.js'
+import { findSrtCompanion, readDjiSrt } from './djiSrt.js'
+
+/**
+ * Run the import pipeline up to the point where files would be written: dates, naming, collision
+ * resolution, duplicate checks and GPS decisions. Nothing on the card or in the library is changed.
+ * @param {object} profile - Validated profile
+ * @param {Array<object>} fileGroups - Groups left after scanning and import history filtering
+ * @param {{duplicateIndex?: object, track?: Array<object>|null}} options - track: GPS track log to geotag from
+ * @returns {Promise<object>} - Plan with one entry per file, grouped like the import
+ */
+export async function buildImportPlan(profile, fileGroups, options = {}) {
+  const limits = createStageLimiters(profile.concurrency)
+  const reservedPaths = new Set()
+  const track = options.track || null
+  const addGps = Boolean(profile.addGpsData && (profile.gpsCoordinates || track))
+  const trackOptions = trackLookupOptions(profile)
+  const gpsRules = gpsSanityRules(profile)
+  const namePlaces =
+    profile.locationNames ||
+    [profile.filenameFormat, profile.folderFormat].some(template => template && templateUsesLocation(template))
+  const places = namePlaces ? await loadPlaces() : null
+
+  const findPlace = async (group, date) => {
+    const position = await groupPosition(group, date, profile, track, { gpsRules, gpsCenter })
+    return position && reverseGeocode(places, position.latitude, position.longitude)
+  }
+
+  const captures = await Promise.all(
+    fileGroups.map(group =>
+      limits
+        .metadata(async () => {
+          const capture = await readCaptureInfo(group.primaryFile, profile)
+          const outlierCheck = gpsRules.outlierDistance && getMediaType(group.primaryFile) !== 'other'
+          const position = outlierCheck ? await readGpsCoordinates(group.primaryFile) : null
+          return { ...capture, place: null, position }
+        })
+        .catch(error => error)
+    )
+  )
+  const gpsCenter = gpsRules.outlierDistance
+    ? importCenter(captures.filter(capture => capture.position).map(capture => capture.position))
+    : null
+  // Places come second: a group's own position only counts once it has passed the outlier check
+  if (places) {
+    await Promise.all(
+      captures.map((capture, index) =>
+        capture instanceof Error
+          ? null
+          : limits
+              .metadata(() => findPlace(fileGroups[index], capture.date))
+              .then(place => {
+                capture.place = place
+              })
+              .catch(error => {
+                captures[index] = error
+              })
+      )
+    )
+  }
+
+  const groups = []
+  const errors = []
+
+  // Planned strictly in scan order, exactly like a real import, so the names match
+  for (const [index, group] of fileGroups.entries()) {
+    const capture = captures[index]
+    if (capture instanceof Error) {
+      errors.push({ primaryFile: group.primaryFile, error: capture.message })
+      continue
+    }
+    const { date, dateSource, metadata, place } = capture
+
+    const plan = await planFileGroup(
+      group,
+      date,
+      profile.cameraLabel,
+      profile.destinationRoot,
+      profile.onCollision,
+      profile.filenameFormat,
+      {
+        duplicateIndex: options.duplicateIndex,
+        reservedPaths,
+        counter: index + 1,
+        metadata,
+        folderFormat: profile.folderFormat,
+        project: profile.project,
+        timeZone: profile.cameraTimezone,
+        location: place,
+      }
+    )
+
+    // DJI telemetry locates the video itself, wherever the track log or fixed coordinates would put it
+    const srtFile = profile.srtGps && getMediaType(group.primaryFile) === 'videos' ? findSrtCompanion(group) : null
+    const srtPoints = srtFile ? await readDjiSrt(srtFile).catch(() => []) : []
+
+    const files = await Promise.all(
+      plan.files.map(async entry => {
+        if (entry.duplicateOf) {
+          return {
+            action: 'skip',
+            sourcePath: entry.sourcePath,
+            targetPath: null,
+            isCompanion: entry.isCompanion,
+            duplicateOf: entry.duplicateOf,
+            gps: null,
+          }
+        }
+
+        const replaces =
+          profile.onCollision === 'replace' &&
+          (await fs.access(entry.targetPath).then(
+            () => true,
+            () => false
+          ))
+
+        // Sources are checked here; a real import checks the copy, which carries the same metadata
+        let gps = null
+        let outsideTrack = null
+        let gpsFlagged = null
+        const fromSrt = srtPoints.length > 0 && entry.sourcePath === group.primaryFile
+        const geotag = fromSrt || (addGps && getMediaType(entry.sourcePath) !== 'other')
+        if ((geotag || gpsRules.configured || places) && getMediaType(entry.sourcePath) !== 'other') {
+          const own = await limits.exiftool(() => readGpsCoordinates(entry.sourcePath))
+          gpsFlagged = own && checkGpsPosition(own, gpsRules, gpsCenter)
+          if (geotag) {
+            gps = own && !(gpsFlagged && gpsRules.replace) ? 'keep' : 'add'
+          }
+        }
+        if (gps === 'add' && !fromSrt && track) {
+          const position = locateInTrack(track, date, trackOptions)
+          if (position.error) {
+            outsideTrack = position.error
+            gps = profile.gpsCoordinates ? 'add' : gpsFlagged ? 'keep' : 'none'
+          }
+        }
+
+        return {
+          action: replaces ? 'replace' : profile.transferMode,
+          sourcePath: entry.sourcePath,
+          targetPath: entry.targetPath,
+          isCompanion: entry.isCompanion,
+          renamed: entry.renamed,
+          gps,
+          ...(outsideTrack ? { outsideTrack } : {}),
+          ...(gpsFlagged ? { gpsFlagged } : {}),
+        }
+      })
+    )
+
+    groups.push({
+      primaryFile: group.primaryFile,
+      date: date.toISOString(),
+      localDate: formatZonedISO(date, profile.cameraTimezone),
+      dateSource,
+      ...(places ? { place: place ? { city: place.city, region: place.region, country: place.country } : null } : {}),
+      files,
+    })
+  }
+
+  const entries = groups.flatMap(group => group.files)
+
+  return {
+    generator: 'ingestio',
+    profile: profile.name || null,
+    sourcePath: profile.sourcePath,
+    destinationRoot: profile.destinationRoot,
+    transferMode: profile.transferMode,
+    onCollision: profile.onCollision,
+    gpsCoordinates: addGps ? profile.gpsCoordinates || null : null,
+    gpxFiles: track ? profile.gpxFiles : [],
+    timeShift: profile.timeOffset ? formatTimeShift(parseTimeShift(profile.timeOffset)) : null,
+    rewriteDates: Boolean(profile.timeOffset && profile.rewriteDates),
+    locationNames: profile.locationNames === true,
+    replaceFlaggedGps: gpsRules.replace,
+    summary: {
+      groups: groups.length,
+      files: entries.length,
+      transfers: entries.filter(entry => entry.action !== 'skip').length,
+      skipped: entries.filter(entry => entry.action === 'skip').length,
+      renamed: entries.filter(entry => entry.renamed).length,
+      replaced: entries.filter(entry => entry.action === 'replace').length,
+      gpsAdded: entries.filter(entry => entry.gps === 'add').length,
+      outsideTrack: entries.filter(entry => entry.outsideTrack).length,
+      gpsFlagged: entries.filter(entry => entry.gpsFlagged).length,
+      unplaced: groups.filter(group => group.place === null).length,
+      filesystemDated: groups.filter(group => isFilesystemDateSource(group.dateSource)).length,
+      errors: errors.length,
+    },
+    groups,
+    errors,
+  }
+}
+
+/**
+ * Render a plan as a plain-text table, paths shown relative to the source and destination roots
+ * @param {object} plan - Result of buildImportPlan
+ * @returns {string}
+ */
+export function formatPlanTable(plan) {
+  const rows = [['ACTION', 'SOURCE', 'TARGET', 'DATE', 'GPS']]
+
+  for (const group of plan.groups) {
+    for (const entry of group.files) {
+      rows.push([
+        entry.action,
+        relative(plan.sourcePath, entry.sourcePath),
+        entry.targetPath
+          ? relative(plan.destinationRoot, entry.targetPath) + (entry.renamed ? ' (renamed)' : '')
+          : `= ${entry.duplicateOf}`,
+        group.localDate.replace('T', ' ').slice(0, 19),
+        entry.gps || '-',
+      ])
+    }
+  }
+
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)))
+  const lines = rows.map(row =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join('  ')
+      .trimEnd()
+  )
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '))
+
+  for (const error of plan.errors) {
+    lines.push(`error  ${relative(plan.sourcePath, error.primaryFile)}: ${error.error}`)
+  }
+
+  const { summary } = plan
+  if (summary.filesystemDated > 0) {
+    lines.push(`note   ${summary.filesystemDated} groups dated by filesystem time`)
+  }
+  if (summary.outsideTrack > 0) {
+    lines.push(`note   ${summary.outsideTrack} files outside the GPS track`)
+  }
+  if (summary.gpsFlagged > 0) {
+    lines.push(
+      `note   ${summary.gpsFlagged} files with suspicious GPS` +
+        (plan.replaceFlaggedGps ? ', replaced where a position is known' : ', kept (see replaceFlaggedGps)')
+    )
+  }
+  if (summary.unplaced > 0) {
+    lines.push(`note   ${summary.unplaced} groups without a known place`)
+  }
+  lines.push(
+    '',
+    `${summary.files} files in ${summary.groups} groups: ${summary.transfers} to ${plan.transferMode}, ` +
+      `${summary.skipped} duplicates skipped, ${summary.renamed} renamed, ${summary.replaced} replaced, ` +
+      `${summary.gpsAdded} to geotag, ${summary.errors} errors`
+  )
+  if (plan.timeShift) {
+    lines.push(`Dates corrected by ${plan.timeShift}` + (plan.rewriteDates ? ', embedded dates rewritten' : ''))
+  }
+
+  return lines.join('\n')
+}
@@ -0,0 +1,216 @@
+import { promises as fs } from 'fs'
+import { join, dirname, relative, resolve } from 'path'
+import { homedir } from 'os'
+import { spawn } from 'child_process'
+import { randomUUID, createHash } from 'crypto'
+
+const STATE_DIR = join(homedir(), '.ingestio', 'state')
+const CARD_MARKER_FILE = '.ingestio-card-id'
+
+/**
+ * Run a command and resolve with its stdout, or null if it can't be run
+ * @param {string} command - Executable name
+ * @param {string[]} args - Arguments
+ * @returns {Promise<string|null>}
+ */
+function runCommand(command, args) {
+  return new Promise(resolvePromise => {
+    const process = spawn(command, args)
+    let output = ''
+
+    process.stdout.on('data', data => {
+      output += data.toString()
+    })
+
+    process.on('error', () => resolvePromise(null))
+    process.on('close', code => resolvePromise(code === 0 ? output : null))
+  })
+}
+
+/**
+ * Look up the filesystem UUID when the source path is the root of a mounted volume
+ * @param {string} sourcePath - Resolved source path
+ * @returns {Promise<string|null>}
+ */
+async function getVolumeUuid(sourcePath) {
+  if (process.platform === 'darwin') {
+    const output = await runCommand('diskutil', ['info', sourcePath])
+    const mountPoint = output?.match(/^\s*Mount Point:\s*(.+)$/m)?.[1]?.trim()
+    const uuid = output?.match(/^\s*Volume UUID:\s*(\S+)$/m)?.[1]
+    return mountPoint === sourcePath && uuid ? uuid : null
+  }
+
+  if (process.platform === 'linux') {
+    const output = await runCommand('findmnt', ['-n', '-r', '-o', 'TARGET,UUID', '--target', sourcePath])
+    const [target, uuid] = output?.trim().split(/\s+/) || []
+    return target === sourcePath && uuid ? uuid : null
+  }
+
+  return null
+}
+
+/**
+ * Identify a card across imports.
+ * An existing marker file wins, then the volume UUID of the mount; otherwise a marker file is
+ * written to the card. Read-only sources that aren't a volume root fall back to a hash of the path.
+ * @param {string} sourcePath - Card mount or source folder
+ * @param {{createMarker?: boolean}} options - createMarker: false never writes to the card (dry runs)
+ * @returns {Promise<string>}
+ */
+export async function getCardId(sourcePath, options = {}) {
+  const { createMarker = true } = options
+  const resolvedPath = resolve(sourcePath)
+  const markerPath = join(resolvedPath, CARD_MARKER_FILE)
+
+  try {
+    const marker = (await fs.readFile(markerPath, 'utf-8')).trim()
+    if (marker) return marker
+  } catch (error) {
+    // No marker yet
+  }
+
+  const volumeUuid = await getVolumeUuid(resolvedPath)
+  if (volumeUuid) {
+    return `volume-${volumeUuid}`
+  }
+
+  const pathId = `path-${createHash('sha256').update(resolvedPath).digest('hex').slice(0, 16)}`
+  if (!createMarker) {
+    return pathId
+  }
+
+  try {
+    const marker = `card-${randomUUID()}`
+    await fs.writeFile(markerPath, marker + '\n', { flag: 'wx' })
+    return marker
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return (await fs.readFile(markerPath, 'utf-8')).trim()
+    }
+  }
+
+  return pathId
+}
+
+/**
+ * Per-profile, per-card record of source files that were already imported,
+ * so re-inserting a card only transfers what's new.
+ */
+class ImportState {
+  constructor(profileName, sourcePath, cardId, stateDir = STATE_DIR) {
+    this.profileName = profileName || 'default'
+    this.sourcePath = resolve(sourcePath)
+    this.cardId = cardId
+    this.filePath = join(stateDir, this.profileName.replace(/[^\w.-]+/g, '_'), `${cardId}.json`)
+    this.files = {}
+  }
+
+  static async open(profileName, sourcePath, stateDir = STATE_DIR, options = {}) {
+    const cardId = await getCardId(sourcePath, options)
+    const state = new ImportState(profileName, sourcePath, cardId, stateDir)
+    await state.load()
+    return state
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'))
+      this.files = data.files || {}
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read import state ${this.filePath}: ${error.message}`)
+      }
+      this.files = {}
+    }
+    return this
+  }
+
+  key(filePath) {
+    return relative(this.sourcePath, resolve(filePath))
+  }
+
+  /**
+   * Check whether a source file was imported before and hasn't changed since
+   * @param {string} filePath - Source file
+   * @param {{size: number, mtimeMs: number}} stats - Current stats of the file
+   * @returns {boolean}
+   */
+  isImported(filePath, stats) {
+    const record = this.files[this.key(filePath)]
+    return Boolean(record && record.size === stats.size && record.mtimeMs === Math.round(stats.mtimeMs))
+  }
+
+  /**
+   * Remember an imported source file
+   * @param {string} filePath - Source file
+   * @param {{size: number, mtimeMs: number}} stats - Stats captured before the transfer
+   * @param {{checksum?: string|null, checksumAlgorithm?: string|null, targetPath?: string|null}} details -
+   *   checksum is the source's, as verified during the transfer
+   */
+  record(filePath, stats, details = {}) {
+    this.files[this.key(filePath)] = {
+      size: stats.size,
+      mtimeMs: Math.round(stats.mtimeMs),
+      checksum: details.checksum || null,
+      checksumAlgorithm: details.checksum ? details.checksumAlgorithm || null : null,
+      targetPath: details.targetPath || null,
+      importedAt: new Date().toISOString(),
+    }
+  }
+
+  get size() {
+    return Object.keys(this.files).length
+  }
+
+  async save() {
+    await fs.mkdir(dirname(this.filePath), { recursive: true })
+
+    const data = {
+      profile: this.profileName,
+      cardId: this.cardId,
+      sourcePath: this.sourcePath,
+      updatedAt: new Date().toISOString(),
+      files: this.files,
+    }
+
+    await fs.writeFile(this.filePath, JSON.stringify(data, null, 2) + '\n')
+  }
+}
+
+/**
+ * Library copies recorded by every import on this machine, with the hash their source was verified with.
+ * Unlike manifests this doesn't depend on manifestFormat, so copies edited after import (GPS, dates, place
+ * names) can still be matched to the card files they came from.
+ * @param {string} stateDir - Folder holding the per-profile state files
+ * @returns {Promise<Array<{targetPath: string, size: number, checksum: string, checksumAlgorithm: string}>>}
+ */
+export async function loadImportedCopies(stateDir = STATE_DIR) {
+  const copies = []
+  const profiles = await fs.readdir(stateDir, { withFileTypes: true }).catch(() => [])
+
+  for (const profile of profiles.filter(entry => entry.isDirectory())) {
+    const cards = await fs.readdir(join(stateDir, profile.name)).catch(() => [])
+    for (const card of cards.filter(name => name.endsWith('.json'))) {
+      try {
+        const { files = {} } = JSON.parse(await fs.readFile(join(stateDir, profile.name, card), 'utf-8'))
+        for (const record of Object.values(files)) {
+          if (record.targetPath && record.checksum && record.checksumAlgorithm) {
+            copies.push({
+              targetPath: record.targetPath,
+              size: record.size,
+              checksum: record.checksum,
+              checksumAlgorithm: record.checksumAlgorithm,
+            })
+          }
+        }
+      } catch (error) {
+        // A damaged state file only costs the shortcut for that card
+      }
+    }
+  }
+
+  return copies
+}
+
+export { STATE_DIR }
+export default ImportState
@@ -0,0 +1,305 @@
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { homedir } from 'os'
+import { randomUUID } from 'crypto'
+import { hashFile } from './checksum.js'
+import { getPartialPath } from './fileProcessor.js'
+
+const JOURNAL_DIR = join(homedir(), '.ingestio', 'journals')
+
+// A companion shared by several primaries belongs to each of their groups, so files are tracked per group
+function fileKey(group, sourcePath) {
+  return `${group}\u0000${sourcePath}`
+}
+
+/**
+ * Append-only record of an import session, written as JSON Lines while runImport progresses.
+ * Each line is one event (session plan, group start, file start/done, group done/failed, end),
+ * so a crash loses at most the line being written and the journal stays cheap to update.
+ */
+class ImportJournal {
+  constructor(filePath) {
+    this.filePath = filePath
+    this.session = null
+    this.status = null
+    this.groupDates = new Map()
+    this.groupDateSources = new Map()
+    this.groupStatus = new Map()
+    this.startedFiles = new Map()
+    this.completedFiles = new Map()
+    this.writes = Promise.resolve()
+  }
+
+  /**
+   * Start a journal for a new import session
+   * @param {object} profile - Validated profile used for the import
+   * @param {Array<object>} groups - File groups that will be imported, in order
+   * @param {{headless?: boolean, sourceStats?: Map<string, object>}} options - Run options and source
+   *   stats needed to resume the session (sources may already be gone after a move)
+   * @param {string} journalDir - Directory holding journals
+   * @returns {Promise<ImportJournal>}
+   */
+  static async create(profile, groups, options = {}, journalDir = JOURNAL_DIR) {
+    await fs.mkdir(journalDir, { recursive: true })
+
+    const startedAt = new Date().toISOString()
+    const sessionId = `${startedAt.replace(/[:.]/g, '-')}-${randomUUID().slice(0, 8)}`
+    const journal = new ImportJournal(join(journalDir, `${sessionId}.jsonl`))
+
+    journal.session = {
+      type: 'session',
+      sessionId,
+      startedAt,
+      profile,
+      headless: Boolean(options.headless),
+      groups,
+      sources: Object.fromEntries(
+        [...(options.sourceStats || new Map())].map(([file, stats]) => [
+          file,
+          { size: stats.size, mtimeMs: stats.mtimeMs },
+        ])
+      ),
+    }
+    await journal.append(journal.session)
+
+    return journal
+  }
+
+  /**
+   * Load a journal from disk, ignoring a truncated trailing line
+   * @param {string} filePath - Journal file
+   * @returns {Promise<ImportJournal>}
+   */
+  static async load(filePath) {
+    const journal = new ImportJournal(filePath)
+    const lines = (await fs.readFile(filePath, 'utf-8')).split('\n').filter(line => line.trim())
+
+    for (const line of lines) {
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (error) {
+        // The process died mid-write; everything before this line is intact
+        break
+      }
+      journal.apply(entry)
+    }
+
+    if (!journal.session) {
+      throw new Error(`Journal ${filePath} has no session header`)
+    }
+
+    return journal
+  }
+
+  /**
+   * Find sessions that did not finish cleanly, newest first
+   * @param {string} journalDir - Directory holding journals
+   * @returns {Promise<ImportJournal[]>}
+   */
+  static async findInterrupted(journalDir = JOURNAL_DIR) {
+    let files
+    try {
+      files = await fs.readdir(journalDir)
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const journals = []
+    for (const file of files.filter(f => f.endsWith('.jsonl'))) {
+      try {
+        const journal = await ImportJournal.load(join(journalDir, file))
+        if (journal.status !== 'completed') {
+          journals.push(journal)
+        }
+      } catch (error) {
+        // Unreadable journals can't be resumed; leave them for manual inspection
+      }
+    }
+
+    return journals.sort((a, b) => b.session.startedAt.localeCompare(a.session.startedAt))
+  }
+
+  get sessionId() {
+    return this.session.sessionId
+  }
+
+  apply(entry) {
+    switch (entry.type) {
+      case 'session':
+        this.session = entry
+        break
+      case 'group-start':
+        this.groupDates.set(entry.group, new Date(entry.date))
+        this.groupDateSources.set(entry.group, entry.dateSource ?? null)
+        break
+      case 'file-start':
+        this.startedFiles.set(fileKey(entry.group, entry.sourcePath), entry)
+        break
+      case 'file-done':
+        this.startedFiles.delete(fileKey(entry.group, entry.result.sourcePath))
+        this.completedFiles.set(fileKey(entry.group, entry.result.sourcePath), {
+          group: entry.group,
+          result: entry.result,
+        })
+        break
+      case 'group-done':
+        this.groupStatus.set(entry.group, 'done')
+        break
+      case 'group-failed':
+        this.groupStatus.set(entry.group, 'failed')
+        break
+      case 'end':
+        this.status = entry.status
+        break
+    }
+  }
+
+  append(entry) {
+    if (entry.type !== 'session') {
+      this.apply(entry)
+    }
+    // Groups finish concurrently; chaining the writes keeps every line whole and in order
+    const line = JSON.stringify(entry) + '\n'
+    const write = this.writes.then(() => fs.appendFile(this.filePath, line))
+    this.writes = write.catch(() => {})
+    return write
+  }
+
+  startGroup(group, date, dateSource = null) {
+    return this.append({ type: 'group-start', group, date: date.toISOString(), dateSource })
+  }
+
+  startFile(group, sourcePath, targetPath) {
+    return this.append({ type: 'file-start', group, sourcePath, targetPath })
+  }
+
+  completeFile(group, result) {
+    return this.append({ type: 'file-done', group, result })
+  }
+
+  completeGroup(group) {
+    return this.append({ type: 'group-done', group })
+  }
+
+  failGroup(group, error) {
+    return this.append({ type: 'group-failed', group, error })
+  }
+
+  /**
+   * Close the session. Cleanly completed journals are removed; anything else stays resumable.
+   * @param {string} status - 'completed' or 'failed'
+   */
+  async finish(status) {
+    await this.append({ type: 'end', status, endedAt: new Date().toISOString() })
+
+    if (status === 'completed') {
+      await fs.rm(this.filePath, { force: true })
+    }
+  }
+
+  /**
+   * Source file stats captured when the session started
+   * @returns {Map<string, {size: number, mtimeMs: number}>}
+   */
+  sourceStats() {
+    return new Map(Object.entries(this.session.sources || {}))
+  }
+
+  /**
+   * Indexes of groups that still need to be processed
+   * @returns {number[]}
+   */
+  pendingGroupIndexes() {
+    return this.session.groups.map((_, index) => index).filter(index => this.groupStatus.get(index) !== 'done')
+  }
+
+  /**
+   * Results of files already transferred within one group
+   * @param {number} group - Group index
+   * @returns {Map<string, object>}
+   */
+  completedFilesForGroup(group) {
+    const completed = new Map()
+    for (const entry of this.completedFiles.values()) {
+      if (entry.group === group) {
+        completed.set(entry.result.sourcePath, entry.result)
+      }
+    }
+    return completed
+  }
+
+  /**
+   * Results of every file in groups that completed before the interruption
+   * @returns {object[]}
+   */
+  completedGroupResults() {
+    // Files of a group finish in any order; report them in scan order
+    return this.session.groups.flatMap((group, index) =>
+      this.groupStatus.get(index) === 'done'
+        ? group.files
+            .map(file => this.completedFiles.get(fileKey(index, file)))
+            .filter(Boolean)
+            .map(entry => entry.result)
+        : []
+    )
+  }
+
+  /**
+   * Settle files whose transfer had started when the session was interrupted.
+   * Partial files are deleted; a final file that is present and matches its source
+   * (the crash hit after the atomic rename) is recorded as completed.
+   * @param {string|null} checksumAlgorithm - Algorithm used to compare source and target
+   * @returns {Promise<{recovered: number, discarded: number}>}
+   */
+  async reconcile(checksumAlgorithm) {
+    let recovered = 0
+    let discarded = 0
+
+    for (const entry of [...this.startedFiles.values()]) {
+      await fs.rm(getPartialPath(entry.targetPath), { force: true })
+
+      const targetStats = await fs.stat(entry.targetPath).catch(() => null)
+      if (!targetStats) {
+        discarded++
+        continue
+      }
+
+      const sourceStats = await fs.stat(entry.sourcePath).catch(() => null)
+      const targetHash = checksumAlgorithm ? await hashFile(entry.targetPath, checksumAlgorithm) : null
+      let matches = true
+
+      // Without a source (moved by rename) the target is the only copy and is complete by construction
+      if (sourceStats) {
+        matches = sourceStats.size === targetStats.size
+        if (matches && checksumAlgorithm) {
+          matches = (await hashFile(entry.sourcePath, checksumAlgorithm)) === targetHash
+        }
+      }
+
+      if (!matches) {
+        discarded++
+        continue
+      }
+
+      const group = this.session.groups[entry.group]
+      await this.completeFile(entry.group, {
+        sourcePath: entry.sourcePath,
+        targetPath: entry.targetPath,
+        isCompanion: group.companionFiles.includes(entry.sourcePath),
+        size: targetStats.size,
+        checksum: targetHash,
+        sourceSize: targetStats.size,
+        sourceChecksum: targetHash,
+        pendingRemoval: this.session.profile.transferMode === 'safe-move',
+      })
+      recovered++
+    }
+
+    return { recovered, discarded }
+  }
+}
+
+export { JOURNAL_DIR }
+export default ImportJournal
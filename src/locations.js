@@ -0,0 +1,166 @@
+import { promises as fs } from 'fs'
+import { join, dirname } from 'path'
+import { homedir } from 'os'
+import YAML from 'yaml'
+import { validateCoordinates, validatePositionDetails, parseCoordinateString, formatCoordinates } from './gpsHandler.js'
+
+export const LOCATIONS_FILE = join(homedir(), '.ingestio', 'locations.yaml')
+
+// Names are typed after "@" on the command line, so keep them shell-friendly
+const LOCATION_NAME = /^[a-z0-9][a-z0-9_-]*$/i
+
+/**
+ * Check a location name
+ * @param {string} name - Name as typed, without the "@"
+ * @returns {string|null} - Problem with the name, or null when it is fine
+ */
+export function validateLocationName(name) {
+  if (typeof name !== 'string' || !LOCATION_NAME.test(name)) {
+    return 'Location names use letters, digits, "-" and "_", e.g. "studio" or "client-berlin"'
+  }
+  return null
+}
+
+function checkLocation(name, entry) {
+  const problem = validateLocationName(name)
+  if (problem) throw new Error(`Invalid location name "${name}": ${problem}`)
+
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Invalid location "${name}": expected latitude and longitude`)
+  }
+  const position = validateCoordinates(entry.latitude, entry.longitude)
+  const { valid, error } = position.valid ? validatePositionDetails(entry) : position
+  if (!valid) throw new Error(`Invalid location "${name}": ${error}`)
+
+  const location = { latitude: entry.latitude, longitude: entry.longitude }
+  for (const detail of ['altitude', 'direction', 'accuracy']) {
+    if (entry[detail] !== undefined && entry[detail] !== null) location[detail] = entry[detail]
+  }
+  if (entry.description) location.description = String(entry.description)
+  return location
+}
+
+/**
+ * Read the saved locations
+ * @param {string} file - Registry file
+ * @returns {Promise<Object<string, {latitude: number, longitude: number, altitude?: number, direction?: number,
+ *   accuracy?: number, description?: string}>>} - Locations by name, in file order; empty when the file doesn't exist yet
+ */
+export async function loadLocations(file = LOCATIONS_FILE) {
+  let content
+  try {
+    content = await fs.readFile(file, 'utf-8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return {}
+    throw error
+  }
+
+  let entries
+  try {
+    entries = YAML.parse(content) || {}
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`)
+  }
+  if (typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(`Cannot read ${file}: expected locations by name`)
+  }
+
+  return Object.fromEntries(Object.entries(entries).map(([name, entry]) => [name, checkLocation(name, entry)]))
+}
+
+async function editLocations(file, edit) {
+  let content = ''
+  try {
+    content = await fs.readFile(file, 'utf-8')
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  // Edited as a document so comments in the file survive
+  const document = YAML.parseDocument(content)
+  const result = edit(document)
+  await fs.mkdir(dirname(file), { recursive: true })
+  await fs.writeFile(file, String(document))
+  return result
+}
+
+/**
+ * Add a location, or replace the one with the same name
+ * @param {string} name - Location name
+ * @param {{latitude: number, longitude: number, altitude?: number, direction?: number, accuracy?: number,
+ *   description?: string}} location
+ * @param {string} file - Registry file
+ * @returns {Promise<boolean>} - Whether a location of that name was replaced
+ */
+export async function saveLocation(name, location, file = LOCATIONS_FILE) {
+  const checked = checkLocation(name, location)
+  return editLocations(file, document => {
+    const replaced = document.has(name)
+    document.set(name, checked)
+    return replaced
+  })
+}
+
+/**
+ * Delete a location
+ * @param {string} name - Location name
+ * @param {string} file - Registry file
+ * @returns {Promise<boolean>} - false when there was no location of that name
+ */
+export async function removeLocation(name, file = LOCATIONS_FILE) {
+  const locations = await loadLocations(file)
+  if (!Object.hasOwn(locations, name)) return false
+  return editLocations(file, document => document.delete(name))
+}
+
+/**
+ * Turn a --gps value into a position: "@name" looks up a saved location, anything else is parsed as coordinates
+ * @param {string} value - Command line or prompt input
+ * @param {Object<string, object>} locations - From loadLocations
+ * @returns {{latitude?: number, longitude?: number, altitude?: number, direction?: number, accuracy?: number,
+ *   error?: string}}
+ */
+export function resolveLocation(value, locations) {
+  const trimmed = String(value ?? '').trim()
+  if (!trimmed.startsWith('@')) {
+    return parseCoordinateString(trimmed)
+  }
+
+  const name = trimmed.slice(1)
+  const location = Object.hasOwn(locations, name) ? locations[name] : null
+  if (!location) {
+    const known = Object.keys(locations)
+    return {
+      error:
+        `Unknown location "@${name}". ` +
+        (known.length > 0
+          ? `Saved locations: ${known.map(other => `@${other}`).join(', ')}`
+          : 'Save one with: ingestio locations add <name> <latitude,longitude>'),
+    }
+  }
+
+  const { description, ...position } = location
+  return position
+}
+
+/**
+ * One line per location for `ingestio locations list`
+ * @param {Object<string, object>} locations - From loadLocations
+ * @returns {string}
+ */
+export function formatLocations(locations) {
+  const names = Object.keys(locations)
+  if (names.length === 0) return `No saved locations. Add one with: ingestio locations add <name> <latitude,longitude>`
+
+  const width = Math.max(...names.map(name => name.length + 1))
+  return names
+    .map(name => {
+      const { latitude, longitude, altitude, direction, accuracy, description } = locations[name]
+      const height = altitude !== undefined ? `, ${altitude} m` : ''
+      const facing = direction !== undefined ? `, facing ${direction}°` : ''
+      const error = accuracy !== undefined ? `, ±${accuracy} m` : ''
+      const note = description ? `  ${description}` : ''
+      return `@${name}`.padEnd(width) + `  ${formatCoordinates(latitude, longitude)}${height}${facing}${error}${note}`
+    })
+    .join('\n')
+}
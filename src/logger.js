@@ -1,6 +1,10 @@
 import { promises as fs } from 'fs'
 import { join } from 'path'
 import { homedir } from 'os'
+import { parseTimeShift, formatTimeShift } from './timeShift.js'
+import { isFilesystemDateSource } from './dateSources.js'
+
+const REPORTS_DIR = join(homedir(), '.ingestio', 'reports')
 
 const LOG_LEVELS = {
   debug: 0,
@@ -21,6 +25,10 @@ class Logger {
         logLevel: level,
       },
       files: [],
+      duplicates: [],
+      dateRewrites: [],
+      outsideTrack: [],
+      flaggedGps: [],
       summary: {
         totalFiles: 0,
         processedFiles: 0,
@@ -28,6 +36,12 @@ class Logger {
         totalSize: 0,
         transferredSize: 0,
         totalTime: 0,
+        verifiedFiles: 0,
+        skippedDuplicates: 0,
+        datesRewritten: 0,
+        outsideTrack: 0,
+        flaggedGps: 0,
+        dateSources: {},
       },
       errors: [],
     }
@@ -103,6 +117,11 @@ class Logger {
       cameraLabel: profile.cameraLabel,
       transferMode: profile.transferMode,
       onCollision: profile.onCollision,
+      checksumAlgorithm: profile.checksumAlgorithm,
+      cameraTimezone: profile.cameraTimezone,
+      timeOffset: profile.timeOffset ? formatTimeShift(parseTimeShift(profile.timeOffset)) : null,
+      rewriteDates: profile.rewriteDates,
+      gpxFiles: profile.addGpsData ? profile.gpxFiles : [],
     }
   }
 
@@ -111,7 +130,16 @@ class Logger {
     this.info(`Starting file processing`, { totalFiles })
   }
 
-  logFileTransfer(sourceFile, targetFile, operation, fileSize, duration, success = true, isCompanion = false) {
+  logFileTransfer(
+    sourceFile,
+    targetFile,
+    operation,
+    fileSize,
+    duration,
+    success = true,
+    isCompanion = false,
+    details = {}
+  ) {
     const transferData = {
       timestamp: new Date().toISOString(),
       sourceFile,
@@ -121,14 +149,23 @@ class Logger {
       duration,
       success,
       isCompanion,
+      ...details,
     }
 
     this.reportData.files.push(transferData)
 
     if (success) {
       this.reportData.summary.processedFiles++
+      if (transferData.checksum) {
+        this.reportData.summary.verifiedFiles++
+      }
       this.reportData.summary.transferredSize += fileSize
       this.reportData.summary.totalTime += duration
+      // Companions are named after their primary file's date, so only primaries count
+      if (transferData.dateSource && !isCompanion) {
+        const { dateSources } = this.reportData.summary
+        dateSources[transferData.dateSource] = (dateSources[transferData.dateSource] || 0) + 1
+      }
 
       const speed = this.calculateTransferSpeed(fileSize, duration)
       const fileType = isCompanion ? ' (companion)' : ''
@@ -144,6 +181,64 @@ class Logger {
     }
   }
 
+  logDuplicateSkip(sourceFile, duplicateOf) {
+    this.reportData.duplicates.push({
+      timestamp: new Date().toISOString(),
+      sourceFile,
+      duplicateOf,
+    })
+    this.reportData.summary.skippedDuplicates++
+
+    this.info(`SKIP ${sourceFile} (duplicate of ${duplicateOf})`)
+  }
+
+  logDateRewrite(targetFile, shift) {
+    this.reportData.dateRewrites.push({
+      timestamp: new Date().toISOString(),
+      targetFile,
+      shift,
+    })
+    this.reportData.summary.datesRewritten++
+
+    this.debug(`Shifted embedded dates of ${targetFile} by ${shift}`)
+  }
+
+  logOutsideTrack(sourceFile, captureDate, reason) {
+    this.reportData.outsideTrack.push({
+      timestamp: new Date().toISOString(),
+      sourceFile,
+      captureDate: captureDate.toISOString(),
+      reason,
+    })
+    this.reportData.summary.outsideTrack++
+
+    this.info(`NO GPS ${sourceFile} (${reason})`)
+  }
+
+  logFlaggedGps(sourceFile, position, reason, replaced) {
+    this.reportData.flaggedGps.push({
+      timestamp: new Date().toISOString(),
+      sourceFile,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      reason,
+      replaced,
+    })
+    this.reportData.summary.flaggedGps++
+
+    this.warn(`SUSPICIOUS GPS ${sourceFile} (${reason})${replaced ? ', replaced' : ''}`)
+  }
+
+  /**
+   * Primary files whose capture date came from the filesystem (mtime, birthtime) rather than the file itself
+   * @returns {Array<object>} - Transfer entries as logged
+   */
+  filesystemDatedFiles() {
+    return this.reportData.files.filter(
+      file => file.success && !file.isCompanion && file.dateSource && isFilesystemDateSource(file.dateSource)
+    )
+  }
+
   updateTotalSize(size) {
     this.reportData.summary.totalSize += size
   }
@@ -152,7 +247,7 @@ class Logger {
     if (bytes === 0) return '0 B'
 
     const k = 1024
-    const sizes = ['B', 'KB', 'MB', 'GB']
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB']
     const i = Math.floor(Math.log(bytes) / Math.log(k))
 
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
@@ -181,7 +276,7 @@ class Logger {
   }
 
   generateTextReport(totalSessionTime) {
-    const { session, files, summary, errors } = this.reportData
+    const { session, files, duplicates, dateRewrites, outsideTrack, flaggedGps, summary, errors } = this.reportData
 
     let report = []
 
@@ -210,6 +305,19 @@ class Logger {
       report.push(`Camera Label: ${session.profile.cameraLabel}`)
       report.push(`Transfer Mode: ${session.profile.transferMode}`)
       report.push(`Collision Handling: ${session.profile.onCollision}`)
+      if (session.profile.checksumAlgorithm) {
+        report.push(`Checksum Algorithm: ${session.profile.checksumAlgorithm}`)
+      }
+      if (session.profile.cameraTimezone) {
+        report.push(`Camera Time Zone: ${session.profile.cameraTimezone}`)
+      }
+      if (session.profile.timeOffset) {
+        const rewrite = session.profile.rewriteDates ? ' (embedded dates rewritten)' : ''
+        report.push(`Clock Correction: ${session.profile.timeOffset}${rewrite}`)
+      }
+      if (session.profile.gpxFiles?.length > 0) {
+        report.push(`GPS Tracks: ${session.profile.gpxFiles.join(', ')}`)
+      }
       report.push('')
     }
 
@@ -219,12 +327,66 @@ class Logger {
     report.push(`Total Files Found: ${summary.totalFiles}`)
     report.push(`Successfully Processed: ${summary.processedFiles}`)
     report.push(`Failed: ${summary.errorFiles}`)
+    report.push(`Checksum Verified: ${summary.verifiedFiles}`)
+    report.push(`Skipped Duplicates: ${summary.skippedDuplicates}`)
+    if (summary.datesRewritten > 0) {
+      report.push(`Dates Rewritten: ${summary.datesRewritten}`)
+    }
+    if (summary.outsideTrack > 0) {
+      report.push(`Outside GPS Track: ${summary.outsideTrack}`)
+    }
+    if (summary.flaggedGps > 0) {
+      report.push(`Suspicious GPS: ${summary.flaggedGps}`)
+    }
     report.push(`Total Size: ${this.formatBytes(summary.totalSize)}`)
     report.push(`Transferred Size: ${this.formatBytes(summary.transferredSize)}`)
     report.push(`Average Transfer Speed: ${this.calculateAverageSpeed()}`)
     report.push(`Total Transfer Time: ${this.formatDuration(summary.totalTime)}`)
     report.push('')
 
+    // Where capture dates came from
+    const dateSources = Object.entries(summary.dateSources)
+    if (dateSources.length > 0) {
+      report.push('DATE SOURCES')
+      report.push('-'.repeat(40))
+      dateSources.sort(([, a], [, b]) => b - a).forEach(([source, count]) => report.push(`${source}: ${count}`))
+      report.push('')
+    }
+
+    // Files named after their filesystem time; these are the ones to check by hand
+    const filesystemDated = this.filesystemDatedFiles()
+    if (filesystemDated.length > 0) {
+      report.push('DATED BY FILESYSTEM TIME')
+      report.push('-'.repeat(40))
+      filesystemDated.forEach((file, index) => {
+        report.push(`${index + 1}. ${file.sourceFile} (${file.dateSource})`)
+      })
+      report.push('')
+    }
+
+    // Files the track log doesn't cover; they got the fixed coordinates, if any, or no location
+    if (outsideTrack.length > 0) {
+      report.push('OUTSIDE GPS TRACK')
+      report.push('-'.repeat(40))
+      outsideTrack.forEach((entry, index) => {
+        report.push(`${index + 1}. ${entry.sourceFile} (captured ${entry.captureDate}, ${entry.reason})`)
+      })
+      report.push('')
+    }
+
+    // Positions the files brought with them that failed the profile's GPS sanity rules
+    if (flaggedGps.length > 0) {
+      report.push('SUSPICIOUS GPS')
+      report.push('-'.repeat(40))
+      flaggedGps.forEach((entry, index) => {
+        const action = entry.replaced ? 'replaced' : 'kept'
+        report.push(
+          `${index + 1}. ${entry.sourceFile} at ${entry.latitude}, ${entry.longitude} (${entry.reason}; ${action})`
+        )
+      })
+      report.push('')
+    }
+
     // File Details (if debug level)
     if (this.level === 'debug' && files.length > 0) {
       report.push('FILE TRANSFER DETAILS')
@@ -239,10 +401,37 @@ class Logger {
         report.push(`   Source: ${file.sourceFile}`)
         report.push(`   Target: ${file.targetFile}`)
         report.push(`   Size: ${size}, Duration: ${duration}, Speed: ${speed}`)
+        if (file.dateSource) {
+          report.push(`   Date Source: ${file.dateSource}`)
+        }
+        if (file.checksum) {
+          report.push(`   Checksum (${file.checksumAlgorithm}): ${file.checksum}`)
+        }
         report.push('')
       })
     }
 
+    // Duplicates
+    if (duplicates.length > 0) {
+      report.push('SKIPPED DUPLICATES')
+      report.push('-'.repeat(40))
+      duplicates.forEach((duplicate, index) => {
+        report.push(`${index + 1}. ${duplicate.sourceFile}`)
+        report.push(`   Already in library: ${duplicate.duplicateOf}`)
+      })
+      report.push('')
+    }
+
+    // Date rewrites (if debug level)
+    if (this.level === 'debug' && dateRewrites.length > 0) {
+      report.push('REWRITTEN DATES')
+      report.push('-'.repeat(40))
+      dateRewrites.forEach((rewrite, index) => {
+        report.push(`${index + 1}. ${rewrite.targetFile} (${rewrite.shift})`)
+      })
+      report.push('')
+    }
+
     // Errors
     if (errors.length > 0) {
       report.push('ERRORS')
@@ -290,11 +479,10 @@ class Logger {
 
   async saveReport(report) {
     try {
-      const reportsDir = join(homedir(), '.ingestio', 'reports')
-      await fs.mkdir(reportsDir, { recursive: true })
+      await fs.mkdir(REPORTS_DIR, { recursive: true })
 
       const filename = this.reportFile || `import-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`
-      const filepath = join(reportsDir, filename)
+      const filepath = join(REPORTS_DIR, filename)
 
       await fs.writeFile(filepath, report)
       this.info(`Report saved to: ${filepath}`)
@@ -304,4 +492,5 @@ class Logger {
   }
 }
 
+export { REPORTS_DIR }
 export default Logger
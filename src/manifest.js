@@ -0,0 +1,190 @@
+import { promises as fs } from 'fs'
+import { join, dirname, basename } from 'path'
+
+export const MANIFEST_FORMATS = ['json', 'csv', 'none']
+
+const MANIFEST_BASENAME = 'ingestio-manifest'
+const CSV_COLUMNS = ['file', 'size', 'algorithm', 'hash', 'sourcePath', 'verifiedAt', 'sourceSize', 'sourceHash']
+
+/**
+ * Group verified transfer results by their destination folder
+ * @param {Array<{sourcePath: string, targetPath: string, size: number, checksum: string}>} results
+ * @returns {Map<string, Array<object>>}
+ */
+function groupByDirectory(results) {
+  const byDir = new Map()
+
+  for (const result of results) {
+    if (!result.checksum) continue
+
+    const dir = dirname(result.targetPath)
+    if (!byDir.has(dir)) {
+      byDir.set(dir, [])
+    }
+    byDir.get(dir).push(result)
+  }
+
+  return byDir
+}
+
+function toEntry(result, algorithm) {
+  const entry = {
+    file: basename(result.targetPath),
+    size: result.targetSize ?? result.size,
+    algorithm,
+    hash: result.targetChecksum ?? result.checksum,
+    sourcePath: result.sourcePath,
+    verifiedAt: result.verifiedAt || new Date().toISOString(),
+  }
+  // A copy edited after the transfer no longer hashes like the card file; keep what was verified so a
+  // re-import of the same card still recognises it
+  if (entry.hash !== result.checksum) {
+    entry.sourceSize = result.size
+    entry.sourceHash = result.checksum
+  }
+  return entry
+}
+
+function escapeCsv(value) {
+  const str = String(value ?? '')
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+function parseCsvLine(line) {
+  const values = []
+  let current = ''
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        current += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      values.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  values.push(current)
+
+  return values
+}
+
+/**
+ * Read the entries of an existing manifest
+ * @param {string} manifestPath - Path of a JSON or CSV manifest
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Promise<Array<object>>} - Entries as written; empty when the manifest doesn't exist
+ */
+export async function readExistingEntries(manifestPath, format) {
+  try {
+    const content = await fs.readFile(manifestPath, 'utf-8')
+
+    if (format === 'json') {
+      return JSON.parse(content).files || []
+    }
+
+    const [header, ...lines] = content.split('\n').filter(line => line.trim())
+    const columns = parseCsvLine(header)
+    return lines.map(line => {
+      const values = parseCsvLine(line)
+      const entry = Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+      entry.size = Number(entry.size)
+      if (entry.sourceSize) {
+        entry.sourceSize = Number(entry.sourceSize)
+      } else {
+        delete entry.sourceSize
+        delete entry.sourceHash
+      }
+      return entry
+    })
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []
+    }
+    throw new Error(`Could not read existing manifest ${manifestPath}: ${error.message}`)
+  }
+}
+
+function serializeManifest(entries, format) {
+  if (format === 'json') {
+    return (
+      JSON.stringify(
+        {
+          generator: 'ingestio',
+          version: 1,
+          updatedAt: new Date().toISOString(),
+          files: entries,
+        },
+        null,
+        2
+      ) + '\n'
+    )
+  }
+
+  const lines = [CSV_COLUMNS.join(',')]
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(column => escapeCsv(entry[column])).join(','))
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Get the manifest path for a destination folder
+ * @param {string} targetDir - Destination folder
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string}
+ */
+export function getManifestPath(targetDir, format) {
+  return join(targetDir, `${MANIFEST_BASENAME}.${format}`)
+}
+
+/**
+ * Write (or update) a hash manifest in every destination folder touched by the import.
+ * Entries from earlier imports are kept; a re-imported file replaces its previous entry.
+ * @param {Array<object>} results - Transfer results carrying targetPath, size and checksum, and targetSize and
+ *   targetChecksum when the copy was edited after the transfer
+ * @param {string} algorithm - Checksum algorithm the hashes were computed with
+ * @param {string} format - One of MANIFEST_FORMATS
+ * @returns {Promise<string[]>} - Paths of the manifests written
+ */
+export async function writeManifests(results, algorithm, format = 'json') {
+  if (format === 'none') {
+    return []
+  }
+
+  if (!MANIFEST_FORMATS.includes(format)) {
+    throw new Error(`Invalid manifest format: ${format}. Must be one of ${MANIFEST_FORMATS.join(', ')}`)
+  }
+
+  const written = []
+
+  for (const [targetDir, dirResults] of groupByDirectory(results)) {
+    const manifestPath = getManifestPath(targetDir, format)
+    const entries = new Map()
+
+    for (const entry of await readExistingEntries(manifestPath, format)) {
+      entries.set(entry.file, entry)
+    }
+    for (const result of dirResults) {
+      const entry = toEntry(result, algorithm)
+      entries.set(entry.file, entry)
+    }
+
+    const sorted = [...entries.values()].sort((a, b) => a.file.localeCompare(b.file))
+    await fs.writeFile(manifestPath, serializeManifest(sorted, format))
+    written.push(manifestPath)
+  }
+
+  return written
+}
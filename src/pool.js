@@ -0,0 +1,90 @@
+export const CONCURRENCY_STAGES = ['metadata', 'copy', 'exiftool']
+
+// Metadata reads are small random reads; copies and exiftool writes saturate the disks with fewer workers
+export const DEFAULT_CONCURRENCY = { metadata: 4, copy: 2, exiftool: 2 }
+
+/**
+ * Parse a concurrency setting into per-stage limits.
+ * Accepts a single number (applied to every stage), a "stage=n,stage=n" string as used by --jobs,
+ * or an object keyed by stage. Stages that aren't mentioned are left out of the result.
+ * @param {number|string|object} value - Concurrency setting
+ * @returns {{metadata?: number, copy?: number, exiftool?: number}}
+ */
+export function parseConcurrency(value) {
+  let limits
+
+  if (typeof value === 'number' || (typeof value === 'string' && /^\s*\d+\s*$/.test(value))) {
+    const jobs = Number(value)
+    limits = Object.fromEntries(CONCURRENCY_STAGES.map(stage => [stage, jobs]))
+  } else if (typeof value === 'string') {
+    limits = {}
+    for (const part of value.split(',')) {
+      const [stage, jobs] = part.split('=').map(s => s.trim())
+      if (jobs === undefined || !/^\d+$/.test(jobs)) {
+        throw new Error(`Invalid concurrency setting "${part.trim()}". Use a number or stage=number pairs`)
+      }
+      limits[stage] = Number(jobs)
+    }
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    limits = { ...value }
+  } else {
+    throw new Error(`Invalid concurrency value: ${value}. Must be a number or an object with per-stage limits`)
+  }
+
+  for (const [stage, jobs] of Object.entries(limits)) {
+    if (!CONCURRENCY_STAGES.includes(stage)) {
+      throw new Error(`Unknown concurrency stage "${stage}". Must be one of ${CONCURRENCY_STAGES.join(', ')}`)
+    }
+    if (!Number.isInteger(jobs) || jobs < 1) {
+      throw new Error(`Invalid concurrency for ${stage}: ${jobs}. Must be a positive integer`)
+    }
+  }
+
+  return limits
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once, starting queued tasks in FIFO order
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {function(function(): Promise<any>): Promise<any>}
+ */
+export function createLimiter(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${concurrency}. Must be a positive integer`)
+  }
+
+  const queue = []
+  let active = 0
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return
+    }
+
+    const { task, resolve, reject } = queue.shift()
+    active++
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--
+        next()
+      })
+  }
+
+  return task =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject })
+      next()
+    })
+}
+
+/**
+ * Create one limiter per pipeline stage
+ * @param {{metadata: number, copy: number, exiftool: number}} concurrency - Per-stage limits
+ * @returns {{metadata: function, copy: function, exiftool: function}}
+ */
+export function createStageLimiters(concurrency) {
+  return Object.fromEntries(CONCURRENCY_STAGES.map(stage => [stage, createLimiter(concurrency[stage])]))
+}
@@ -0,0 +1,106 @@
+import { promises as fs, constants } from 'fs'
+import { join, dirname, resolve } from 'path'
+import { randomUUID } from 'crypto'
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 }
+
+/**
+ * Parse a free-space margin: bytes as a number, a size like "500MB" or "2 GB",
+ * or a percentage of the import size like "10%"
+ * @param {number|string} value - Margin setting
+ * @returns {{bytes: number}|{percent: number}}
+ */
+export function parseMargin(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return { bytes: value }
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(%|B|KB|MB|GB|TB)?$/i)
+  if (!match) {
+    throw new Error(`Invalid freeSpaceMargin value: ${value}. Use bytes, a size like "2GB" or a percentage like "10%"`)
+  }
+
+  const amount = Number(match[1])
+  const unit = (match[2] || 'B').toUpperCase()
+
+  return unit === '%' ? { percent: amount } : { bytes: Math.round(amount * SIZE_UNITS[unit]) }
+}
+
+/**
+ * Find the closest existing directory for a path that may not have been created yet
+ * @param {string} path - Destination path
+ * @returns {Promise<string>}
+ */
+async function nearestExistingDirectory(path) {
+  let current = resolve(path)
+
+  while (true) {
+    try {
+      const stats = await fs.stat(current)
+      if (stats.isDirectory()) return current
+      throw new Error(`Destination ${current} exists but is not a directory`)
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error
+    }
+
+    const parent = dirname(current)
+    if (parent === current) return current
+    current = parent
+  }
+}
+
+/**
+ * Check that the destination can take the import before anything is copied.
+ * Write access is probed with a real file, since permission bits don't reveal read-only mounts or
+ * network share ACLs. A move within one volume is a rename and needs no extra space.
+ * @param {{sourcePath: string, destinationRoot: string, transferMode: string, freeSpaceMargin?: number|string}} profile
+ * @param {number} totalSize - Bytes the import will write
+ * @param {{probeWrite?: boolean}} options - probeWrite: false only checks permission bits (dry runs)
+ * @returns {Promise<{directory: string, writeError: string|null, freeBytes: number|null, requiredBytes: number,
+ *   marginBytes: number, enoughSpace: boolean}>}
+ */
+export async function checkDestination(profile, totalSize, options = {}) {
+  const { probeWrite = true } = options
+  const directory = await nearestExistingDirectory(profile.destinationRoot)
+
+  let writeError = null
+  const probePath = join(directory, `.ingestio-write-test-${randomUUID()}`)
+  try {
+    await fs.access(directory, constants.W_OK)
+    if (probeWrite) {
+      await fs.writeFile(probePath, '')
+    }
+  } catch (error) {
+    writeError = error.code || error.message
+  } finally {
+    if (probeWrite) {
+      await fs.rm(probePath, { force: true })
+    }
+  }
+
+  let requiredBytes = totalSize
+  if (profile.transferMode === 'move') {
+    const [sourceStats, destinationStats] = await Promise.all([
+      fs.stat(profile.sourcePath).catch(() => null),
+      fs.stat(directory),
+    ])
+    if (sourceStats && sourceStats.dev === destinationStats.dev) {
+      requiredBytes = 0
+    }
+  }
+
+  const margin = parseMargin(profile.freeSpaceMargin ?? '5%')
+  const marginBytes = requiredBytes === 0 ? 0 : (margin.bytes ?? Math.ceil((requiredBytes * margin.percent) / 100))
+
+  let freeBytes = null
+  try {
+    const stats = await fs.statfs(directory)
+    freeBytes = stats.bavail * stats.bsize
+  } catch (error) {
+    // Some network filesystems don't report free space; the transfer itself will fail if it runs out
+  }
+
+  const enoughSpace = freeBytes === null || requiredBytes + marginBytes <= freeBytes
+
+  return { directory, writeError, freeBytes, requiredBytes, marginBytes, enoughSpace }
+}
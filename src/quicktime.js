@@ -0,0 +1,244 @@
+import { promises as fs } from 'fs'
+import { parseExifDate } from './timezone.js'
+
+// Seconds between the QuickTime epoch (1904-01-01) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800
+
+// Boxes that can start an ISO-BMFF/QuickTime file; anything else is not a movie
+const TOP_LEVEL_BOXES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'pnot', 'uuid']
+
+// Containers walked on the way to the date atoms. 'meta' is handled separately (full box or not).
+const CONTAINERS = ['moov', 'trak', 'mdia', 'udta', 'ilst']
+
+// Small boxes read into memory; sample tables and media data are skipped by offset
+const MAX_ATOM_SIZE = 1024 * 1024
+
+// Makes whose movie headers hold the camera's local time instead of UTC
+const LOCAL_TIME_MAKES = [/^DJI/i]
+
+// User data atoms only DJI writes (protobuf metadata and debug info)
+const DJI_ATOMS = ['djmd', 'dbgi']
+
+async function readBoxes(handle, start, end, visit) {
+  const header = Buffer.alloc(16)
+  let position = start
+
+  while (position + 8 <= end) {
+    const { bytesRead } = await handle.read(header, 0, 16, position)
+    if (bytesRead < 8) break
+
+    let size = header.readUInt32BE(0)
+    const type = header.toString('latin1', 4, 8)
+    let headerSize = 8
+
+    if (size === 1) {
+      if (bytesRead < 16) break
+      size = Number(header.readBigUInt64BE(8))
+      headerSize = 16
+    } else if (size === 0) {
+      size = end - position
+    }
+    if (size < headerSize || position + size > end) break
+
+    await visit(type, position + headerSize, position + size)
+    position += size
+  }
+}
+
+async function readAtom(handle, start, end) {
+  const length = Math.min(end - start, MAX_ATOM_SIZE)
+  const buffer = Buffer.alloc(length)
+  await handle.read(buffer, 0, length, start)
+  return buffer
+}
+
+// Creation time of mvhd, tkhd and mdhd: version 0 stores 32-bit seconds, version 1 64-bit
+function headerCreationTime(buffer) {
+  const seconds = buffer[0] === 1 ? Number(buffer.readBigUInt64BE(4)) : buffer.readUInt32BE(4)
+  return seconds === 0 ? null : seconds - QUICKTIME_EPOCH_OFFSET
+}
+
+// QuickTime user data text: 16-bit length, 16-bit language, text
+function userDataText(buffer) {
+  if (buffer.length < 4) return null
+  const length = Math.min(buffer.readUInt16BE(0), buffer.length - 4)
+  return (
+    buffer
+      .toString('utf-8', 4, 4 + length)
+      .replace(/\0+$/, '')
+      .trim() || null
+  )
+}
+
+// iTunes-style item: one or more 'data' atoms holding type, locale and value
+function itemDataText(buffer) {
+  if (buffer.length < 16 || buffer.toString('latin1', 4, 8) !== 'data') return null
+  const size = Math.min(buffer.readUInt32BE(0), buffer.length)
+  return buffer.toString('utf-8', 16, size).replace(/\0+$/, '').trim() || null
+}
+
+// mdta key names from a 'keys' atom; ilst items refer to them by 1-based index
+function parseKeys(buffer) {
+  const keys = []
+  let position = 8
+  while (position + 8 <= buffer.length) {
+    const size = buffer.readUInt32BE(position)
+    if (size < 8) break
+    keys.push(buffer.toString('utf-8', position + 8, position + size))
+    position += size
+  }
+  return keys
+}
+
+/**
+ * Read the date-related metadata of an MP4/MOV file without external tools. Only box headers and the small
+ * atoms that hold dates are read, so multi-gigabyte files cost a few reads.
+ * @param {string} filePath - Media file
+ * @returns {Promise<{CreateDate: number|null, TrackCreateDate: number|null, MediaCreateDate: number|null,
+ *   CreationDate: string|null, ContentCreateDate: string|null, Make: string|null, localTime: boolean}|null>}
+ *   Header dates as seconds since the Unix epoch, text dates as written; null when the file is not a movie
+ */
+export async function readQuickTimeMetadata(filePath) {
+  const handle = await fs.open(filePath, 'r')
+
+  try {
+    const { size } = await handle.stat()
+    const first = Buffer.alloc(8)
+    const { bytesRead } = await handle.read(first, 0, 8, 0)
+    if (bytesRead < 8 || !TOP_LEVEL_BOXES.includes(first.toString('latin1', 4, 8))) {
+      return null
+    }
+
+    const metadata = {
+      CreateDate: null,
+      TrackCreateDate: null,
+      MediaCreateDate: null,
+      CreationDate: null,
+      ContentCreateDate: null,
+      Make: null,
+      localTime: false,
+    }
+    let keys = []
+    let isDji = false
+
+    const visit = async (type, start, end, parent) => {
+      if (CONTAINERS.includes(type)) {
+        return readBoxes(handle, start, end, (child, childStart, childEnd) => visit(child, childStart, childEnd, type))
+      }
+
+      if (type === 'meta') {
+        // ISO meta is a full box (4 bytes version/flags), QuickTime meta is a plain container
+        const flags = await readAtom(handle, start, Math.min(start + 4, end))
+        const offset = flags.length === 4 && flags.readUInt32BE(0) === 0 ? 4 : 0
+        return readBoxes(handle, start + offset, end, (child, childStart, childEnd) =>
+          visit(child, childStart, childEnd, 'meta')
+        )
+      }
+
+      if (end - start > MAX_ATOM_SIZE) return
+
+      if (DJI_ATOMS.includes(type) && parent === 'udta') {
+        isDji = true
+        return
+      }
+
+      switch (type) {
+        case 'mvhd':
+          metadata.CreateDate ??= headerCreationTime(await readAtom(handle, start, end))
+          return
+        case 'tkhd':
+          metadata.TrackCreateDate ??= headerCreationTime(await readAtom(handle, start, end))
+          return
+        case 'mdhd':
+          metadata.MediaCreateDate ??= headerCreationTime(await readAtom(handle, start, end))
+          return
+        case 'keys':
+          keys = parseKeys(await readAtom(handle, start, end))
+          return
+        case '©day': {
+          const buffer = await readAtom(handle, start, end)
+          metadata.ContentCreateDate ??= parent === 'ilst' ? itemDataText(buffer) : userDataText(buffer)
+          return
+        }
+        case 'date':
+          // Plain string written by some cameras, e.g. "2024-07-13T14:30:45+0200"
+          metadata.ContentCreateDate ??= (await readAtom(handle, start, end)).toString('latin1').trim() || null
+          return
+        case '©mak': {
+          const buffer = await readAtom(handle, start, end)
+          metadata.Make ??= parent === 'ilst' ? itemDataText(buffer) : userDataText(buffer)
+          return
+        }
+        case 'xml ': {
+          // Sony XAVC keeps NonRealTimeMeta XML with the creation date and its offset
+          const xml = (await readAtom(handle, start, end)).toString('utf-8', 4)
+          metadata.CreationDate ??= xml.match(/<CreationDate\s+value="([^"]+)"/)?.[1] || null
+          metadata.Make ??= xml.match(/<Device\s+manufacturer="([^"]+)"/)?.[1] || null
+          return
+        }
+      }
+
+      // Apple keys: ilst items are numbered after the entries of the preceding 'keys' atom
+      if (parent === 'ilst' && keys.length > 0) {
+        const key = keys[Buffer.from(type, 'latin1').readUInt32BE(0) - 1]
+        if (key === 'com.apple.quicktime.creationdate') {
+          metadata.CreationDate ??= itemDataText(await readAtom(handle, start, end))
+        } else if (key === 'com.apple.quicktime.make') {
+          metadata.Make ??= itemDataText(await readAtom(handle, start, end))
+        }
+      }
+    }
+
+    await readBoxes(handle, 0, size, async (type, start, end) => {
+      if (type === 'moov') await visit(type, start, end, null)
+    })
+
+    metadata.localTime = isDji || LOCAL_TIME_MAKES.some(pattern => pattern.test(metadata.Make || ''))
+    return metadata
+  } finally {
+    await handle.close()
+  }
+}
+
+// Text dates may carry an offset; header dates are seconds since the Unix epoch
+const TEXT_DATES = ['CreationDate', 'ContentCreateDate']
+const HEADER_DATES = ['CreateDate', 'TrackCreateDate', 'MediaCreateDate']
+
+/**
+ * One date of a movie as an instant. Movie and track headers are UTC by spec, except for makes known to write
+ * the camera's local time.
+ * @param {object} metadata - Result of readQuickTimeMetadata
+ * @param {string} tag - CreationDate, ContentCreateDate, CreateDate, TrackCreateDate or MediaCreateDate
+ * @param {string|null} timeZone - Zone the camera clock runs in, for values without an offset
+ * @returns {Date|null}
+ */
+export function quickTimeDate(metadata, tag, timeZone = null) {
+  const value = metadata?.[tag]
+  if (value === null || value === undefined) return null
+
+  if (TEXT_DATES.includes(tag)) {
+    return parseExifDate(value, { timeZone })
+  }
+
+  if (!HEADER_DATES.includes(tag) || value <= 0) return null
+  const date = new Date(value * 1000)
+  if (!metadata.localTime) return date
+
+  // The header holds the wall clock; read it back as a time in the camera's zone
+  return parseExifDate(date.toISOString().slice(0, 19), { timeZone })
+}
+
+/**
+ * Capture date of a movie. Dates that carry an offset (Apple creationdate, Sony XML, most ©day values) come
+ * first, then the movie, track and media headers.
+ * @param {object} metadata - Result of readQuickTimeMetadata
+ * @param {string|null} timeZone - Zone the camera clock runs in, for values without an offset
+ * @returns {Date|null}
+ */
+export function quickTimeCaptureDate(metadata, timeZone = null) {
+  for (const tag of [...TEXT_DATES, ...HEADER_DATES]) {
+    const date = quickTimeDate(metadata, tag, timeZone)
+    if (date) return date
+  }
+  return null
+}
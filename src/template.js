@@ -0,0 +1,320 @@
+import { basename, extname } from 'path'
+import { getDateParts } from './timezone.js'
+
+/**
+ * Tokens available in filename templates. Tokens marked withArgument accept `{token:argument}`.
+ */
+export const TEMPLATE_TOKENS = {
+  date: { withArgument: true, description: 'Capture date, YYYY-MM-DD or a custom format like {date:YYYYMMDD}' },
+  time: { withArgument: true, description: 'Capture time, HH-mm-ss or a custom format like {time:HHmm}' },
+  year: { description: 'Four-digit year' },
+  month: { description: 'Two-digit month' },
+  day: { description: 'Two-digit day' },
+  hour: { description: 'Two-digit hour (24h)' },
+  minute: { description: 'Two-digit minute' },
+  second: { description: 'Two-digit second' },
+  camera: { description: 'Camera label from the profile' },
+  original: { description: 'Original filename without extension' },
+  ext: { description: 'Original extension without the dot (suppresses the automatic extension)' },
+  seq: { description: 'Trailing number of the original filename, e.g. 0042 for DSC_0042' },
+  counter: { withArgument: true, description: 'Position in this import, {counter:4} pads to four digits' },
+  make: { metadata: true, description: 'Camera make from EXIF' },
+  model: { metadata: true, description: 'Camera model from EXIF' },
+  lens: { metadata: true, description: 'Lens model from EXIF' },
+  iso: { metadata: true, description: 'ISO speed from EXIF' },
+  country: { location: true, description: 'Country the file was taken in, from its GPS position' },
+  region: { location: true, description: 'State, province or region the file was taken in' },
+  city: { location: true, description: 'Nearest city to where the file was taken' },
+  project: { description: 'Project name from the profile or --project' },
+  mediaType: { description: "'photos', 'videos' or 'other', from the primary file's extension" },
+}
+
+const PHOTO_EXTENSIONS = [
+  '.jpg',
+  '.jpeg',
+  '.heic',
+  '.heif',
+  '.png',
+  '.tif',
+  '.tiff',
+  '.raw',
+  '.dng',
+  '.cr2',
+  '.cr3',
+  '.nef',
+  '.nrw',
+  '.arw',
+  '.raf',
+  '.orf',
+  '.rw2',
+  '.pef',
+  '.srw',
+]
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.avi', '.mts', '.m2ts', '.m4v', '.mxf', '.insv', '.360', '.lrv', '.3gp']
+
+const FILTERS = {
+  lower: value => value.toLowerCase(),
+  upper: value => value.toUpperCase(),
+  slug: value =>
+    value
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, ''),
+  default: (value, fallback) => value || fallback,
+}
+
+const FILTER_ALIASES = { lowercase: 'lower', uppercase: 'upper', slugify: 'slug' }
+
+const DATE_FIELD = /YYYY|YY|MM|DD|HH|mm|ss/
+const DATE_FIELDS = new RegExp(DATE_FIELD.source, 'g')
+
+// Characters that are invalid in filenames on at least one of macOS, Windows or Linux
+const UNSAFE_CHARACTERS = /[\\/:*?"<>|\u0000-\u001f]/g
+
+/**
+ * Parse a template into literal text and token parts
+ * @param {string} template - Template such as '{date}_{time}_{camera|lower}'
+ * @returns {Array<{literal: string}|{token: string, argument: string|null, filters: Array<{name: string, argument: string|null}>}>}
+ */
+export function parseTemplate(template) {
+  if (typeof template !== 'string' || template.length === 0) {
+    throw new Error('Template must be a non-empty string')
+  }
+
+  const parts = []
+  let position = 0
+
+  while (position < template.length) {
+    const open = template.indexOf('{', position)
+    const strayClose = template.indexOf('}', position)
+
+    if (strayClose !== -1 && (open === -1 || strayClose < open)) {
+      throw new Error(`Unexpected "}" at position ${strayClose + 1}`)
+    }
+    if (open === -1) {
+      parts.push({ literal: template.slice(position) })
+      break
+    }
+    if (open > position) {
+      parts.push({ literal: template.slice(position, open) })
+    }
+
+    const close = template.indexOf('}', open)
+    if (close === -1) {
+      throw new Error(`Unclosed "{" at position ${open + 1}`)
+    }
+
+    const expression = template.slice(open + 1, close)
+    if (expression.includes('{')) {
+      throw new Error(`Unexpected "{" inside {${expression}} at position ${open + 1}`)
+    }
+
+    parts.push(parseExpression(expression, open + 1))
+    position = close + 1
+  }
+
+  return parts
+}
+
+function parseExpression(expression, position) {
+  const [head, ...filterParts] = expression.split('|').map(part => part.trim())
+  const [token, ...argumentParts] = head.split(':')
+  const argument = argumentParts.length > 0 ? argumentParts.join(':') : null
+
+  const definition = TEMPLATE_TOKENS[token]
+  if (!definition) {
+    throw new Error(`Unknown token {${token}} at position ${position}`)
+  }
+  if (argument !== null && !definition.withArgument) {
+    throw new Error(`Token {${token}} does not take an argument (at position ${position})`)
+  }
+  if (token === 'counter' && argument !== null && !/^\d+$/.test(argument)) {
+    throw new Error(`{counter:${argument}} needs a number of digits (at position ${position})`)
+  }
+  if ((token === 'date' || token === 'time') && argument !== null && !DATE_FIELD.test(argument)) {
+    throw new Error(`{${token}:${argument}} has no date fields (YYYY, MM, DD, HH, mm, ss) (at position ${position})`)
+  }
+
+  const filters = filterParts.map(part => {
+    const [rawName, ...filterArgumentParts] = part.split(':')
+    const name = FILTER_ALIASES[rawName] || rawName
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown filter "${rawName}" in {${expression}} at position ${position}`)
+    }
+    return { name, argument: filterArgumentParts.length > 0 ? filterArgumentParts.join(':') : null }
+  })
+
+  return { token, argument, filters }
+}
+
+/**
+ * Check a template and report the first problem
+ * @param {string} template - Template to check
+ * @param {string} field - Profile field name used in the error message
+ * @param {{allowSeparators?: boolean}} options - allowSeparators: literal "/" creates folders (folder templates)
+ */
+export function validateTemplate(template, field = 'template', options = {}) {
+  let parts
+  try {
+    parts = parseTemplate(template)
+  } catch (error) {
+    throw new Error(`Invalid ${field} "${template}": ${error.message}`)
+  }
+
+  if (!options.allowSeparators && parts.some(part => /[\\/]/.test(part.literal || ''))) {
+    throw new Error(`Invalid ${field} "${template}": must not contain path separators`)
+  }
+}
+
+/**
+ * Whether the template contains a token
+ * @param {string} template - Template to inspect
+ * @param {string} token - Token name without braces
+ * @returns {boolean}
+ */
+export function templateUsesToken(template, token) {
+  return parseTemplate(template).some(part => part.token === token)
+}
+
+/**
+ * Whether rendering the template needs camera metadata beyond the capture date
+ * @param {string} template - Template to inspect
+ * @returns {boolean}
+ */
+export function templateUsesMetadata(template) {
+  return parseTemplate(template).some(part => part.token && TEMPLATE_TOKENS[part.token].metadata)
+}
+
+/**
+ * Whether rendering the template needs the place a file was taken ({country}, {region}, {city})
+ * @param {string} template - Template to inspect
+ * @returns {boolean}
+ */
+export function templateUsesLocation(template) {
+  return parseTemplate(template).some(part => part.token && TEMPLATE_TOKENS[part.token].location)
+}
+
+/**
+ * Whether the template places the extension itself via {ext}
+ * @param {string} template - Template to inspect
+ * @returns {boolean}
+ */
+export function templateHasExtension(template) {
+  return templateUsesToken(template, 'ext')
+}
+
+/**
+ * Classify a file for the {mediaType} token
+ * @param {string} filePath - Media file
+ * @returns {'photos'|'videos'|'other'}
+ */
+export function getMediaType(filePath) {
+  const ext = extname(filePath).toLowerCase()
+  if (PHOTO_EXTENSIONS.includes(ext)) return 'photos'
+  if (VIDEO_EXTENSIONS.includes(ext)) return 'videos'
+  return 'other'
+}
+
+function pad(value, width = 2) {
+  return String(value).padStart(width, '0')
+}
+
+// Date and time come from the same zone, so a late-evening shot never gets the next day's date
+function formatDate(date, format, timeZone) {
+  const parts = getDateParts(date, timeZone)
+  const fields = {
+    YYYY: String(parts.year),
+    YY: pad(parts.year % 100),
+    MM: pad(parts.month),
+    DD: pad(parts.day),
+    HH: pad(parts.hour),
+    mm: pad(parts.minute),
+    ss: pad(parts.second),
+  }
+  return format.replace(DATE_FIELDS, field => fields[field])
+}
+
+function tokenValue(part, context) {
+  const { date, originalPath, timeZone = null, metadata = {} } = context
+  const original = originalPath ? basename(originalPath, extname(originalPath)) : ''
+
+  switch (part.token) {
+    case 'date':
+      return formatDate(date, part.argument || 'YYYY-MM-DD', timeZone)
+    case 'time':
+      return formatDate(date, part.argument || 'HH-mm-ss', timeZone)
+    case 'year':
+      return formatDate(date, 'YYYY', timeZone)
+    case 'month':
+      return formatDate(date, 'MM', timeZone)
+    case 'day':
+      return formatDate(date, 'DD', timeZone)
+    case 'hour':
+      return formatDate(date, 'HH', timeZone)
+    case 'minute':
+      return formatDate(date, 'mm', timeZone)
+    case 'second':
+      return formatDate(date, 'ss', timeZone)
+    case 'camera':
+      return context.camera || ''
+    case 'original':
+      return original
+    case 'ext':
+      return originalPath ? extname(originalPath).slice(1) : ''
+    case 'seq':
+      return original.match(/(\d+)$/)?.[1] || ''
+    case 'counter':
+      return pad(context.counter ?? 1, part.argument ? Number(part.argument) : 1)
+    case 'project':
+      return context.project || ''
+    case 'mediaType':
+      return context.mediaType || (originalPath ? getMediaType(originalPath) : '')
+    case 'country':
+    case 'region':
+    case 'city':
+      return context.location?.[part.token] || ''
+    default:
+      return metadata[part.token] == null ? '' : String(metadata[part.token])
+  }
+}
+
+/**
+ * Render a template. Token values are made filename-safe; literal text is kept as written.
+ * @param {string} template - Template to render
+ * @param {{date: Date, timeZone?: string|null, camera?: string, originalPath?: string, counter?: number,
+ *   project?: string, mediaType?: string, metadata?: {make?: string, model?: string, lens?: string, iso?: number},
+ *   location?: {country: string, region: string, city: string}|null}} context - timeZone is the zone date and time
+ *   tokens are shown in, the system zone when unset; location comes from reverseGeocode
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+  return parseTemplate(template)
+    .map(part => {
+      if (part.literal !== undefined) {
+        return part.literal
+      }
+
+      let value = tokenValue(part, context)
+      for (const filter of part.filters) {
+        value = FILTERS[filter.name](value, filter.argument ?? '')
+      }
+      return value.replace(UNSAFE_CHARACTERS, '-').trim()
+    })
+    .join('')
+}
+
+/**
+ * Render a folder template into a relative path. Segments left empty by missing values are dropped and
+ * separators dangling at their ends are trimmed, so '{date}_{project}' without a project gives '2024-07-13'.
+ * @param {string} template - Folder template, "/" separates folders
+ * @param {object} context - Same values as renderTemplate
+ * @returns {string[]} - Folder names
+ */
+export function renderFolderTemplate(template, context) {
+  return renderTemplate(template, context)
+    .split(/[\\/]/)
+    .map(segment => segment.replace(/^[\s._-]+|[\s._-]+$/g, ''))
+    .filter(segment => segment.length > 0)
+}
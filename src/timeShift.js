@@ -0,0 +1,122 @@
+import { getDateParts, fromWallClock } from './timezone.js'
+
+// "+01:03:20", "-0:05", "+1d 02:00:00"; the sign defaults to +
+const SHIFT_PATTERN = /^([+-])?\s*(?:(\d+)d\s*)?(\d+):(\d{1,2})(?::(\d{1,2}))?$/i
+
+// Date tags moved along with the capture time: EXIF (AllDates), QuickTime track/media headers and Apple keys
+const SHIFTED_TAGS = [
+  'AllDates',
+  'TrackCreateDate',
+  'TrackModifyDate',
+  'MediaCreateDate',
+  'MediaModifyDate',
+  'Keys:CreationDate',
+]
+
+/**
+ * Parse a camera clock correction
+ * @param {number|string} value - Seconds as a number, or "[+-][Nd ]H:MM[:SS]" like "+01:03:20" or "-0:05"
+ * @param {string} field - Setting name used in the error message
+ * @returns {number} - Milliseconds to add to the camera's time
+ */
+export function parseTimeShift(value, field = 'timeOffset') {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.round(value * 1000)
+  }
+
+  const match = typeof value === 'string' && value.trim().match(SHIFT_PATTERN)
+  if (!match || Number(match[4]) > 59 || Number(match[5] || 0) > 59) {
+    throw new Error(`Invalid ${field} value: ${value}. Use seconds or "+HH:MM:SS" like "+01:03:20" or "-00:05:00"`)
+  }
+
+  const [, sign, days = 0, hours, minutes, seconds = 0] = match
+  const milliseconds = (((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000
+
+  return sign === '-' ? -milliseconds : milliseconds
+}
+
+function splitShift(milliseconds) {
+  const totalSeconds = Math.trunc(Math.abs(milliseconds) / 1000)
+  return {
+    days: Math.floor(totalSeconds / 86400),
+    hours: Math.floor((totalSeconds % 86400) / 3600),
+    minutes: Math.floor((totalSeconds % 3600) / 60),
+    seconds: totalSeconds % 60,
+  }
+}
+
+/**
+ * Format a clock correction the way parseTimeShift reads it
+ * @param {number} milliseconds - Correction, sub-second parts are dropped
+ * @returns {string} - e.g. "+01:03:20" or "-1d 00:30:00"
+ */
+export function formatTimeShift(milliseconds) {
+  const pad = value => String(value).padStart(2, '0')
+  const { days, hours, minutes, seconds } = splitShift(milliseconds)
+  const sign = milliseconds < 0 ? '-' : '+'
+
+  return `${sign}${days > 0 ? `${days}d ` : ''}${pad(hours)}:${pad(minutes)}:${pad(seconds)}`
+}
+
+/**
+ * Apply a clock correction to a capture date
+ * @param {Date} date - Date read from the file
+ * @param {number} milliseconds - Correction from parseTimeShift
+ * @returns {Date}
+ */
+export function shiftDate(date, milliseconds) {
+  return milliseconds ? new Date(date.getTime() + milliseconds) : date
+}
+
+/**
+ * exiftool arguments that move every capture date tag of a file by a correction
+ * @param {number} milliseconds - Correction from parseTimeShift
+ * @returns {string[]}
+ */
+export function exiftoolShiftArgs(milliseconds) {
+  const { days, hours, minutes, seconds } = splitShift(milliseconds)
+  // exiftool's shift syntax is "Y:M:D H:M:S"
+  const shift = `0:0:${days} ${hours}:${minutes}:${seconds}`
+  const operator = milliseconds < 0 ? '-=' : '+='
+
+  return SHIFTED_TAGS.map(tag => `-${tag}${operator}${shift}`)
+}
+
+/**
+ * Clock correction that turns a camera's time into the true time
+ * @param {Date} cameraDate - Capture date the camera recorded
+ * @param {Date} actualDate - True time at that moment
+ * @returns {number} - Milliseconds, whole seconds
+ */
+export function measureTimeShift(cameraDate, actualDate) {
+  return Math.round((actualDate.getTime() - cameraDate.getTime()) / 1000) * 1000
+}
+
+/**
+ * Parse the true time read off a reference photo (e.g. of a phone's clock).
+ * A time without a date is placed on the day closest to the camera's time, so clocks that are off across
+ * midnight still work.
+ * @param {string} value - "HH:MM[:SS]" or "YYYY-MM-DD HH:MM[:SS]"
+ * @param {Date} cameraDate - Capture date the camera recorded for the reference photo
+ * @param {string|null} timeZone - Zone the entered time is in; null for the system zone
+ * @returns {Date}
+ */
+export function parseReferenceTime(value, cameraDate, timeZone = null) {
+  const match =
+    typeof value === 'string' &&
+    value.trim().match(/^(?:(\d{4})[:-](\d{1,2})[:-](\d{1,2})[ T]+)?(\d{1,2}):(\d{2})(?::(\d{2}))?$/)
+  if (!match || Number(match[4]) > 23 || Number(match[5]) > 59 || Number(match[6] || 0) > 59) {
+    throw new Error(`Invalid reference time "${value}". Use "HH:MM:SS" or "YYYY-MM-DD HH:MM:SS"`)
+  }
+
+  const time = [Number(match[4]), Number(match[5]), Number(match[6] || 0)]
+  if (match[1]) {
+    return fromWallClock([Number(match[1]), Number(match[2]), Number(match[3]), ...time], timeZone)
+  }
+
+  const { year, month, day } = getDateParts(cameraDate, timeZone)
+  const distance = date => Math.abs(date.getTime() - cameraDate.getTime())
+  return [-1, 0, 1]
+    .map(offset => fromWallClock([year, month, day + offset, ...time], timeZone))
+    .reduce((closest, date) => (distance(date) < distance(closest) ? date : closest))
+}
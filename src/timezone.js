@@ -0,0 +1,170 @@
+// Fixed offsets such as "+02:00", "-0530", "+09" or "UTC+2"; "UTC", "GMT" and "Z" are offset zero
+const OFFSET_PATTERN = /^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i
+const UTC_NAMES = ['utc', 'gmt', 'z']
+
+// "YYYY:MM:DD HH:MM:SS" as written by cameras, optionally with sub-seconds and an offset (XMP, QuickTime keys)
+const EXIF_DATE_PATTERN = /^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?$/
+
+const formatters = new Map()
+
+/**
+ * Parse a UTC offset like "+02:00", "-0530" or "Z"
+ * @param {string} value - Offset as written in EXIF OffsetTime* tags or a profile
+ * @returns {number|null} - Minutes east of UTC, null when the value isn't an offset
+ */
+export function parseOffset(value) {
+  if (typeof value !== 'string') return null
+  const trimmed = value.trim()
+  if (UTC_NAMES.includes(trimmed.toLowerCase())) return 0
+
+  const match = trimmed.match(OFFSET_PATTERN)
+  if (!match) return null
+
+  const hours = Number(match[2])
+  const minutes = Number(match[3] || 0)
+  if (hours > 14 || minutes > 59) return null
+
+  return (match[1] === '-' ? -1 : 1) * (hours * 60 + minutes)
+}
+
+/**
+ * Check a time zone setting: an IANA name like "Europe/Berlin" or a fixed offset like "+02:00"
+ * @param {string} timeZone - Zone to check
+ * @param {string} field - Profile field name used in the error message
+ */
+export function validateTimezone(timeZone, field = 'timezone') {
+  if (typeof timeZone === 'string' && parseOffset(timeZone) !== null) return
+
+  try {
+    if (typeof timeZone !== 'string') throw new RangeError()
+    new Intl.DateTimeFormat('en-US', { timeZone })
+  } catch (error) {
+    throw new Error(
+      `Invalid ${field} value: ${timeZone}. Use an IANA zone like "Europe/Berlin" or an offset like "+02:00"`
+    )
+  }
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    )
+  }
+  return formatters.get(timeZone)
+}
+
+/**
+ * Offset of a zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string|null} timeZone - IANA name or fixed offset; null for the system zone
+ * @returns {number} - Minutes east of UTC
+ */
+export function getTimezoneOffset(date, timeZone = null) {
+  if (!timeZone) return -date.getTimezoneOffset()
+
+  const offset = parseOffset(timeZone)
+  if (offset !== null) return offset
+
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(date)
+      .map(part => [part.type, Number(part.value)])
+  )
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+}
+
+/**
+ * Calendar fields of an instant as seen in a zone
+ * @param {Date} date - Instant
+ * @param {string|null} timeZone - IANA name or fixed offset; null for the system zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, offset: number}}
+ */
+export function getDateParts(date, timeZone = null) {
+  const offset = getTimezoneOffset(date, timeZone)
+  const shifted = new Date(date.getTime() + offset * 60000)
+
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+    second: shifted.getUTCSeconds(),
+    offset,
+  }
+}
+
+/**
+ * Format an instant as an ISO 8601 string in a zone, e.g. "2024-07-13T23:30:45+02:00"
+ * @param {Date} date - Instant
+ * @param {string|null} timeZone - IANA name or fixed offset; null for the system zone
+ * @returns {string}
+ */
+export function formatZonedISO(date, timeZone = null) {
+  const { year, month, day, hour, minute, second, offset } = getDateParts(date, timeZone)
+  const pad = value => String(value).padStart(2, '0')
+  const sign = offset < 0 ? '-' : '+'
+
+  return (
+    `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`
+  )
+}
+
+/**
+ * Turn a wall-clock time in a zone into an instant. Times skipped by a DST change resolve to the later offset.
+ * @param {number[]} fields - year, month (1-12), day, hour, minute, second
+ * @param {string|null} timeZone - IANA name or fixed offset; null for the system zone
+ * @returns {Date}
+ */
+export function fromWallClock(fields, timeZone = null) {
+  const [year, month, day, hour, minute, second] = fields
+
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, second)
+  }
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second)
+  let instant = wallClock - getTimezoneOffset(new Date(wallClock), timeZone) * 60000
+  // The offset at the guess can differ from the one at the real instant near a DST change
+  instant = wallClock - getTimezoneOffset(new Date(instant), timeZone) * 60000
+
+  return new Date(instant)
+}
+
+/**
+ * Parse an EXIF/QuickTime date string into an instant.
+ * An offset in the value itself wins, then the offset tag, then the zone the clock is assumed to run in.
+ * @param {string} value - Date like "2024:07:13 14:30:45"
+ * @param {{offset?: string|null, timeZone?: string|null}} options - offset: OffsetTime* tag value;
+ *   timeZone: zone for values without an offset ('UTC' for QuickTime, which stores UTC by spec)
+ * @returns {Date|null} - null for missing, zeroed or unparseable values
+ */
+export function parseExifDate(value, options = {}) {
+  const match = typeof value === 'string' && value.trim().match(EXIF_DATE_PATTERN)
+  if (!match) return null
+
+  const fields = match.slice(1, 7).map(Number)
+  // Cameras without a set clock write "0000:00:00 00:00:00"
+  if (fields[0] === 0 || fields[1] === 0 || fields[2] === 0) return null
+
+  const offset = parseOffset(match[7] ?? options.offset ?? null)
+  const date =
+    offset !== null
+      ? new Date(Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5]) - offset * 60000)
+      : fromWallClock(fields, options.timeZone ?? null)
+
+  return isNaN(date.getTime()) ? null : date
+}
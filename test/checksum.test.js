@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { createHasher, hashBuffer, hashFile, CHECKSUM_ALGORITHMS } from '../src/checksum.js'
+
+describe('checksum.js', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-checksum-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  describe('hashBuffer', () => {
+    it('should match reference XXH64 vectors', () => {
+      expect(hashBuffer('', 'xxhash64')).toBe('ef46db3751d8e999')
+      expect(hashBuffer('a', 'xxhash64')).toBe('d24ec4f1a98c6e5b')
+      expect(hashBuffer('abc', 'xxhash64')).toBe('44bc2cf5ad770999')
+      expect(hashBuffer('Nobody inspects the spammish repetition', 'xxhash64')).toBe('fbcea83c8a378bf1')
+    })
+
+    it('should match reference SHA-256 and MD5 vectors', () => {
+      expect(hashBuffer('abc', 'sha256')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+      expect(hashBuffer('abc', 'md5')).toBe('900150983cd24fb0d6963f7d28e17f72')
+    })
+
+    it('should reject unsupported algorithms', () => {
+      expect(() => hashBuffer('abc', 'crc32')).toThrow('Unsupported checksum algorithm')
+    })
+  })
+
+  describe('createHasher', () => {
+    it('should produce the same XXH64 digest regardless of chunking', () => {
+      const data = Buffer.from('0123456789abcdef'.repeat(9) + 'tail')
+
+      const chunked = createHasher('xxhash64')
+      chunked.update(data.subarray(0, 5))
+      chunked.update(data.subarray(5, 70))
+      chunked.update(data.subarray(70))
+
+      expect(chunked.digest()).toBe(hashBuffer(data, 'xxhash64'))
+    })
+  })
+
+  describe('hashFile', () => {
+    it('should hash file contents with every supported algorithm', async () => {
+      const filePath = join(tempDir, 'clip.mp4')
+      const content = Buffer.alloc(2 * 1024 * 1024 + 17, 7)
+      await fs.writeFile(filePath, content)
+
+      for (const algorithm of CHECKSUM_ALGORITHMS) {
+        expect(await hashFile(filePath, algorithm)).toBe(hashBuffer(content, algorithm))
+      }
+    })
+
+    it('should reject missing files', async () => {
+      await expect(hashFile(join(tempDir, 'missing.jpg'), 'sha256')).rejects.toThrow()
+    })
+  })
+})
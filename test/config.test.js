@@ -3,7 +3,8 @@ import { promises as fs } from 'fs'
 import { join } from 'path'
 import { tmpdir } from 'os'
 import { homedir } from 'os'
-import { loadProfiles, validateProfile, saveProfile } from '../src/config.js'
+import { loadProfiles, validateProfile, saveProfile, updateProfile } from '../src/config.js'
+import { DEFAULT_DATE_SOURCES } from '../src/dateSources.js'
 
 describe('config.js', () => {
   let tempDir
@@ -114,11 +115,20 @@ describe('config.js', () => {
           transferMode: 'move',
         }
 
+        const profileSafeMove = {
+          sourcePath: '/test/source',
+          destinationRoot: '/test/destination',
+          cameraLabel: 'TestCamera',
+          transferMode: 'safe-move',
+        }
+
         const resultCopy = validateProfile(profileCopy)
         const resultMove = validateProfile(profileMove)
+        const resultSafeMove = validateProfile(profileSafeMove)
 
         expect(resultCopy.transferMode).toBe('copy')
         expect(resultMove.transferMode).toBe('move')
+        expect(resultSafeMove.transferMode).toBe('safe-move')
       })
 
       it('should throw error for invalid transferMode values', () => {
@@ -129,7 +139,9 @@ describe('config.js', () => {
           transferMode: 'invalid',
         }
 
-        expect(() => validateProfile(profile)).toThrow("Invalid transferMode value: invalid. Must be 'copy' or 'move'")
+        expect(() => validateProfile(profile)).toThrow(
+          "Invalid transferMode value: invalid. Must be 'copy', 'move' or 'safe-move'"
+        )
       })
 
       it('should default to copy when transferMode is not specified', () => {
@@ -199,11 +211,20 @@ describe('config.js', () => {
           onCollision: 'replace',
         }
 
+        const profileSkipDuplicate = {
+          sourcePath: '/test/source',
+          destinationRoot: '/test/destination',
+          cameraLabel: 'TestCamera',
+          onCollision: 'skip-duplicate',
+        }
+
         const resultRename = validateProfile(profileRename)
         const resultReplace = validateProfile(profileReplace)
+        const resultSkipDuplicate = validateProfile(profileSkipDuplicate)
 
         expect(resultRename.onCollision).toBe('rename')
         expect(resultReplace.onCollision).toBe('replace')
+        expect(resultSkipDuplicate.onCollision).toBe('skip-duplicate')
       })
 
       it('should throw error for invalid onCollision values', () => {
@@ -215,7 +236,7 @@ describe('config.js', () => {
         }
 
         expect(() => validateProfile(profile)).toThrow(
-          "Invalid onCollision value: invalid. Must be 'rename' or 'replace'"
+          "Invalid onCollision value: invalid. Must be 'rename', 'replace' or 'skip-duplicate'"
         )
       })
 
@@ -230,6 +251,234 @@ describe('config.js', () => {
         expect(result.onCollision).toBe('rename')
       })
     })
+    describe('checksum verification options', () => {
+      const base = {
+        sourcePath: '/test/source',
+        destinationRoot: '/test/destination',
+        cameraLabel: 'TestCamera',
+      }
+
+      it('should default to sha256 with two retries and a JSON manifest', () => {
+        const result = validateProfile(base)
+
+        expect(result.checksumAlgorithm).toBe('sha256')
+        expect(result.verifyRetries).toBe(2)
+        expect(result.manifestFormat).toBe('json')
+      })
+
+      it('should accept custom checksum options', () => {
+        const result = validateProfile({
+          ...base,
+          checksumAlgorithm: 'xxhash64',
+          verifyRetries: 0,
+          manifestFormat: 'csv',
+        })
+
+        expect(result.checksumAlgorithm).toBe('xxhash64')
+        expect(result.verifyRetries).toBe(0)
+        expect(result.manifestFormat).toBe('csv')
+      })
+
+      it('should reject invalid checksum options', () => {
+        expect(() => validateProfile({ ...base, checksumAlgorithm: 'crc32' })).toThrow('Invalid checksumAlgorithm')
+        expect(() => validateProfile({ ...base, verifyRetries: -1 })).toThrow('Invalid verifyRetries')
+        expect(() => validateProfile({ ...base, manifestFormat: 'mhl' })).toThrow('Invalid manifestFormat')
+      })
+    })
+
+    describe('concurrency', () => {
+      const base = {
+        sourcePath: '/test/source',
+        destinationRoot: '/test/destination',
+        cameraLabel: 'TestCamera',
+      }
+
+      it('should default every pipeline stage', () => {
+        expect(validateProfile(base).concurrency).toEqual({ metadata: 4, copy: 2, exiftool: 2 })
+      })
+
+      it('should merge per-stage limits over the defaults', () => {
+        expect(validateProfile({ ...base, concurrency: { copy: 6 } }).concurrency).toEqual({
+          metadata: 4,
+          copy: 6,
+          exiftool: 2,
+        })
+        expect(validateProfile({ ...base, concurrency: 1 }).concurrency).toEqual({ metadata: 1, copy: 1, exiftool: 1 })
+      })
+
+      it('should reject invalid limits', () => {
+        expect(() => validateProfile({ ...base, concurrency: { copy: -1 } })).toThrow('Invalid concurrency for copy')
+        expect(() => validateProfile({ ...base, concurrency: { gps: 2 } })).toThrow('Unknown concurrency stage')
+      })
+    })
+
+    it('should validate the filename template', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile({ ...base, filenameFormat: '{date:YYYYMMDD}_{model|slug}' }).filenameFormat).toBe(
+        '{date:YYYYMMDD}_{model|slug}'
+      )
+      expect(() => validateProfile({ ...base, filenameFormat: '{date}_{shutter}' })).toThrow(
+        'Invalid filenameFormat "{date}_{shutter}": Unknown token {shutter}'
+      )
+    })
+
+    it('should validate the folder template', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile(base).folderFormat).toBe('{date}')
+      expect(validateProfile({ ...base, folderFormat: '{year}/{date}_{project}/{mediaType}' }).folderFormat).toBe(
+        '{year}/{date}_{project}/{mediaType}'
+      )
+      expect(() => validateProfile({ ...base, folderFormat: '{year}/{shoot}' })).toThrow(
+        'Invalid folderFormat "{year}/{shoot}": Unknown token {shoot}'
+      )
+    })
+
+    it('should validate the camera time zone', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile(base).cameraTimezone).toBeNull()
+      expect(validateProfile({ ...base, cameraTimezone: 'Europe/Berlin' }).cameraTimezone).toBe('Europe/Berlin')
+      expect(validateProfile({ ...base, cameraTimezone: '+05:30' }).cameraTimezone).toBe('+05:30')
+      expect(() => validateProfile({ ...base, cameraTimezone: 'Berlin' })).toThrow(
+        'Invalid cameraTimezone value: Berlin'
+      )
+    })
+
+    it('should validate the camera clock correction', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile(base)).toMatchObject({ timeOffset: null, rewriteDates: false })
+      expect(validateProfile({ ...base, timeOffset: '+01:03:20', rewriteDates: true })).toMatchObject({
+        timeOffset: '+01:03:20',
+        rewriteDates: true,
+      })
+      expect(() => validateProfile({ ...base, timeOffset: 'an hour' })).toThrow('Invalid timeOffset value: an hour')
+    })
+
+    it('should validate the date sources', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile(base).dateSources).toEqual(DEFAULT_DATE_SOURCES)
+      expect(validateProfile({ ...base, useExifDate: false }).dateSources).toEqual(['mtime'])
+      expect(validateProfile({ ...base, dateSources: ['sidecar', 'birthtime'] }).dateSources).toEqual([
+        'sidecar',
+        'birthtime',
+      ])
+      expect(() => validateProfile({ ...base, dateSources: ['exif.DateTimeOriginal', 'ctime'] })).toThrow(
+        'Invalid dateSources value: ctime'
+      )
+      expect(() => validateProfile({ ...base, dateSources: [] })).toThrow('Must be a list of date sources')
+    })
+
+    it('should validate filename date patterns', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+      const pattern = 'GX(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})'
+
+      expect(validateProfile(base).filenamePatterns).toEqual([])
+      expect(validateProfile({ ...base, filenamePatterns: [pattern] }).filenamePatterns).toEqual([pattern])
+      expect(() => validateProfile({ ...base, filenamePatterns: ['GX(\\d{8})'] })).toThrow(
+        'Invalid filenamePatterns value: GX(\\d{8})'
+      )
+    })
+
+    it('should keep GPS settings', () => {
+      const gpsCoordinates = { latitude: 40.7128, longitude: -74.006 }
+      const result = validateProfile({
+        sourcePath: '/test/source',
+        destinationRoot: '/test/destination',
+        cameraLabel: 'TestCamera',
+        addGpsData: true,
+        gpsCoordinates,
+      })
+
+      expect(result.addGpsData).toBe(true)
+      expect(result.gpsCoordinates).toEqual(gpsCoordinates)
+    })
+
+    it('should parse GPS coordinates written as text', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile({ ...base, gpsCoordinates: '52.52, 13.40' }).gpsCoordinates).toEqual({
+        latitude: 52.52,
+        longitude: 13.4,
+      })
+      expect(validateProfile({ ...base, gpsCoordinates: '52.52, 13.40; alt=34' }).gpsCoordinates).toEqual({
+        latitude: 52.52,
+        longitude: 13.4,
+        altitude: 34,
+      })
+      expect(validateProfile({ ...base, gpsCoordinates: '' }).gpsCoordinates).toBeNull()
+      expect(() => validateProfile({ ...base, gpsCoordinates: '95, 13' })).toThrow(
+        'Invalid gpsCoordinates value: 95, 13. Latitude must be between -90 and 90 degrees'
+      )
+    })
+
+    it('should validate GPS track settings', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile(base)).toMatchObject({ gpxFiles: [], gpxMaxGap: null, gpxOffset: null })
+      expect(
+        validateProfile({ ...base, gpxFiles: ['/tracks/hike.gpx'], gpxMaxGap: 300, gpxOffset: '-00:00:05' })
+      ).toMatchObject({ gpxFiles: ['/tracks/hike.gpx'], gpxMaxGap: 300, gpxOffset: '-00:00:05' })
+      expect(() => validateProfile({ ...base, gpxFiles: '/tracks/hike.gpx' })).toThrow('Invalid gpxFiles value')
+      expect(() => validateProfile({ ...base, gpxMaxGap: 0 })).toThrow('Invalid gpxMaxGap value: 0')
+      expect(() => validateProfile({ ...base, gpxOffset: 'soon' })).toThrow('Invalid gpxOffset value: soon')
+    })
+
+    it('should validate DJI SRT settings', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile(base)).toMatchObject({ srtGps: false, srtTrackFormat: null })
+      expect(validateProfile({ ...base, srtGps: true, srtTrackFormat: 'geojson' })).toMatchObject({
+        srtGps: true,
+        srtTrackFormat: 'geojson',
+      })
+      expect(() => validateProfile({ ...base, srtTrackFormat: 'kml' })).toThrow('Invalid srtTrackFormat value: kml')
+    })
+
+    it('should validate GPS sanity rules', () => {
+      const base = { sourcePath: '/test/source', destinationRoot: '/test/destination', cameraLabel: 'TestCamera' }
+
+      expect(validateProfile(base)).toMatchObject({
+        gpsBounds: null,
+        gpsRadius: null,
+        gpsOutlierDistance: null,
+        gpsPlaceholders: [],
+        replaceFlaggedGps: false,
+      })
+      expect(
+        validateProfile({
+          ...base,
+          gpsBounds: [47.2, 5.8, 55.1, 15.1],
+          gpsOutlierDistance: 25,
+          replaceFlaggedGps: true,
+        })
+      ).toMatchObject({ gpsBounds: [47.2, 5.8, 55.1, 15.1], gpsOutlierDistance: 25, replaceFlaggedGps: true })
+      expect(() => validateProfile({ ...base, gpsBounds: [55.1, 5.8, 47.2, 15.1] })).toThrow('Invalid gpsBounds value')
+      expect(() => validateProfile({ ...base, gpsRadius: 10 })).toThrow('Invalid gpsRadius value')
+      expect(() => validateProfile({ ...base, gpsPlaceholders: ['nowhere'] })).toThrow(
+        'Invalid gpsPlaceholders value: nowhere'
+      )
+    })
+
+    describe('freeSpaceMargin', () => {
+      const base = {
+        sourcePath: '/test/source',
+        destinationRoot: '/test/destination',
+        cameraLabel: 'TestCamera',
+      }
+
+      it('should default to 5% of the import size', () => {
+        expect(validateProfile(base).freeSpaceMargin).toBe('5%')
+      })
+
+      it('should accept sizes and reject invalid margins', () => {
+        expect(validateProfile({ ...base, freeSpaceMargin: '2GB' }).freeSpaceMargin).toBe('2GB')
+        expect(() => validateProfile({ ...base, freeSpaceMargin: 'plenty' })).toThrow('Invalid freeSpaceMargin')
+      })
+    })
   })
 
   describe('saveProfile and loadProfiles', () => {
@@ -269,6 +518,19 @@ includeExtensions:
       expect(content).toContain('cameraLabel: TestCamera')
     })
 
+    it('should update fields of a profile file and keep its comments', async () => {
+      const profilesDir = join(tempDir, 'profiles')
+      const profilePath = join(profilesDir, 'drone.yml')
+      await fs.writeFile(profilePath, '# Mini 4 Pro\nsourcePath: /test/source # SD card\ncameraLabel: Mini4\n')
+
+      const updatedPath = await updateProfile({ name: 'drone', source: profilesDir }, { timeOffset: '+01:03:20' })
+
+      expect(updatedPath).toBe(profilePath)
+      expect(await fs.readFile(profilePath, 'utf-8')).toBe(
+        '# Mini 4 Pro\nsourcePath: /test/source # SD card\ncameraLabel: Mini4\ntimeOffset: +01:03:20\n'
+      )
+    })
+
     it('should handle empty profiles directory', async () => {
       // This test verifies that loadProfiles handles empty directories gracefully
       const testConfigDir = join(tempDir, 'empty-profiles')
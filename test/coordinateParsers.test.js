@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'bun:test'
+import {
+  parseDms,
+  parseGeoUri,
+  parseGoogleMapsUrl,
+  decodePlusCode,
+  parseUtm,
+  parseMgrs,
+  parseCoordinateFormats,
+} from '../src/coordinateParsers.js'
+import { parseCoordinateString } from '../src/gpsHandler.js'
+
+// Grid conversions are checked to about a metre
+function expectNear(position, latitude, longitude) {
+  expect(position.error).toBeUndefined()
+  expect(position.latitude).toBeCloseTo(latitude, 4)
+  expect(position.longitude).toBeCloseTo(longitude, 4)
+}
+
+describe('coordinateParsers.js', () => {
+  describe('parseDms', () => {
+    it('should read degrees-minutes-seconds with hemisphere letters before or after', () => {
+      expectNear(parseDms(`40°42'46.1"N 74°00'21.6"W`), 40.712806, -74.006)
+      expectNear(parseDms('40 42 46.1 N, 74 0 21.6 W'), 40.712806, -74.006)
+      expectNear(parseDms('S 33° 51′ 24″ E 151° 12′ 54″'), -33.856667, 151.215)
+      expectNear(parseDms(`74°0'21.6"W 40°42'46.1"N`), 40.712806, -74.006)
+    })
+
+    it('should read degrees and decimal minutes, and signed angles without letters', () => {
+      expectNear(parseDms(`N 40° 42.768' W 74° 0.360'`), 40.7128, -74.006)
+      expectNear(parseDms(`40°42'46.1", -74°00'21.6"`), 40.712806, -74.006)
+      expectNear(parseDms('40.7128°N 74.006°W'), 40.7128, -74.006)
+    })
+
+    it('should leave other formats alone', () => {
+      expect(parseDms('40.7128, -74.0060')).toBeNull()
+      expect(parseDms('18T WL 83960 07523')).toBeNull()
+    })
+
+    it('should name the angle and the part that is wrong', () => {
+      expect(parseDms(`40°75'N 74°W`).error).toBe(`Invalid latitude "40°75'N": minutes must be less than 60, got 75`)
+      expect(parseDms(`40°N 74°10'60"W`).error).toContain('Invalid longitude "74°10\'60"W": seconds must be less')
+      expect(parseDms(`40.5°30'N 74°W`).error).toContain("degrees can't have decimals when minutes follow")
+      expect(parseDms(`40°42'N 74°30"0'W`).error).toContain('must come in that order')
+      expect(parseDms(`-40°42'N 74°W`).error).toContain('use either a minus sign or N/S')
+      expect(parseDms('91°N 74°W').error).toBe('Invalid latitude "91°N": must be at most 90°')
+      expect(parseDms('40°N 40°S').error).toContain('expected one N/S and one E/W letter, found N, S')
+      expect(parseDms(`40°42' 74°00'`).error).toContain('Cannot tell latitude from longitude')
+    })
+  })
+
+  describe('parseGeoUri', () => {
+    it('should read position, altitude and uncertainty', () => {
+      expect(parseGeoUri('geo:52.52,13.405,34;u=5')).toEqual({
+        latitude: 52.52,
+        longitude: 13.405,
+        altitude: 34,
+        accuracy: 5,
+      })
+      expect(parseGeoUri('geo:52.52,13.405;crs=wgs84')).toEqual({ latitude: 52.52, longitude: 13.405 })
+      expect(parseGeoUri('geo:0,0?q=52.52,13.405(Studio)')).toEqual({ latitude: 52.52, longitude: 13.405 })
+    })
+
+    it('should reject what it cannot use', () => {
+      expect(parseGeoUri('geo:52.52')).toEqual({
+        error: 'Invalid geo: URI "geo:52.52": expected "geo:latitude,longitude" with an optional altitude',
+      })
+      expect(parseGeoUri('geo:52.52,13.405;crs=utm').error).toContain('coordinate system "utm" is not supported')
+      expect(parseGeoUri('geo:52.52,13.405;u=far').error).toContain('uncertainty "far" is not a number')
+      expect(parseGeoUri('geo:0,0?q=Berlin').error).toContain('searches for "Berlin"')
+    })
+  })
+
+  describe('parseGoogleMapsUrl', () => {
+    it('should prefer the dropped pin over the map view', () => {
+      const place =
+        'https://www.google.com/maps/place/Statue+of+Liberty/@40.6892494,-74.0466891,17z/data=!3m1!4b1!4m6!3m5' +
+        '!1s0x89c25090129c363d:0x40c6a5770d25022b!8m2!3d40.6892494!4d-74.0445004!16zL20vMDcycDg'
+
+      expect(parseGoogleMapsUrl(place)).toEqual({ latitude: 40.6892494, longitude: -74.0445004 })
+      expect(parseGoogleMapsUrl('https://www.google.com/maps/@40.7127753,-74.0059728,15z')).toEqual({
+        latitude: 40.7127753,
+        longitude: -74.0059728,
+      })
+    })
+
+    it('should read coordinates from the query', () => {
+      expect(parseGoogleMapsUrl('maps.google.com/?q=40.7128,-74.006')).toEqual({
+        latitude: 40.7128,
+        longitude: -74.006,
+      })
+      expect(parseGoogleMapsUrl('https://www.google.de/maps/search/?api=1&query=52.52%2C13.405')).toEqual({
+        latitude: 52.52,
+        longitude: 13.405,
+      })
+    })
+
+    it('should explain links it cannot resolve', () => {
+      expect(parseGoogleMapsUrl('https://maps.app.goo.gl/Xyz123').error).toContain('need network access')
+      expect(parseGoogleMapsUrl('https://www.google.com/maps/search/?api=1&query=Times+Square').error).toContain(
+        'searches for "Times Square"'
+      )
+      expect(parseGoogleMapsUrl('https://www.openstreetmap.org/#map=15/52.52/13.40').error).toContain(
+        "Links from www.openstreetmap.org aren't understood"
+      )
+      expect(parseGoogleMapsUrl('40.7128, -74.0060')).toBeNull()
+    })
+  })
+
+  describe('decodePlusCode', () => {
+    it('should decode full codes to the centre of their area', () => {
+      expectNear(decodePlusCode('8FVC9G8F+6X'), 47.365563, 8.524938)
+      expectNear(decodePlusCode('8fvc9g8f+6xc'), 47.365563, 8.524891)
+      expect(decodePlusCode('8FVC0000+')).toEqual({ latitude: 47.5, longitude: 8.5 })
+    })
+
+    it('should reject short codes and bad characters', () => {
+      expect(decodePlusCode('9G8F+6X Zurich').error).toContain('is a short Plus Code')
+      expect(decodePlusCode('8FIC9G8F+6X').error).toBe(
+        'Invalid Plus Code "8FIC9G8F+6X": "I" is not a Plus Code character'
+      )
+      expect(decodePlusCode('8FVC9G8F+6').error).toContain('at least two characters after the "+"')
+      expect(decodePlusCode('8FV00000+').error).toContain('may only pad whole pairs')
+      expect(decodePlusCode('X2222222+22').error).toContain('is outside the world')
+    })
+  })
+
+  describe('parseUtm and parseMgrs', () => {
+    it('should convert UTM positions', () => {
+      expectNear(parseUtm('18T 583960 4507523'), 40.714354, -74.005964)
+      expectNear(parseUtm('18T 583960mE 4507523mN'), 40.714354, -74.005964)
+      expectNear(parseUtm('56H 334873 6252266'), -33.857001, 151.214998)
+    })
+
+    it('should accept N and S as hemispheres when the band does not fit', () => {
+      expectNear(parseUtm('56S 334873 6252266'), -33.857001, 151.214998)
+      expectNear(parseUtm('33N 389885 5819698'), 52.516258, 13.377218)
+    })
+
+    it('should convert MGRS references with any precision', () => {
+      expectNear(parseMgrs('18S UJ 23480 06470'), 38.889386, -77.035269)
+      expectNear(parseMgrs('18SUJ2348006470'), 38.889386, -77.035269)
+      expectNear(parseMgrs('33U UU 89885 19698'), 52.516263, 13.377225)
+      expect(parseMgrs('18S UJ 2348 0647').latitude).toBeCloseTo(38.8894, 3)
+    })
+
+    it('should name the part of a grid reference that is wrong', () => {
+      expect(parseUtm('61T 583960 4507523').error).toContain("zone 61 doesn't exist")
+      expect(parseUtm('18A 583960 4507523').error).toContain('band A is polar (UPS)')
+      expect(parseUtm('18T 983960 4507523').error).toContain('easting 983960 is outside the zone')
+      expect(parseUtm('18T 583960 450').error).toContain('outside band T (40° to 48°)')
+      expect(parseMgrs('18S IJ 23480 06470').error).toContain("square column I isn't used in zone 18")
+      expect(parseMgrs('18S UI 23480 06470').error).toContain('"I" is not a square row letter')
+      expect(parseMgrs('18S UJ 234806470').error).toContain('the same number of digits')
+      expect(parseMgrs('33X UU 1 1').error).toContain('square UU is not in band X of zone 33')
+    })
+  })
+
+  describe('parseCoordinateFormats', () => {
+    it('should return null for text in none of the formats', () => {
+      expect(parseCoordinateFormats('somewhere nice')).toBeNull()
+    })
+  })
+
+  describe('parseCoordinateString', () => {
+    it('should accept every format, with settings where they fit', () => {
+      expect(parseCoordinateString(`40°42'46.1"N 74°00'21.6"W; direction=90`)).toMatchObject({
+        latitude: 40.71280555555556,
+        direction: 90,
+      })
+      expect(parseCoordinateString('geo:52.52,13.405;u=5')).toEqual({ latitude: 52.52, longitude: 13.405, accuracy: 5 })
+      expect(parseCoordinateString('18T WL 83960 07523; alt=10').altitude).toBe(10)
+      expect(parseCoordinateString('8FVC9G8F+6X').latitude).toBeCloseTo(47.3656, 4)
+    })
+
+    it('should range-check positions from links', () => {
+      expect(parseCoordinateString('https://maps.google.com/?q=95,13').error).toBe(
+        'Latitude must be between -90 and 90 degrees'
+      )
+      expect(parseCoordinateString('geo:95,13').error).toBe('Latitude must be between -90 and 90 degrees')
+    })
+  })
+})
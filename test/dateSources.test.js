@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import {
+  readCaptureDate,
+  validateDateSources,
+  isFilesystemDateSource,
+  compileFilenamePatterns,
+  parseFilenameDate,
+  DEFAULT_DATE_SOURCES,
+} from '../src/dateSources.js'
+
+// Minimal MP4 with a movie header carrying the creation time
+function quickTimeMovie(createdAt) {
+  const box = (type, payload) => {
+    const header = Buffer.alloc(8)
+    header.writeUInt32BE(8 + payload.length)
+    header.write(type, 4, 'latin1')
+    return Buffer.concat([header, payload])
+  }
+  const mvhd = Buffer.alloc(100)
+  mvhd.writeUInt32BE(Math.floor(createdAt.getTime() / 1000) + 2082844800, 4)
+  return Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0', 'latin1')), box('moov', box('mvhd', mvhd))])
+}
+
+const xmpSidecar = description =>
+  '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+  `<rdf:Description rdf:about=""${description}</rdf:Description></rdf:RDF></x:xmpmeta>`
+
+describe('dateSources.js', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-date-sources-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  describe('readCaptureDate', () => {
+    it('should use the first source in the list that has a date', async () => {
+      const movie = join(tempDir, 'C0001.MP4')
+      const mtime = new Date('2024-07-20T08:00:00Z')
+      await fs.writeFile(movie, quickTimeMovie(new Date('2024-07-13T12:30:45Z')))
+      await fs.utimes(movie, mtime, mtime)
+
+      const fromMovie = await readCaptureDate(movie, ['exif.DateTimeOriginal', 'quicktime.CreateDate', 'mtime'])
+      const fromFile = await readCaptureDate(movie, ['mtime', 'quicktime.CreateDate'])
+
+      expect(fromMovie.source).toBe('quicktime.CreateDate')
+      expect(fromMovie.date.toISOString()).toBe('2024-07-13T12:30:45.000Z')
+      expect(fromFile).toEqual({ date: mtime, source: 'mtime' })
+    })
+
+    it('should read dates from an XMP sidecar', async () => {
+      const raw = join(tempDir, 'IMG_0001.CR3')
+      const edited = join(tempDir, 'IMG_0002.CR3')
+      await fs.writeFile(raw, 'raw data')
+      await fs.writeFile(edited, 'raw data')
+      await fs.writeFile(
+        join(tempDir, 'IMG_0001.xmp'),
+        xmpSidecar(' exif:DateTimeOriginal="2024-07-13T14:30:45+02:00">')
+      )
+      await fs.writeFile(
+        join(tempDir, 'IMG_0002.CR3.xmp'),
+        xmpSidecar('><xmp:CreateDate>2024-07-13T14:30:45</xmp:CreateDate>')
+      )
+
+      const fromSidecar = await readCaptureDate(raw, ['sidecar', 'mtime'])
+      const fromElement = await readCaptureDate(edited, ['sidecar'], { timeZone: 'Europe/Berlin' })
+
+      expect(fromSidecar.source).toBe('sidecar')
+      expect(fromSidecar.date.toISOString()).toBe('2024-07-13T12:30:45.000Z')
+      expect(fromElement.date.toISOString()).toBe('2024-07-13T12:30:45.000Z')
+    })
+
+    it('should date files with stripped metadata by their name', async () => {
+      const clip = join(tempDir, 'DJI_20240512143011_0001_D.MP4')
+      await fs.writeFile(clip, 'stripped')
+
+      expect(
+        await readCaptureDate(clip, ['quicktime.CreateDate', 'filename-pattern', 'mtime'], { timeZone: 'UTC' })
+      ).toEqual({
+        date: new Date('2024-05-12T14:30:11Z'),
+        source: 'filename-pattern',
+      })
+    })
+
+    it('should fall back to the name before the modification time by default', async () => {
+      const clip = join(tempDir, 'VID_20240512_143011.mp4')
+      await fs.writeFile(clip, 'stripped')
+
+      expect(DEFAULT_DATE_SOURCES.slice(-2)).toEqual(['filename-pattern', 'mtime'])
+      expect(await readCaptureDate(clip, DEFAULT_DATE_SOURCES, { timeZone: 'UTC' })).toEqual({
+        date: new Date('2024-05-12T14:30:11Z'),
+        source: 'filename-pattern',
+      })
+    })
+
+    it('should say which sources it tried when none has a date', async () => {
+      const stripped = join(tempDir, 'stripped.jpg')
+      await fs.writeFile(stripped, '')
+
+      await expect(readCaptureDate(stripped, ['exif.DateTimeOriginal', 'sidecar'])).rejects.toThrow(
+        'No capture date found in exif.DateTimeOriginal, sidecar'
+      )
+    })
+  })
+
+  describe('parseFilenameDate', () => {
+    it('should read camera and phone filenames in the camera zone', () => {
+      const date = file => parseFilenameDate(`/card/DCIM/${file}`, undefined, 'Europe/Berlin')?.toISOString()
+
+      expect(date('DJI_20240512143011_0001_D.MP4')).toBe('2024-05-12T12:30:11.000Z')
+      expect(date('VID_20240512_143011.mp4')).toBe('2024-05-12T12:30:11.000Z')
+      expect(date('IMG_20240512_143011_1.jpg')).toBe('2024-05-12T12:30:11.000Z')
+      expect(date('20240512_143011.jpg')).toBe('2024-05-12T12:30:11.000Z')
+    })
+
+    it('should read Pixel filenames as UTC', () => {
+      expect(parseFilenameDate('PXL_20240512_143011123.mp4', undefined, 'Europe/Berlin').toISOString()).toBe(
+        '2024-05-12T14:30:11.000Z'
+      )
+    })
+
+    it('should ignore names without a valid date', () => {
+      expect(parseFilenameDate('DSC_0042.JPG')).toBeNull()
+      expect(parseFilenameDate('VID_20241399_143011.mp4')).toBeNull()
+      expect(parseFilenameDate('VID_20240231_143011.mp4')).toBeNull()
+      expect(parseFilenameDate('/card/DJI_20240512143011/0001.MP4')).toBeNull()
+    })
+
+    it('should use profile patterns with their own zone', () => {
+      const patterns = compileFilenamePatterns([
+        'GH(?<day>\\d{2})(?<month>\\d{2})(?<year>\\d{2})',
+        {
+          pattern: 'cam-(?<year>\\d{4})-(?<month>\\d{2})-(?<day>\\d{2})T(?<hour>\\d{2})(?<minute>\\d{2})',
+          timeZone: 'UTC',
+        },
+      ])
+
+      expect(parseFilenameDate('GH120524.MP4', patterns, 'UTC').toISOString()).toBe('2024-05-12T00:00:00.000Z')
+      expect(parseFilenameDate('cam-2024-05-12T1430.mov', patterns, 'Asia/Tokyo').toISOString()).toBe(
+        '2024-05-12T14:30:00.000Z'
+      )
+    })
+  })
+
+  describe('compileFilenamePatterns', () => {
+    it('should reject patterns that cannot give a date', () => {
+      expect(() => compileFilenamePatterns(['IMG_(\\d{8})'])).toThrow('Needs the named groups')
+      expect(() => compileFilenamePatterns(['(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2}'])).toThrow(
+        'Invalid filenamePatterns value'
+      )
+      expect(() =>
+        compileFilenamePatterns([{ pattern: '(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})', timeZone: 'Moon' }])
+      ).toThrow('Invalid filenamePatterns timeZone value: Moon')
+    })
+  })
+
+  describe('validateDateSources', () => {
+    it('should accept known sources only', () => {
+      expect(() => validateDateSources(['exif.DateTimeOriginal', 'quicktime.CreateDate', 'birthtime'])).not.toThrow()
+      expect(() => validateDateSources(['exif.DateTaken'])).toThrow('Invalid dateSources value: exif.DateTaken')
+      expect(() => validateDateSources('mtime')).toThrow('Must be a list of date sources')
+    })
+  })
+
+  describe('isFilesystemDateSource', () => {
+    it('should tell filesystem times from embedded dates', () => {
+      expect(isFilesystemDateSource('mtime')).toBe(true)
+      expect(isFilesystemDateSource('birthtime')).toBe(true)
+      expect(isFilesystemDateSource('sidecar')).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { parseDjiSrt, srtTrack, findSrtCompanion, readDjiSrt } from '../src/djiSrt.js'
+
+// Mini 3 / Air 2S style: one cue per frame, positions in brackets
+const bracketed = `1
+00:00:00,000 --> 00:00:00,033
+<font size="28">FrameCnt: 1, DiffTime: 33ms
+2024-07-13 14:00:00.000
+[iso: 100] [shutter: 1/500.0] [fnum: 1.7] [ev: 0] [latitude: 52.500000] [longitude: 13.400000] [rel_alt: 1.200 abs_alt: 120.300] </font>
+
+2
+00:00:00,033 --> 00:00:00,066
+<font size="28">FrameCnt: 2, DiffTime: 33ms
+[latitude: 52.500100] [longtitude: 13.400100] [rel_alt: 1.300 abs_alt: 120.400] </font>
+
+3
+00:00:01,001 --> 00:00:01,034
+<font size="28">FrameCnt: 31, DiffTime: 33ms
+[latitude: 52.501000] [longitude: 13.401000] [rel_alt: 2.000 abs_alt: 121.000] </font>
+`
+
+// Phantom 4 style: GPS(longitude, latitude, satellites)
+const legacy = `1
+00:00:00,000 --> 00:00:01,000
+HOME(13.4000,52.5000) 2024.07.13 14:00:00
+GPS(13.4050,52.5050,19) BAROMETER:12.3
+
+2
+00:00:01,000 --> 00:00:02,000
+HOME(13.4000,52.5000) 2024.07.13 14:00:01
+GPS(0.0000,0.0000,0) BAROMETER:12.3
+`
+
+describe('djiSrt.js', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-djisrt-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  describe('parseDjiSrt', () => {
+    it('should read bracketed positions with their altitude', () => {
+      expect(parseDjiSrt(bracketed)).toEqual([
+        { offset: 0, latitude: 52.5, longitude: 13.4, altitude: 120.3 },
+        { offset: 33, latitude: 52.5001, longitude: 13.4001, altitude: 120.4 },
+        { offset: 1001, latitude: 52.501, longitude: 13.401, altitude: 121 },
+      ])
+    })
+
+    it('should read the older GPS() style and leave out cues without a fix', () => {
+      expect(parseDjiSrt(legacy.replace(/\n/g, '\r\n'))).toEqual([{ offset: 0, latitude: 52.505, longitude: 13.405 }])
+    })
+
+    it('should ignore subtitles without positions', () => {
+      expect(parseDjiSrt('1\n00:00:00,000 --> 00:00:02,000\nHello\n')).toEqual([])
+    })
+  })
+
+  describe('srtTrack', () => {
+    it('should keep one point per interval plus the last one, timed from the capture date', () => {
+      const start = new Date('2024-07-13T12:00:00Z')
+      const track = srtTrack(parseDjiSrt(bracketed), start, 500)
+
+      expect(track.map(point => point.time - start.getTime())).toEqual([0, 1001])
+      expect(srtTrack(parseDjiSrt(bracketed), start, 2000).map(point => point.latitude)).toEqual([52.5, 52.501])
+    })
+  })
+
+  describe('findSrtCompanion and readDjiSrt', () => {
+    it('should find and read the SRT next to a video', async () => {
+      const srt = join(tempDir, 'DJI_0001.SRT')
+      await fs.writeFile(srt, bracketed)
+      const group = {
+        primaryFile: join(tempDir, 'DJI_0001.MP4'),
+        companionFiles: [join(tempDir, 'DJI_0001.LRF'), srt],
+      }
+
+      expect(findSrtCompanion(group)).toBe(srt)
+      expect(findSrtCompanion({ ...group, companionFiles: [] })).toBeNull()
+      expect(await readDjiSrt(srt)).toHaveLength(3)
+    })
+  })
+})
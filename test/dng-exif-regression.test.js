@@ -33,12 +33,13 @@ describe('DNG EXIF Regression Tests', () => {
       // Set the filesystem time to the problematic time
       await fs.utimes(dngFile, fileSystemTime, fileSystemTime)
 
-      const extractedDate = await extractFileDate(dngFile, true)
+      const extractedDate = await extractFileDate(dngFile, true, 'UTC')
 
       // Since this is a fake DNG file, both exifr and exiftool will fail,
-      // so it should fall back to mtime (fileSystemTime)
+      // so it should fall back to the capture time in the DJI filename rather than mtime
       expect(extractedDate).toBeInstanceOf(Date)
-      expect(Math.abs(extractedDate.getTime() - fileSystemTime.getTime())).toBeLessThan(1000)
+      expect(extractedDate.getTime()).toBe(captureTime.getTime())
+      expect(Math.abs(extractedDate.getTime() - fileSystemTime.getTime())).toBeGreaterThan(1000)
     })
 
     it('should generate consistent timestamps for JPG/DNG pairs', async () => {
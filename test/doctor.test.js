@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import ExiftoolProcess from '../src/exiftool.js'
+import { runDoctor, formatDoctorReport } from '../src/doctor.js'
+
+describe('doctor.js', () => {
+  let tempDir
+  let exiftool
+
+  const profile = {
+    sourcePath: '/Volumes/CARD',
+    destinationRoot: '/footage',
+    cameraLabel: 'Cam',
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-doctor-test-'))
+    // Never found, so the results don't depend on what is installed
+    exiftool = new ExiftoolProcess({ command: join(tempDir, 'no-exiftool') })
+  })
+
+  afterEach(async () => {
+    await exiftool.close()
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  const check = (result, name) => result.checks.find(entry => entry.name === name)
+
+  it('should accept directories that exist or can be created', async () => {
+    await fs.mkdir(join(tempDir, 'profiles'))
+
+    const result = await runDoctor({
+      exiftool,
+      directories: { profiles: join(tempDir, 'profiles'), journals: join(tempDir, 'journals') },
+      profiles: { card: profile },
+    })
+
+    expect(result.ok).toBe(true)
+    expect(check(result, 'profiles dir')).toMatchObject({ status: 'ok', detail: join(tempDir, 'profiles') })
+    expect(check(result, 'journals dir').detail).toContain('created on first use')
+    expect(check(result, 'profile card').status).toBe('ok')
+  })
+
+  it('should fail on a directory path taken by a file', async () => {
+    await fs.writeFile(join(tempDir, 'state'), '')
+
+    const result = await runDoctor({ exiftool, directories: { state: join(tempDir, 'state') }, profiles: {} })
+
+    expect(result.ok).toBe(false)
+    expect(check(result, 'state dir')).toMatchObject({
+      status: 'fail',
+      detail: `${join(tempDir, 'state')} is not a directory`,
+    })
+  })
+
+  it('should report invalid profiles and list what is disabled without exiftool', async () => {
+    const result = await runDoctor({
+      exiftool,
+      directories: {},
+      profiles: {
+        broken: { ...profile, onCollision: 'overwrite' },
+        gps: { ...profile, addGpsData: true, gpsCoordinates: { latitude: 52.52, longitude: 13.405 } },
+        offshore: { ...profile, gpsCoordinates: { latitude: 95, longitude: 0 } },
+        backwards: { ...profile, gpsCoordinates: { latitude: 52.52, longitude: 13.405, direction: 400 } },
+      },
+    })
+
+    expect(result.ok).toBe(false)
+    expect(check(result, 'exiftool').status).toBe('warn')
+    expect(check(result, 'exiftool').detail).toContain('GPS writing')
+    expect(check(result, 'profile broken')).toMatchObject({ status: 'fail' })
+    expect(check(result, 'profile broken').detail).toContain('Invalid onCollision value')
+    expect(check(result, 'profile gps')).toMatchObject({ status: 'warn' })
+    expect(check(result, 'profile gps').detail).toContain('addGpsData need exiftool')
+    expect(check(result, 'profile offshore').detail).toContain('Latitude must be between -90 and 90')
+    expect(check(result, 'profile backwards').detail).toContain('Direction must be at least 0')
+  })
+
+  it('should check the saved locations', async () => {
+    const locationsFile = join(tempDir, 'locations.yaml')
+    const run = () => runDoctor({ exiftool, directories: {}, profiles: {}, locationsFile })
+
+    expect(check(await run(), 'locations')).toMatchObject({ status: 'ok', detail: 'None saved' })
+
+    await fs.writeFile(locationsFile, 'studio:\n  latitude: 52.52\n')
+    const result = await run()
+    expect(result.ok).toBe(false)
+    expect(check(result, 'locations')).toMatchObject({ status: 'fail' })
+    expect(check(result, 'locations').detail).toContain('Invalid location "studio"')
+  })
+
+  it('should format one aligned line per check and a verdict', () => {
+    const report = formatDoctorReport({
+      ok: true,
+      checks: [
+        { name: 'exiftool', status: 'ok', detail: '13.10' },
+        { name: 'profile card', status: 'warn', detail: 'something to look at' },
+      ],
+    })
+
+    expect(report.split('\n')).toEqual([
+      'ok    exiftool      13.10',
+      'warn  profile card  something to look at',
+      '',
+      'All good (1 warning)',
+    ])
+  })
+})
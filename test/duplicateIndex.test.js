@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import DuplicateIndex from '../src/duplicateIndex.js'
+import { writeManifests } from '../src/manifest.js'
+import { processFileGroup } from '../src/fileProcessor.js'
+import { hashFile } from '../src/checksum.js'
+
+describe('DuplicateIndex', () => {
+  let tempDir
+  let libraryDir
+  let cardDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-duplicate-test-'))
+    libraryDir = join(tempDir, 'library')
+    cardDir = join(tempDir, 'card')
+    await fs.mkdir(join(libraryDir, '2025-07-05'), { recursive: true })
+    await fs.mkdir(cardDir, { recursive: true })
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  it('should find a library file with identical content under a different name', async () => {
+    await fs.writeFile(join(libraryDir, '2025-07-05', '2025-07-05_10-00-00_Cam.JPG'), 'same content')
+    await fs.writeFile(join(cardDir, 'IMG_0001.JPG'), 'same content')
+
+    const index = await new DuplicateIndex(libraryDir, 'sha256').build()
+
+    expect(index.fileCount).toBe(1)
+    expect(await index.findDuplicate(join(cardDir, 'IMG_0001.JPG'))).toBe(
+      join(libraryDir, '2025-07-05', '2025-07-05_10-00-00_Cam.JPG')
+    )
+  })
+
+  it('should not match files of the same size with different content', async () => {
+    await fs.writeFile(join(libraryDir, '2025-07-05', 'a.JPG'), 'content AAAA')
+    await fs.writeFile(join(cardDir, 'IMG_0001.JPG'), 'content BBBB')
+
+    const index = await new DuplicateIndex(libraryDir, 'sha256').build()
+
+    expect(await index.findDuplicate(join(cardDir, 'IMG_0001.JPG'))).toBeNull()
+  })
+
+  it('should detect differences beyond the partial fingerprint chunks', async () => {
+    const base = Buffer.alloc(300 * 1024, 1)
+    const changed = Buffer.from(base)
+    changed[150 * 1024] = 2
+
+    await fs.writeFile(join(libraryDir, '2025-07-05', 'clip.MP4'), base)
+    await fs.writeFile(join(cardDir, 'clip.MP4'), changed)
+
+    const index = await new DuplicateIndex(libraryDir, 'md5').build()
+
+    expect(await index.findDuplicate(join(cardDir, 'clip.MP4'))).toBeNull()
+  })
+
+  it('should reuse hashes recorded in manifests and ignore the manifest files themselves', async () => {
+    const libraryFile = join(libraryDir, '2025-07-05', 'a.JPG')
+    await fs.writeFile(libraryFile, 'same content')
+    await writeManifests(
+      [{ sourcePath: '/card/a.JPG', targetPath: libraryFile, size: 12, checksum: 'recorded-hash' }],
+      'sha256',
+      'json'
+    )
+
+    const index = await new DuplicateIndex(libraryDir, 'sha256').build()
+
+    expect(index.fileCount).toBe(1)
+    expect(index.entriesBySize.get(12)[0].checksum).toBe('recorded-hash')
+  })
+
+  it('should match card files against the original content of copies edited after import', async () => {
+    const libraryFile = join(libraryDir, '2025-07-05', 'a.JPG')
+    await fs.writeFile(libraryFile, 'same content with GPS')
+    await fs.writeFile(join(cardDir, 'IMG_0001.JPG'), 'same content')
+    await writeManifests(
+      [
+        {
+          sourcePath: join(cardDir, 'IMG_0001.JPG'),
+          targetPath: libraryFile,
+          size: 12,
+          checksum: await hashFile(join(cardDir, 'IMG_0001.JPG'), 'sha256'),
+          targetSize: 21,
+          targetChecksum: 'edited-hash',
+        },
+      ],
+      'sha256',
+      'json'
+    )
+
+    const index = await new DuplicateIndex(libraryDir, 'sha256').build()
+
+    expect(index.fileCount).toBe(1)
+    expect(await index.findDuplicate(join(cardDir, 'IMG_0001.JPG'))).toBe(libraryFile)
+  })
+
+  it('should read original hashes from CSV manifests', async () => {
+    const libraryFile = join(libraryDir, '2025-07-05', 'a.JPG')
+    await fs.writeFile(libraryFile, 'same content with GPS')
+    await fs.writeFile(join(cardDir, 'IMG_0001.JPG'), 'same content')
+    await writeManifests(
+      [
+        {
+          sourcePath: join(cardDir, 'IMG_0001.JPG'),
+          targetPath: libraryFile,
+          size: 12,
+          checksum: await hashFile(join(cardDir, 'IMG_0001.JPG'), 'sha256'),
+          targetSize: 21,
+          targetChecksum: 'edited-hash',
+        },
+      ],
+      'sha256',
+      'csv'
+    )
+
+    const index = await new DuplicateIndex(libraryDir, 'sha256').build()
+
+    expect(await index.findDuplicate(join(cardDir, 'IMG_0001.JPG'))).toBe(libraryFile)
+  })
+
+  it('should match edited copies from the import history when there is no manifest', async () => {
+    const libraryFile = join(libraryDir, '2025-07-05', 'a.JPG')
+    await fs.writeFile(libraryFile, 'same content with GPS')
+    await fs.writeFile(join(cardDir, 'IMG_0001.JPG'), 'same content')
+    const checksum = await hashFile(join(cardDir, 'IMG_0001.JPG'), 'sha256')
+
+    const index = await new DuplicateIndex(libraryDir, 'sha256').build([
+      { targetPath: libraryFile, size: 12, checksum, checksumAlgorithm: 'sha256' },
+      { targetPath: libraryFile, size: 12, checksum: 'other-hash', checksumAlgorithm: 'md5' },
+    ])
+
+    expect(index.fileCount).toBe(1)
+    expect(await index.findDuplicate(join(cardDir, 'IMG_0001.JPG'))).toBe(libraryFile)
+  })
+
+  it('should not index interrupted copies or generated flight tracks', async () => {
+    const day = join(libraryDir, '2025-07-05')
+    await fs.writeFile(join(day, 'DJI_0001.MP4'), 'video')
+    await fs.writeFile(join(day, 'DJI_0001.gpx'), '<gpx/>')
+    await fs.writeFile(join(day, '.DJI_0002.MP4.ingestio-partial'), 'vid')
+    await fs.writeFile(join(day, 'hike.gpx'), '<gpx/>')
+
+    const index = await new DuplicateIndex(libraryDir, 'sha256').build()
+
+    expect(index.fileCount).toBe(2)
+    expect([...index.entriesBySize.values()].flat().map(entry => entry.path)).toEqual(
+      expect.arrayContaining([join(day, 'DJI_0001.MP4'), join(day, 'hike.gpx')])
+    )
+  })
+
+  it('should handle a library folder that does not exist yet', async () => {
+    const index = await new DuplicateIndex(join(tempDir, 'missing'), 'sha256').build()
+
+    expect(index.fileCount).toBe(0)
+  })
+
+  it('should make processFileGroup skip duplicates, including repeats within the same run', async () => {
+    await fs.writeFile(join(libraryDir, '2025-07-05', 'old.JPG'), 'already imported')
+    await fs.writeFile(join(cardDir, 'IMG_0001.JPG'), 'already imported')
+    await fs.writeFile(join(cardDir, 'IMG_0002.JPG'), 'brand new')
+    await fs.writeFile(join(cardDir, 'IMG_0003.JPG'), 'brand new')
+
+    const index = await new DuplicateIndex(libraryDir, 'sha256').build()
+    const date = new Date('2025-07-06T10:00:00Z')
+    const results = []
+
+    for (const name of ['IMG_0001.JPG', 'IMG_0002.JPG', 'IMG_0003.JPG']) {
+      const file = join(cardDir, name)
+      const group = { files: [file], primaryFile: file, companionFiles: [] }
+      results.push(
+        ...(await processFileGroup(group, date, 'Cam', libraryDir, 'skip-duplicate', 'copy', '{date}_{camera}', {
+          checksumAlgorithm: 'sha256',
+          duplicateIndex: index,
+        }))
+      )
+    }
+
+    expect(results[0].skipped).toBe(true)
+    expect(results[0].duplicateOf).toBe(join(libraryDir, '2025-07-05', 'old.JPG'))
+    expect(results[1].skipped).toBeUndefined()
+    expect(results[1].targetPath).toBe(join(libraryDir, '2025-07-06', '2025-07-06_Cam.JPG'))
+    expect(results[2].skipped).toBe(true)
+    expect(results[2].duplicateOf).toBe(results[1].targetPath)
+  })
+})
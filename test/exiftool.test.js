@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import ExiftoolProcess, { probeExiftool } from '../src/exiftool.js'
+
+describe('ExiftoolProcess', () => {
+  let tempDir
+  let exiftool
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-exiftool-test-'))
+  })
+
+  afterEach(async () => {
+    await exiftool?.close()
+    exiftool = null
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  it.skipIf(!Bun.which('exiftool'))('should answer queued requests in order from one process', async () => {
+    exiftool = new ExiftoolProcess({ batchSize: 2 })
+    const files = []
+    for (const name of ['a.txt', 'b.txt', 'c.txt', 'd.txt', 'e.txt']) {
+      files.push(join(tempDir, name))
+      await fs.writeFile(files.at(-1), name)
+    }
+
+    const outputs = await Promise.all(files.map(file => exiftool.run(['-s3', '-FileName', file])))
+    const child = exiftool.child
+
+    expect(outputs.map(output => output.trim())).toEqual(['a.txt', 'b.txt', 'c.txt', 'd.txt', 'e.txt'])
+    expect(await exiftool.run(['-ver'])).toMatch(/^\d+\.\d+/)
+    expect(exiftool.child).toBe(child)
+  })
+
+  it.skipIf(!Bun.which('exiftool'))('should reject requests exiftool reports errors for', async () => {
+    exiftool = new ExiftoolProcess()
+    const file = join(tempDir, 'notes.txt')
+    await fs.writeFile(file, 'not a media file')
+
+    await expect(exiftool.run(['-overwrite_original', '-Artist=Me', file])).rejects.toThrow('Error:')
+    // The process is still usable after an error
+    expect((await exiftool.run(['-s3', '-FileName', file])).trim()).toBe('notes.txt')
+  })
+
+  it('should time out stuck requests and start a fresh process', async () => {
+    // Reads its arguments but never answers
+    const stuck = join(tempDir, 'stuck.sh')
+    await fs.writeFile(stuck, '#!/bin/sh\ncat > /dev/null\n', { mode: 0o755 })
+    exiftool = new ExiftoolProcess({ command: stuck, timeout: 100 })
+
+    const first = exiftool.run(['-ver'])
+    const second = exiftool.run(['-ver'])
+
+    await expect(first).rejects.toThrow('exiftool timed out after 100ms')
+    await expect(second).rejects.toThrow('exiftool timed out after 100ms')
+  })
+
+  it('should reject requests when exiftool cannot be started', async () => {
+    exiftool = new ExiftoolProcess({ command: join(tempDir, 'no-exiftool') })
+
+    await expect(exiftool.run(['-ver'])).rejects.toThrow()
+  })
+
+  it('should refuse arguments that would break the request stream', async () => {
+    exiftool = new ExiftoolProcess()
+
+    await expect(exiftool.run(['-Comment=two\nlines'])).rejects.toThrow('cannot contain line breaks')
+  })
+
+  it('should report a missing exiftool and fail later requests at once', async () => {
+    exiftool = new ExiftoolProcess({ command: join(tempDir, 'no-exiftool') })
+
+    const probe = await probeExiftool(exiftool)
+
+    expect(probe.available).toBe(false)
+    expect(probe.error).toContain('exiftool not found')
+    await expect(exiftool.run(['-ver'])).rejects.toThrow('exiftool not found')
+    expect(exiftool.child).toBeNull()
+  })
+
+  it.skipIf(!Bun.which('exiftool'))('should report the installed exiftool version', async () => {
+    exiftool = new ExiftoolProcess()
+
+    expect(await probeExiftool(exiftool)).toEqual({ available: true, version: expect.stringMatching(/^\d+\.\d+/) })
+  })
+})
@@ -10,7 +10,73 @@ import {
   processFile,
   groupRelatedFiles,
   processFileGroup,
+  planFileGroup,
+  executeFilePlan,
+  transferFile,
+  removeVerifiedSources,
+  getPartialPath,
+  readCaptureInfo,
+  shiftEmbeddedDates,
 } from '../src/fileProcessor.js'
+import { hashBuffer } from '../src/checksum.js'
+
+// Minimal JPEG whose Exif IFD holds DateTimeOriginal and, optionally, OffsetTimeOriginal
+function exifJpeg(dateTimeOriginal, offsetTimeOriginal = null) {
+  const entries = [[0x9003, `${dateTimeOriginal}\0`]]
+  if (offsetTimeOriginal) entries.push([0x9011, `${offsetTimeOriginal}\0`])
+
+  const exifIfdOffset = 8 + 18
+  let dataOffset = exifIfdOffset + 2 + entries.length * 12 + 4
+  const tiff = Buffer.alloc(dataOffset + entries.reduce((sum, [, value]) => sum + value.length, 0))
+
+  tiff.write('II*\0', 0, 'latin1')
+  tiff.writeUInt32LE(8, 4)
+  tiff.writeUInt16LE(1, 8)
+  tiff.writeUInt16LE(0x8769, 10)
+  tiff.writeUInt16LE(4, 12)
+  tiff.writeUInt32LE(1, 14)
+  tiff.writeUInt32LE(exifIfdOffset, 18)
+
+  tiff.writeUInt16LE(entries.length, exifIfdOffset)
+  entries.forEach(([tag, value], index) => {
+    const entry = exifIfdOffset + 2 + index * 12
+    tiff.writeUInt16LE(tag, entry)
+    tiff.writeUInt16LE(2, entry + 2)
+    tiff.writeUInt32LE(value.length, entry + 4)
+    tiff.writeUInt32LE(dataOffset, entry + 8)
+    tiff.write(value, dataOffset, 'latin1')
+    dataOffset += value.length
+  })
+
+  const app1 = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff])
+  const length = Buffer.alloc(2)
+  length.writeUInt16BE(app1.length + 2)
+  // A start-of-scan segment lets exiftool rewrite the file; the image data itself is never decoded
+  const scan = Buffer.from([0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3f, 0x00, 0x00, 0xff, 0xd9])
+  return Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe1]), length, app1, scan])
+}
+
+// Minimal MP4 with a movie header carrying the creation time
+function quickTimeMovie(createdAt) {
+  const box = (type, payload) => {
+    const header = Buffer.alloc(8)
+    header.writeUInt32BE(8 + payload.length)
+    header.write(type, 4, 'latin1')
+    return Buffer.concat([header, payload])
+  }
+  const seconds = Math.floor(createdAt.getTime() / 1000) + 2082844800 // QuickTime epoch is 1904-01-01
+  const mvhd = Buffer.alloc(100)
+  mvhd.writeUInt32BE(seconds, 4)
+  mvhd.writeUInt32BE(seconds, 8)
+  mvhd.writeUInt32BE(1000, 12)
+  mvhd.writeUInt32BE(0x00010000, 20)
+  mvhd.writeUInt16BE(0x0100, 24)
+  mvhd.writeUInt32BE(0x00010000, 36)
+  mvhd.writeUInt32BE(0x00010000, 52)
+  mvhd.writeUInt32BE(0x40000000, 68)
+  mvhd.writeUInt32BE(2, 96)
+  return Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0isommp41', 'latin1')), box('moov', box('mvhd', mvhd))])
+}
 
 describe('fileProcessor.js', () => {
   let tempDir
@@ -212,6 +278,106 @@ describe('fileProcessor.js', () => {
     })
   })
 
+  describe('extractFileDate time zones', () => {
+    it('should honor OffsetTimeOriginal', async () => {
+      const testFile = join(tempDir, 'offset.jpg')
+      await fs.writeFile(testFile, exifJpeg('2024:07:13 23:30:45', '+02:00'))
+
+      const date = await extractFileDate(testFile, true, 'America/New_York')
+      expect(date.toISOString()).toBe('2024-07-13T21:30:45.000Z')
+    })
+
+    it('should read dates without an offset in the camera time zone', async () => {
+      const testFile = join(tempDir, 'local.jpg')
+      await fs.writeFile(testFile, exifJpeg('2024:07:13 23:30:45'))
+
+      expect((await extractFileDate(testFile, true, 'Europe/Berlin')).toISOString()).toBe('2024-07-13T21:30:45.000Z')
+      expect((await extractFileDate(testFile, true, '-05:00')).toISOString()).toBe('2024-07-14T04:30:45.000Z')
+      expect((await extractFileDate(testFile, true)).getTime()).toBe(new Date(2024, 6, 13, 23, 30, 45).getTime())
+    })
+
+    it('should read QuickTime CreateDate as UTC', async () => {
+      const testFile = join(tempDir, 'clip.mp4')
+      await fs.writeFile(testFile, quickTimeMovie(new Date('2024-07-13T22:30:00Z')))
+
+      const date = await extractFileDate(testFile, true, 'Asia/Tokyo')
+      expect(date.toISOString()).toBe('2024-07-13T22:30:00.000Z')
+    })
+  })
+
+  describe('clock correction', () => {
+    it('should apply the profile time offset to the capture date', async () => {
+      const testFile = join(tempDir, 'drone.jpg')
+      await fs.writeFile(testFile, exifJpeg('2024:07:13 23:30:45'))
+      const profile = { useExifDate: true, filenameFormat: '{date}', cameraTimezone: 'UTC', timeOffset: '-00:05:00' }
+
+      const { date } = await readCaptureInfo(testFile, profile)
+      expect(date.toISOString()).toBe('2024-07-13T23:25:45.000Z')
+
+      // A date recorded by an interrupted run is already corrected
+      const known = new Date('2024-07-13T23:25:45Z')
+      expect((await readCaptureInfo(testFile, profile, known)).date).toBe(known)
+    })
+
+    it.skipIf(!Bun.which('exiftool'))('should shift the embedded dates of a copy', async () => {
+      const testFile = join(tempDir, 'copy.jpg')
+      await fs.writeFile(testFile, exifJpeg('2024:07:13 23:30:45', '+02:00'))
+
+      await shiftEmbeddedDates(testFile, 3800000)
+
+      expect((await extractFileDate(testFile, true)).toISOString()).toBe('2024-07-13T22:34:05.000Z')
+    })
+
+    it('should report files exiftool cannot write', async () => {
+      const testFile = join(tempDir, 'notes.txt')
+      await fs.writeFile(testFile, 'not a media file')
+
+      await expect(shiftEmbeddedDates(testFile, 60000)).rejects.toThrow('Failed to rewrite dates')
+    })
+  })
+
+  describe('date sources', () => {
+    it('should report which source dated the file', async () => {
+      const photo = join(tempDir, 'photo.jpg')
+      const stripped = join(tempDir, 'stripped.jpg')
+      await fs.writeFile(photo, exifJpeg('2024:07:13 23:30:45'))
+      await fs.writeFile(stripped, 'no metadata')
+      const profile = {
+        filenameFormat: '{date}',
+        cameraTimezone: 'UTC',
+        dateSources: ['exif.DateTimeOriginal', 'quicktime.CreateDate', 'mtime'],
+      }
+
+      expect(await readCaptureInfo(photo, profile)).toMatchObject({ dateSource: 'exif.DateTimeOriginal' })
+      expect(await readCaptureInfo(stripped, profile)).toMatchObject({ dateSource: 'mtime' })
+
+      const known = new Date('2024-07-13T23:25:45Z')
+      expect(await readCaptureInfo(stripped, profile, known, 'exif.DateTimeOriginal')).toMatchObject({
+        date: known,
+        dateSource: 'exif.DateTimeOriginal',
+      })
+    })
+
+    it('should read the date from the filename when asked to', async () => {
+      const clip = join(tempDir, 'VID_20240512_143011.mp4')
+      await fs.writeFile(clip, 'metadata stripped by a messenger app')
+
+      const date = await extractFileDate(clip, true, 'Europe/Berlin', {
+        dateSources: ['quicktime.CreateDate', 'filename-pattern', 'mtime'],
+      })
+      expect(date.toISOString()).toBe('2024-05-12T12:30:11.000Z')
+    })
+
+    it('should fail files no listed source can date', async () => {
+      const stripped = join(tempDir, 'stripped.jpg')
+      await fs.writeFile(stripped, 'no metadata')
+
+      await expect(
+        readCaptureInfo(stripped, { filenameFormat: '{date}', dateSources: ['exif.DateTimeOriginal'] })
+      ).rejects.toThrow('No capture date found in exif.DateTimeOriginal')
+    })
+  })
+
   describe('generateTargetPath', () => {
     it('should generate correct target path structure with default format', () => {
       const date = new Date('2024-01-15T09:30:45Z')
@@ -249,6 +415,56 @@ describe('fileProcessor.js', () => {
       expect(result.targetDir).toBe('/destination/2024-01-15')
       expect(result.baseFilename).toBe('09-30-45_TestCamera_2024-01-15.jpg')
     })
+
+    it('should render file and metadata tokens from the context', () => {
+      const date = new Date(2024, 0, 15, 9, 30, 45)
+
+      const result = generateTargetPath(
+        date,
+        'A7IV',
+        '/source/DSC_0042.ARW',
+        '/destination',
+        '{date:YYYYMMDD}_{counter:3}_{model|slug}_{seq}',
+        { counter: 12, metadata: { model: 'ILCE-7M4' } }
+      )
+
+      expect(result.baseFilename).toBe('20240115_012_ilce-7m4_0042.ARW')
+    })
+
+    it('should build the folder from the folder template', () => {
+      const date = new Date(2024, 6, 13, 14, 30, 45)
+
+      const video = generateTargetPath(date, 'Mini4', '/source/DJI_0001.MP4', '/footage', '{time}', {
+        folderFormat: '{year}/{date}_{project}/{mediaType}',
+        project: 'Iceland',
+      })
+      const photo = generateTargetPath(date, 'Mini4', '/source/DJI_0002.DNG', '/footage', '{time}', {
+        folderFormat: '{year}/{date}_{project}/{mediaType}',
+      })
+
+      expect(video.targetDir).toBe('/footage/2024/2024-07-13_Iceland/videos')
+      expect(photo.targetDir).toBe('/footage/2024/2024-07-13/photos')
+    })
+
+    it('should take date folder and time from the same zone', () => {
+      // 23:30 in Los Angeles is already the next day in UTC
+      const date = new Date('2024-07-14T06:30:45Z')
+
+      const result = generateTargetPath(date, 'Cam', '/source/IMG_1.JPG', '/destination', '{date}_{time}', {
+        timeZone: 'America/Los_Angeles',
+      })
+
+      expect(result.targetDir).toBe('/destination/2024-07-13')
+      expect(result.baseFilename).toBe('2024-07-13_23-30-45.JPG')
+    })
+
+    it('should not append the extension when the template places it', () => {
+      const date = new Date(2024, 0, 15, 9, 30, 45)
+
+      const result = generateTargetPath(date, 'Cam', '/source/IMG_1.JPG', '/destination', '{original}.{ext|lower}')
+
+      expect(result.baseFilename).toBe('IMG_1.jpg')
+    })
   })
 
   describe('findAvailableFilename', () => {
@@ -283,6 +499,15 @@ describe('fileProcessor.js', () => {
       const filename = await findAvailableFilename(testDir, 'test.jpg')
       expect(filename).toBe('test_3.jpg')
     })
+
+    it('should skip and claim names reserved earlier in the run', async () => {
+      const testDir = join(tempDir, 'target')
+      const reserved = new Set([join(testDir, 'test.jpg')])
+
+      expect(await findAvailableFilename(testDir, 'test.jpg', reserved)).toBe('test_1.jpg')
+      expect(await findAvailableFilename(testDir, 'test.jpg', reserved)).toBe('test_2.jpg')
+      expect(reserved.has(join(testDir, 'test_2.jpg'))).toBe(true)
+    })
   })
 
   describe('processFile', () => {
@@ -345,9 +570,13 @@ describe('fileProcessor.js', () => {
       const sourcePath = join(sourceDir, 'test.jpg')
       await fs.writeFile(sourcePath, 'test content')
 
-      // Mock fs.rename to simulate EXDEV error (cross-device link)
+      // Mock fs.rename to simulate EXDEV error (cross-device link) when moving off the card;
+      // renames inside the destination (partial file into place) stay on one device
       const originalRename = fs.rename
       const mockRename = async (src, dest) => {
+        if (src !== sourcePath) {
+          return originalRename(src, dest)
+        }
         const error = new Error('cross-device link not permitted')
         error.code = 'EXDEV'
         throw error
@@ -430,6 +659,114 @@ describe('fileProcessor.js', () => {
     })
   })
 
+  describe('transferFile', () => {
+    it('should copy and verify a file with its checksum', async () => {
+      const sourcePath = join(tempDir, 'source.jpg')
+      await fs.writeFile(sourcePath, 'test content')
+
+      const result = await transferFile(sourcePath, join(tempDir, 'target'), 'copied.jpg', {
+        transferMode: 'copy',
+        checksumAlgorithm: 'sha256',
+      })
+
+      expect(result.targetPath).toBe(join(tempDir, 'target', 'copied.jpg'))
+      expect(result.size).toBe(12)
+      expect(result.checksum).toBe(hashBuffer('test content', 'sha256'))
+      expect(await fs.readFile(sourcePath, 'utf-8')).toBe('test content')
+    })
+
+    it('should retry a corrupted copy and succeed when a later attempt verifies', async () => {
+      const sourcePath = join(tempDir, 'source.jpg')
+      await fs.writeFile(sourcePath, 'test content')
+
+      const originalCopyFile = fs.copyFile
+      let attempts = 0
+      fs.copyFile = async (src, dest) => {
+        attempts++
+        if (attempts === 1) {
+          return fs.writeFile(dest, 'corrupted')
+        }
+        return originalCopyFile(src, dest)
+      }
+
+      try {
+        const result = await transferFile(sourcePath, join(tempDir, 'target'), 'copied.jpg', {
+          checksumAlgorithm: 'xxhash64',
+          verifyRetries: 2,
+        })
+
+        expect(attempts).toBe(2)
+        expect(await fs.readFile(result.targetPath, 'utf-8')).toBe('test content')
+      } finally {
+        fs.copyFile = originalCopyFile
+      }
+    })
+
+    it('should fail loudly and keep the source when a cross-device move never verifies', async () => {
+      const sourcePath = join(tempDir, 'source.jpg')
+      const targetDir = join(tempDir, 'target')
+      await fs.writeFile(sourcePath, 'test content')
+
+      const originalRename = fs.rename
+      const originalCopyFile = fs.copyFile
+      fs.rename = async () => {
+        const error = new Error('cross-device link not permitted')
+        error.code = 'EXDEV'
+        throw error
+      }
+      fs.copyFile = async (src, dest) => fs.writeFile(dest, 'corrupted')
+
+      try {
+        await expect(
+          transferFile(sourcePath, targetDir, 'moved.jpg', {
+            transferMode: 'move',
+            checksumAlgorithm: 'md5',
+            verifyRetries: 1,
+          })
+        ).rejects.toThrow('Checksum mismatch')
+
+        // Source must survive, and the bad copy must not be left behind
+        expect(await fs.readFile(sourcePath, 'utf-8')).toBe('test content')
+        await expect(fs.access(join(targetDir, 'moved.jpg'))).rejects.toThrow()
+      } finally {
+        fs.rename = originalRename
+        fs.copyFile = originalCopyFile
+      }
+    })
+
+    it('should write under a partial name and never expose an incomplete target', async () => {
+      const sourcePath = join(tempDir, 'source.jpg')
+      const targetDir = join(tempDir, 'target')
+      await fs.writeFile(sourcePath, 'test content')
+
+      const originalCopyFile = fs.copyFile
+      const copyDestinations = []
+      fs.copyFile = async (src, dest) => {
+        copyDestinations.push(dest)
+        await fs.writeFile(dest, 'test con')
+        throw new Error('card removed')
+      }
+
+      try {
+        await expect(transferFile(sourcePath, targetDir, 'copied.jpg')).rejects.toThrow('card removed')
+
+        expect(copyDestinations).toEqual([getPartialPath(join(targetDir, 'copied.jpg'))])
+        expect(await fs.readdir(targetDir)).toEqual([])
+      } finally {
+        fs.copyFile = originalCopyFile
+      }
+    })
+
+    it('should skip hashing when no algorithm is given', async () => {
+      const sourcePath = join(tempDir, 'source.jpg')
+      await fs.writeFile(sourcePath, 'test content')
+
+      const result = await transferFile(sourcePath, join(tempDir, 'target'), 'copied.jpg')
+
+      expect(result.checksum).toBeNull()
+    })
+  })
+
   describe('File Relationship System', () => {
     it('should group related files by basename', async () => {
       const testDir = join(tempDir, 'test-source')
@@ -534,5 +871,244 @@ describe('fileProcessor.js', () => {
       expect(await fs.readFile(videoResult.targetPath, 'utf-8')).toBe('video content')
       expect(await fs.readFile(srtResult.targetPath, 'utf-8')).toBe('subtitle content')
     })
+
+    it('should attach checksums to group results when verification is enabled', async () => {
+      const testDir = join(tempDir, 'test-source')
+      await fs.mkdir(testDir, { recursive: true })
+      await fs.writeFile(join(testDir, 'clip.MP4'), 'video content')
+
+      const group = { files: [join(testDir, 'clip.MP4')], primaryFile: join(testDir, 'clip.MP4'), companionFiles: [] }
+
+      const [result] = await processFileGroup(
+        group,
+        new Date('2025-07-06T14:12:54Z'),
+        'Cam',
+        join(tempDir, 'test-target'),
+        'rename',
+        'copy',
+        '{date}_{time}_{camera}',
+        { checksumAlgorithm: 'sha256', verifyRetries: 0 }
+      )
+
+      expect(result.checksum).toBe(hashBuffer('video content', 'sha256'))
+      expect(result.size).toBe(13)
+    })
+  })
+
+  describe('planFileGroup and executeFilePlan', () => {
+    const date = new Date('2024-01-15T10:30:45Z')
+    const group = file => ({ files: [file], primaryFile: file, companionFiles: [] })
+
+    it('should name colliding groups by plan order, not by completion order', async () => {
+      const sourceDir = join(tempDir, 'source')
+      const destDir = join(tempDir, 'dest')
+      await fs.mkdir(sourceDir, { recursive: true })
+      const first = join(sourceDir, 'a.jpg')
+      const second = join(sourceDir, 'b.jpg')
+      await fs.writeFile(first, 'first')
+      await fs.writeFile(second, 'second')
+
+      const reservedPaths = new Set()
+      const firstPlan = await planFileGroup(group(first), date, 'Cam', destDir, 'rename', '{camera}', { reservedPaths })
+      const secondPlan = await planFileGroup(group(second), date, 'Cam', destDir, 'rename', '{camera}', {
+        reservedPaths,
+      })
+
+      // Nothing is written while planning
+      await expect(fs.access(destDir)).rejects.toThrow()
+
+      const [secondResults, firstResults] = await Promise.all([
+        executeFilePlan(secondPlan, 'copy'),
+        executeFilePlan(firstPlan, 'copy'),
+      ])
+
+      expect(firstResults[0].targetPath).toBe(join(destDir, '2024-01-15', 'Cam.jpg'))
+      expect(secondResults[0].targetPath).toBe(join(destDir, '2024-01-15', 'Cam_1.jpg'))
+      expect(await fs.readFile(join(destDir, '2024-01-15', 'Cam.jpg'), 'utf-8')).toBe('first')
+    })
+
+    it('should not let files of the same run replace each other', async () => {
+      const sourceDir = join(tempDir, 'source')
+      const targetDir = join(tempDir, 'dest', '2024-01-15')
+      await fs.mkdir(sourceDir, { recursive: true })
+      await fs.mkdir(targetDir, { recursive: true })
+      await fs.writeFile(join(targetDir, 'Cam.jpg'), 'old import')
+      await fs.writeFile(join(sourceDir, 'a.jpg'), 'first')
+      await fs.writeFile(join(sourceDir, 'b.jpg'), 'second')
+
+      const reservedPaths = new Set()
+      const plans = []
+      for (const file of ['a.jpg', 'b.jpg']) {
+        plans.push(
+          await planFileGroup(group(join(sourceDir, file)), date, 'Cam', join(tempDir, 'dest'), 'replace', '{camera}', {
+            reservedPaths,
+          })
+        )
+      }
+
+      expect(plans.map(plan => plan.files[0].filename)).toEqual(['Cam.jpg', 'Cam_1.jpg'])
+    })
+
+    it('should run transfers through the given limiter', async () => {
+      const sourceDir = join(tempDir, 'source')
+      await fs.mkdir(sourceDir, { recursive: true })
+      const files = ['a.jpg', 'a.xmp', 'a.srt'].map(name => join(sourceDir, name))
+      for (const file of files) {
+        await fs.writeFile(file, file)
+      }
+
+      const plan = await planFileGroup(
+        { files, primaryFile: files[0], companionFiles: files.slice(1) },
+        date,
+        'Cam',
+        join(tempDir, 'dest'),
+        'rename',
+        '{camera}'
+      )
+
+      let calls = 0
+      const results = await executeFilePlan(plan, 'copy', {
+        limit: task => {
+          calls++
+          return task()
+        },
+      })
+
+      expect(calls).toBe(3)
+      expect(results.map(result => result.sourcePath)).toEqual(files)
+      expect(results.every(result => result.duration >= 0)).toBe(true)
+    })
+  })
+
+  describe('safe-move', () => {
+    const createGroup = async () => {
+      const testDir = join(tempDir, 'card')
+      await fs.mkdir(testDir, { recursive: true })
+      await fs.writeFile(join(testDir, 'clip.MP4'), 'video content')
+      await fs.writeFile(join(testDir, 'clip.SRT'), 'subtitle content')
+
+      return {
+        files: [join(testDir, 'clip.MP4'), join(testDir, 'clip.SRT')],
+        primaryFile: join(testDir, 'clip.MP4'),
+        companionFiles: [join(testDir, 'clip.SRT')],
+      }
+    }
+
+    it('should copy and verify the group without touching sources', async () => {
+      const group = await createGroup()
+
+      const results = await processFileGroup(
+        group,
+        new Date('2025-07-06T14:12:54Z'),
+        'Cam',
+        join(tempDir, 'library'),
+        'rename',
+        'safe-move',
+        '{date}_{time}_{camera}',
+        { checksumAlgorithm: 'sha256' }
+      )
+
+      expect(results).toHaveLength(2)
+      for (const result of results) {
+        expect(result.pendingRemoval).toBe(true)
+        expect(result.checksum).toBeTruthy()
+        await fs.access(result.sourcePath)
+        await fs.access(result.targetPath)
+      }
+    })
+
+    it('should remove sources only after re-verifying them', async () => {
+      const group = await createGroup()
+      const results = await processFileGroup(
+        group,
+        new Date('2025-07-06T14:12:54Z'),
+        'Cam',
+        join(tempDir, 'library'),
+        'rename',
+        'safe-move',
+        '{date}_{time}_{camera}',
+        { checksumAlgorithm: 'md5' }
+      )
+
+      // Simulate the subtitle being rewritten on the card after the copy
+      await fs.writeFile(group.companionFiles[0], 'subtitle CONTENT')
+
+      const { removed, kept } = await removeVerifiedSources(results, 'md5')
+
+      expect(removed).toEqual([group.primaryFile])
+      expect(kept).toHaveLength(1)
+      expect(kept[0].sourcePath).toBe(group.companionFiles[0])
+      expect(kept[0].reason).toBe('checksum changed since transfer')
+      await expect(fs.access(group.primaryFile)).rejects.toThrow()
+      expect(await fs.readFile(group.companionFiles[0], 'utf-8')).toBe('subtitle CONTENT')
+    })
+
+    it('should remove sources whose copy was edited after the transfer', async () => {
+      const group = await createGroup()
+      const results = await processFileGroup(
+        group,
+        new Date('2025-07-06T14:12:54Z'),
+        'Cam',
+        join(tempDir, 'library'),
+        'rename',
+        'safe-move',
+        '{date}_{time}_{camera}',
+        { checksumAlgorithm: 'sha256' }
+      )
+
+      // As a GPS or date write into the copy would
+      await fs.appendFile(results[0].targetPath, ' with metadata')
+
+      const { removed, kept } = await removeVerifiedSources(results, 'sha256')
+
+      expect(removed).toEqual([group.primaryFile, group.companionFiles[0]])
+      expect(kept).toEqual([])
+      expect(results[0]).toMatchObject({ sourceSize: 13, sourceChecksum: results[0].checksum })
+    })
+
+    it('should keep sources whose destination has gone missing', async () => {
+      const group = await createGroup()
+      const results = await processFileGroup(
+        group,
+        new Date('2025-07-06T14:12:54Z'),
+        'Cam',
+        join(tempDir, 'library'),
+        'rename',
+        'safe-move',
+        '{date}_{time}_{camera}',
+        { checksumAlgorithm: 'sha256' }
+      )
+
+      await fs.unlink(results[0].targetPath)
+
+      const { removed, kept } = await removeVerifiedSources(results, 'sha256')
+
+      expect(removed).toEqual([group.companionFiles[0]])
+      expect(kept).toEqual([{ sourcePath: group.primaryFile, reason: 'copy missing' }])
+      await fs.access(group.primaryFile)
+    })
+
+    it('should remove a companion shared by several groups once', async () => {
+      const group = await createGroup()
+      const results = await processFileGroup(
+        group,
+        new Date('2025-07-06T14:12:54Z'),
+        'Cam',
+        join(tempDir, 'library'),
+        'rename',
+        'safe-move',
+        '{date}_{time}_{camera}',
+        { checksumAlgorithm: 'sha256' }
+      )
+      // A second group with the same base name copied the subtitle again
+      const secondCopy = join(tempDir, 'library', 'clip-copy.SRT')
+      await fs.copyFile(results[1].targetPath, secondCopy)
+      results.push({ ...results[1], targetPath: secondCopy })
+
+      const { removed, kept } = await removeVerifiedSources(results, 'sha256')
+
+      expect(removed).toEqual([group.primaryFile, group.companionFiles[0]])
+      expect(kept).toEqual([])
+    })
   })
 })
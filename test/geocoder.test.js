@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { parsePlaces, loadPlaces, reverseGeocode, groupPosition } from '../src/geocoder.js'
+import { writeGpsData } from '../src/gpsHandler.js'
+import { gpsSanityRules } from '../src/gpsSanity.js'
+
+// Smallest JPEG exiftool will write tags into: start of image, an empty scan, end of image
+const WRITABLE_JPEG = Buffer.from([
+  0xff, 0xd8, 0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3f, 0x00, 0x00, 0xff, 0xd9,
+])
+
+const cities = `name\tregion\tcountry\tlatitude\tlongitude
+Vik\tSouth\tIS\t63.4186\t-19.0060
+Reykjavik\tCapital Region\tIS\t64.1355\t-21.8954
+Suva\tCentral\tFJ\t-18.1416\t178.4415
+`
+const countries = 'code\tname\nIS\tIceland\n'
+
+describe('geocoder.js', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-geocoder-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  describe('parsePlaces', () => {
+    it('should read cities and fill in country names', () => {
+      const places = parsePlaces(cities, countries)
+
+      expect(places[0]).toEqual({
+        city: 'Vik',
+        region: 'South',
+        countryCode: 'IS',
+        country: 'Iceland',
+        latitude: 63.4186,
+        longitude: -19.006,
+      })
+      // Codes without a name are shown as they are
+      expect(places[2].country).toBe('FJ')
+    })
+
+    it('should report malformed rows', () => {
+      expect(() => parsePlaces(`${cities}Broken\tSouth\tIS\n`, countries)).toThrow('cities line 5')
+      expect(() => parsePlaces(`${cities}Nowhere\tSouth\tIS\tnorth\twest\n`, countries)).toThrow(
+        'invalid position for Nowhere'
+      )
+    })
+
+    it('should count blank and comment lines in error line numbers', () => {
+      const commented = `${cities}\n# Added by hand\nBroken\tSouth\tIS\n`
+      const misplaced = `${cities}# Added by hand\nNowhere\tSouth\tIS\tnorth\twest\n`
+
+      expect(() => parsePlaces(commented, countries)).toThrow('cities line 7: expected 5 columns, found 3')
+      expect(() => parsePlaces(misplaced, countries)).toThrow('cities line 6: invalid position for Nowhere')
+    })
+  })
+
+  describe('reverseGeocode', () => {
+    const places = parsePlaces(cities, countries)
+
+    it('should name the nearest city', () => {
+      expect(reverseGeocode(places, 63.53, -19.51)).toEqual({
+        city: 'Vik',
+        region: 'South',
+        country: 'Iceland',
+        countryCode: 'IS',
+        distance: 27.9,
+      })
+    })
+
+    it('should find cities across the antimeridian', () => {
+      expect(reverseGeocode(places, -18.1, -179.9, { maxDistance: 200 })?.city).toBe('Suva')
+    })
+
+    it('should leave positions far from every city unnamed', () => {
+      expect(reverseGeocode(places, 65.7, -18.1)).toBeNull()
+      expect(reverseGeocode(places, 65.7, -18.1, { maxDistance: 300 })?.city).toBe('Reykjavik')
+    })
+
+    it('should answer from the bundled city list', async () => {
+      const bundled = await loadPlaces()
+
+      expect(reverseGeocode(bundled, 48.8606, 2.3376)).toMatchObject({
+        city: 'Paris',
+        region: 'Île-de-France',
+        country: 'France',
+        countryCode: 'FR',
+      })
+      expect(reverseGeocode(bundled, 0, -30)).toBeNull()
+    })
+
+    it('should name cities that are not capitals, with their regions', async () => {
+      const bundled = await loadPlaces()
+
+      expect(reverseGeocode(bundled, 50.0614, 19.9366)).toMatchObject({
+        city: 'Kraków',
+        region: 'Lesser Poland',
+        country: 'Poland',
+      })
+      expect(reverseGeocode(bundled, 45.764, 4.8357)).toMatchObject({ city: 'Lyon', region: 'Auvergne-Rhône-Alpes' })
+      expect(reverseGeocode(bundled, 37.8882, -4.7794)).toMatchObject({
+        city: 'Córdoba',
+        region: 'Andalusia',
+        country: 'Spain',
+      })
+      expect(reverseGeocode(bundled, 49.4521, 11.0767)).toMatchObject({ city: 'Nürnberg', region: 'Bavaria' })
+    })
+  })
+
+  describe('groupPosition', () => {
+    const profile = { addGpsData: true, gpsCoordinates: { latitude: 63.42, longitude: -19.01 }, srtGps: true }
+    const date = new Date('2024-07-13T12:00:00Z')
+
+    it('should prefer DJI telemetry over the fixed coordinates', async () => {
+      const video = join(tempDir, 'DJI_0001.MP4')
+      const srt = join(tempDir, 'DJI_0001.SRT')
+      await fs.writeFile(video, 'video')
+      await fs.writeFile(srt, '1\n00:00:00,000 --> 00:00:00,033\n[latitude: 64.1355] [longitude: -21.8954]\n')
+      const group = { primaryFile: video, companionFiles: [srt] }
+
+      expect(await groupPosition(group, date, profile)).toEqual({ latitude: 64.1355, longitude: -21.8954 })
+      expect(await groupPosition(group, date, { ...profile, srtGps: false })).toEqual(profile.gpsCoordinates)
+    })
+
+    it('should use the track log at the capture time', async () => {
+      const photo = join(tempDir, 'DSC_0001.JPG')
+      await fs.writeFile(photo, 'photo')
+      const group = { primaryFile: photo, companionFiles: [] }
+      const track = [
+        { time: Date.parse('2024-07-13T11:59:00Z'), latitude: 64, longitude: -21 },
+        { time: Date.parse('2024-07-13T12:01:00Z'), latitude: 64.2, longitude: -21 },
+      ]
+
+      expect((await groupPosition(group, date, profile, track)).latitude).toBeCloseTo(64.1)
+      expect(await groupPosition(group, date, { ...profile, addGpsData: false }, track)).toBeNull()
+    })
+
+    it('should pass over own GPS that fails the sanity rules', async () => {
+      const photo = join(tempDir, 'IMG_0001.JPG')
+      await fs.writeFile(photo, WRITABLE_JPEG)
+      await writeGpsData(photo, 37.785834, -122.406417)
+      const group = { primaryFile: photo, companionFiles: [] }
+      const gpsRules = gpsSanityRules(profile)
+
+      expect(await groupPosition(group, date, profile)).toEqual({ latitude: 37.785834, longitude: -122.406417 })
+      expect(await groupPosition(group, date, profile, null, { gpsRules })).toBeNull()
+      expect(await groupPosition(group, date, profile, null, { gpsRules: { ...gpsRules, replace: true } })).toEqual(
+        profile.gpsCoordinates
+      )
+    })
+  })
+})
@@ -5,10 +5,36 @@ import { tmpdir } from 'os'
 import {
   hasGpsData,
   validateCoordinates,
+  validatePositionDetails,
   parseCoordinateString,
   writeGpsData,
   formatCoordinates,
 } from '../src/gpsHandler.js'
+import { runExiftool } from '../src/exiftool.js'
+
+// JPEG with just a start-of-scan segment, enough for exiftool to rewrite it
+const WRITABLE_JPEG = Buffer.from([
+  0xff, 0xd8, 0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3f, 0x00, 0x00, 0xff, 0xd9,
+])
+
+// Minimal MP4: a file type box and a movie header
+function quickTimeMovie() {
+  const box = (type, payload) => {
+    const header = Buffer.alloc(8)
+    header.writeUInt32BE(8 + payload.length)
+    header.write(type, 4, 'latin1')
+    return Buffer.concat([header, payload])
+  }
+  const mvhd = Buffer.alloc(100)
+  mvhd.writeUInt32BE(1000, 12)
+  mvhd.writeUInt32BE(0x00010000, 20)
+  mvhd.writeUInt16BE(0x0100, 24)
+  mvhd.writeUInt32BE(0x00010000, 36)
+  mvhd.writeUInt32BE(0x00010000, 52)
+  mvhd.writeUInt32BE(0x40000000, 68)
+  mvhd.writeUInt32BE(2, 96)
+  return Buffer.concat([box('ftyp', Buffer.from('isom\0\0\0\0isommp41', 'latin1')), box('moov', box('mvhd', mvhd))])
+}
 
 describe('GPS Handler', () => {
   let tempDir
@@ -139,6 +165,54 @@ describe('GPS Handler', () => {
       expect(result.latitude).toBe(40.7128)
       expect(result.longitude).toBe(-74.006)
     })
+
+    it('should parse an altitude after the longitude', () => {
+      expect(parseCoordinateString('40.7128, -74.0060, 10m')).toEqual({
+        latitude: 40.7128,
+        longitude: -74.006,
+        altitude: 10,
+      })
+      expect(parseCoordinateString('40.7128 S, 74.0060 E, -2.5 m')).toEqual({
+        latitude: -40.7128,
+        longitude: 74.006,
+        altitude: -2.5,
+      })
+    })
+
+    it('should parse direction and accuracy settings', () => {
+      expect(parseCoordinateString('52.52, 13.405; alt=34; dir=90°; err=5m')).toEqual({
+        latitude: 52.52,
+        longitude: 13.405,
+        altitude: 34,
+        direction: 90,
+        accuracy: 5,
+      })
+      expect(parseCoordinateString('52.52, 13.405, 34; direction=359.5; accuracy=0.5')).toMatchObject({
+        direction: 359.5,
+        accuracy: 0.5,
+      })
+    })
+
+    it('should say what is wrong with a setting', () => {
+      expect(parseCoordinateString('52.52, 13.405; heading=90').error).toBe(
+        'Unknown setting "heading". Use altitude, direction or accuracy'
+      )
+      expect(parseCoordinateString('52.52, 13.405; direction 90').error).toContain('Invalid setting "direction 90"')
+      expect(parseCoordinateString('52.52, 13.405; direction=east').error).toContain('Invalid direction "east"')
+      expect(parseCoordinateString('52.52, 13.405; direction=360').error).toContain('less than 360 degrees')
+      expect(parseCoordinateString('52.52, 13.405; accuracy=0').error).toContain('Accuracy must be a positive')
+      expect(parseCoordinateString('52.52, 13.405, 34; alt=35').error).toBe('Altitude is given twice')
+    })
+  })
+
+  describe('validatePositionDetails', () => {
+    it('should accept missing values and reject out of range ones', () => {
+      expect(validatePositionDetails({})).toEqual({ valid: true })
+      expect(validatePositionDetails({ altitude: null, direction: 0, accuracy: 3 })).toEqual({ valid: true })
+      expect(validatePositionDetails({ altitude: '34' }).error).toContain('Altitude must be a number')
+      expect(validatePositionDetails({ direction: -1 }).error).toContain('Direction must be at least 0')
+      expect(validatePositionDetails({ accuracy: Infinity }).error).toContain('Accuracy must be a positive')
+    })
   })
 
   describe('formatCoordinates', () => {
@@ -210,6 +284,55 @@ describe('GPS Handler', () => {
     })
   })
 
+  describe('writeGpsData tag mapping', () => {
+    const date = new Date('2024-07-13T12:30:45Z')
+    const details = { altitude: -3, direction: 90, accuracy: 5, date }
+
+    it('should write EXIF GPS tags to photos', async () => {
+      const photo = join(tempDir, 'photo.jpg')
+      await fs.writeFile(photo, WRITABLE_JPEG)
+
+      await writeGpsData(photo, -33.8688, 151.2093, details)
+
+      const tags = JSON.parse(await runExiftool(['-j', '-n', '-GPS:all', photo]))[0]
+      expect(tags).toMatchObject({
+        GPSLatitudeRef: 'S',
+        GPSLongitudeRef: 'E',
+        GPSAltitude: 3,
+        GPSAltitudeRef: 1,
+        GPSImgDirection: 90,
+        GPSImgDirectionRef: 'T',
+        GPSHPositioningError: 5,
+        GPSDateStamp: '2024:07:13',
+        GPSTimeStamp: '12:30:45',
+      })
+      expect(tags.GPSLatitude).toBeCloseTo(33.8688, 6)
+    })
+
+    it('should write the Keys and user data location atoms to MP4 videos', async () => {
+      const video = join(tempDir, 'clip.mp4')
+      await fs.writeFile(video, quickTimeMovie())
+
+      await writeGpsData(video, 52.52, 13.405, { ...details, altitude: 34 })
+
+      const tags = JSON.parse(await runExiftool(['-j', '-n', '-G1', '-Keys:all', '-UserData:all', video]))[0]
+      expect(tags).toMatchObject({
+        'Keys:GPSCoordinates': '52.52 13.405 34',
+        'UserData:GPSCoordinates': '52.52 13.405 34',
+        'Keys:CameraDirection': 90,
+        'Keys:LocationAccuracyHorizontal': 5,
+      })
+      expect(tags['Keys:LocationDate']).toStartWith('2024:07:13 12:30:45')
+      expect(await hasGpsData(video)).toBe(true)
+    })
+
+    it('should reject invalid details before touching the file', async () => {
+      await expect(writeGpsData(testFile, 52.52, 13.405, { direction: 400 })).rejects.toThrow(
+        'Invalid coordinates: Direction must be at least 0'
+      )
+    })
+  })
+
   describe('integration scenarios', () => {
     it('should handle complete workflow for valid coordinates', () => {
       const coordString = '40.7128, -74.0060'
@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'bun:test'
+import {
+  KNOWN_PLACEHOLDERS,
+  parseGpsPoint,
+  parseGpsBounds,
+  gpsSanityRules,
+  importCenter,
+  checkGpsPosition,
+} from '../src/gpsSanity.js'
+
+describe('gpsSanity.js', () => {
+  describe('parseGpsPoint', () => {
+    it('should accept coordinate strings and objects', () => {
+      expect(parseGpsPoint('52.52, 13.405', 'gpsCenter')).toEqual({ latitude: 52.52, longitude: 13.405 })
+      expect(parseGpsPoint({ latitude: 52.52, longitude: 13.405, altitude: 34 }, 'gpsCenter')).toEqual({
+        latitude: 52.52,
+        longitude: 13.405,
+      })
+    })
+
+    it('should name the setting in errors', () => {
+      expect(() => parseGpsPoint(42, 'gpsCenter')).toThrow('Invalid gpsCenter value: 42')
+      expect(() => parseGpsPoint('95, 13', 'gpsPlaceholders')).toThrow(
+        'Invalid gpsPlaceholders value: 95, 13. Latitude must be between -90 and 90 degrees'
+      )
+    })
+  })
+
+  describe('parseGpsBounds', () => {
+    it('should read south, west, north and east edges', () => {
+      expect(parseGpsBounds([47.2, 5.8, 55.1, 15.1])).toEqual({ south: 47.2, west: 5.8, north: 55.1, east: 15.1 })
+    })
+
+    it('should reject malformed boxes', () => {
+      expect(() => parseGpsBounds([47.2, 5.8, 55.1])).toThrow('Must be [south, west, north, east]')
+      expect(() => parseGpsBounds([47.2, 5.8, 55.1, 'east'])).toThrow('Invalid gpsBounds value')
+      expect(() => parseGpsBounds([47.2, 5.8, 95, 15.1])).toThrow('north-east corner: Latitude must be between')
+      expect(() => parseGpsBounds([55.1, 5.8, 47.2, 15.1])).toThrow('south edge 55.1 is north of the north edge 47.2')
+    })
+  })
+
+  describe('gpsSanityRules', () => {
+    it('should check the built-in placeholders without any settings', () => {
+      const rules = gpsSanityRules({})
+
+      expect(rules).toMatchObject({
+        bounds: null,
+        radius: null,
+        outlierDistance: null,
+        replace: false,
+        configured: false,
+      })
+      expect(rules.placeholders).toEqual(KNOWN_PLACEHOLDERS)
+    })
+
+    it('should measure the radius from gpsCenter, else gpsCoordinates', () => {
+      expect(gpsSanityRules({ gpsRadius: 50, gpsCenter: '52.52, 13.405' }).radius).toEqual({
+        latitude: 52.52,
+        longitude: 13.405,
+        distance: 50,
+      })
+      expect(
+        gpsSanityRules({ gpsRadius: 5, gpsCoordinates: { latitude: 48.1, longitude: 11.6 } }).radius
+      ).toMatchObject({ latitude: 48.1, longitude: 11.6 })
+      expect(() => gpsSanityRules({ gpsRadius: 50 })).toThrow('set gpsCenter (or gpsCoordinates)')
+      expect(() => gpsSanityRules({ gpsRadius: -1, gpsCenter: '52.52, 13.405' })).toThrow('Invalid gpsRadius value: -1')
+    })
+
+    it('should add the profile placeholders to the built-in ones', () => {
+      const rules = gpsSanityRules({ gpsPlaceholders: ['51.4778, -0.0015'], replaceFlaggedGps: true })
+
+      expect(rules.placeholders.at(-1)).toEqual({ latitude: 51.4778, longitude: -0.0015, label: 'gpsPlaceholders' })
+      expect(rules.replace).toBe(true)
+      expect(rules.configured).toBe(true)
+      expect(gpsSanityRules({ replaceFlaggedGps: true }).configured).toBe(false)
+      expect(() => gpsSanityRules({ gpsPlaceholders: '51.4778, -0.0015' })).toThrow('Must be a list of coordinates')
+      expect(() => gpsSanityRules({ gpsOutlierDistance: 'far' })).toThrow('Invalid gpsOutlierDistance value: far')
+    })
+  })
+
+  describe('importCenter', () => {
+    it('should take the median so strays do not move it', () => {
+      const positions = [
+        { latitude: 52.5, longitude: 13.4 },
+        { latitude: 52.6, longitude: 13.5 },
+        { latitude: 37.785834, longitude: -122.406417 },
+      ]
+
+      expect(importCenter(positions)).toEqual({ latitude: 52.5, longitude: 13.4 })
+      expect(importCenter(positions.slice(0, 2))).toBeNull()
+    })
+  })
+
+  describe('checkGpsPosition', () => {
+    it('should flag known placeholders', () => {
+      const rules = gpsSanityRules({ gpsPlaceholders: ['51.4778, -0.0015'] })
+
+      expect(checkGpsPosition({ latitude: 37.785834, longitude: -122.406417 }, rules)).toBe(
+        'placeholder position (iOS Simulator default location)'
+      )
+      expect(checkGpsPosition({ latitude: 51.47781, longitude: -0.0015 }, rules)).toBe(
+        'placeholder position (gpsPlaceholders)'
+      )
+      expect(checkGpsPosition({ latitude: 37.79, longitude: -122.41 }, rules)).toBeNull()
+    })
+
+    it('should flag Null Island', () => {
+      const rules = gpsSanityRules({})
+
+      expect(checkGpsPosition({ latitude: 0, longitude: 0 }, rules)).toBe('placeholder position (Null Island)')
+      expect(checkGpsPosition({ latitude: 0, longitude: 9.45 }, rules)).toBeNull()
+    })
+
+    it('should flag positions outside the bounding box, also across the antimeridian', () => {
+      const germany = gpsSanityRules({ gpsBounds: [47.2, 5.8, 55.1, 15.1] })
+      const fiji = gpsSanityRules({ gpsBounds: [-21, 177, -12, -178] })
+
+      expect(checkGpsPosition({ latitude: 52.52, longitude: 13.405 }, germany)).toBeNull()
+      expect(checkGpsPosition({ latitude: 48.8566, longitude: 2.3522 }, germany)).toBe('outside gpsBounds')
+      expect(checkGpsPosition({ latitude: -17.7, longitude: 178.1 }, fiji)).toBeNull()
+      expect(checkGpsPosition({ latitude: -16.5, longitude: -179.9 }, fiji)).toBeNull()
+      expect(checkGpsPosition({ latitude: -17.7, longitude: 170 }, fiji)).toBe('outside gpsBounds')
+    })
+
+    it('should flag positions beyond the radius', () => {
+      const rules = gpsSanityRules({ gpsRadius: 50, gpsCenter: '52.52, 13.405' })
+
+      expect(checkGpsPosition({ latitude: 52.4, longitude: 13.1 }, rules)).toBeNull()
+      expect(checkGpsPosition({ latitude: 48.1374, longitude: 11.5755 }, rules)).toBe(
+        '504 km from the centre of gpsRadius, more than 50 km'
+      )
+    })
+
+    it('should flag outliers only when the import has a centre', () => {
+      const rules = gpsSanityRules({ gpsOutlierDistance: 20 })
+      const center = { latitude: 52.52, longitude: 13.405 }
+      const munich = { latitude: 48.1374, longitude: 11.5755 }
+
+      expect(checkGpsPosition(munich, rules, center)).toBe(
+        '504 km from the rest of the import (around 52.520000° N, 13.405000° E), more than 20 km'
+      )
+      expect(checkGpsPosition({ latitude: 52.53, longitude: 13.41 }, rules, center)).toBeNull()
+      expect(checkGpsPosition(munich, rules, null)).toBeNull()
+    })
+  })
+})
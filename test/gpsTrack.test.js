@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { parseTrack, detectTrackFormat, loadTracks, locateInTrack, formatGpx, formatGeoJson } from '../src/gpsTrack.js'
+
+const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><trkseg>
+    <trkpt lat="52.5000" lon="13.4000"><ele>34.5</ele><time>2024-07-13T12:00:00Z</time></trkpt>
+    <trkpt lon="13.4100" lat="52.5100"><time>2024-07-13T12:01:00Z</time></trkpt>
+    <trkpt lat="52.5200" lon="13.4200"></trkpt>
+  </trkseg></trk>
+</gpx>`
+
+// NMEA sentence with its checksum
+function nmea(body) {
+  let sum = 0
+  for (const char of body) sum ^= char.charCodeAt(0)
+  return `$${body}*${sum.toString(16).toUpperCase().padStart(2, '0')}`
+}
+
+describe('gpsTrack.js', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-gpstrack-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  describe('parseTrack', () => {
+    it('should read timed GPX track points', () => {
+      expect(parseTrack(gpx, 'gpx')).toEqual([
+        { time: Date.parse('2024-07-13T12:00:00Z'), latitude: 52.5, longitude: 13.4, altitude: 34.5 },
+        { time: Date.parse('2024-07-13T12:01:00Z'), latitude: 52.51, longitude: 13.41 },
+      ])
+    })
+
+    it('should read KML tracks and timestamped placemarks', () => {
+      const kml = `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+        <Document>
+          <Placemark><gx:Track>
+            <when>2024-07-13T12:00:00Z</when><when>2024-07-13T12:01:00Z</when>
+            <gx:coord>13.4 52.5 30</gx:coord><gx:coord>13.41 52.51 31</gx:coord>
+          </gx:Track></Placemark>
+          <Placemark><TimeStamp><when>2024-07-13T12:05:00+02:00</when></TimeStamp>
+            <Point><coordinates>13.42,52.52</coordinates></Point></Placemark>
+        </Document></kml>`
+
+      expect(parseTrack(kml, 'kml').map(({ time, latitude }) => [new Date(time).toISOString(), latitude])).toEqual([
+        ['2024-07-13T10:05:00.000Z', 52.52],
+        ['2024-07-13T12:00:00.000Z', 52.5],
+        ['2024-07-13T12:01:00.000Z', 52.51],
+      ])
+    })
+
+    it('should read GeoJSON lines with coordTimes and timed points', () => {
+      const geojson = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+          {
+            type: 'Feature',
+            properties: { coordTimes: ['2024-07-13T12:00:00Z', '2024-07-13T12:01:00Z'] },
+            geometry: {
+              type: 'LineString',
+              coordinates: [
+                [13.4, 52.5, 30],
+                [13.41, 52.51, 31],
+              ],
+            },
+          },
+          {
+            type: 'Feature',
+            properties: { time: 1720872300 },
+            geometry: { type: 'Point', coordinates: [13.42, 52.52] },
+          },
+        ],
+      })
+
+      expect(parseTrack(geojson, 'geojson')).toEqual([
+        { time: Date.parse('2024-07-13T12:00:00Z'), latitude: 52.5, longitude: 13.4, altitude: 30 },
+        { time: Date.parse('2024-07-13T12:01:00Z'), latitude: 52.51, longitude: 13.41, altitude: 31 },
+        { time: Date.parse('2024-07-13T12:05:00Z'), latitude: 52.52, longitude: 13.42 },
+      ])
+      expect(() => parseTrack('{not json', 'geojson')).toThrow('Invalid GeoJSON')
+    })
+
+    it('should read NMEA fixes with altitudes and skip void or corrupt sentences', () => {
+      const log = [
+        nmea('GPGGA,120000.00,5230.000,N,01324.000,E,1,08,0.9,34.5,M,0.0,M,,'),
+        nmea('GPRMC,120000.00,A,5230.000,N,01324.000,E,0.0,0.0,130724,,,A'),
+        nmea('GNRMC,120100.00,A,3352.000,S,15112.000,W,0.0,0.0,130724,,,A'),
+        nmea('GPRMC,120200.00,V,5230.000,N,01324.000,E,0.0,0.0,130724,,,N'),
+        nmea('GPRMC,120300.00,A,5230.000,N,01324.000,E,0.0,0.0,130724,,,A').replace(/..$/, '00'),
+      ].join('\r\n')
+
+      expect(parseTrack(log, 'nmea')).toEqual([
+        { time: Date.parse('2024-07-13T12:00:00Z'), latitude: 52.5, longitude: 13.4, altitude: 34.5 },
+        { time: Date.parse('2024-07-13T12:01:00Z'), latitude: -33.86666666666667, longitude: -151.2 },
+      ])
+    })
+  })
+
+  describe('detectTrackFormat', () => {
+    it('should go by extension, then by contents', () => {
+      expect(detectTrackFormat('/tracks/hike.GPX', '')).toBe('gpx')
+      expect(detectTrackFormat('/tracks/drive.nmea', '')).toBe('nmea')
+      expect(detectTrackFormat('/tracks/export', gpx)).toBe('gpx')
+      expect(detectTrackFormat('/tracks/export', '{"type": "FeatureCollection"}')).toBe('geojson')
+      expect(() => detectTrackFormat('/tracks/export.csv', 'time,lat,lon')).toThrow('Unknown track format')
+    })
+  })
+
+  describe('loadTracks', () => {
+    it('should merge several files into one track in time order', async () => {
+      const later = gpx.replaceAll('12:0', '13:0')
+      await fs.writeFile(join(tempDir, 'afternoon.gpx'), later)
+      await fs.writeFile(join(tempDir, 'morning.gpx'), gpx)
+
+      const track = await loadTracks([join(tempDir, 'afternoon.gpx'), join(tempDir, 'morning.gpx')])
+
+      expect(track.map(entry => new Date(entry.time).toISOString().slice(11, 16))).toEqual([
+        '12:00',
+        '12:01',
+        '13:00',
+        '13:01',
+      ])
+    })
+
+    it('should reject files without timed points and files it cannot read', async () => {
+      await fs.writeFile(join(tempDir, 'route.gpx'), '<gpx><rte><rtept lat="1" lon="2"></rtept></rte></gpx>')
+
+      await expect(loadTracks([join(tempDir, 'route.gpx')])).rejects.toThrow('No timed track points found')
+      await expect(loadTracks([join(tempDir, 'missing.gpx')])).rejects.toThrow('Cannot read track')
+    })
+  })
+
+  describe('locateInTrack', () => {
+    const track = [
+      { time: Date.parse('2024-07-13T12:00:00Z'), latitude: 52.5, longitude: 13.4, altitude: 30 },
+      { time: Date.parse('2024-07-13T12:01:00Z'), latitude: 52.6, longitude: 13.6, altitude: 40 },
+      { time: Date.parse('2024-07-13T13:00:00Z'), latitude: 52.7, longitude: 13.7 },
+    ]
+
+    it('should interpolate between the points around the capture time', () => {
+      const position = locateInTrack(track, new Date('2024-07-13T12:00:15Z'))
+
+      expect(position.latitude).toBeCloseTo(52.525)
+      expect(position.longitude).toBeCloseTo(13.45)
+      expect(position.altitude).toBeCloseTo(32.5)
+    })
+
+    it('should apply the time offset before the lookup', () => {
+      expect(locateInTrack(track, new Date('2024-07-13T12:00:45Z'), { offset: -30000 }).latitude).toBeCloseTo(52.525)
+    })
+
+    it('should use the nearest end within the maximum gap', () => {
+      expect(locateInTrack(track, new Date('2024-07-13T11:58:00Z'))).toEqual({
+        latitude: 52.5,
+        longitude: 13.4,
+        altitude: 30,
+      })
+      expect(locateInTrack(track, new Date('2024-07-13T13:30:00Z'))).toEqual({
+        error: '1800s after the track ends',
+      })
+      expect(locateInTrack(track, new Date('2024-07-13T11:00:00Z'), { maxGap: 60000 })).toEqual({
+        error: '3600s before the track starts',
+      })
+    })
+
+    it('should not interpolate across gaps longer than the maximum', () => {
+      expect(locateInTrack(track, new Date('2024-07-13T12:30:00Z'))).toEqual({
+        error: 'in a 3540s gap in the track',
+      })
+      expect(locateInTrack(track, new Date('2024-07-13T12:30:00Z'), { maxGap: 3600000 }).latitude).toBeCloseTo(52.65, 2)
+    })
+
+    it('should cross the antimeridian the short way', () => {
+      const pacific = [
+        { time: 0, latitude: -17, longitude: 179 },
+        { time: 60000, latitude: -17, longitude: -179 },
+      ]
+
+      expect(locateInTrack(pacific, new Date(45000)).longitude).toBeCloseTo(-179.5)
+    })
+  })
+
+  describe('formatGpx and formatGeoJson', () => {
+    const track = [
+      { time: Date.parse('2024-07-13T12:00:00Z'), latitude: 52.5, longitude: 13.4, altitude: 30 },
+      { time: Date.parse('2024-07-13T12:00:01Z'), latitude: 52.51, longitude: 13.41 },
+    ]
+
+    it('should write tracks the parser reads back', () => {
+      expect(parseTrack(formatGpx(track, 'DJI_0001.MP4'), 'gpx')).toEqual(track)
+      expect(parseTrack(formatGeoJson(track, 'DJI_0001.MP4'), 'geojson')).toEqual(track)
+    })
+
+    it('should escape the track name', () => {
+      expect(formatGpx(track, 'Tom & Jerry <1>')).toContain('<name>Tom &#38; Jerry &#60;1&#62;</name>')
+      expect(JSON.parse(formatGeoJson(track, 'Tom & Jerry')).features[0].properties.name).toBe('Tom & Jerry')
+    })
+  })
+})
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { buildImportPlan, formatPlanTable } from '../src/importPlan.js'
+import { validateProfile } from '../src/config.js'
+import DuplicateIndex from '../src/duplicateIndex.js'
+import { writeGpsData } from '../src/gpsHandler.js'
+
+// Smallest JPEG exiftool will write tags into: start of image, an empty scan, end of image
+const WRITABLE_JPEG = Buffer.from([
+  0xff, 0xd8, 0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3f, 0x00, 0x00, 0xff, 0xd9,
+])
+
+describe('importPlan.js', () => {
+  let tempDir
+  let cardDir
+  let libraryDir
+
+  const single = file => ({ files: [file], primaryFile: file, companionFiles: [] })
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-plan-test-'))
+    cardDir = join(tempDir, 'card')
+    libraryDir = join(tempDir, 'library')
+    await fs.mkdir(cardDir, { recursive: true })
+
+    const mtime = new Date('2024-03-01T10:00:00Z')
+    for (const name of ['A.JPG', 'B.JPG']) {
+      await fs.writeFile(join(cardDir, name), `content of ${name}`)
+      await fs.utimes(join(cardDir, name), mtime, mtime)
+    }
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  const profile = overrides =>
+    validateProfile({
+      sourcePath: cardDir,
+      destinationRoot: libraryDir,
+      cameraLabel: 'Cam',
+      useExifDate: false,
+      filenameFormat: '{camera}',
+      ...overrides,
+    })
+
+  it('should plan names and collisions without writing anything', async () => {
+    const groups = [single(join(cardDir, 'A.JPG')), single(join(cardDir, 'B.JPG'))]
+
+    const plan = await buildImportPlan(profile(), groups)
+
+    expect(plan.groups.map(group => group.files[0].targetPath)).toEqual([
+      join(libraryDir, '2024-03-01', 'Cam.JPG'),
+      join(libraryDir, '2024-03-01', 'Cam_1.JPG'),
+    ])
+    expect(plan.groups[1].files[0].renamed).toBe(true)
+    expect(plan.summary).toMatchObject({ groups: 2, files: 2, transfers: 2, renamed: 1 })
+    await expect(fs.access(libraryDir)).rejects.toThrow()
+  })
+
+  it('should mark replaced files and skipped duplicates', async () => {
+    const targetDir = join(libraryDir, '2024-03-01')
+    await fs.mkdir(targetDir, { recursive: true })
+    await fs.writeFile(join(targetDir, 'Cam.JPG'), 'content of A.JPG')
+
+    const replacePlan = await buildImportPlan(profile({ onCollision: 'replace' }), [single(join(cardDir, 'A.JPG'))])
+    expect(replacePlan.groups[0].files[0].action).toBe('replace')
+
+    const duplicateIndex = await new DuplicateIndex(libraryDir, 'sha256').build()
+    const skipPlan = await buildImportPlan(
+      profile({ onCollision: 'skip-duplicate' }),
+      [single(join(cardDir, 'A.JPG')), single(join(cardDir, 'B.JPG'))],
+      { duplicateIndex }
+    )
+
+    expect(skipPlan.groups[0].files[0]).toMatchObject({ action: 'skip', duplicateOf: join(targetDir, 'Cam.JPG') })
+    expect(skipPlan.groups[1].files[0]).toMatchObject({ action: 'copy', targetPath: join(targetDir, 'Cam_1.JPG') })
+    expect(skipPlan.summary.skipped).toBe(1)
+  })
+
+  it('should name and date groups in the camera time zone', async () => {
+    const plan = await buildImportPlan(profile({ cameraTimezone: 'America/Los_Angeles', filenameFormat: '{time}' }), [
+      single(join(cardDir, 'A.JPG')),
+    ])
+
+    expect(plan.groups[0]).toMatchObject({
+      date: '2024-03-01T10:00:00.000Z',
+      localDate: '2024-03-01T02:00:00-08:00',
+    })
+    expect(plan.groups[0].files[0].targetPath).toBe(join(libraryDir, '2024-03-01', '02-00-00.JPG'))
+  })
+
+  it('should name groups by the corrected clock', async () => {
+    const plan = await buildImportPlan(
+      profile({ timeOffset: '+01:03:20', cameraTimezone: 'UTC', filenameFormat: '{time}' }),
+      [single(join(cardDir, 'A.JPG'))]
+    )
+
+    expect(plan.timeShift).toBe('+01:03:20')
+    expect(plan.groups[0].date).toBe('2024-03-01T11:03:20.000Z')
+    expect(plan.groups[0].files[0].targetPath).toBe(join(libraryDir, '2024-03-01', '11-03-20.JPG'))
+    expect(formatPlanTable(plan)).toContain('Dates corrected by +01:03:20')
+  })
+
+  it('should geotag from the track and note files outside it', async () => {
+    const late = new Date('2024-03-01T12:00:00Z')
+    await fs.utimes(join(cardDir, 'B.JPG'), late, late)
+    const track = [
+      { time: Date.parse('2024-03-01T09:59:00Z'), latitude: 52.5, longitude: 13.4 },
+      { time: Date.parse('2024-03-01T10:01:00Z'), latitude: 52.6, longitude: 13.5 },
+    ]
+
+    const plan = await buildImportPlan(
+      profile({ addGpsData: true, gpxFiles: ['/tracks/hike.gpx'] }),
+      [single(join(cardDir, 'A.JPG')), single(join(cardDir, 'B.JPG'))],
+      { track }
+    )
+
+    expect(plan.groups[0].files[0].gps).toBe('add')
+    expect(plan.groups[1].files[0]).toMatchObject({ gps: 'none', outsideTrack: '7140s after the track ends' })
+    expect(plan.summary).toMatchObject({ gpsAdded: 1, outsideTrack: 1 })
+    expect(formatPlanTable(plan)).toContain('note   1 files outside the GPS track')
+  })
+
+  it('should flag suspicious GPS and plan to replace it when asked', async () => {
+    const mtime = new Date('2024-03-01T10:00:00Z')
+    for (const [name, latitude, longitude] of [
+      ['A.JPG', 37.785834, -122.406417],
+      ['B.JPG', 52.52, 13.405],
+    ]) {
+      await fs.writeFile(join(cardDir, name), WRITABLE_JPEG)
+      await writeGpsData(join(cardDir, name), latitude, longitude)
+      await fs.utimes(join(cardDir, name), mtime, mtime)
+    }
+    const groups = [single(join(cardDir, 'A.JPG')), single(join(cardDir, 'B.JPG'))]
+    const rules = {
+      gpsBounds: [47.2, 5.8, 55.1, 15.1],
+      addGpsData: true,
+      gpsCoordinates: { latitude: 52.5, longitude: 13.4 },
+    }
+
+    const reported = await buildImportPlan(profile(rules), groups)
+    const replaced = await buildImportPlan(profile({ ...rules, replaceFlaggedGps: true }), groups)
+
+    expect(reported.groups[0].files[0]).toMatchObject({
+      gps: 'keep',
+      gpsFlagged: 'placeholder position (iOS Simulator default location)',
+    })
+    expect(reported.groups[1].files[0].gps).toBe('keep')
+    expect(reported.groups[1].files[0].gpsFlagged).toBeUndefined()
+    expect(formatPlanTable(reported)).toContain('note   1 files with suspicious GPS, kept (see replaceFlaggedGps)')
+    expect(replaced.groups[0].files[0].gps).toBe('add')
+    expect(replaced.summary).toMatchObject({ gpsAdded: 1, gpsFlagged: 1 })
+  })
+
+  it('should flag built-in placeholders once a GPS feature is on', async () => {
+    await fs.writeFile(join(cardDir, 'A.JPG'), WRITABLE_JPEG)
+    await writeGpsData(join(cardDir, 'A.JPG'), 37.421998, -122.084)
+    await fs.writeFile(join(cardDir, 'B.JPG'), WRITABLE_JPEG)
+    await writeGpsData(join(cardDir, 'B.JPG'), 0, 0)
+    const groups = [single(join(cardDir, 'A.JPG')), single(join(cardDir, 'B.JPG'))]
+
+    const plain = await buildImportPlan(profile(), groups)
+    const named = await buildImportPlan(profile({ locationNames: true }), groups)
+
+    expect(plain.groups[0].files[0].gpsFlagged).toBeUndefined()
+    expect(plain.summary.gpsFlagged).toBe(0)
+    expect(named.groups[0].files[0]).toMatchObject({
+      gps: null,
+      gpsFlagged: 'placeholder position (Android emulator default location)',
+    })
+    expect(named.groups[1].files[0].gpsFlagged).toBe('placeholder position (Null Island)')
+    expect(formatPlanTable(named)).toContain('note   2 files with suspicious GPS, kept (see replaceFlaggedGps)')
+  })
+
+  it('should render the plan as a table', async () => {
+    const plan = await buildImportPlan(profile({ transferMode: 'move' }), [
+      single(join(cardDir, 'A.JPG')),
+      single(join(cardDir, 'B.JPG')),
+    ])
+
+    const lines = formatPlanTable(plan).split('\n')
+
+    expect(lines[0]).toMatch(/^ACTION\s+SOURCE\s+TARGET\s+DATE\s+GPS$/)
+    expect(lines[2]).toMatch(/^move\s+A\.JPG\s+2024-03-01\/Cam\.JPG\s+2024-03-01 10:00:00\s+-$/)
+    expect(lines[3]).toContain('2024-03-01/Cam_1.JPG (renamed)')
+    expect(lines.at(-1)).toBe(
+      '2 files in 2 groups: 2 to move, 0 duplicates skipped, 1 renamed, 0 replaced, 0 to geotag, 0 errors'
+    )
+  })
+})
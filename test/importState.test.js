@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import ImportState, { getCardId, loadImportedCopies } from '../src/importState.js'
+
+describe('importState.js', () => {
+  let tempDir
+  let cardDir
+  let stateDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-state-test-'))
+    cardDir = join(tempDir, 'card')
+    stateDir = join(tempDir, 'state')
+    await fs.mkdir(join(cardDir, 'DCIM'), { recursive: true })
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  describe('getCardId', () => {
+    it('should write a marker file and return the same id on later runs', async () => {
+      const first = await getCardId(cardDir)
+      const second = await getCardId(cardDir)
+
+      expect(first).toStartWith('card-')
+      expect(second).toBe(first)
+      expect((await fs.readFile(join(cardDir, '.ingestio-card-id'), 'utf-8')).trim()).toBe(first)
+    })
+
+    it('should prefer an existing marker file', async () => {
+      await fs.writeFile(join(cardDir, '.ingestio-card-id'), 'card-known\n')
+
+      expect(await getCardId(cardDir)).toBe('card-known')
+    })
+
+    it('should not write a marker when asked not to', async () => {
+      expect(await getCardId(cardDir, { createMarker: false })).toStartWith('path-')
+      expect(await fs.readdir(cardDir)).not.toContain('.ingestio-card-id')
+    })
+
+    it('should give different cards different ids', async () => {
+      const otherCard = join(tempDir, 'other-card')
+      await fs.mkdir(otherCard)
+
+      expect(await getCardId(cardDir)).not.toBe(await getCardId(otherCard))
+    })
+  })
+
+  describe('ImportState', () => {
+    it('should remember imported files per profile and card', async () => {
+      const file = join(cardDir, 'DCIM', 'IMG_0001.JPG')
+      await fs.writeFile(file, 'photo')
+      const stats = await fs.stat(file)
+
+      const state = await ImportState.open('canon', cardDir, stateDir)
+      expect(state.isImported(file, stats)).toBe(false)
+
+      state.record(file, stats, { checksum: 'abc', targetPath: '/library/2025-07-05/a.JPG' })
+      await state.save()
+
+      const reloaded = await ImportState.open('canon', cardDir, stateDir)
+      expect(reloaded.size).toBe(1)
+      expect(reloaded.isImported(file, stats)).toBe(true)
+      expect(reloaded.files['DCIM/IMG_0001.JPG']).toMatchObject({ size: 5, checksum: 'abc' })
+
+      const otherProfile = await ImportState.open('sony', cardDir, stateDir)
+      expect(otherProfile.isImported(file, stats)).toBe(false)
+    })
+
+    it('should list the library copies of every profile with their verified hashes', async () => {
+      const file = join(cardDir, 'DCIM', 'IMG_0001.JPG')
+      await fs.writeFile(file, 'photo')
+      const stats = await fs.stat(file)
+      const canon = await ImportState.open('canon', cardDir, stateDir)
+      canon.record(file, stats, { checksum: 'abc', checksumAlgorithm: 'sha256', targetPath: '/library/a.JPG' })
+      await canon.save()
+      const sony = await ImportState.open('sony', cardDir, stateDir)
+      sony.record(file, stats, { targetPath: '/library/b.JPG' })
+      await sony.save()
+
+      expect(await loadImportedCopies(stateDir)).toEqual([
+        { targetPath: '/library/a.JPG', size: 5, checksum: 'abc', checksumAlgorithm: 'sha256' },
+      ])
+      expect(await loadImportedCopies(join(tempDir, 'missing'))).toEqual([])
+    })
+
+    it('should treat a changed file as new', async () => {
+      const file = join(cardDir, 'DCIM', 'IMG_0001.JPG')
+      await fs.writeFile(file, 'photo')
+
+      const state = await ImportState.open('canon', cardDir, stateDir)
+      state.record(file, await fs.stat(file))
+
+      await fs.writeFile(file, 'photo, re-shot')
+      expect(state.isImported(file, await fs.stat(file))).toBe(false)
+
+      const later = new Date('2025-07-05T10:00:00Z')
+      await fs.writeFile(file, 'photo')
+      await fs.utimes(file, later, later)
+      expect(state.isImported(file, await fs.stat(file))).toBe(false)
+    })
+
+    it('should reject a corrupted state file', async () => {
+      const state = await ImportState.open('canon', cardDir, stateDir)
+      await fs.mkdir(join(stateDir, 'canon'), { recursive: true })
+      await fs.writeFile(state.filePath, '{ not json')
+
+      await expect(state.load()).rejects.toThrow('Could not read import state')
+    })
+  })
+})
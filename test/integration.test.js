@@ -387,9 +387,13 @@ describe('Integration Tests', () => {
       const originalContent = 'content for cross device test'
       await fs.writeFile(testFile, originalContent)
 
-      // Mock fs.rename to simulate cross-device scenario
+      // Mock fs.rename to simulate cross-device scenario for moves off the card;
+      // the partial file is still renamed into place on the destination device
       const originalRename = fs.rename
       const mockRename = async (src, dest) => {
+        if (src !== testFile) {
+          return originalRename(src, dest)
+        }
         const error = new Error('cross-device link not permitted')
         error.code = 'EXDEV'
         throw error
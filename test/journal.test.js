@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import ImportJournal from '../src/journal.js'
+import { processFileGroup, getPartialPath } from '../src/fileProcessor.js'
+
+describe('ImportJournal', () => {
+  let tempDir
+  let journalDir
+  let cardDir
+  let libraryDir
+
+  const profile = { name: 'test', transferMode: 'copy', checksumAlgorithm: 'sha256' }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-journal-test-'))
+    journalDir = join(tempDir, 'journals')
+    cardDir = join(tempDir, 'card')
+    libraryDir = join(tempDir, 'library')
+    await fs.mkdir(cardDir, { recursive: true })
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  const createGroups = async () => {
+    await fs.writeFile(join(cardDir, 'A.MP4'), 'video A')
+    await fs.writeFile(join(cardDir, 'A.SRT'), 'subtitle A')
+    await fs.writeFile(join(cardDir, 'B.JPG'), 'photo B')
+
+    return [
+      {
+        files: [join(cardDir, 'A.MP4'), join(cardDir, 'A.SRT')],
+        primaryFile: join(cardDir, 'A.MP4'),
+        companionFiles: [join(cardDir, 'A.SRT')],
+      },
+      { files: [join(cardDir, 'B.JPG')], primaryFile: join(cardDir, 'B.JPG'), companionFiles: [] },
+    ]
+  }
+
+  const runGroup = (journal, index, date) =>
+    processFileGroup(
+      journal.session.groups[index],
+      date,
+      'Cam',
+      libraryDir,
+      'rename',
+      'copy',
+      '{date}_{time}_{camera}',
+      {
+        checksumAlgorithm: 'sha256',
+        completedFiles: journal.completedFilesForGroup(index),
+        onFileStart: (file, targetPath) => journal.startFile(index, file, targetPath),
+        onFileDone: result => journal.completeFile(index, result),
+      }
+    )
+
+  it('should record progress and reload it from disk', async () => {
+    const groups = await createGroups()
+    const journal = await ImportJournal.create(profile, groups, { headless: true }, journalDir)
+    const date = new Date('2025-07-06T14:12:54Z')
+
+    await journal.startGroup(0, date, 'quicktime.CreateDate')
+    await runGroup(journal, 0, date)
+    await journal.completeGroup(0)
+
+    const [reloaded] = await ImportJournal.findInterrupted(journalDir)
+
+    expect(reloaded.sessionId).toBe(journal.sessionId)
+    expect(reloaded.session.headless).toBe(true)
+    expect(reloaded.pendingGroupIndexes()).toEqual([1])
+    expect(reloaded.groupDates.get(0).toISOString()).toBe(date.toISOString())
+    expect(reloaded.groupDateSources.get(0)).toBe('quicktime.CreateDate')
+    expect(reloaded.completedGroupResults().map(r => r.sourcePath)).toEqual(groups[0].files)
+  })
+
+  it('should keep a companion shared by two groups in both', async () => {
+    await fs.writeFile(join(cardDir, 'C.JPG'), 'photo C')
+    await fs.writeFile(join(cardDir, 'C.MP4'), 'video C')
+    await fs.writeFile(join(cardDir, 'C.XMP'), 'sidecar C')
+    const sidecar = join(cardDir, 'C.XMP')
+    const groups = [
+      { files: [join(cardDir, 'C.JPG'), sidecar], primaryFile: join(cardDir, 'C.JPG'), companionFiles: [sidecar] },
+      { files: [join(cardDir, 'C.MP4'), sidecar], primaryFile: join(cardDir, 'C.MP4'), companionFiles: [sidecar] },
+    ]
+    const journal = await ImportJournal.create(profile, groups, {}, journalDir)
+    const date = new Date('2025-07-06T14:12:54Z')
+
+    for (const index of [0, 1]) {
+      await journal.startGroup(index, date)
+      await runGroup(journal, index, date)
+      await journal.completeGroup(index)
+    }
+
+    const reloaded = await ImportJournal.load(journal.filePath)
+    const results = reloaded.completedGroupResults()
+
+    expect(results.map(result => result.sourcePath)).toEqual([...groups[0].files, ...groups[1].files])
+    expect(new Set(results.map(result => result.targetPath)).size).toBe(4)
+    expect(reloaded.completedFilesForGroup(0).get(sidecar).targetPath).toBe(results[1].targetPath)
+  })
+
+  it('should ignore a truncated last line', async () => {
+    const journal = await ImportJournal.create(profile, await createGroups(), {}, journalDir)
+    await journal.completeGroup(0)
+    await fs.appendFile(journal.filePath, '{"type":"group-do')
+
+    const reloaded = await ImportJournal.load(journal.filePath)
+
+    expect(reloaded.pendingGroupIndexes()).toEqual([1])
+  })
+
+  it('should resume a half-finished group without re-copying completed files', async () => {
+    const groups = await createGroups()
+    const journal = await ImportJournal.create(profile, groups, {}, journalDir)
+    const date = new Date('2025-07-06T14:12:54Z')
+    await journal.startGroup(0, date)
+
+    // Simulate a crash after the video was copied but while the subtitle was being written
+    const [videoResult] = await processFileGroup(
+      { ...groups[0], files: [groups[0].primaryFile] },
+      date,
+      'Cam',
+      libraryDir,
+      'rename',
+      'copy',
+      '{date}_{time}_{camera}',
+      { checksumAlgorithm: 'sha256' }
+    )
+    await journal.completeFile(0, videoResult)
+    const srtTarget = join(libraryDir, '2025-07-06', '2025-07-06_14-12-54_Cam.SRT')
+    await journal.startFile(0, groups[0].companionFiles[0], srtTarget)
+    await fs.writeFile(getPartialPath(srtTarget), 'subt')
+
+    const resumed = await ImportJournal.load(journal.filePath)
+    const { recovered, discarded } = await resumed.reconcile('sha256')
+    expect(recovered).toBe(0)
+    expect(discarded).toBe(1)
+
+    const results = await runGroup(resumed, 0, resumed.groupDates.get(0))
+
+    expect(results[0].resumed).toBe(true)
+    expect(results[0].targetPath).toBe(videoResult.targetPath)
+    expect(results[1].targetPath).toBe(srtTarget)
+    expect((await fs.readdir(join(libraryDir, '2025-07-06'))).sort()).toEqual([
+      '2025-07-06_14-12-54_Cam.MP4',
+      '2025-07-06_14-12-54_Cam.SRT',
+    ])
+  })
+
+  it('should recover a file that was renamed into place right before the crash', async () => {
+    const groups = await createGroups()
+    const journal = await ImportJournal.create(profile, groups, {}, journalDir)
+    const target = join(libraryDir, '2025-07-06', 'B.JPG')
+    await journal.startFile(1, groups[1].primaryFile, target)
+    await fs.mkdir(join(libraryDir, '2025-07-06'), { recursive: true })
+    await fs.copyFile(groups[1].primaryFile, target)
+
+    const resumed = await ImportJournal.load(journal.filePath)
+    const { recovered } = await resumed.reconcile('sha256')
+
+    expect(recovered).toBe(1)
+    expect(resumed.completedFilesForGroup(1).get(groups[1].primaryFile)).toMatchObject({
+      targetPath: target,
+      size: 7,
+      isCompanion: false,
+    })
+  })
+
+  it('should remove the journal once the session completes', async () => {
+    const journal = await ImportJournal.create(profile, await createGroups(), {}, journalDir)
+    await journal.finish('completed')
+
+    expect(await ImportJournal.findInterrupted(journalDir)).toEqual([])
+    await expect(fs.access(journal.filePath)).rejects.toThrow()
+  })
+
+  it('should keep failed sessions resumable', async () => {
+    const journal = await ImportJournal.create(profile, await createGroups(), {}, journalDir)
+    await journal.completeGroup(0)
+    await journal.failGroup(1, 'disk full')
+    await journal.finish('failed')
+
+    const [reloaded] = await ImportJournal.findInterrupted(journalDir)
+
+    expect(reloaded.status).toBe('failed')
+    expect(reloaded.pendingGroupIndexes()).toEqual([1])
+  })
+})
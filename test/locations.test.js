@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import {
+  loadLocations,
+  saveLocation,
+  removeLocation,
+  resolveLocation,
+  validateLocationName,
+  formatLocations,
+} from '../src/locations.js'
+
+describe('locations.js', () => {
+  let tempDir
+  let file
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-locations-test-'))
+    file = join(tempDir, 'locations.yaml')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  describe('loadLocations', () => {
+    it('should start empty when there is no file yet', async () => {
+      expect(await loadLocations(file)).toEqual({})
+    })
+
+    it('should read locations with optional altitude and description', async () => {
+      await fs.writeFile(
+        file,
+        [
+          'studio:',
+          '  latitude: 52.52',
+          '  longitude: 13.405',
+          '  altitude: 34',
+          '  description: Kreuzberg studio',
+          'home: { latitude: -33.8688, longitude: 151.2093 }',
+        ].join('\n')
+      )
+
+      expect(await loadLocations(file)).toEqual({
+        studio: { latitude: 52.52, longitude: 13.405, altitude: 34, description: 'Kreuzberg studio' },
+        home: { latitude: -33.8688, longitude: 151.2093 },
+      })
+    })
+
+    it('should name the location that is broken', async () => {
+      await fs.writeFile(file, 'studio:\n  latitude: 95\n  longitude: 13.405\n')
+      await expect(loadLocations(file)).rejects.toThrow('Invalid location "studio": Latitude must be between')
+
+      await fs.writeFile(file, 'my studio:\n  latitude: 52\n  longitude: 13\n')
+      await expect(loadLocations(file)).rejects.toThrow('Invalid location name "my studio"')
+
+      await fs.writeFile(file, 'window:\n  latitude: 52\n  longitude: 13\n  direction: 400\n')
+      await expect(loadLocations(file)).rejects.toThrow('Invalid location "window": Direction must be')
+
+      await fs.writeFile(file, '- 52,13\n')
+      await expect(loadLocations(file)).rejects.toThrow('expected locations by name')
+    })
+  })
+
+  describe('saveLocation and removeLocation', () => {
+    it('should add, replace and remove locations and keep comments', async () => {
+      await fs.writeFile(file, '# Places I shoot at\nhome:\n  latitude: 1\n  longitude: 2\n')
+
+      expect(await saveLocation('studio', { latitude: 52.52, longitude: 13.405, altitude: 34 }, file)).toBe(false)
+      expect(await saveLocation('home', { latitude: 3, longitude: 4 }, file)).toBe(true)
+
+      expect(await loadLocations(file)).toEqual({
+        home: { latitude: 3, longitude: 4 },
+        studio: { latitude: 52.52, longitude: 13.405, altitude: 34 },
+      })
+      expect(await fs.readFile(file, 'utf-8')).toContain('# Places I shoot at')
+
+      expect(await removeLocation('home', file)).toBe(true)
+      expect(await removeLocation('home', file)).toBe(false)
+      expect(Object.keys(await loadLocations(file))).toEqual(['studio'])
+    })
+
+    it('should refuse invalid locations before writing', async () => {
+      await expect(saveLocation('studio', { latitude: 52, longitude: 200 }, file)).rejects.toThrow(
+        'Longitude must be between'
+      )
+      await expect(fs.access(file)).rejects.toThrow()
+    })
+  })
+
+  describe('resolveLocation', () => {
+    const locations = {
+      studio: { latitude: 52.52, longitude: 13.405, altitude: 34, description: 'Kreuzberg studio' },
+    }
+
+    it('should look up @names and parse everything else as coordinates', () => {
+      expect(resolveLocation('@studio', locations)).toEqual({ latitude: 52.52, longitude: 13.405, altitude: 34 })
+      expect(resolveLocation(' 40.7128, -74.0060 ', locations)).toEqual({ latitude: 40.7128, longitude: -74.006 })
+    })
+
+    it('should list the saved names for an unknown one', () => {
+      expect(resolveLocation('@office', locations).error).toBe('Unknown location "@office". Saved locations: @studio')
+      expect(resolveLocation('@constructor', {}).error).toContain('ingestio locations add')
+    })
+  })
+
+  describe('validateLocationName and formatLocations', () => {
+    it('should accept shell-friendly names only', () => {
+      expect(validateLocationName('client-berlin_2')).toBeNull()
+      expect(validateLocationName('-studio')).toContain('Location names use')
+      expect(validateLocationName('café')).toContain('Location names use')
+    })
+
+    it('should list locations one per line', () => {
+      expect(
+        formatLocations({
+          studio: { latitude: 52.52, longitude: 13.405, altitude: 34, description: 'Kreuzberg studio' },
+          home: { latitude: -33.8688, longitude: 151.2093 },
+          window: { latitude: 52.52, longitude: 13.405, direction: 90, accuracy: 5 },
+        }).split('\n')
+      ).toEqual([
+        '@studio  52.520000° N, 13.405000° E, 34 m  Kreuzberg studio',
+        '@home    33.868800° S, 151.209300° E',
+        '@window  52.520000° N, 13.405000° E, facing 90°, ±5 m',
+      ])
+      expect(formatLocations({})).toContain('No saved locations')
+    })
+  })
+})
@@ -159,6 +159,81 @@ describe('Logger', () => {
       expect(report).toContain('/target/test.jpg')
       expect(report).toContain('Speed: 10.00 KB/s') // Speed should be included
     })
+    it('should list skipped duplicates in the report', async () => {
+      logger.logDuplicateSkip('/card/DJI_0001.MP4', '/destination/2025-07-06/2025-07-06_14-12-54_DJI.MP4')
+
+      const report = await logger.generateReport()
+
+      expect(logger.reportData.summary.skippedDuplicates).toBe(1)
+      expect(report).toContain('Skipped Duplicates: 1')
+      expect(report).toContain('SKIPPED DUPLICATES')
+      expect(report).toContain('Already in library: /destination/2025-07-06/2025-07-06_14-12-54_DJI.MP4')
+    })
+
+    it('should record checksums passed as transfer details', async () => {
+      logger.logFileTransfer('/source/1.jpg', '/target/1.jpg', 'copy', 1024, 100, true, false, {
+        checksum: 'ef46db3751d8e999',
+        checksumAlgorithm: 'xxhash64',
+      })
+
+      expect(logger.reportData.files[0].checksum).toBe('ef46db3751d8e999')
+      expect(logger.reportData.summary.verifiedFiles).toBe(1)
+    })
+
+    it('should count date sources and list files dated by filesystem time', async () => {
+      const transfer = (file, dateSource, isCompanion = false) =>
+        logger.logFileTransfer(file, file.replace('/source', '/target'), 'copy', 1024, 100, true, isCompanion, {
+          dateSource,
+        })
+      transfer('/source/1.jpg', 'exif.DateTimeOriginal')
+      transfer('/source/2.mp4', 'mtime')
+      transfer('/source/2.srt', 'mtime', true)
+      transfer('/source/3.mp4', 'quicktime.CreateDate')
+
+      const report = await logger.generateReport()
+
+      expect(logger.reportData.summary.dateSources).toEqual({
+        'exif.DateTimeOriginal': 1,
+        mtime: 1,
+        'quicktime.CreateDate': 1,
+      })
+      expect(logger.filesystemDatedFiles().map(file => file.sourceFile)).toEqual(['/source/2.mp4'])
+      expect(report).toContain('DATE SOURCES')
+      expect(report).toContain('DATED BY FILESYSTEM TIME')
+      expect(report).toContain('1. /source/2.mp4 (mtime)')
+    })
+
+    it('should list files outside the GPS track', async () => {
+      logger.logOutsideTrack('/card/DSC_0001.JPG', new Date('2024-07-13T18:00:00Z'), '3600s after the track ends')
+
+      const report = await logger.generateReport()
+
+      expect(logger.reportData.summary.outsideTrack).toBe(1)
+      expect(report).toContain('Outside GPS Track: 1')
+      expect(report).toContain('OUTSIDE GPS TRACK')
+      expect(report).toContain('1. /card/DSC_0001.JPG (captured 2024-07-13T18:00:00.000Z, 3600s after the track ends)')
+    })
+
+    it('should list files with suspicious GPS', async () => {
+      const position = { latitude: 37.785834, longitude: -122.406417 }
+      logger.logFlaggedGps(
+        '/card/IMG_0001.HEIC',
+        position,
+        'placeholder position (iOS Simulator default location)',
+        true
+      )
+      logger.logFlaggedGps('/card/IMG_0002.HEIC', { latitude: 48.1374, longitude: 11.5755 }, 'outside gpsBounds', false)
+
+      const report = await logger.generateReport()
+
+      expect(logger.reportData.summary.flaggedGps).toBe(2)
+      expect(report).toContain('Suspicious GPS: 2')
+      expect(report).toContain('SUSPICIOUS GPS')
+      expect(report).toContain(
+        '1. /card/IMG_0001.HEIC at 37.785834, -122.406417 (placeholder position (iOS Simulator default location); replaced)'
+      )
+      expect(report).toContain('2. /card/IMG_0002.HEIC at 48.1374, 11.5755 (outside gpsBounds; kept)')
+    })
   })
 
   describe('Utility functions', () => {
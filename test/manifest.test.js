@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { writeManifests, getManifestPath } from '../src/manifest.js'
+
+describe('manifest.js', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-manifest-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  const result = (dir, file, hash, size = 10) => ({
+    sourcePath: `/card/DCIM/${file}`,
+    targetPath: join(tempDir, dir, file),
+    size,
+    checksum: hash,
+  })
+
+  it('should write one JSON manifest per destination folder', async () => {
+    await fs.mkdir(join(tempDir, '2025-07-05'))
+    await fs.mkdir(join(tempDir, '2025-07-06'))
+
+    const written = await writeManifests(
+      [
+        result('2025-07-05', 'a.jpg', 'aaa'),
+        result('2025-07-05', 'b.jpg', 'bbb'),
+        result('2025-07-06', 'c.mp4', 'ccc'),
+      ],
+      'sha256',
+      'json'
+    )
+
+    expect(written).toHaveLength(2)
+
+    const manifest = JSON.parse(await fs.readFile(getManifestPath(join(tempDir, '2025-07-05'), 'json'), 'utf-8'))
+    expect(manifest.generator).toBe('ingestio')
+    expect(manifest.files.map(f => f.file)).toEqual(['a.jpg', 'b.jpg'])
+    expect(manifest.files[0]).toMatchObject({ algorithm: 'sha256', hash: 'aaa', size: 10 })
+  })
+
+  it('should merge with entries from earlier imports', async () => {
+    await fs.mkdir(join(tempDir, 'day'))
+
+    await writeManifests([result('day', 'a.jpg', 'old'), result('day', 'b.jpg', 'bbb')], 'md5', 'json')
+    await writeManifests([result('day', 'a.jpg', 'new'), result('day', 'c.jpg', 'ccc')], 'md5', 'json')
+
+    const manifest = JSON.parse(await fs.readFile(getManifestPath(join(tempDir, 'day'), 'json'), 'utf-8'))
+    expect(manifest.files.map(f => `${f.file}:${f.hash}`)).toEqual(['a.jpg:new', 'b.jpg:bbb', 'c.jpg:ccc'])
+  })
+
+  it('should write and merge CSV manifests with quoted values', async () => {
+    await fs.mkdir(join(tempDir, 'day'))
+
+    const quoted = { ...result('day', 'a.jpg', 'aaa'), sourcePath: '/card/My "Trip", day 1/a.jpg' }
+    await writeManifests([quoted], 'xxhash64', 'csv')
+    await writeManifests([result('day', 'b.jpg', 'bbb', 20)], 'xxhash64', 'csv')
+
+    const lines = (await fs.readFile(getManifestPath(join(tempDir, 'day'), 'csv'), 'utf-8')).trim().split('\n')
+    expect(lines[0]).toBe('file,size,algorithm,hash,sourcePath,verifiedAt,sourceSize,sourceHash')
+    expect(lines[1]).toStartWith('a.jpg,10,xxhash64,aaa,"/card/My ""Trip"", day 1/a.jpg",')
+    expect(lines[2]).toStartWith('b.jpg,20,xxhash64,bbb,/card/DCIM/b.jpg,')
+  })
+
+  it('should describe copies edited after the transfer', async () => {
+    await fs.mkdir(join(tempDir, 'day'))
+    const edited = { ...result('day', 'a.jpg', 'aaa'), targetSize: 12, targetChecksum: 'edited' }
+
+    await writeManifests([edited], 'sha256')
+
+    const manifest = JSON.parse(await fs.readFile(join(tempDir, 'day', 'ingestio-manifest.json'), 'utf-8'))
+    expect(manifest.files[0]).toMatchObject({ size: 12, hash: 'edited', sourceSize: 10, sourceHash: 'aaa' })
+  })
+
+  it('should skip results without checksums and honor the none format', async () => {
+    await fs.mkdir(join(tempDir, 'day'))
+
+    expect(await writeManifests([result('day', 'a.jpg', 'aaa')], 'sha256', 'none')).toEqual([])
+    expect(await writeManifests([result('day', 'a.jpg', null)], 'sha256', 'json')).toEqual([])
+  })
+
+  it('should reject unknown formats', async () => {
+    await expect(writeManifests([], 'sha256', 'xml')).rejects.toThrow('Invalid manifest format')
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'bun:test'
+import { createLimiter, createStageLimiters, parseConcurrency, DEFAULT_CONCURRENCY } from '../src/pool.js'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('pool.js', () => {
+  describe('createLimiter', () => {
+    it('should never run more tasks than the limit at once', async () => {
+      const limit = createLimiter(2)
+      let active = 0
+      let peak = 0
+
+      const task = async () => {
+        active++
+        peak = Math.max(peak, active)
+        await sleep(5)
+        active--
+      }
+
+      await Promise.all(Array.from({ length: 6 }, () => limit(task)))
+
+      expect(peak).toBe(2)
+      expect(active).toBe(0)
+    })
+
+    it('should start queued tasks in order and resolve with their results', async () => {
+      const limit = createLimiter(1)
+      const started = []
+
+      const results = await Promise.all(
+        [3, 1, 2].map(n =>
+          limit(async () => {
+            started.push(n)
+            await sleep(n)
+            return n * 10
+          })
+        )
+      )
+
+      expect(started).toEqual([3, 1, 2])
+      expect(results).toEqual([30, 10, 20])
+    })
+
+    it('should keep going after a task fails', async () => {
+      const limit = createLimiter(1)
+
+      const failing = limit(async () => {
+        throw new Error('boom')
+      })
+      const next = limit(async () => 'ok')
+
+      await expect(failing).rejects.toThrow('boom')
+      expect(await next).toBe('ok')
+    })
+
+    it('should reject invalid limits', () => {
+      expect(() => createLimiter(0)).toThrow('Invalid concurrency')
+      expect(() => createLimiter(1.5)).toThrow('Invalid concurrency')
+    })
+  })
+
+  describe('createStageLimiters', () => {
+    it('should create one limiter per stage', () => {
+      const limits = createStageLimiters(DEFAULT_CONCURRENCY)
+
+      expect(Object.keys(limits)).toEqual(['metadata', 'copy', 'exiftool'])
+      expect(typeof limits.copy).toBe('function')
+    })
+  })
+
+  describe('parseConcurrency', () => {
+    it('should apply a single number to every stage', () => {
+      expect(parseConcurrency(3)).toEqual({ metadata: 3, copy: 3, exiftool: 3 })
+      expect(parseConcurrency('4')).toEqual({ metadata: 4, copy: 4, exiftool: 4 })
+    })
+
+    it('should parse per-stage limits from a string or object', () => {
+      expect(parseConcurrency('copy=4, exiftool=1')).toEqual({ copy: 4, exiftool: 1 })
+      expect(parseConcurrency({ metadata: 8 })).toEqual({ metadata: 8 })
+    })
+
+    it('should reject unknown stages and invalid limits', () => {
+      expect(() => parseConcurrency('network=2')).toThrow('Unknown concurrency stage "network"')
+      expect(() => parseConcurrency('copy=fast')).toThrow('Invalid concurrency setting "copy=fast"')
+      expect(() => parseConcurrency({ copy: 0 })).toThrow('Invalid concurrency for copy')
+      expect(() => parseConcurrency([2])).toThrow('Invalid concurrency value')
+    })
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { parseMargin, checkDestination } from '../src/preflight.js'
+
+describe('preflight.js', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-preflight-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  describe('parseMargin', () => {
+    it('should parse bytes, sizes and percentages', () => {
+      expect(parseMargin(1000)).toEqual({ bytes: 1000 })
+      expect(parseMargin('500MB')).toEqual({ bytes: 500 * 1024 * 1024 })
+      expect(parseMargin('1.5 gb')).toEqual({ bytes: 1.5 * 1024 ** 3 })
+      expect(parseMargin('10%')).toEqual({ percent: 10 })
+    })
+
+    it('should reject anything else', () => {
+      expect(() => parseMargin('lots')).toThrow('Invalid freeSpaceMargin value: lots')
+      expect(() => parseMargin(-1)).toThrow('Invalid freeSpaceMargin value')
+    })
+  })
+
+  describe('checkDestination', () => {
+    const profile = overrides => ({
+      sourcePath: tempDir,
+      destinationRoot: join(tempDir, 'library'),
+      transferMode: 'copy',
+      ...overrides,
+    })
+
+    it('should check the closest existing folder when the destination does not exist yet', async () => {
+      const check = await checkDestination(profile({ destinationRoot: join(tempDir, 'a', 'b') }), 1024)
+
+      expect(check.directory).toBe(tempDir)
+      expect(check.writeError).toBeNull()
+      expect(check.enoughSpace).toBe(true)
+      expect(check.requiredBytes).toBe(1024)
+      expect(check.marginBytes).toBe(Math.ceil(1024 * 0.05))
+      // The write probe is cleaned up
+      expect(await fs.readdir(tempDir)).toEqual([])
+    })
+
+    it('should report when the import does not fit', async () => {
+      const check = await checkDestination(profile({ freeSpaceMargin: '1GB' }), Number.MAX_SAFE_INTEGER)
+
+      expect(check.enoughSpace).toBe(false)
+      expect(check.marginBytes).toBe(1024 ** 3)
+    })
+
+    it('should not require space for a move within the same volume', async () => {
+      const check = await checkDestination(profile({ transferMode: 'move' }), Number.MAX_SAFE_INTEGER)
+
+      expect(check.requiredBytes).toBe(0)
+      expect(check.enoughSpace).toBe(true)
+    })
+
+    it('should reject a destination that is a file', async () => {
+      await fs.writeFile(join(tempDir, 'library'), 'not a folder')
+
+      await expect(checkDestination(profile(), 0)).rejects.toThrow('exists but is not a directory')
+    })
+  })
+})
@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { readQuickTimeMetadata, quickTimeCaptureDate } from '../src/quicktime.js'
+
+const QUICKTIME_EPOCH_OFFSET = 2082844800
+
+function box(type, ...payload) {
+  const body = Buffer.concat(payload)
+  const header = Buffer.alloc(8)
+  header.writeUInt32BE(8 + body.length)
+  header.write(type, 4, 'latin1')
+  return Buffer.concat([header, body])
+}
+
+function fullBox(type, ...payload) {
+  return box(type, Buffer.alloc(4), ...payload)
+}
+
+// Movie, track or media header with only the creation time filled in
+function header(type, date, version = 0) {
+  const seconds = date ? Math.floor(date.getTime() / 1000) + QUICKTIME_EPOCH_OFFSET : 0
+  const body = Buffer.alloc(version === 1 ? 108 : 96)
+  body[0] = version
+  if (version === 1) {
+    body.writeBigUInt64BE(BigInt(seconds), 4)
+  } else {
+    body.writeUInt32BE(seconds, 4)
+  }
+  return box(type, body)
+}
+
+function userDataText(type, text) {
+  const value = Buffer.from(text, 'utf-8')
+  const prefix = Buffer.alloc(4)
+  prefix.writeUInt16BE(value.length)
+  return box(type, prefix, value)
+}
+
+function dataItem(type, text) {
+  const typeBuffer = Buffer.alloc(4)
+  if (typeof type === 'number') typeBuffer.writeUInt32BE(type)
+  else typeBuffer.write(type, 'latin1')
+
+  const data = box('data', Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]), Buffer.from(text, 'utf-8'))
+  const item = box('xxxx', data)
+  typeBuffer.copy(item, 4)
+  return item
+}
+
+function appleKeys(entries) {
+  const count = Buffer.alloc(4)
+  count.writeUInt32BE(entries.length)
+  const keys = entries.map(([key]) => box('mdta', Buffer.from(key, 'utf-8')))
+  const items = entries.map(([, value], index) => dataItem(index + 1, value))
+  return box(
+    'meta',
+    fullBox('hdlr', Buffer.alloc(4), Buffer.from('mdta', 'latin1')),
+    fullBox('keys', count, ...keys),
+    box('ilst', ...items)
+  )
+}
+
+const ftyp = box('ftyp', Buffer.from('qt  \0\0\0\0qt  ', 'latin1'))
+
+describe('quicktime.js', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(join(tmpdir(), 'ingestio-quicktime-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true })
+  })
+
+  const writeMovie = async (name, ...boxes) => {
+    const filePath = join(tempDir, name)
+    await fs.writeFile(filePath, Buffer.concat(boxes))
+    return filePath
+  }
+
+  it('should read movie, track and media header creation times as UTC', async () => {
+    const created = new Date('2024-07-13T22:30:00Z')
+    const filePath = await writeMovie(
+      'clip.mp4',
+      ftyp,
+      box('moov', header('mvhd', created), box('trak', header('tkhd', created), box('mdia', header('mdhd', created))))
+    )
+
+    const metadata = await readQuickTimeMetadata(filePath)
+
+    expect(metadata).toMatchObject({
+      CreateDate: created.getTime() / 1000,
+      TrackCreateDate: created.getTime() / 1000,
+      MediaCreateDate: created.getTime() / 1000,
+      localTime: false,
+    })
+    expect(quickTimeCaptureDate(metadata, 'Asia/Tokyo').toISOString()).toBe('2024-07-13T22:30:00.000Z')
+  })
+
+  it('should skip large boxes with 64-bit sizes and read version 1 headers', async () => {
+    const created = new Date('2024-07-13T22:30:00Z')
+    const mdat = Buffer.alloc(16 + 64)
+    mdat.writeUInt32BE(1, 0)
+    mdat.write('mdat', 4, 'latin1')
+    mdat.writeBigUInt64BE(BigInt(mdat.length), 8)
+
+    const filePath = await writeMovie('long.mov', ftyp, mdat, box('moov', header('mvhd', created, 1)))
+
+    expect(quickTimeCaptureDate(await readQuickTimeMetadata(filePath)).toISOString()).toBe('2024-07-13T22:30:00.000Z')
+  })
+
+  it('should prefer the Apple creation date with its offset', async () => {
+    const filePath = await writeMovie(
+      'IMG_0001.MOV',
+      ftyp,
+      box(
+        'moov',
+        header('mvhd', new Date('2024-07-13T12:30:45Z')),
+        appleKeys([
+          ['com.apple.quicktime.make', 'Apple'],
+          ['com.apple.quicktime.creationdate', '2024-07-13T14:30:45+0200'],
+        ])
+      )
+    )
+
+    const metadata = await readQuickTimeMetadata(filePath)
+
+    expect(metadata).toMatchObject({ Make: 'Apple', CreationDate: '2024-07-13T14:30:45+0200' })
+    expect(quickTimeCaptureDate(metadata, 'America/New_York').toISOString()).toBe('2024-07-13T12:30:45.000Z')
+  })
+
+  it('should read ©day from user data and iTunes item lists', async () => {
+    const userData = await writeMovie(
+      'a.mp4',
+      ftyp,
+      box('moov', header('mvhd', null), box('udta', userDataText('©day', '2024-07-13T14:30:45-0500')))
+    )
+    const itemList = await writeMovie(
+      'b.m4v',
+      ftyp,
+      box('moov', box('udta', fullBox('meta', box('ilst', dataItem('©day', '2024-07-13T14:30:45Z')))))
+    )
+
+    expect(quickTimeCaptureDate(await readQuickTimeMetadata(userData)).toISOString()).toBe('2024-07-13T19:30:45.000Z')
+    expect(quickTimeCaptureDate(await readQuickTimeMetadata(itemList)).toISOString()).toBe('2024-07-13T14:30:45.000Z')
+  })
+
+  it('should read the creation date from Sony XML metadata', async () => {
+    const xml =
+      '<?xml version="1.0" encoding="UTF-8"?><NonRealTimeMeta><CreationDate value="2024-07-13T14:30:45+02:00"/>' +
+      '<Device manufacturer="Sony" modelName="ILCE-7M4"/></NonRealTimeMeta>'
+    const filePath = await writeMovie(
+      'C0001.MP4',
+      ftyp,
+      box(
+        'moov',
+        header('mvhd', new Date('2024-07-13T12:30:45Z')),
+        fullBox(
+          'meta',
+          fullBox('hdlr', Buffer.alloc(4), Buffer.from('nrtm', 'latin1')),
+          fullBox('xml ', Buffer.from(xml))
+        )
+      )
+    )
+
+    const metadata = await readQuickTimeMetadata(filePath)
+
+    expect(metadata).toMatchObject({ Make: 'Sony', CreationDate: '2024-07-13T14:30:45+02:00' })
+    expect(quickTimeCaptureDate(metadata).toISOString()).toBe('2024-07-13T12:30:45.000Z')
+  })
+
+  it('should read DJI movie headers as the camera local time', async () => {
+    // DJI writes the wall clock, here 14:30:45, where the spec expects UTC
+    const filePath = await writeMovie(
+      'DJI_0001.MP4',
+      ftyp,
+      box('moov', header('mvhd', new Date('2024-07-13T14:30:45Z')), box('udta', box('djmd', Buffer.from('proto'))))
+    )
+
+    const metadata = await readQuickTimeMetadata(filePath)
+
+    expect(metadata.localTime).toBe(true)
+    expect(quickTimeCaptureDate(metadata, 'Europe/Berlin').toISOString()).toBe('2024-07-13T12:30:45.000Z')
+  })
+
+  it('should return nothing for unset headers and other files', async () => {
+    const unset = await writeMovie('unset.mp4', ftyp, box('moov', header('mvhd', null)))
+    const jpeg = await writeMovie('photo.jpg', Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 16, 0x4a, 0x46, 0x49, 0x46]))
+    const truncated = await writeMovie('broken.mp4', ftyp.subarray(0, 12))
+
+    expect(quickTimeCaptureDate(await readQuickTimeMetadata(unset))).toBeNull()
+    expect(await readQuickTimeMetadata(jpeg)).toBeNull()
+    expect(quickTimeCaptureDate(await readQuickTimeMetadata(truncated))).toBeNull()
+  })
+})
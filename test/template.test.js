@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'bun:test'
+import {
+  parseTemplate,
+  renderTemplate,
+  validateTemplate,
+  templateUsesMetadata,
+  templateUsesLocation,
+  templateHasExtension,
+  renderFolderTemplate,
+  getMediaType,
+} from '../src/template.js'
+
+describe('template.js', () => {
+  const context = {
+    date: new Date(2024, 6, 13, 14, 30, 45),
+    camera: 'DJI Mini 4',
+    originalPath: '/card/DCIM/DSC_0042.ARW',
+    counter: 7,
+    metadata: { make: 'Sony', model: 'ILCE-7M4', lens: 'FE 24-70mm F2.8 GM II', iso: 800 },
+  }
+
+  describe('renderTemplate', () => {
+    it('should render repeated tokens', () => {
+      expect(renderTemplate('{date}_{camera}_{date}', context)).toBe('2024-07-13_DJI Mini 4_2024-07-13')
+    })
+
+    it('should render date and time fields and custom formats', () => {
+      expect(renderTemplate('{year}/{month}/{day} {hour}', context)).toBe('2024/07/13 14')
+      expect(renderTemplate('{date:YYYYMMDD}-{time:HHmmss}', context)).toBe('20240713-143045')
+      expect(renderTemplate('{date:YY.MM.DD}', context)).toBe('24.07.13')
+    })
+
+    it('should render file tokens', () => {
+      expect(renderTemplate('{original}|{seq}|{ext}', { ...context, originalPath: '/card/IMG_0042.JPG' })).toBe(
+        'IMG_0042|0042|JPG'
+      )
+      expect(renderTemplate('{counter}_{counter:4}', context)).toBe('7_0007')
+    })
+
+    it('should render metadata tokens and leave missing ones empty', () => {
+      expect(renderTemplate('{make}_{model}_ISO{iso}', context)).toBe('Sony_ILCE-7M4_ISO800')
+      expect(renderTemplate('{lens}', { ...context, metadata: {} })).toBe('')
+      expect(renderTemplate('{lens|default:nolens}', { ...context, metadata: {} })).toBe('nolens')
+    })
+
+    it('should render place tokens and leave them empty without a place', () => {
+      const location = { country: 'Iceland', region: 'South', city: 'Vik' }
+
+      expect(renderTemplate('{country}_{region}_{city|lower}', { ...context, location })).toBe('Iceland_South_vik')
+      expect(renderTemplate('{city|default:unknown}', context)).toBe('unknown')
+    })
+
+    it('should apply filters in order', () => {
+      expect(renderTemplate('{camera|lower}', context)).toBe('dji mini 4')
+      expect(renderTemplate('{camera|slug}', context)).toBe('dji-mini-4')
+      expect(renderTemplate('{lens|slugify|upper}', context)).toBe('FE-24-70MM-F2-8-GM-II')
+      expect(renderTemplate('{camera|lowercase}', { ...context, camera: 'Café' })).toBe('café')
+      expect(renderTemplate('{camera|slug}', { ...context, camera: 'Café Crème' })).toBe('cafe-creme')
+    })
+
+    it('should make token values filename-safe', () => {
+      expect(renderTemplate('{model}', { ...context, metadata: { model: 'EOS R5/C: "Mark II"' } })).toBe(
+        'EOS R5-C- -Mark II-'
+      )
+    })
+  })
+
+  describe('renderFolderTemplate', () => {
+    it('should split folders and fill project and media type', () => {
+      expect(
+        renderFolderTemplate('{year}/{year}-{month}/{date}_{project}/{camera}/{mediaType}', {
+          ...context,
+          project: 'Iceland',
+        })
+      ).toEqual(['2024', '2024-07', '2024-07-13_Iceland', 'DJI Mini 4', 'photos'])
+    })
+
+    it('should drop empty folders and trim dangling separators', () => {
+      expect(renderFolderTemplate('{date}_{project}/{lens}/{mediaType}', { ...context, metadata: {} })).toEqual([
+        '2024-07-13',
+        'photos',
+      ])
+    })
+
+    it('should not let token values create extra folders', () => {
+      expect(renderFolderTemplate('{project}', { ...context, project: '../up/and away' })).toEqual(['up-and away'])
+    })
+  })
+
+  describe('getMediaType', () => {
+    it('should classify photos, videos and everything else', () => {
+      expect(getMediaType('/card/DSC_0042.ARW')).toBe('photos')
+      expect(getMediaType('/card/IMG_0001.heic')).toBe('photos')
+      expect(getMediaType('/card/DJI_0001.MP4')).toBe('videos')
+      expect(getMediaType('/card/DJI_0001.SRT')).toBe('other')
+    })
+  })
+
+  describe('validateTemplate', () => {
+    it('should accept valid templates', () => {
+      expect(() => validateTemplate('{date}_{time}_{camera|slug}', 'filenameFormat')).not.toThrow()
+    })
+
+    it('should report unknown tokens and filters with their position', () => {
+      expect(() => validateTemplate('{date}_{shutter}', 'filenameFormat')).toThrow(
+        'Invalid filenameFormat "{date}_{shutter}": Unknown token {shutter} at position 8'
+      )
+      expect(() => validateTemplate('{camera|reverse}')).toThrow('Unknown filter "reverse"')
+    })
+
+    it('should report malformed templates', () => {
+      expect(() => validateTemplate('{date')).toThrow('Unclosed "{" at position 1')
+      expect(() => validateTemplate('date}')).toThrow('Unexpected "}" at position 5')
+      expect(() => validateTemplate('{camera:x}')).toThrow('Token {camera} does not take an argument')
+      expect(() => validateTemplate('{counter:wide}')).toThrow('needs a number of digits')
+      expect(() => validateTemplate('{date:today}')).toThrow('has no date fields')
+      expect(() => validateTemplate('')).toThrow('Template must be a non-empty string')
+    })
+
+    it('should reject path separators unless allowed', () => {
+      expect(() => validateTemplate('{year}/{date}', 'filenameFormat')).toThrow('must not contain path separators')
+      expect(() => validateTemplate('{year}/{date}', 'folderFormat', { allowSeparators: true })).not.toThrow()
+    })
+  })
+
+  describe('template inspection', () => {
+    it('should parse literals and tokens', () => {
+      expect(parseTemplate('IMG_{counter:4}')).toEqual([
+        { literal: 'IMG_' },
+        { token: 'counter', argument: '4', filters: [] },
+      ])
+    })
+
+    it('should detect metadata and extension tokens', () => {
+      expect(templateUsesMetadata('{date}_{model}')).toBe(true)
+      expect(templateUsesMetadata('{date}_{camera}')).toBe(false)
+      expect(templateUsesLocation('{country}/{city|slug}')).toBe(true)
+      expect(templateUsesLocation('{date}_{model}')).toBe(false)
+      expect(templateHasExtension('{original}.{ext|lower}')).toBe(true)
+      expect(templateHasExtension('{original}')).toBe(false)
+    })
+  })
+})
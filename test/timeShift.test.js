@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'bun:test'
+import {
+  parseTimeShift,
+  formatTimeShift,
+  shiftDate,
+  exiftoolShiftArgs,
+  measureTimeShift,
+  parseReferenceTime,
+} from '../src/timeShift.js'
+
+describe('timeShift.js', () => {
+  describe('parseTimeShift', () => {
+    it('should parse signed clock corrections', () => {
+      expect(parseTimeShift('+01:03:20')).toBe(3800000)
+      expect(parseTimeShift('-00:05:00')).toBe(-300000)
+      expect(parseTimeShift('0:05')).toBe(300000)
+      expect(parseTimeShift('+1d 02:00:00')).toBe(93600000)
+      expect(parseTimeShift(-90)).toBe(-90000)
+    })
+
+    it('should name the setting in the error', () => {
+      expect(() => parseTimeShift('+1 hour')).toThrow('Invalid timeOffset value: +1 hour')
+      expect(() => parseTimeShift('+01:75:00', '--time-shift')).toThrow('Invalid --time-shift value: +01:75:00')
+      expect(() => parseTimeShift(null)).toThrow('Invalid timeOffset value: null')
+    })
+  })
+
+  describe('formatTimeShift', () => {
+    it('should round-trip through parseTimeShift', () => {
+      for (const value of ['+01:03:20', '-00:05:00', '+1d 02:00:00', '+00:00:00']) {
+        expect(formatTimeShift(parseTimeShift(value))).toBe(value)
+      }
+      expect(formatTimeShift(-3725000)).toBe('-01:02:05')
+    })
+  })
+
+  describe('shiftDate', () => {
+    it('should add the correction to the date', () => {
+      const date = new Date('2024-07-13T23:30:00Z')
+
+      expect(shiftDate(date, parseTimeShift('+01:03:20')).toISOString()).toBe('2024-07-14T00:33:20.000Z')
+      expect(shiftDate(date, 0)).toBe(date)
+    })
+  })
+
+  describe('exiftoolShiftArgs', () => {
+    it('should shift EXIF and QuickTime date tags in exiftool syntax', () => {
+      expect(exiftoolShiftArgs(parseTimeShift('+01:03:20'))).toContain('-AllDates+=0:0:0 1:3:20')
+      expect(exiftoolShiftArgs(parseTimeShift('-1d 00:00:30'))).toContain('-TrackCreateDate-=0:0:1 0:0:30')
+    })
+  })
+
+  describe('measureTimeShift', () => {
+    it('should give the correction from camera time to true time in whole seconds', () => {
+      const cameraDate = new Date('2024-07-13T12:30:45Z')
+
+      expect(formatTimeShift(measureTimeShift(cameraDate, new Date('2024-07-13T13:34:05.400Z')))).toBe('+01:03:20')
+      expect(formatTimeShift(measureTimeShift(cameraDate, new Date('2024-07-13T12:25:45Z')))).toBe('-00:05:00')
+    })
+  })
+
+  describe('parseReferenceTime', () => {
+    const cameraDate = new Date('2024-07-13T23:58:00Z')
+
+    it('should read a full date and time in the given zone', () => {
+      expect(parseReferenceTime('2024-07-14 01:02:03', cameraDate, 'Europe/Berlin').toISOString()).toBe(
+        '2024-07-13T23:02:03.000Z'
+      )
+    })
+
+    it('should put a bare time on the day closest to the camera time', () => {
+      expect(parseReferenceTime('00:03:10', cameraDate, 'UTC').toISOString()).toBe('2024-07-14T00:03:10.000Z')
+      expect(parseReferenceTime('23:50', cameraDate, 'UTC').toISOString()).toBe('2024-07-13T23:50:00.000Z')
+    })
+
+    it('should reject times it cannot read', () => {
+      expect(() => parseReferenceTime('half past two', cameraDate)).toThrow('Invalid reference time "half past two"')
+      expect(() => parseReferenceTime('25:00', cameraDate)).toThrow('Invalid reference time')
+    })
+  })
+})
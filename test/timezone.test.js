@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'bun:test'
+import {
+  parseOffset,
+  validateTimezone,
+  getTimezoneOffset,
+  getDateParts,
+  formatZonedISO,
+  fromWallClock,
+  parseExifDate,
+} from '../src/timezone.js'
+
+describe('timezone.js', () => {
+  describe('parseOffset', () => {
+    it('should parse EXIF and profile offsets into minutes', () => {
+      expect(parseOffset('+02:00')).toBe(120)
+      expect(parseOffset('-05:30')).toBe(-330)
+      expect(parseOffset('+0545')).toBe(345)
+      expect(parseOffset('UTC+9')).toBe(540)
+      expect(parseOffset('Z')).toBe(0)
+      expect(parseOffset('UTC')).toBe(0)
+    })
+
+    it('should reject anything that is not an offset', () => {
+      expect(parseOffset('Europe/Berlin')).toBeNull()
+      expect(parseOffset('+25:00')).toBeNull()
+      expect(parseOffset('   ')).toBeNull()
+      expect(parseOffset(undefined)).toBeNull()
+    })
+  })
+
+  describe('validateTimezone', () => {
+    it('should accept IANA zones and fixed offsets', () => {
+      expect(() => validateTimezone('Europe/Berlin')).not.toThrow()
+      expect(() => validateTimezone('America/Los_Angeles')).not.toThrow()
+      expect(() => validateTimezone('-03:00')).not.toThrow()
+    })
+
+    it('should name the field in the error', () => {
+      expect(() => validateTimezone('Mars/Olympus_Mons', 'cameraTimezone')).toThrow(
+        'Invalid cameraTimezone value: Mars/Olympus_Mons'
+      )
+      expect(() => validateTimezone(2, 'cameraTimezone')).toThrow('Invalid cameraTimezone value: 2')
+    })
+  })
+
+  describe('getTimezoneOffset', () => {
+    it('should follow daylight saving time for IANA zones', () => {
+      expect(getTimezoneOffset(new Date('2024-01-15T12:00:00Z'), 'Europe/Berlin')).toBe(60)
+      expect(getTimezoneOffset(new Date('2024-07-15T12:00:00Z'), 'Europe/Berlin')).toBe(120)
+      expect(getTimezoneOffset(new Date('2024-07-15T12:00:00Z'), 'Asia/Kathmandu')).toBe(345)
+    })
+
+    it('should use the system zone when no zone is given', () => {
+      const date = new Date('2024-07-15T12:00:00Z')
+      expect(getTimezoneOffset(date)).toBe(-date.getTimezoneOffset())
+    })
+  })
+
+  describe('getDateParts', () => {
+    it('should give date and time of the same zone', () => {
+      const date = new Date('2024-07-13T22:30:45Z')
+
+      expect(getDateParts(date, 'UTC')).toMatchObject({ year: 2024, month: 7, day: 13, hour: 22, minute: 30 })
+      expect(getDateParts(date, 'Europe/Berlin')).toMatchObject({ year: 2024, month: 7, day: 14, hour: 0, second: 45 })
+      expect(getDateParts(date, '-07:00')).toMatchObject({ day: 13, hour: 15, offset: -420 })
+    })
+  })
+
+  describe('formatZonedISO', () => {
+    it('should include the offset of the zone', () => {
+      const date = new Date('2024-12-31T23:30:00Z')
+
+      expect(formatZonedISO(date, 'Europe/Berlin')).toBe('2025-01-01T00:30:00+01:00')
+      expect(formatZonedISO(date, 'America/St_Johns')).toBe('2024-12-31T20:00:00-03:30')
+      expect(formatZonedISO(date, 'UTC')).toBe('2024-12-31T23:30:00+00:00')
+    })
+  })
+
+  describe('fromWallClock', () => {
+    it('should convert a wall-clock time in a zone to an instant', () => {
+      expect(fromWallClock([2024, 7, 13, 14, 30, 45], 'Europe/Berlin').toISOString()).toBe('2024-07-13T12:30:45.000Z')
+      expect(fromWallClock([2024, 1, 13, 14, 30, 45], 'Europe/Berlin').toISOString()).toBe('2024-01-13T13:30:45.000Z')
+      expect(fromWallClock([2024, 7, 13, 14, 30, 45], '+05:30').toISOString()).toBe('2024-07-13T09:00:45.000Z')
+    })
+
+    it('should resolve times around a DST change', () => {
+      // 02:30 doesn't exist on 2024-03-31 in Berlin; 03:30 after the change is CEST
+      expect(fromWallClock([2024, 3, 31, 3, 30, 0], 'Europe/Berlin').toISOString()).toBe('2024-03-31T01:30:00.000Z')
+      expect(fromWallClock([2024, 3, 31, 1, 30, 0], 'Europe/Berlin').toISOString()).toBe('2024-03-31T00:30:00.000Z')
+    })
+  })
+
+  describe('parseExifDate', () => {
+    it('should honor the offset tag', () => {
+      const date = parseExifDate('2024:07:13 23:30:45', { offset: '+02:00', timeZone: 'America/New_York' })
+      expect(date.toISOString()).toBe('2024-07-13T21:30:45.000Z')
+    })
+
+    it('should prefer an offset written into the value', () => {
+      const date = parseExifDate('2024:07:13 23:30:45-04:00', { offset: '+02:00' })
+      expect(date.toISOString()).toBe('2024-07-14T03:30:45.000Z')
+    })
+
+    it('should read values without an offset in the given zone', () => {
+      expect(parseExifDate('2024:07:13 23:30:45', { timeZone: 'UTC' }).toISOString()).toBe('2024-07-13T23:30:45.000Z')
+      expect(parseExifDate('2024:07:13 23:30:45', { timeZone: 'Asia/Tokyo' }).toISOString()).toBe(
+        '2024-07-13T14:30:45.000Z'
+      )
+      expect(parseExifDate('2024-07-13T23:30:45.123', { timeZone: 'UTC' }).toISOString()).toBe(
+        '2024-07-13T23:30:45.000Z'
+      )
+    })
+
+    it('should reject empty and unset camera dates', () => {
+      expect(parseExifDate('0000:00:00 00:00:00', { timeZone: 'UTC' })).toBeNull()
+      expect(parseExifDate('    :  :     :  :  ')).toBeNull()
+      expect(parseExifDate(undefined)).toBeNull()
+    })
+  })
+})